@@ -0,0 +1,9 @@
+-- CreateEnum
+CREATE TYPE "Priority" AS ENUM ('low', 'medium', 'high');
+
+-- AlterTable
+ALTER TABLE "Todo" ADD COLUMN     "dueAt" TIMESTAMP(3),
+ADD COLUMN     "priority" "Priority";
+
+-- CreateIndex
+CREATE INDEX "Todo_userId_dueAt_idx" ON "Todo"("userId", "dueAt");
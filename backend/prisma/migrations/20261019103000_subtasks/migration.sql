@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "Todo" ADD COLUMN     "autoComplete" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "parentId" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "Todo_parentId_idx" ON "Todo"("parentId");
+
+-- AddForeignKey
+ALTER TABLE "Todo" ADD CONSTRAINT "Todo_parentId_fkey" FOREIGN KEY ("parentId") REFERENCES "Todo"("id") ON DELETE CASCADE ON UPDATE CASCADE;
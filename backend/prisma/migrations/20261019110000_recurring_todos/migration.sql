@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "Todo" ADD COLUMN     "recurrence" JSONB,
+ADD COLUMN     "seriesId" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "Todo_seriesId_idx" ON "Todo"("seriesId");
@@ -0,0 +1,22 @@
+-- AlterTable
+-- COLLATE "C" compares rank strings byte by byte, matching JavaScript string comparison
+ALTER TABLE "Todo" ADD COLUMN     "position" TEXT COLLATE "C";
+
+-- Backfill existing todos so the manual order starts out as newest first
+-- Keys are zero-padded counters (equal length, so they sort numerically)
+-- with an 'i' suffix so they never end in '0' (see src/utils/ranking.js)
+UPDATE "Todo" AS t
+SET "position" = lpad(ranked.rn::text, 9, '0') || 'i'
+FROM (
+    SELECT "id", row_number() OVER (
+        PARTITION BY "userId", "listId", "parentId"
+        ORDER BY "createdAt" DESC
+    ) AS rn
+    FROM "Todo"
+) AS ranked
+WHERE t."id" = ranked."id";
+
+ALTER TABLE "Todo" ALTER COLUMN "position" SET NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "Todo_userId_listId_position_idx" ON "Todo"("userId", "listId", "position");
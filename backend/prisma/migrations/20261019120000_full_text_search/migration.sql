@@ -0,0 +1,73 @@
+-- AlterTable
+ALTER TABLE "Todo" ADD COLUMN     "notes" TEXT,
+ADD COLUMN     "searchVector" tsvector;
+
+-- Build the search document for one todo
+-- Weights rank matches by where they were found: title (A) > notes (B) > tags (C)
+-- Tag names live in another table, so this can't be a generated column;
+-- the triggers below call it whenever one of the inputs changes
+CREATE FUNCTION "todo_search_vector"(todo_id INTEGER, todo_title TEXT, todo_notes TEXT)
+RETURNS tsvector AS $$
+    SELECT setweight(to_tsvector('english', coalesce(todo_title, '')), 'A')
+        || setweight(to_tsvector('english', coalesce(todo_notes, '')), 'B')
+        || setweight(to_tsvector('english', coalesce((
+            SELECT string_agg(tag."name", ' ')
+            FROM "Tag" AS tag
+            JOIN "_TagToTodo" AS link ON link."A" = tag."id"
+            WHERE link."B" = todo_id
+        ), '')), 'C');
+$$ LANGUAGE sql STABLE;
+
+-- Title or notes changed: rebuild the todo's own vector before it's written
+CREATE FUNCTION "todo_search_vector_trigger"() RETURNS trigger AS $$
+BEGIN
+    NEW."searchVector" := "todo_search_vector"(NEW."id", NEW."title", NEW."notes");
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "Todo_searchVector_update"
+BEFORE INSERT OR UPDATE OF "title", "notes" ON "Todo"
+FOR EACH ROW EXECUTE FUNCTION "todo_search_vector_trigger"();
+
+-- Tag added to or removed from a todo: rebuild that todo's vector
+CREATE FUNCTION "todo_tag_link_search_trigger"() RETURNS trigger AS $$
+DECLARE
+    link RECORD;
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        link := OLD;
+    ELSE
+        link := NEW;
+    END IF;
+
+    UPDATE "Todo"
+    SET "searchVector" = "todo_search_vector"("id", "title", "notes")
+    WHERE "id" = link."B";
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "_TagToTodo_searchVector_update"
+AFTER INSERT OR DELETE ON "_TagToTodo"
+FOR EACH ROW EXECUTE FUNCTION "todo_tag_link_search_trigger"();
+
+-- Tag renamed: rebuild the vectors of every todo carrying it
+CREATE FUNCTION "tag_rename_search_trigger"() RETURNS trigger AS $$
+BEGIN
+    UPDATE "Todo"
+    SET "searchVector" = "todo_search_vector"("id", "title", "notes")
+    WHERE "id" IN (SELECT "B" FROM "_TagToTodo" WHERE "A" = NEW."id");
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "Tag_searchVector_update"
+AFTER UPDATE OF "name" ON "Tag"
+FOR EACH ROW EXECUTE FUNCTION "tag_rename_search_trigger"();
+
+-- Backfill existing todos
+UPDATE "Todo" SET "searchVector" = "todo_search_vector"("id", "title", "notes");
+
+-- CreateIndex
+CREATE INDEX "Todo_searchVector_idx" ON "Todo" USING GIN ("searchVector");
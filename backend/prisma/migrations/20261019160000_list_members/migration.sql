@@ -0,0 +1,29 @@
+-- CreateEnum
+CREATE TYPE "ListRole" AS ENUM ('viewer', 'editor', 'owner');
+
+-- CreateTable
+CREATE TABLE "ListMember" (
+    "id" SERIAL NOT NULL,
+    "listId" INTEGER NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "role" "ListRole" NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ListMember_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ListMember_listId_userId_key" ON "ListMember"("listId", "userId");
+
+-- CreateIndex
+CREATE INDEX "ListMember_userId_idx" ON "ListMember"("userId");
+
+-- AddForeignKey
+ALTER TABLE "ListMember" ADD CONSTRAINT "ListMember_listId_fkey" FOREIGN KEY ("listId") REFERENCES "List"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ListMember" ADD CONSTRAINT "ListMember_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill: every existing list's creator becomes its owner
+INSERT INTO "ListMember" ("listId", "userId", "role")
+SELECT "id", "userId", 'owner' FROM "List";
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "Todo" ADD COLUMN     "assigneeId" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "Todo_assigneeId_idx" ON "Todo"("assigneeId");
+
+-- AddForeignKey
+ALTER TABLE "Todo" ADD CONSTRAINT "Todo_assigneeId_fkey" FOREIGN KEY ("assigneeId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
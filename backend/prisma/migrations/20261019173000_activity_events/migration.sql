@@ -0,0 +1,28 @@
+-- CreateEnum
+CREATE TYPE "ActivityAction" AS ENUM ('created', 'updated', 'completed', 'reopened', 'moved', 'reordered', 'assigned', 'deleted', 'shared');
+
+-- CreateTable
+CREATE TABLE "ActivityEvent" (
+    "id" SERIAL NOT NULL,
+    "action" "ActivityAction" NOT NULL,
+    "todoId" INTEGER,
+    "todoTitle" TEXT,
+    "listId" INTEGER,
+    "actorId" INTEGER,
+    "changes" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ActivityEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ActivityEvent_todoId_id_idx" ON "ActivityEvent"("todoId", "id");
+
+-- CreateIndex
+CREATE INDEX "ActivityEvent_listId_id_idx" ON "ActivityEvent"("listId", "id");
+
+-- CreateIndex
+CREATE INDEX "ActivityEvent_actorId_id_idx" ON "ActivityEvent"("actorId", "id");
+
+-- AddForeignKey
+ALTER TABLE "ActivityEvent" ADD CONSTRAINT "ActivityEvent_actorId_fkey" FOREIGN KEY ("actorId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
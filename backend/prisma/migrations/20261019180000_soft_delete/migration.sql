@@ -0,0 +1,9 @@
+-- AlterEnum
+ALTER TYPE "ActivityAction" ADD VALUE 'restored';
+ALTER TYPE "ActivityAction" ADD VALUE 'purged';
+
+-- AlterTable
+ALTER TABLE "Todo" ADD COLUMN "deletedAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "Todo_deletedAt_idx" ON "Todo"("deletedAt");
@@ -0,0 +1,17 @@
+-- AlterTable
+ALTER TABLE "Todo" ADD COLUMN "version" INTEGER NOT NULL DEFAULT 1;
+
+-- Bump the version on every change to a todo row
+-- A trigger catches every kind of write - Prisma updates, updateMany, and the
+-- search vector triggers (a tag added, removed or renamed changes the todo too)
+-- - so a client holding an old version can always tell that it's out of date
+CREATE FUNCTION "todo_version_trigger"() RETURNS trigger AS $$
+BEGIN
+    NEW."version" := OLD."version" + 1;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "Todo_version_update"
+BEFORE UPDATE ON "Todo"
+FOR EACH ROW EXECUTE FUNCTION "todo_version_trigger"();
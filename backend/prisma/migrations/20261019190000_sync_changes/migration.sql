@@ -0,0 +1,129 @@
+-- The global change sequence (see SyncTombstone in schema.prisma)
+-- Every insert and update of a synced row takes the next number, so "what
+-- changed since number N" is a plain indexed comparison
+CREATE SEQUENCE "change_seq" AS INTEGER;
+
+-- CreateEnum
+CREATE TYPE "SyncEntity" AS ENUM ('todo', 'list', 'tag');
+
+-- AlterTable
+-- Existing rows are numbered as the column is added
+ALTER TABLE "List" ADD COLUMN "changeSeq" INTEGER NOT NULL DEFAULT nextval('change_seq'::regclass);
+
+-- AlterTable
+ALTER TABLE "ListMember" ADD COLUMN "changeSeq" INTEGER NOT NULL DEFAULT nextval('change_seq'::regclass);
+
+-- AlterTable
+ALTER TABLE "Todo" ADD COLUMN "changeSeq" INTEGER NOT NULL DEFAULT nextval('change_seq'::regclass);
+
+-- AlterTable
+-- Existing tags get the time of the migration as their updatedAt
+ALTER TABLE "Tag" ADD COLUMN "changeSeq" INTEGER NOT NULL DEFAULT nextval('change_seq'::regclass),
+ADD COLUMN "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+ALTER TABLE "Tag" ALTER COLUMN "updatedAt" DROP DEFAULT;
+
+-- CreateTable
+CREATE TABLE "SyncTombstone" (
+    "id" SERIAL NOT NULL,
+    "type" "SyncEntity" NOT NULL,
+    "entityId" INTEGER NOT NULL,
+    "userId" INTEGER,
+    "listId" INTEGER,
+    "changeSeq" INTEGER NOT NULL DEFAULT nextval('change_seq'::regclass),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SyncTombstone_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "List_changeSeq_idx" ON "List"("changeSeq");
+
+-- CreateIndex
+CREATE INDEX "Todo_changeSeq_idx" ON "Todo"("changeSeq");
+
+-- CreateIndex
+CREATE INDEX "Tag_changeSeq_idx" ON "Tag"("changeSeq");
+
+-- CreateIndex
+CREATE INDEX "SyncTombstone_changeSeq_idx" ON "SyncTombstone"("changeSeq");
+
+-- Renumber a row on every update
+-- Like the version trigger, this catches every kind of write, including the
+-- search vector triggers that touch todos when one of their tags changes
+CREATE FUNCTION "change_seq_trigger"() RETURNS trigger AS $$
+BEGIN
+    NEW."changeSeq" := nextval('change_seq');
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "List_change_seq_update"
+BEFORE UPDATE ON "List"
+FOR EACH ROW EXECUTE FUNCTION "change_seq_trigger"();
+
+CREATE TRIGGER "ListMember_change_seq_update"
+BEFORE UPDATE ON "ListMember"
+FOR EACH ROW EXECUTE FUNCTION "change_seq_trigger"();
+
+CREATE TRIGGER "Tag_change_seq_update"
+BEFORE UPDATE ON "Tag"
+FOR EACH ROW EXECUTE FUNCTION "change_seq_trigger"();
+
+-- Todos also leave a tombstone when they move out of their list or Inbox, so
+-- the people who could only see them there forget them. The tombstone takes
+-- its number before the todo does: a client that also sees the new place
+-- applies the tombstone first and the todo after it
+CREATE FUNCTION "todo_change_seq_trigger"() RETURNS trigger AS $$
+BEGIN
+    IF OLD."listId" IS DISTINCT FROM NEW."listId"
+        OR (OLD."listId" IS NULL AND OLD."userId" <> NEW."userId") THEN
+        INSERT INTO "SyncTombstone" ("type", "entityId", "userId", "listId")
+        VALUES ('todo', OLD."id", OLD."userId", OLD."listId");
+    END IF;
+    NEW."changeSeq" := nextval('change_seq');
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "Todo_change_seq_update"
+BEFORE UPDATE ON "Todo"
+FOR EACH ROW EXECUTE FUNCTION "todo_change_seq_trigger"();
+
+-- Tombstones for deleted rows
+-- Deleting a list cascades to its memberships, so every member gets a list
+-- tombstone from the ListMember trigger
+CREATE FUNCTION "todo_tombstone_trigger"() RETURNS trigger AS $$
+BEGIN
+    INSERT INTO "SyncTombstone" ("type", "entityId", "userId", "listId")
+    VALUES ('todo', OLD."id", OLD."userId", OLD."listId");
+    RETURN OLD;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "Todo_tombstone_delete"
+AFTER DELETE ON "Todo"
+FOR EACH ROW EXECUTE FUNCTION "todo_tombstone_trigger"();
+
+CREATE FUNCTION "list_member_tombstone_trigger"() RETURNS trigger AS $$
+BEGIN
+    INSERT INTO "SyncTombstone" ("type", "entityId", "userId", "listId")
+    VALUES ('list', OLD."listId", OLD."userId", OLD."listId");
+    RETURN OLD;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "ListMember_tombstone_delete"
+AFTER DELETE ON "ListMember"
+FOR EACH ROW EXECUTE FUNCTION "list_member_tombstone_trigger"();
+
+CREATE FUNCTION "tag_tombstone_trigger"() RETURNS trigger AS $$
+BEGIN
+    INSERT INTO "SyncTombstone" ("type", "entityId", "userId")
+    VALUES ('tag', OLD."id", OLD."userId");
+    RETURN OLD;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "Tag_tombstone_delete"
+AFTER DELETE ON "Tag"
+FOR EACH ROW EXECUTE FUNCTION "tag_tombstone_trigger"();
@@ -0,0 +1,52 @@
+-- Hand out change numbers in commit order
+-- Numbers come from a sequence, which doesn't wait for transactions: one that
+-- draws number 10 can commit after another one drew 11 and committed. A client
+-- that synced in between got cursor 11 and would never see change 10
+--
+-- So every transaction that writes a synced table takes one transaction-scoped
+-- advisory lock first, and holds it until it commits: only one of them draws
+-- numbers at a time. The lock is taken by statement-level triggers, which fire
+-- before the statement draws a number (column defaults) or locks any row (so
+-- two writers can't deadlock on a row and the lock)
+--
+-- change_seq_cursor() takes the same lock in shared mode, i.e. waits for the
+-- writer holding it, so every number up to the one it returns is committed
+-- (see currentCursor in utils/sync.js)
+CREATE FUNCTION "change_seq_lock_trigger"() RETURNS trigger AS $$
+BEGIN
+    PERFORM pg_advisory_xact_lock(hashtext('change_seq'));
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "List_change_seq_lock"
+BEFORE INSERT OR UPDATE OR DELETE ON "List"
+FOR EACH STATEMENT EXECUTE FUNCTION "change_seq_lock_trigger"();
+
+CREATE TRIGGER "ListMember_change_seq_lock"
+BEFORE INSERT OR UPDATE OR DELETE ON "ListMember"
+FOR EACH STATEMENT EXECUTE FUNCTION "change_seq_lock_trigger"();
+
+CREATE TRIGGER "Todo_change_seq_lock"
+BEFORE INSERT OR UPDATE OR DELETE ON "Todo"
+FOR EACH STATEMENT EXECUTE FUNCTION "change_seq_lock_trigger"();
+
+CREATE TRIGGER "Tag_change_seq_lock"
+BEFORE INSERT OR UPDATE OR DELETE ON "Tag"
+FOR EACH STATEMENT EXECUTE FUNCTION "change_seq_lock_trigger"();
+
+CREATE TRIGGER "SyncTombstone_change_seq_lock"
+BEFORE INSERT ON "SyncTombstone"
+FOR EACH STATEMENT EXECUTE FUNCTION "change_seq_lock_trigger"();
+
+-- The highest change number whose transaction has finished (0 before the first)
+CREATE FUNCTION "change_seq_cursor"() RETURNS bigint AS $$
+DECLARE
+    state record;
+BEGIN
+    PERFORM pg_advisory_xact_lock_shared(hashtext('change_seq'));
+    SELECT last_value, is_called INTO state FROM "change_seq";
+    -- Before the first nextval() last_value is the start value, not a number in use
+    RETURN CASE WHEN state.is_called THEN state.last_value ELSE 0 END;
+END;
+$$ LANGUAGE plpgsql;
@@ -4,8 +4,11 @@
 // Import required dependencies
 // dotenv: Loads environment variables from .env file into process.env
 // This must be imported first to ensure env variables are available
-import dotenv from 'dotenv';
-dotenv.config();
+// 'dotenv/config' loads them as a side effect of the import itself: ES module
+// imports all run before the rest of this file, so calling dotenv.config()
+// here would be too late for modules that read process.env when they load
+// (like utils/tokens.js)
+import 'dotenv/config';
 
 // Express: Web framework for building REST APIs
 // Provides routing, middleware support, and HTTP utilities
@@ -18,7 +21,23 @@ import cors from 'cors';
 
 // Import our custom route handlers
 import authRoutes from './routes/auth.js';
+import twoFactorRoutes from './routes/twoFactor.js';
 import todoRoutes from './routes/todos.js';
+import commentRoutes from './routes/comments.js';
+import bulkRoutes from './routes/bulk.js';
+import listRoutes from './routes/lists.js';
+import tagRoutes from './routes/tags.js';
+import searchRoutes from './routes/search.js';
+import apiTokenRoutes from './routes/apiTokens.js';
+import activityRoutes from './routes/activity.js';
+import syncRoutes from './routes/sync.js';
+import eventRoutes from './routes/events.js';
+
+// Middleware that pushes each request's changes to the live event streams
+import { broadcastChanges, publishChanges } from './utils/events.js';
+
+// Background job that empties old todos out of the trash
+import { startTrashPurge, TRASH_RETENTION_DAYS } from './utils/trash.js';
 
 // Create Express application instance
 // This object represents our web server and handles all HTTP requests
@@ -27,6 +46,15 @@ const app = express();
 // Get port from environment variable, default to 3000 if not set
 const PORT = process.env.PORT || 3000;
 
+// Behind a reverse proxy (Nginx, a load balancer...) every request seems to
+// come from the proxy. TRUST_PROXY tells Express to read the client's IP from
+// the X-Forwarded-For header instead (used for the sessions list):
+// a number of proxy hops like "1", or a list of trusted proxy addresses
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
 // MIDDLEWARE SETUP
 // Middleware functions execute in order for every request before reaching routes
 // Think of them as a pipeline that processes requests
@@ -34,7 +62,8 @@ const PORT = process.env.PORT || 3000;
 // 1. CORS Middleware
 // Enables Cross-Origin Resource Sharing so frontend can communicate with backend
 // Without this, browser security would block API requests from frontend
-app.use(cors());
+// exposedHeaders lets the frontend read the ETag (a todo's version) from responses
+app.use(cors({ exposedHeaders: ['ETag'] }));
 
 // 2. JSON Body Parser Middleware
 // Automatically parses JSON data from request body and makes it available in req.body
@@ -61,11 +90,62 @@ app.get('/health', (req, res) => {
 // Example: signup route becomes /api/auth/signup
 app.use('/api/auth', authRoutes);
 
+// Two-Factor Authentication Routes
+// TOTP setup, enabling/disabling and recovery codes
+// Example: POST /api/auth/2fa/setup
+app.use('/api/auth/2fa', twoFactorRoutes);
+
+// Live updates
+// Everything that can change todos, lists or tags is broadcast to the other
+// clients with access once the request is done (see utils/events.js)
+// Registered before the routes so it sees every request to them
+app.use(['/api/todos', '/api/lists', '/api/tags', '/api/sync'], broadcastChanges);
+
+// Comment Routes
+// Each todo's discussion thread, e.g. GET /api/todos/5/comments
+// Registered before the todo routes so their authentication middleware
+// doesn't run twice for comment requests
+app.use('/api/todos/:id/comments', commentRoutes);
+
+// Bulk Routes
+// Many todo changes in one request, e.g. POST /api/todos/bulk
+// Registered before the todo routes for the same reason as the comment routes
+app.use('/api/todos/bulk', bulkRoutes);
+
 // Todo Routes
 // All routes defined in todoRoutes.js will be prefixed with /api/todos
 // Example: GET todos route becomes /api/todos
 app.use('/api/todos', todoRoutes);
 
+// List Routes
+// Named lists (projects) that group a user's todos
+// Example: GET lists route becomes /api/lists
+app.use('/api/lists', listRoutes);
+
+// Tag Routes
+// Tag usage counts, renaming and merging
+app.use('/api/tags', tagRoutes);
+
+// Search Routes
+// Ranked full-text search across todo titles, notes and tags
+app.use('/api/search', searchRoutes);
+
+// API Token Routes
+// Personal access tokens for scripts and integrations
+app.use('/api/tokens', apiTokenRoutes);
+
+// Activity Routes
+// The account-wide activity feed (who changed what, and when)
+app.use('/api/activity', activityRoutes);
+
+// Sync Routes
+// Delta sync for offline and multi-device clients (changes since a cursor)
+app.use('/api/sync', syncRoutes);
+
+// Event Routes
+// The live stream of changes (Server-Sent Events)
+app.use('/api/events', eventRoutes);
+
 // ERROR HANDLING MIDDLEWARE
 // Catches any errors that occur in routes and sends appropriate response
 // This must be defined AFTER all routes to catch their errors
@@ -88,6 +168,24 @@ app.listen(PORT, () => {
   console.log(`📝 API endpoints available:`);
   console.log(`   - POST http://localhost:${PORT}/api/auth/signup`);
   console.log(`   - POST http://localhost:${PORT}/api/auth/login`);
+  console.log(`   - POST http://localhost:${PORT}/api/auth/login/2fa`);
   console.log(`   - GET  http://localhost:${PORT}/api/todos`);
+  console.log(`   - GET  http://localhost:${PORT}/api/todos/trash`);
   console.log(`   - POST http://localhost:${PORT}/api/todos`);
+  console.log(`   - POST http://localhost:${PORT}/api/todos/bulk`);
+  console.log(`   - GET  http://localhost:${PORT}/api/todos/:id/comments`);
+  console.log(`   - GET  http://localhost:${PORT}/api/lists`);
+  console.log(`   - GET  http://localhost:${PORT}/api/tags`);
+  console.log(`   - GET  http://localhost:${PORT}/api/search?q=...`);
+  console.log(`   - GET  http://localhost:${PORT}/api/tokens`);
+  console.log(`   - GET  http://localhost:${PORT}/api/activity`);
+  console.log(`   - GET  http://localhost:${PORT}/api/sync?since=...`);
+  console.log(`   - GET  http://localhost:${PORT}/api/events (live updates)`);
+
+  // Live events start from the changes made after this point
+  publishChanges();
+
+  // Deleted todos stay in the trash for TRASH_RETENTION_DAYS, then they're purged
+  startTrashPurge();
+  console.log(`🗑️  Trashed todos are purged after ${TRASH_RETENTION_DAYS} days`);
 });
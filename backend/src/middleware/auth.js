@@ -1,11 +1,65 @@
 // Authentication Middleware
-// This middleware protects routes by verifying JWT tokens
+// This middleware protects routes by verifying JWT tokens (or personal API
+// tokens), plus helpers for routes that need a particular kind of login
 
 // Import jsonwebtoken library for JWT operations
 // JWT (JSON Web Token) is a standard for securely transmitting information between parties
 // A JWT contains encoded JSON data and a signature to verify authenticity
 import jwt from 'jsonwebtoken';
 
+// Import Prisma client to look up the session behind a token
+import prisma from '../config/prisma.js';
+
+// Import session helpers
+import { touchSession } from '../utils/sessions.js';
+
+// Import API token helpers
+import { API_TOKEN_PREFIX, touchApiToken } from '../utils/apiTokens.js';
+
+// Import the token hash for looking up API tokens
+import { hashToken } from '../utils/tokens.js';
+
+// User fields loaded into req.user for every authenticated request
+// (email verification policy, 2FA status)
+const USER_SELECT = {
+  id: true,
+  email: true,
+  emailVerifiedAt: true,
+  totpEnabledAt: true,
+  createdAt: true,
+};
+
+// Authenticate a personal API token (see utils/apiTokens.js)
+// Sets the same request fields as a session login, plus req.apiToken, whose
+// scopes requireScope checks. req.sessionId stays null: there's no session
+const authenticateApiToken = async (token, req, res, next) => {
+  try {
+    const apiToken = await prisma.apiToken.findUnique({
+      where: { tokenHash: hashToken(token) },
+      include: { user: { select: USER_SELECT } },
+    });
+
+    if (!apiToken || apiToken.revokedAt) {
+      return res.status(401).json({ error: 'Invalid API token', code: 'invalid_token' });
+    }
+
+    if (apiToken.expiresAt && apiToken.expiresAt < new Date()) {
+      return res.status(401).json({ error: 'API token expired', code: 'token_expired' });
+    }
+
+    await touchApiToken(apiToken);
+
+    req.userId = apiToken.userId;
+    req.sessionId = null;
+    req.user = apiToken.user;
+    req.apiToken = apiToken;
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Authentication Middleware Function
 // This function runs BEFORE protected route handlers to verify user identity
 //
@@ -17,24 +71,35 @@ import jwt from 'jsonwebtoken';
 // 5. Client includes JWT in Authorization header for subsequent requests
 // 6. This middleware verifies the JWT and extracts user information
 // 7. If valid, request proceeds to route handler; if invalid, returns 401 error
+// 8. Access tokens expire after a few minutes; the client then uses its
+//    refresh token (POST /api/auth/refresh) to get a new one
+// 9. Each token belongs to a session; once the session is revoked (logout),
+//    the token is rejected even if it hasn't expired yet
+//
+// Personal API tokens ("tdp_...") are accepted in the same header; they're
+// checked against the database instead (see authenticateApiToken above)
 export const authenticateToken = (req, res, next) => {
   // Extract the Authorization header from the request
   // Format expected: "Bearer <token>"
   // Example: "Bearer eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
   const authHeader = req.headers['authorization'];
-  console.log(authHeader);
+
   // Extract token from "Bearer <token>" format
   // authHeader?.split(' ') splits "Bearer token" into ["Bearer", "token"]
   // [1] gets the second element (the actual token)
   // If authHeader is undefined/null, token will be undefined
   const token = authHeader && authHeader.split(' ')[1];
-  console.log(token)
+
   // If no token provided, user is not authenticated
   // Return 401 Unauthorized status
   if (!token) {
     return res.status(401).json({ error: 'Access token required' });
   }
 
+  if (token.startsWith(API_TOKEN_PREFIX)) {
+    return authenticateApiToken(token, req, res, next);
+  }
+
   // Verify the token using JWT secret
   // jwt.verify does three things:
   // 1. Checks if token signature is valid (ensures token wasn't tampered with)
@@ -46,20 +111,88 @@ export const authenticateToken = (req, res, next) => {
   // - Signature is created by: HMACSHA256(base64(header) + "." + base64(payload), secret)
   // - To verify: recreate signature using header + payload + secret
   // - If recreated signature matches provided signature, token is valid
-  jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
-    console.log(decoded);
+  jwt.verify(token, process.env.JWT_SECRET, async (err, decoded) => {
     // If verification fails (invalid signature, expired, malformed)
+    // 401 means "not authenticated": the client should get a new access token
+    // with its refresh token (POST /api/auth/refresh) and retry.
+    // code lets the client tell an expired token apart from a broken one
     if (err) {
-      return res.status(403).json({ error: 'Invalid or expired token' });
+      const expired = err instanceof jwt.TokenExpiredError;
+      return res.status(401).json({
+        error: expired ? 'Access token expired' : 'Invalid access token',
+        code: expired ? 'token_expired' : 'invalid_token',
+      });
     }
 
-    // Token is valid! Extract user information from decoded payload
-    // When we created the token, we encoded { userId: user.id }
-    // Now we can access that data via decoded.userId
-    req.userId = decoded.userId;
+    try {
+      // The signature is valid - now check the session is still active
+      // This database lookup is what makes logout immediate: a JWT alone
+      // would stay valid until it expires
+      // The user is loaded along with it for the email verification policy
+      const session = decoded.sid
+        ? await prisma.session.findUnique({
+            where: { id: decoded.sid },
+            include: {
+              user: { select: USER_SELECT },
+            },
+          })
+        : null;
 
-    // Call next() to pass control to the next middleware or route handler
-    // The route handler can now access req.userId to know who made the request
-    next();
+      if (!session || session.revokedAt || session.userId !== decoded.userId) {
+        return res.status(401).json({
+          error: 'Session has been revoked',
+          code: 'session_revoked',
+        });
+      }
+
+      await touchSession(session, req);
+
+      // Token is valid! Extract user information from decoded payload
+      // When we created the token, we encoded { userId, sid }
+      // Now we can access that data via decoded.userId and decoded.sid
+      req.userId = decoded.userId;
+      req.sessionId = session.id;
+      req.user = session.user;
+      req.apiToken = null;
+
+      // Call next() to pass control to the next middleware or route handler
+      // The route handler can now access req.userId to know who made the request
+      next();
+    } catch (error) {
+      // Express 4 doesn't catch errors thrown in async callbacks, so pass it on
+      // to the error handling middleware in index.js
+      next(error);
+    }
+  });
+};
+
+// Scope Middleware
+// Limits what a personal API token may do on a route, e.g.
+//   router.get('/', requireScope('todos:read'), handler)
+// Session logins (the web app) have every scope, so only API tokens are checked
+// Must run after authenticateToken
+export const requireScope = (scope) => (req, res, next) => {
+  if (!req.apiToken || req.apiToken.scopes.includes(scope)) {
+    return next();
+  }
+
+  res.status(403).json({
+    error: `This API token doesn't have the ${scope} scope`,
+    code: 'insufficient_scope',
+  });
+};
+
+// Session-Only Middleware
+// For account settings (sessions, 2FA, API tokens...), which API tokens must
+// never reach - a leaked token mustn't be able to create more tokens or lock
+// the owner out. Must run after authenticateToken
+export const requireSession = (req, res, next) => {
+  if (!req.apiToken) {
+    return next();
+  }
+
+  res.status(403).json({
+    error: 'API tokens can only be used for todos, lists, tags and search',
+    code: 'session_required',
   });
 };
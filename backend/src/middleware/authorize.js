@@ -0,0 +1,78 @@
+// Authorization Middleware
+// Loads the todo or list a route works on and checks the user's role for it,
+// so route handlers don't each repeat "find it, 404, check owner, 403"
+// The rules themselves are in utils/permissions.js
+//
+// Usage (after authenticateToken):
+//   router.put('/:id', authorizeTodo('editor'), handler)
+// The handler then finds the record on req.todo (or req.list) and the
+// user's role on req.role
+
+// Import Prisma client for database operations
+import prisma from '../config/prisma.js';
+
+// Import the permission rules
+import { hasRole, getListRole, getTodoRole } from '../utils/permissions.js';
+
+// Shared implementation: parse :id, load the record, check the role
+// - name: 'todo' or 'list' (used in messages and as the req property)
+// - load(id): finds the record
+// - roleFor(userId, record): the user's role, or null for no access
+const authorize = (name, load, roleFor) => (minimumRole) => async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id)) {
+      return res.status(400).json({ error: `Invalid ${name} ID` });
+    }
+
+    const record = await load(id);
+
+    if (!record) {
+      return res.status(404).json({ error: `${name[0].toUpperCase()}${name.slice(1)} not found` });
+    }
+
+    const role = await roleFor(req.userId, record);
+
+    // Not a member at all
+    if (!role) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    // A member, but e.g. a viewer trying to edit
+    if (!hasRole(role, minimumRole)) {
+      return res.status(403).json({
+        error: `This needs ${minimumRole} access to the list (you are a ${role})`,
+        code: 'insufficient_role',
+      });
+    }
+
+    req[name] = record;
+    req.role = role;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Require at least minimumRole for the todo in :id - sets req.todo and req.role
+// Todos in the trash are reported as missing
+export const authorizeTodo = authorize(
+  'todo',
+  (id) => prisma.todo.findFirst({ where: { id, deletedAt: null } }),
+  getTodoRole
+);
+
+// Same for a todo in the trash (restoring or purging it) - any other todo is missing
+export const authorizeTrashedTodo = authorize(
+  'todo',
+  (id) => prisma.todo.findFirst({ where: { id, deletedAt: { not: null } } }),
+  getTodoRole
+);
+
+// Require at least minimumRole for the list in :id - sets req.list and req.role
+export const authorizeList = authorize(
+  'list',
+  (id) => prisma.list.findUnique({ where: { id } }),
+  (userId, list) => getListRole(userId, list.id)
+);
@@ -0,0 +1,27 @@
+// Email Verification Middleware
+// Applies the unverified-user policy (see accessLevel in utils/verification.js)
+// Must run after authenticateToken, which loads req.user
+
+// Import the policy
+import { accessLevel } from '../utils/verification.js';
+
+// Requests that only read data - allowed at the 'read-only' level
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Reject requests the user's access level doesn't allow
+// 403 with code: 'email_unverified' lets the frontend show why
+export const requireVerifiedEmail = (req, res, next) => {
+  const access = accessLevel(req.user);
+
+  if (access === 'full' || (access === 'read-only' && READ_METHODS.includes(req.method))) {
+    return next();
+  }
+
+  res.status(403).json({
+    error:
+      access === 'read-only'
+        ? 'Please verify your email address to make changes'
+        : 'Please verify your email address to continue',
+    code: 'email_unverified',
+  });
+};
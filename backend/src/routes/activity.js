@@ -0,0 +1,76 @@
+// Activity Routes
+// The account-wide activity feed: recent changes to every todo the user can
+// see, and to who their lists are shared with, by anyone
+// (a single todo's history is GET /api/todos/:id/history)
+//
+// Events are recorded by the todo and list routes (see utils/activity.js) and
+// never change afterwards, so this file only ever reads them
+
+// Import Express Router
+import express from 'express';
+
+// Import authentication middleware
+import { authenticateToken, requireScope } from '../middleware/auth.js';
+
+// Import the unverified-email policy, applied after authentication
+import { requireVerifiedEmail } from '../middleware/verification.js';
+
+// Import the permission rules (which events a user can see)
+import { visibleActivityWhere } from '../utils/permissions.js';
+
+// Import the paging helper shared with the todo history route
+import { findActivityPage } from '../utils/activity.js';
+
+// Create router instance
+const router = express.Router();
+
+// Apply authentication middleware to ALL routes in this file
+router.use(authenticateToken);
+router.use(requireVerifiedEmail);
+
+// GET ACTIVITY FEED
+// GET /api/activity
+// Returns one page of events, newest first: changes in the user's Inbox and
+// in every list they're a member of - including events on todos that have
+// since been deleted
+// Response: { events, nextCursor } - same shape as GET /api/todos/:id/history
+//
+// Optional query parameters:
+// - limit=<1-100>  Page size (default 50)
+// - cursor=<event ID>  Start after this event (from the previous page's nextCursor)
+// - listId=<id>|inbox  Only events in that list (inbox = Inbox todos)
+router.get('/', requireScope('todos:read'), async (req, res) => {
+  try {
+    const { listId } = req.query;
+    const conditions = [];
+
+    if (listId !== undefined) {
+      if (listId === 'inbox') {
+        conditions.push({ listId: null });
+      } else {
+        // No membership check needed: visibleActivityWhere is already part of
+        // the filter, so a list the user isn't a member of matches no events
+        const id = parseInt(listId);
+        if (isNaN(id)) {
+          return res.status(400).json({ error: 'listId must be a number or "inbox"' });
+        }
+        conditions.push({ listId: id });
+      }
+    }
+
+    const where = { ...(await visibleActivityWhere(req.userId)), AND: conditions };
+    const page = await findActivityPage(where, req.query);
+
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
+
+    res.json(page.value);
+  } catch (error) {
+    console.error('Get activity error:', error);
+    res.status(500).json({ error: 'Failed to fetch activity' });
+  }
+});
+
+// Export router to be used in main app
+export default router;
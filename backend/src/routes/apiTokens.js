@@ -0,0 +1,160 @@
+// API Token Routes
+// Create, list and revoke personal API tokens (see utils/apiTokens.js)
+//
+// Example - create a todo from a shell script:
+//   curl -X POST http://localhost:3000/api/todos \
+//     -H "Authorization: Bearer tdp_..." -H "Content-Type: application/json" \
+//     -d '{"title": "Deploy finished"}'
+
+// Import Express Router
+import express from 'express';
+
+// Import Prisma client for database operations
+import prisma from '../config/prisma.js';
+
+// Import authentication middleware
+// Managing tokens needs a real login - an API token can't create more tokens
+import { authenticateToken, requireSession } from '../middleware/auth.js';
+
+// Import API token helpers
+import { SCOPES, createApiToken, publicApiToken } from '../utils/apiTokens.js';
+
+// Create router instance
+const router = express.Router();
+
+// Apply authentication middleware to ALL routes in this file
+router.use(authenticateToken);
+router.use(requireSession);
+
+// Longest token name allowed
+const MAX_NAME_LENGTH = 100;
+
+// Longest expiry allowed when one is set, in days
+const MAX_EXPIRY_DAYS = 365;
+
+// Most active tokens a user can have at once
+const MAX_TOKENS_PER_USER = 50;
+
+// Validate the body of a create request
+// Returns { value: { name, scopes, expiresAt } } or { error }
+const parseTokenInput = ({ name, scopes, expiresInDays }) => {
+  if (typeof name !== 'string' || name.trim() === '') {
+    return { error: 'Name is required' };
+  }
+
+  if (name.trim().length > MAX_NAME_LENGTH) {
+    return { error: `Name must be at most ${MAX_NAME_LENGTH} characters` };
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return { error: 'At least one scope is required' };
+  }
+
+  const unknown = scopes.filter((scope) => !Object.hasOwn(SCOPES, scope));
+  if (unknown.length > 0) {
+    const valid = Object.keys(SCOPES).join(', ');
+    return { error: `Unknown scope: ${unknown.join(', ')}. Valid scopes: ${valid}` };
+  }
+
+  // expiresInDays: whole number of days, or null/undefined for no expiry
+  let expiresAt = null;
+  if (expiresInDays !== undefined && expiresInDays !== null) {
+    if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_EXPIRY_DAYS) {
+      return { error: `expiresInDays must be a whole number from 1 to ${MAX_EXPIRY_DAYS}` };
+    }
+    expiresAt = new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000);
+  }
+
+  return {
+    value: {
+      name: name.trim(),
+      // Drop duplicates, keep a stable order
+      scopes: Object.keys(SCOPES).filter((scope) => scopes.includes(scope)),
+      expiresAt,
+    },
+  };
+};
+
+// LIST TOKENS
+// GET /api/tokens
+// Returns the user's tokens that haven't been revoked (newest first),
+// including expired ones so the user can see why a script stopped working
+// Returns: { tokens, scopes }
+// - tokens: [{ id, name, scopes, tokenPrefix, expiresAt, lastUsedAt, createdAt }]
+// - scopes: { 'todos:read': description, ... } for building the create form
+router.get('/', async (req, res) => {
+  try {
+    const tokens = await prisma.apiToken.findMany({
+      where: { userId: req.userId, revokedAt: null },
+      orderBy: { createdAt: 'desc' },
+    });
+
+    res.json({ tokens: tokens.map(publicApiToken), scopes: SCOPES });
+  } catch (error) {
+    console.error('Get API tokens error:', error);
+    res.status(500).json({ error: 'Failed to fetch API tokens' });
+  }
+});
+
+// CREATE TOKEN
+// POST /api/tokens
+// Body: { name, scopes: ['todos:read', ...], expiresInDays? }
+// Returns the token's details plus token - the raw value, which is never
+// shown again (only its hash is stored)
+router.post('/', async (req, res) => {
+  try {
+    const { value, error } = parseTokenInput(req.body);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const activeCount = await prisma.apiToken.count({
+      where: { userId: req.userId, revokedAt: null },
+    });
+
+    if (activeCount >= MAX_TOKENS_PER_USER) {
+      return res.status(400).json({
+        error: `You can have at most ${MAX_TOKENS_PER_USER} API tokens. Revoke one first`,
+      });
+    }
+
+    const { apiToken, token } = await createApiToken(req.userId, value);
+
+    res.status(201).json({ ...publicApiToken(apiToken), token });
+  } catch (error) {
+    console.error('Create API token error:', error);
+    res.status(500).json({ error: 'Failed to create API token' });
+  }
+});
+
+// REVOKE TOKEN
+// DELETE /api/tokens/:id
+// The token stops working immediately
+router.delete('/:id', async (req, res) => {
+  try {
+    const tokenId = parseInt(req.params.id);
+
+    if (isNaN(tokenId)) {
+      return res.status(400).json({ error: 'Invalid token ID' });
+    }
+
+    // Other users' tokens are reported as missing (like sessions)
+    const { count } = await prisma.apiToken.updateMany({
+      where: { id: tokenId, userId: req.userId, revokedAt: null },
+      data: { revokedAt: new Date() },
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'API token not found' });
+    }
+
+    res.json({ message: 'API token revoked successfully' });
+  } catch (error) {
+    console.error('Revoke API token error:', error);
+    res.status(500).json({ error: 'Failed to revoke API token' });
+  }
+});
+
+// Export router to be used in main app
+export default router;
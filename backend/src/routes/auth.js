@@ -1,5 +1,8 @@
 // Authentication Routes
-// Handles user signup and login with JWT generation
+// Handles user signup and login with JWT generation, refreshing expired
+// access tokens with a refresh token, logout, the sessions list,
+// password resets, email verification and the second step of
+// two-factor logins (2FA settings are in routes/twoFactor.js)
 
 // Import Express Router to define route handlers
 import express from 'express';
@@ -9,16 +12,80 @@ import express from 'express';
 // It's "slow by design" to make brute-force attacks impractical
 import bcrypt from 'bcryptjs';
 
-// Import jsonwebtoken for creating JWTs
-import jwt from 'jsonwebtoken';
-
 // Import Prisma client to interact with database
 import prisma from '../config/prisma.js';
 
+// Import Node's crypto module for password reset tokens
+import crypto from 'crypto';
+
+// Import token helpers (access token signing and refresh token rotation)
+import { startSession, rotateRefreshToken, hashToken } from '../utils/tokens.js';
+
+// Import session helpers for logout, the sessions list and password resets
+import { revokeSession, revokeAllSessions, describeDevice } from '../utils/sessions.js';
+
+// Import the password reset email
+import { sendPasswordResetEmail } from '../utils/emails.js';
+
+// Import email verification helpers
+import {
+  sendVerification,
+  createVerificationToken,
+  emailVerificationLink,
+  accessLevel,
+} from '../utils/verification.js';
+
+// Import 2FA login challenge helpers
+import { createMfaChallenge, redeemMfaChallenge } from '../utils/twoFactor.js';
+
+// Import brute-force protection: rate limits and the login attempt audit log
+import {
+  LIMITS,
+  reserveAttempt,
+  refundAttempt,
+  recordFailure,
+  resetLimit,
+  tooManyAttempts,
+} from '../utils/rateLimit.js';
+import { recordLoginAttempt } from '../utils/loginAttempts.js';
+
+// Import authentication middleware for the routes that need a logged-in user
+import { authenticateToken, requireSession } from '../middleware/auth.js';
+
 // Create router instance
 // Router allows us to define routes in separate files and combine them
 const router = express.Router();
 
+// How long a password reset link is valid
+const RESET_TOKEN_TTL_MINUTES = 60;
+
+// Same response for every forgot-password request (see the route below)
+const FORGOT_PASSWORD_MESSAGE =
+  'If an account exists for that email, a password reset link has been sent';
+
+// Limits for resending the verification email
+// At most one email per cooldown, and a handful per day
+const RESEND_COOLDOWN_SECONDS = 60;
+const MAX_VERIFICATION_EMAILS_PER_DAY = 5;
+
+// Basic email format check: something@something.tld, no spaces
+// Deliberately loose - the verification email is the real test
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Longest email address allowed by the SMTP standard
+const MAX_EMAIL_LENGTH = 254;
+
+// User fields returned to the client
+// access tells the frontend what an unverified user may currently do
+// (full, read-only or none - see utils/verification.js)
+const publicUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  emailVerifiedAt: user.emailVerifiedAt,
+  access: accessLevel(user),
+  twoFactorEnabled: Boolean(user.totpEnabledAt),
+});
+
 // SIGNUP ROUTE
 // POST /api/auth/signup
 // Creates a new user account with email and password
@@ -33,12 +100,35 @@ router.post('/signup', async (req, res) => {
       return res.status(400).json({ error: 'Email and password are required' });
     }
 
+    // Validation: Ensure the email at least looks like an address
+    if (
+      typeof email !== 'string' ||
+      email.length > MAX_EMAIL_LENGTH ||
+      !EMAIL_PATTERN.test(email)
+    ) {
+      return res.status(400).json({ error: 'Please enter a valid email address' });
+    }
+
     // Validation: Ensure password meets minimum length requirement
     // Weak passwords are easily cracked by brute force or dictionary attacks
     if (password.length < 6) {
       return res.status(400).json({ error: 'Password must be at least 6 characters' });
     }
 
+    // Limit signups per IP address - each one costs a bcrypt hash and an email
+    // Every signup counts, successful or not
+    const { blocked } = await reserveAttempt([[LIMITS.signupIp, req.ip]]);
+
+    if (blocked) {
+      await recordLoginAttempt(req, {
+        action: 'signup',
+        outcome: 'blocked',
+        reason: blocked.locked ? 'locked' : 'backoff',
+        email,
+      });
+      return tooManyAttempts(res, blocked);
+    }
+
     // Check if user already exists
     // findUnique queries database for a record with unique field (email)
     // Returns user object if found, null if not found
@@ -47,6 +137,13 @@ router.post('/signup', async (req, res) => {
     });
 
     if (existingUser) {
+      await recordLoginAttempt(req, {
+        action: 'signup',
+        outcome: 'failed',
+        reason: 'email_taken',
+        email,
+        userId: existingUser.id,
+      });
       return res.status(400).json({ error: 'User already exists' });
     }
 
@@ -78,28 +175,32 @@ router.post('/signup', async (req, res) => {
       },
     });
 
-    // Generate JWT token for the new user
-    // jwt.sign creates a token with three parts:
-    // 1. Header (algorithm and token type)
-    // 2. Payload (the data we want to encode - user ID in this case)
-    // 3. Signature (cryptographic signature to verify authenticity)
-    //
-    // The payload { userId: user.id } will be accessible when token is verified
-    // JWT_SECRET is used to create signature - keep this secret and secure!
-    // expiresIn: token becomes invalid after 24 hours (forces re-login)
-    const token = jwt.sign({ userId: user.id }, process.env.JWT_SECRET, {
-      expiresIn: '24h',
+    // Email a verification link
+    // Not awaited: a slow mail server shouldn't hold up signup, and the user
+    // can ask for a new link if this one never arrives
+    sendVerification(user).catch((error) => {
+      console.error('Failed to send verification email:', error);
     });
 
-    // Send success response with token and user info
-    // Frontend will store this token and include it in future requests
+    // Generate tokens for the new user
+    // - token: a JWT access token (see signAccessToken in utils/tokens.js)
+    //   jwt.sign creates a token with three parts:
+    //   1. Header (algorithm and token type)
+    //   2. Payload (the data we want to encode - user ID in this case)
+    //   3. Signature (cryptographic signature to verify authenticity)
+    //   It expires after a few minutes (ACCESS_TOKEN_TTL)
+    // - refreshToken: a random string stored (hashed) in the database, used
+    //   to get a new access token when the current one expires
+    // Both belong to a new session for this device
+    const { token, refreshToken } = await startSession(user.id, req);
+
+    // Send success response with tokens and user info
+    // Frontend will store the tokens and include the access token in future requests
     res.status(201).json({
       message: 'User created successfully',
       token,
-      user: {
-        id: user.id,
-        email: user.email,
-      },
+      refreshToken,
+      user: publicUser(user),
     });
   } catch (error) {
     // Catch any unexpected errors (database connection issues, etc.)
@@ -116,10 +217,41 @@ router.post('/login', async (req, res) => {
     const { email, password } = req.body;
 
     // Validation
-    if (!email || !password) {
+    if (typeof email !== 'string' || !email || typeof password !== 'string' || !password) {
       return res.status(400).json({ error: 'Email and password are required' });
     }
 
+    // Brute-force protection: failures are counted per IP address and per
+    // account, and both have to be below their limits (see utils/rateLimit.js)
+    // The attempt is counted before the password is checked (and given back
+    // if it's right), so a burst of parallel guesses can't all get through
+    // before the first failure is counted. It also means a locked account
+    // stays locked even for the right password
+    const limits = [
+      [LIMITS.loginIp, req.ip],
+      [LIMITS.loginAccount, email.toLowerCase()],
+    ];
+    const { blocked, locked } = await reserveAttempt(limits);
+
+    if (blocked) {
+      await recordLoginAttempt(req, {
+        action: 'login',
+        outcome: 'blocked',
+        reason: blocked.locked ? 'locked' : 'backoff',
+        email,
+      });
+      return tooManyAttempts(res, blocked);
+    }
+
+    // A failed attempt (already counted above): record it in the audit log
+    const fail = async (reason, userId) => {
+      if (locked) {
+        console.warn(`Login locked out after repeated failures: ${email} from ${req.ip}`);
+      }
+      await recordLoginAttempt(req, { action: 'login', outcome: 'failed', reason, email, userId });
+      return res.status(401).json({ error: 'Invalid credentials' });
+    };
+
     // Find user by email
     // Returns null if user doesn't exist
     const user = await prisma.user.findUnique({
@@ -129,7 +261,7 @@ router.post('/login', async (req, res) => {
     if (!user) {
       // Generic error message to prevent email enumeration attacks
       // Don't reveal whether email exists or password is wrong
-      return res.status(401).json({ error: 'Invalid credentials' });
+      return fail('unknown_email');
     }
 
     // Verify password using bcrypt.compare
@@ -146,22 +278,39 @@ router.post('/login', async (req, res) => {
     const isValidPassword = await bcrypt.compare(password, user.password);
 
     if (!isValidPassword) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+      return fail('wrong_password', user.id);
     }
 
-    // Generate JWT token (same process as signup)
-    const token = jwt.sign({ userId: user.id }, process.env.JWT_SECRET, {
-      expiresIn: '24h',
-    });
+    // The right password isn't a failure
+    await refundAttempt(limits);
+
+    // With 2FA on, the password is only the first step: return a challenge
+    // token instead of a session, to be completed at POST /login/2fa
+    // The account's failure count is only cleared once the code is right too,
+    // so wrong codes keep counting towards the lockout
+    if (user.totpEnabledAt) {
+      return res.json({
+        message: 'Enter the code from your authenticator app',
+        mfaRequired: true,
+        mfaToken: await createMfaChallenge(user.id),
+      });
+    }
+
+    // Correct password: the account starts with a clean slate
+    // (the IP count isn't cleared - one valid account mustn't reset an
+    // attacker's count for guessing others)
+    await resetLimit(LIMITS.loginAccount, email.toLowerCase());
+
+    // Generate tokens (same process as signup)
+    // Each login starts a new session
+    const { token, refreshToken } = await startSession(user.id, req);
 
     // Send success response
     res.json({
       message: 'Login successful',
       token,
-      user: {
-        id: user.id,
-        email: user.email,
-      },
+      refreshToken,
+      user: publicUser(user),
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -169,5 +318,445 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// TWO-FACTOR LOGIN ROUTE
+// POST /api/auth/login/2fa
+// Second step of a login with 2FA enabled
+// Body: { mfaToken, code } - mfaToken from POST /login, code from the
+// authenticator app or a recovery code
+// Returns the same response as a login without 2FA
+router.post('/login/2fa', async (req, res) => {
+  try {
+    const { mfaToken, code } = req.body;
+
+    if (typeof mfaToken !== 'string' || mfaToken === '' || typeof code !== 'string') {
+      return res.status(400).json({ error: 'Challenge token and code are required' });
+    }
+
+    // Wrong codes count against the same limits as wrong passwords
+    // Reserved up front like a password attempt (see POST /login)
+    const ipLimit = [LIMITS.loginIp, req.ip];
+    const { blocked } = await reserveAttempt([ipLimit]);
+
+    if (blocked) {
+      await recordLoginAttempt(req, {
+        action: 'login_2fa',
+        outcome: 'blocked',
+        reason: blocked.locked ? 'locked' : 'backoff',
+      });
+      return tooManyAttempts(res, blocked);
+    }
+
+    const result = await redeemMfaChallenge(mfaToken, code);
+
+    // code: 'mfa_expired' tells the client to go back to the password step
+    if (result.error) {
+      // The account is only known now, so its failure is counted afterwards
+      // (the password step already stops a locked account from getting here)
+      const email = result.user?.email.toLowerCase();
+      if (email) {
+        await recordFailure([[LIMITS.loginAccount, email]]);
+      }
+      await recordLoginAttempt(req, {
+        action: 'login_2fa',
+        outcome: 'failed',
+        reason: result.expired ? 'challenge_expired' : 'invalid_code',
+        email: result.user?.email,
+        userId: result.user?.id,
+      });
+
+      return res.status(401).json({
+        error: result.error,
+        code: result.expired ? 'mfa_expired' : 'invalid_code',
+      });
+    }
+
+    await refundAttempt([ipLimit]);
+    await resetLimit(LIMITS.loginAccount, result.user.email.toLowerCase());
+
+    const { token, refreshToken } = await startSession(result.user.id, req);
+
+    res.json({
+      message: 'Login successful',
+      token,
+      refreshToken,
+      user: publicUser(result.user),
+      // Lets the frontend suggest generating new codes
+      usedRecoveryCode: result.method === 'recovery',
+    });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ error: 'Something went wrong during login' });
+  }
+});
+
+// REFRESH ROUTE
+// POST /api/auth/refresh
+// Exchanges a refresh token for a new access token and a new refresh token
+// Body: { refreshToken }
+//
+// The old refresh token stops working immediately (rotation). Sending a token
+// that was already used revokes the whole session, because it means a copy
+// of the token is being used by someone else
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (typeof refreshToken !== 'string' || refreshToken === '') {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    const result = await rotateRefreshToken(refreshToken, req);
+
+    // 401 tells the client to log in again
+    if (result.error) {
+      return res.status(401).json({ error: result.error });
+    }
+
+    res.json({
+      token: result.token,
+      refreshToken: result.refreshToken,
+    });
+  } catch (error) {
+    console.error('Refresh error:', error);
+    res.status(500).json({ error: 'Something went wrong during token refresh' });
+  }
+});
+
+// LOGOUT ROUTE
+// POST /api/auth/logout
+// Revokes the current session: its access and refresh tokens stop working
+// immediately, not just when they expire
+router.post('/logout', authenticateToken, requireSession, async (req, res) => {
+  try {
+    // req.sessionId was set by authenticateToken from the access token
+    await revokeSession(req.sessionId);
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Something went wrong during logout' });
+  }
+});
+
+// LIST SESSIONS
+// GET /api/auth/sessions
+// Returns the user's active sessions (most recently used first), with the
+// device, IP address and last-seen time of each
+// current: true marks the session making this request
+router.get('/sessions', authenticateToken, requireSession, async (req, res) => {
+  try {
+    // A session is active while it isn't revoked and still has a valid
+    // refresh token - once that expires, the device has to log in again anyway
+    const sessions = await prisma.session.findMany({
+      where: {
+        userId: req.userId,
+        revokedAt: null,
+        refreshTokens: { some: { revokedAt: null, expiresAt: { gt: new Date() } } },
+      },
+      orderBy: { lastSeenAt: 'desc' },
+    });
+
+    res.json(
+      sessions.map((session) => ({
+        id: session.id,
+        device: describeDevice(session.userAgent),
+        userAgent: session.userAgent,
+        ip: session.ip,
+        lastSeenAt: session.lastSeenAt,
+        createdAt: session.createdAt,
+        current: session.id === req.sessionId,
+      }))
+    );
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+});
+
+// REVOKE SESSION
+// DELETE /api/auth/sessions/:id
+// Signs out one of the user's sessions (e.g. a lost phone)
+// Revoking the current session works like POST /logout
+router.delete('/sessions/:id', authenticateToken, requireSession, async (req, res) => {
+  try {
+    const sessionId = parseInt(req.params.id);
+
+    if (isNaN(sessionId)) {
+      return res.status(400).json({ error: 'Invalid session ID' });
+    }
+
+    const session = await prisma.session.findUnique({
+      where: { id: sessionId },
+    });
+
+    // Someone else's session is reported as missing rather than forbidden,
+    // so session IDs can't be probed
+    if (!session || session.userId !== req.userId) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await revokeSession(session.id);
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
+// Create a reset token for the account with this email, if there is one, and
+// email the link
+const sendResetLink = async (email) => {
+  const user = await prisma.user.findUnique({
+    where: { email },
+  });
+  if (!user) return;
+
+  // Random token for the link; only its hash is stored
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await prisma.passwordResetToken.create({
+    data: {
+      tokenHash: hashToken(token),
+      userId: user.id,
+      expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000),
+    },
+  });
+
+  await sendPasswordResetEmail(user.email, token, RESET_TOKEN_TTL_MINUTES);
+};
+
+// FORGOT PASSWORD ROUTE
+// POST /api/auth/forgot-password
+// Emails a one-time password reset link
+// Body: { email }
+//
+// The response is identical whether or not an account exists for the email.
+// Otherwise anyone could use this endpoint to find out who has an account
+// (user enumeration). For the same reason everything after the rate limit
+// (looking up the account, storing the token, sending the email) happens in
+// the background: waiting for it would make responses for real accounts slower
+//
+// Requests are rate-limited per email address and per IP address (every
+// request counts), so the endpoint can't be used to flood someone's inbox
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (typeof email !== 'string' || email === '') {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    const { blocked } = await reserveAttempt([
+      [LIMITS.passwordResetIp, req.ip],
+      [LIMITS.passwordResetEmail, email.toLowerCase()],
+    ]);
+
+    if (blocked) {
+      return tooManyAttempts(res, blocked);
+    }
+
+    // Not awaited on purpose (see above) - failures are only logged
+    sendResetLink(email).catch((error) => {
+      console.error('Failed to send password reset email:', error);
+    });
+
+    res.json({ message: FORGOT_PASSWORD_MESSAGE });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Something went wrong' });
+  }
+});
+
+// RESET PASSWORD ROUTE
+// POST /api/auth/reset-password
+// Sets a new password using the token from a reset link
+// Body: { token, password }
+//
+// The token works once. A successful reset also:
+// - invalidates the user's other reset links
+// - logs out every session, in case the account was compromised
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (typeof token !== 'string' || token === '' || typeof password !== 'string') {
+      return res.status(400).json({ error: 'Token and password are required' });
+    }
+
+    // Same rule as signup
+    if (password.length < 6) {
+      return res.status(400).json({ error: 'Password must be at least 6 characters' });
+    }
+
+    const resetToken = await prisma.passwordResetToken.findUnique({
+      where: { tokenHash: hashToken(token) },
+    });
+
+    // One generic error for unknown, used and expired tokens
+    const invalid = () => res.status(400).json({ error: 'Invalid or expired reset link' });
+
+    if (!resetToken || resetToken.usedAt || resetToken.expiresAt < new Date()) {
+      return invalid();
+    }
+
+    // Claim the token atomically, so two requests can't both use it
+    const { count } = await prisma.passwordResetToken.updateMany({
+      where: { id: resetToken.id, usedAt: null },
+      data: { usedAt: new Date() },
+    });
+
+    if (count === 0) {
+      return invalid();
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    await prisma.$transaction([
+      prisma.user.update({
+        where: { id: resetToken.userId },
+        data: { password: hashedPassword },
+      }),
+      prisma.passwordResetToken.updateMany({
+        where: { userId: resetToken.userId, usedAt: null },
+        data: { usedAt: new Date() },
+      }),
+    ]);
+
+    await revokeAllSessions(resetToken.userId);
+
+    res.json({ message: 'Password has been reset. Please log in with your new password' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Something went wrong during password reset' });
+  }
+});
+
+// CURRENT USER ROUTE
+// GET /api/auth/me
+// Returns the logged-in user, so the frontend can refresh its copy
+// (e.g. to notice that the email was verified on another device)
+router.get('/me', authenticateToken, requireSession, (req, res) => {
+  // req.user was loaded by authenticateToken
+  res.json({ user: publicUser(req.user) });
+});
+
+// VERIFY EMAIL ROUTE
+// GET /api/auth/verify?token=<token>
+// Consumes the token from a verification link and marks the email as verified
+// Doesn't require a login: the link may be opened on another device
+router.get('/verify', async (req, res) => {
+  try {
+    const { token } = req.query;
+
+    if (typeof token !== 'string' || token === '') {
+      return res.status(400).json({ error: 'Token is required' });
+    }
+
+    const verificationToken = await prisma.emailVerificationToken.findUnique({
+      where: { tokenHash: hashToken(token) },
+    });
+
+    const invalid = () => res.status(400).json({ error: 'Invalid or expired verification link' });
+
+    if (
+      !verificationToken ||
+      verificationToken.usedAt ||
+      verificationToken.expiresAt < new Date()
+    ) {
+      return invalid();
+    }
+
+    // Claim the token atomically, so two requests can't both use it
+    // (and a link that a resend has just expired can't be used either)
+    const { count } = await prisma.emailVerificationToken.updateMany({
+      where: { id: verificationToken.id, usedAt: null, expiresAt: { gt: new Date() } },
+      data: { usedAt: new Date() },
+    });
+
+    if (count === 0) {
+      return invalid();
+    }
+
+    const user = await prisma.user.update({
+      where: { id: verificationToken.userId },
+      data: { emailVerifiedAt: new Date() },
+    });
+
+    res.json({ message: 'Email verified successfully', user: publicUser(user) });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Something went wrong during email verification' });
+  }
+});
+
+// RESEND VERIFICATION ROUTE
+// POST /api/auth/resend-verification
+// Sends a new verification link to the logged-in user
+// Rate-limited (RESEND_COOLDOWN_SECONDS, MAX_VERIFICATION_EMAILS_PER_DAY) so it
+// can't be used to flood someone's inbox; 429 responses include Retry-After
+// Only the newest link works: sending one expires the earlier ones
+router.post('/resend-verification', authenticateToken, requireSession, async (req, res) => {
+  try {
+    if (req.user.emailVerifiedAt) {
+      return res.status(400).json({ error: 'Email is already verified' });
+    }
+
+    // Seconds until the given time, for the Retry-After header
+    const secondsUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+    // The limit is checked and the new token created in one transaction, with
+    // the user's row locked: FOR UPDATE makes a second request for the same
+    // user wait until this one has committed, so it counts this token too
+    const issued = await prisma.$transaction(async (tx) => {
+      await tx.$queryRaw`SELECT "id" FROM "User" WHERE "id" = ${req.userId} FOR UPDATE`;
+
+      // The tokens sent in the last 24 hours, oldest first
+      const dayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+      const recentTokens = await tx.emailVerificationToken.findMany({
+        where: { userId: req.userId, createdAt: { gt: dayAgo } },
+        orderBy: { createdAt: 'asc' },
+        select: { createdAt: true },
+      });
+
+      if (recentTokens.length >= MAX_VERIFICATION_EMAILS_PER_DAY) {
+        // Daily limit: wait until the oldest email is more than a day old
+        return { retryAt: new Date(recentTokens[0].createdAt.getTime() + 24 * 60 * 60 * 1000) };
+      }
+      if (recentTokens.length > 0) {
+        const newest = recentTokens[recentTokens.length - 1].createdAt;
+        const cooldownEnds = new Date(newest.getTime() + RESEND_COOLDOWN_SECONDS * 1000);
+        if (cooldownEnds > new Date()) {
+          return { retryAt: cooldownEnds };
+        }
+      }
+
+      // Expire the links sent before (the rows stay, they still count for the limit)
+      const now = new Date();
+      await tx.emailVerificationToken.updateMany({
+        where: { userId: req.userId, usedAt: null, expiresAt: { gt: now } },
+        data: { expiresAt: now },
+      });
+
+      return { token: await createVerificationToken(tx, req.userId) };
+    });
+
+    if (issued.retryAt) {
+      const retryAfter = secondsUntil(issued.retryAt);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: `Please wait ${retryAfter} seconds before requesting another email`,
+        retryAfter,
+      });
+    }
+
+    // Sent after the commit, so the link never points at a token that doesn't exist
+    await emailVerificationLink(req.user, issued.token);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+});
+
 // Export router to be used in main app
 export default router;
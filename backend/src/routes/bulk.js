@@ -0,0 +1,479 @@
+// Bulk Routes
+// Changing many todos in one request, mounted at /api/todos/bulk
+//
+// A batch is a list of operations, each on one todo:
+//   { "operations": [
+//       { "id": 1, "action": "complete" },
+//       { "id": 2, "action": "move", "listId": 5 },
+//       { "id": 3, "action": "addTag", "tag": "work" }
+//   ] }
+//
+// Every operation is checked on its own, with the same rules as the single
+// todo routes (the todo must exist and not be in the trash; changing it needs
+// editor access). Operations that fail a check are skipped and reported; all
+// the others run together in one transaction, so they either all happen or,
+// if the database fails, none of them do
+//
+// The response has one result per operation, in the same order:
+//   { id, action, ok: true } or { id, action, ok: false, status, error }
+
+// Import Express Router
+import express from 'express';
+
+// Import Prisma client for database operations
+import prisma from '../config/prisma.js';
+
+// Import authentication middleware
+import { authenticateToken, requireScope } from '../middleware/auth.js';
+
+// Import the unverified-email policy, applied after authentication
+import { requireVerifiedEmail } from '../middleware/verification.js';
+
+// Import the permission rules
+import { hasRole, getListRole, getTodoRole, usersWithAccess } from '../utils/permissions.js';
+
+// Import the helpers the single todo routes use for the same changes
+import { parseTags } from '../utils/tags.js';
+import { rollupParent } from '../utils/subtasks.js';
+import { spawnNextInstance } from '../utils/recurrence.js';
+import { rankBetween, orderingScope } from '../utils/ranking.js';
+import { trashQueries } from '../utils/trash.js';
+import { loadSnapshot, recordTodoChange, recordActivity } from '../utils/activity.js';
+
+// Create router instance
+const router = express.Router();
+
+// Apply authentication middleware to ALL routes in this file
+router.use(authenticateToken);
+router.use(requireVerifiedEmail);
+
+// What an operation can do
+// - complete / uncomplete: set the completed status
+// - delete: move the todo (and its subtasks) to the trash
+// - move: move a top-level todo to another list ({ listId }, null for the Inbox)
+// - addTag / removeTag: label the todo with one of the user's tags, or take it off ({ tag })
+const ACTIONS = ['complete', 'uncomplete', 'delete', 'move', 'addTag', 'removeTag'];
+
+// Most operations in one POST /api/todos/bulk request
+const MAX_OPERATIONS = 100;
+
+// The result of an operation that was rejected
+const failure = (status, error) => ({ status, error });
+
+// State shared by the operations of one batch
+// - todos: each todo as it was before the batch, loaded once
+// - trashed: IDs deleted earlier in the batch - later operations on them are rejected
+// - listRoles: the user's role per list, looked up once
+// - newTags: tag names added earlier in the batch, which the transaction
+//   creates if the user doesn't have them yet
+// - tops: per list, the top position before the batch and the last position
+//   handed out, so todos moved to the same list each get their own place at
+//   the top, in the order they were moved
+const createContext = (userId) => {
+  const todos = new Map();
+  const listRoles = new Map();
+  const tops = new Map();
+
+  return {
+    userId,
+    todos,
+    trashed: new Set(),
+    newTags: new Set(),
+    deletedAt: new Date(),
+
+    // Trashed todos are missing, like in authorizeTodo
+    loadTodo: async (id) => {
+      if (!todos.has(id)) {
+        todos.set(id, await prisma.todo.findFirst({ where: { id, deletedAt: null } }));
+      }
+      return todos.get(id);
+    },
+
+    listRoleFor: async (listId) => {
+      if (!listRoles.has(listId)) {
+        listRoles.set(listId, await getListRole(userId, listId));
+      }
+      return listRoles.get(listId);
+    },
+
+    // The first todo moved to a list goes above its old top, the next one
+    // between that and the old top, and so on
+    nextTopPosition: async (scope) => {
+      const key = JSON.stringify(scope);
+      if (!tops.has(key)) {
+        const first = await prisma.todo.findFirst({
+          where: scope,
+          orderBy: { position: 'asc' },
+          select: { position: true },
+        });
+        tops.set(key, { oldTop: first ? first.position : null, last: '' });
+      }
+
+      const top = tops.get(key);
+      top.last = rankBetween(top.last, top.oldTop);
+      return top.last;
+    },
+  };
+};
+
+// Plan a move to another list - the same changes PUT /api/todos/:id makes:
+// subtasks follow, the Inbox is private (the todo becomes the mover's), and
+// assignees without access to the new list are unassigned
+const planMove = async (todo, listIdValue, context) => {
+  const { userId } = context;
+
+  if (listIdValue === undefined) {
+    return failure(400, 'listId is required (null for the Inbox)');
+  }
+  if (todo.parentId !== null) {
+    return failure(400, "Move the parent todo to change a subtask's list");
+  }
+
+  const listId = listIdValue === null ? null : parseInt(listIdValue);
+  if (listId !== null) {
+    if (isNaN(listId)) {
+      return failure(400, 'listId must be a number or null');
+    }
+    const role = await context.listRoleFor(listId);
+    if (!role) {
+      return failure(400, 'List not found');
+    }
+    if (!hasRole(role, 'editor')) {
+      return failure(400, 'You can only view that list, not add todos to it');
+    }
+  }
+
+  // Already there - nothing to do
+  if (listId === todo.listId) {
+    return { queries: [] };
+  }
+
+  const position = await context.nextTopPosition(
+    orderingScope({ userId, listId, parentId: null })
+  );
+  const allowedAssignees = await usersWithAccess(
+    listId,
+    listId === null ? userId : todo.userId
+  );
+  const owner = listId === null ? { userId } : {};
+
+  const data = { listId, position, ...owner };
+  if (todo.assigneeId !== null && !allowedAssignees.includes(todo.assigneeId)) {
+    data.assigneeId = null;
+  }
+
+  return {
+    queries: [
+      prisma.todo.update({ where: { id: todo.id }, data }),
+      prisma.todo.updateMany({ where: { parentId: todo.id }, data: { listId, ...owner } }),
+      // notIn never matches NULL, so unassigned subtasks are left alone
+      prisma.todo.updateMany({
+        where: { parentId: todo.id, assigneeId: { notIn: allowedAssignees } },
+        data: { assigneeId: null },
+      }),
+    ],
+  };
+};
+
+// Plan adding or removing one of the user's tags
+// Tags are per user, so removing "work" only takes off the user's own "work" tag
+const planTag = async (todo, action, tag, context) => {
+  const { userId } = context;
+  if (typeof tag !== 'string') {
+    return failure(400, 'tag must be a string');
+  }
+
+  const names = parseTags([tag]);
+  if (names.error) {
+    return failure(400, names.error);
+  }
+  if (names.value.length === 0) {
+    return failure(400, 'tag must not be empty');
+  }
+
+  const name = names.value[0];
+  const userIdName = { userId_name: { userId, name } };
+
+  if (action === 'addTag') {
+    // Created on the fly, like in PUT /api/todos/:id (see findOrCreateTags)
+    // The tag is only created inside the batch's transaction, so a batch that
+    // fails leaves no new tags behind
+    context.newTags.add(name);
+    return {
+      queries: [
+        prisma.tag.createMany({ data: [{ name, userId }], skipDuplicates: true }),
+        prisma.todo.update({
+          where: { id: todo.id },
+          data: { tags: { connect: userIdName } },
+        }),
+      ],
+    };
+  }
+
+  // A tag the user doesn't have (and isn't adding in this batch) can't be on
+  // the todo either
+  if (!context.newTags.has(name)) {
+    const existingTag = await prisma.tag.findUnique({ where: userIdName });
+    if (!existingTag) {
+      return { queries: [] };
+    }
+  }
+
+  return {
+    queries: [
+      prisma.todo.update({
+        where: { id: todo.id },
+        data: { tags: { disconnect: userIdName } },
+      }),
+    ],
+  };
+};
+
+// Check one operation and plan its queries
+// Returns { queries } or { status, error }
+const planOperation = async (operation, context) => {
+  if (operation === null || typeof operation !== 'object') {
+    return failure(400, 'Each operation must be an object');
+  }
+
+  const { action } = operation;
+  if (!ACTIONS.includes(action)) {
+    return failure(400, `action must be one of: ${ACTIONS.join(', ')}`);
+  }
+
+  const id = parseInt(operation.id);
+  if (isNaN(id)) {
+    return failure(400, 'Invalid todo ID');
+  }
+
+  const todo = context.trashed.has(id) ? null : await context.loadTodo(id);
+  if (!todo) {
+    return failure(404, 'Todo not found');
+  }
+
+  const role = await getTodoRole(context.userId, todo);
+  if (!role) {
+    return failure(403, 'Access denied');
+  }
+  if (!hasRole(role, 'editor')) {
+    return failure(403, `This needs editor access to the list (you are a ${role})`);
+  }
+
+  switch (action) {
+    case 'complete':
+    case 'uncomplete':
+      return {
+        queries: [
+          prisma.todo.update({ where: { id }, data: { completed: action === 'complete' } }),
+        ],
+      };
+    case 'delete':
+      context.trashed.add(id);
+      return { queries: trashQueries(todo, context.deletedAt) };
+    case 'move':
+      return planMove(todo, operation.listId, context);
+    default:
+      return planTag(todo, action, operation.tag, context);
+  }
+};
+
+// Run a batch of operations for a user
+// Returns { results, succeeded, failed } (see the top of this file for results)
+const runOperations = async (operations, userId) => {
+  const context = createContext(userId);
+  const results = [];
+  const queries = [];
+
+  // The accepted operations, for the side effects after the transaction
+  const accepted = [];
+
+  // Plan in order, so e.g. a delete makes later operations on the same todo fail
+  for (const operation of operations) {
+    const planned = await planOperation(operation, context);
+    const id = operation?.id ?? null;
+    const action = operation?.action ?? null;
+
+    if (planned.error) {
+      results.push({ id, action, ok: false, status: planned.status, error: planned.error });
+    } else {
+      results.push({ id, action, ok: true });
+      queries.push(...planned.queries);
+      accepted.push({ action, todo: context.todos.get(parseInt(id)) });
+    }
+  }
+
+  const changedTodos = [...new Map(accepted.map(({ todo }) => [todo.id, todo])).values()];
+
+  // What the todos looked like before, for the audit trail
+  const before = new Map();
+  for (const todo of changedTodos) {
+    before.set(todo.id, await loadSnapshot(todo.id));
+  }
+
+  await prisma.$transaction(queries);
+
+  // The same follow-ups as the single todo routes:
+  // 1. Completing, reopening or deleting subtasks may complete/reopen their parent
+  const parentIds = new Set(
+    accepted
+      .filter(({ action, todo }) => todo.parentId !== null && action !== 'move')
+      .map(({ todo }) => todo.parentId)
+  );
+  for (const parentId of parentIds) {
+    await rollupParent(parentId);
+  }
+
+  // 2. Completing an open recurring todo schedules its next occurrence
+  const completedRecurring = changedTodos.filter(
+    (todo) => !todo.completed && todo.recurrence && !context.trashed.has(todo.id)
+  );
+  for (const todo of completedRecurring) {
+    const current = await prisma.todo.findUnique({
+      where: { id: todo.id },
+      include: { tags: true, children: { where: { deletedAt: null } } },
+    });
+    if (!current.completed) continue;
+
+    const nextTodo = await spawnNextInstance(current, new Date());
+    if (nextTodo) {
+      await recordTodoChange({
+        actorId: userId,
+        before: null,
+        after: await loadSnapshot(nextTodo.id),
+      });
+    }
+  }
+
+  // 3. One audit event per changed todo
+  for (const todo of changedTodos) {
+    if (context.trashed.has(todo.id)) {
+      await recordActivity({
+        action: 'deleted',
+        actorId: userId,
+        todoId: todo.id,
+        todoTitle: todo.title,
+        listId: todo.listId,
+      });
+    } else {
+      await recordTodoChange({
+        actorId: userId,
+        before: before.get(todo.id),
+        after: await loadSnapshot(todo.id),
+      });
+    }
+  }
+
+  const succeeded = results.filter((result) => result.ok).length;
+  return { results, succeeded, failed: results.length - succeeded };
+};
+
+// Find the top-level todos of a list (or the Inbox) for a shortcut
+// - listId: a list ID, or 'inbox'
+// - where: extra conditions (e.g. { completed: true })
+// Returns { value } with the todo IDs or { status, error }
+// Shortcuts need editor access to the list, like the operations they run
+const findListTodoIds = async (listId, userId, where) => {
+  let scope;
+
+  if (listId === 'inbox') {
+    scope = { listId: null, userId };
+  } else {
+    const id = parseInt(listId);
+    if (isNaN(id)) {
+      return failure(400, 'listId must be a number or "inbox"');
+    }
+
+    const role = await getListRole(userId, id);
+    if (!role) {
+      return failure(404, 'List not found');
+    }
+    if (!hasRole(role, 'editor')) {
+      return failure(403, `This needs editor access to the list (you are a ${role})`);
+    }
+    scope = { listId: id };
+  }
+
+  const todos = await prisma.todo.findMany({
+    where: { ...scope, parentId: null, deletedAt: null, ...where },
+    orderBy: { position: 'asc' },
+    select: { id: true },
+  });
+  return { value: todos.map((todo) => todo.id) };
+};
+
+// Run a shortcut: the same action on every matching todo of a list
+// A list can have any number of todos, so they're done in batches of
+// MAX_OPERATIONS, each in its own transaction like a POST /api/todos/bulk
+const runShortcut = async (req, res, action, where) => {
+  const ids = await findListTodoIds(req.body.listId, req.userId, where);
+
+  if (ids.error) {
+    return res.status(ids.status).json({ error: ids.error });
+  }
+
+  const results = [];
+  for (let start = 0; start < ids.value.length; start += MAX_OPERATIONS) {
+    const batch = ids.value.slice(start, start + MAX_OPERATIONS);
+    const batchResult = await runOperations(
+      batch.map((id) => ({ id, action })),
+      req.userId
+    );
+    results.push(...batchResult.results);
+  }
+
+  const succeeded = results.filter((result) => result.ok).length;
+  res.json({ results, succeeded, failed: results.length - succeeded });
+};
+
+// BULK OPERATIONS
+// POST /api/todos/bulk
+// Body: { operations: [{ id, action, listId?, tag? }] } - at most MAX_OPERATIONS
+// Returns: { results, succeeded, failed } - one result per operation, in order
+router.post('/', requireScope('todos:write'), async (req, res) => {
+  try {
+    const { operations } = req.body;
+
+    if (!Array.isArray(operations) || operations.length === 0) {
+      return res.status(400).json({ error: 'operations must be a non-empty array' });
+    }
+    if (operations.length > MAX_OPERATIONS) {
+      return res.status(400).json({ error: `At most ${MAX_OPERATIONS} operations per request` });
+    }
+
+    res.json(await runOperations(operations, req.userId));
+  } catch (error) {
+    console.error('Bulk operations error:', error);
+    res.status(500).json({ error: 'Failed to run bulk operations' });
+  }
+});
+
+// CLEAR COMPLETED
+// POST /api/todos/bulk/clear-completed
+// Body: { listId } - a list ID, or "inbox"
+// Moves every completed top-level todo of the list to the trash
+// Returns: the same { results, succeeded, failed } as POST /api/todos/bulk
+router.post('/clear-completed', requireScope('todos:write'), async (req, res) => {
+  try {
+    await runShortcut(req, res, 'delete', { completed: true });
+  } catch (error) {
+    console.error('Clear completed error:', error);
+    res.status(500).json({ error: 'Failed to clear completed todos' });
+  }
+});
+
+// COMPLETE ALL
+// POST /api/todos/bulk/complete-all
+// Body: { listId } - a list ID, or "inbox"
+// Completes every open top-level todo of the list
+// Returns: the same { results, succeeded, failed } as POST /api/todos/bulk
+router.post('/complete-all', requireScope('todos:write'), async (req, res) => {
+  try {
+    await runShortcut(req, res, 'complete', { completed: false });
+  } catch (error) {
+    console.error('Complete all error:', error);
+    res.status(500).json({ error: 'Failed to complete todos' });
+  }
+});
+
+// Export router to be used in main app
+export default router;
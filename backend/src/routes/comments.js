@@ -0,0 +1,236 @@
+// Comment Routes
+// A discussion thread on each todo, mounted at /api/todos/:id/comments
+//
+// Who may do what (roles come from the todo's list, see utils/permissions.js):
+// - viewers read the thread
+// - editors (and owners) write comments
+// - only the author edits a comment, and only for a short while after posting
+//   (COMMENT_EDIT_WINDOW_MINUTES), so replies don't end up answering text
+//   that has since changed
+// - the author or an owner of the list deletes a comment
+//
+// "@email" mentions notify the mentioned users (see utils/mentions.js)
+
+// Import Express Router
+import express from 'express';
+
+// Import Prisma client for database operations
+import prisma from '../config/prisma.js';
+
+// Import authentication middleware
+import { authenticateToken, requireScope } from '../middleware/auth.js';
+
+// Import the unverified-email policy, applied after authentication
+import { requireVerifiedEmail } from '../middleware/verification.js';
+
+// Import authorization middleware (loads the todo in :id and checks the user's role)
+import { authorizeTodo } from '../middleware/authorize.js';
+
+// Import mention helpers
+import { notifyMentions } from '../utils/mentions.js';
+
+// Create router instance
+// mergeParams makes the parent route's :id (the todo ID) visible in req.params
+const router = express.Router({ mergeParams: true });
+
+// Apply authentication middleware to ALL routes in this file
+router.use(authenticateToken);
+router.use(requireVerifiedEmail);
+
+// Longest comment allowed
+const MAX_COMMENT_LENGTH = 5000;
+
+// How long after posting the author can still edit a comment
+const COMMENT_EDIT_WINDOW_MINUTES = 15;
+
+// The author comes back as { id, email }
+const COMMENT_INCLUDE = {
+  user: { select: { id: true, email: true } },
+};
+
+// When the author's edit window for a comment closes
+const editableUntil = (comment) =>
+  new Date(comment.createdAt.getTime() + COMMENT_EDIT_WINDOW_MINUTES * 60 * 1000);
+
+// Shape a comment (loaded with COMMENT_INCLUDE) for the client
+// editableUntil tells the frontend how long to show the edit button
+const publicComment = ({ user, ...comment }) => ({
+  ...comment,
+  author: user,
+  editableUntil: editableUntil(comment),
+});
+
+// Validate a comment body from a request body
+// Returns { value } with the trimmed text or { error }
+const parseBody = (body) => {
+  if (typeof body !== 'string' || body.trim() === '') {
+    return { error: 'Comment text is required' };
+  }
+  if (body.length > MAX_COMMENT_LENGTH) {
+    return { error: `Comments must be at most ${MAX_COMMENT_LENGTH} characters` };
+  }
+  return { value: body.trim() };
+};
+
+// Load the comment named by :commentId on the todo in req.todo
+// Sends the appropriate error response and returns null if there isn't one
+// Route handlers call this and simply return when the result is null
+const findComment = async (req, res) => {
+  const commentId = parseInt(req.params.commentId);
+
+  if (isNaN(commentId)) {
+    res.status(400).json({ error: 'Invalid comment ID' });
+    return null;
+  }
+
+  const comment = await prisma.comment.findUnique({
+    where: { id: commentId },
+    include: COMMENT_INCLUDE,
+  });
+
+  // A comment on another todo is reported as missing
+  if (!comment || comment.todoId !== req.todo.id) {
+    res.status(404).json({ error: 'Comment not found' });
+    return null;
+  }
+
+  return comment;
+};
+
+// Notify the users mentioned in a comment without holding up the response
+const notifyInBackground = (options) => {
+  notifyMentions(options).catch((error) => {
+    console.error('Failed to notify mentions:', error);
+  });
+};
+
+// GET COMMENTS
+// GET /api/todos/:id/comments
+// Returns the todo's thread, oldest first
+// Returns: { comments: [{ id, todoId, body, author, createdAt, editedAt, editableUntil }] }
+// - author: { id, email }
+router.get('/', requireScope('todos:read'), authorizeTodo('viewer'), async (req, res) => {
+  try {
+    const comments = await prisma.comment.findMany({
+      where: { todoId: req.todo.id },
+      orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+      include: COMMENT_INCLUDE,
+    });
+
+    res.json({ comments: comments.map(publicComment) });
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({ error: 'Failed to fetch comments' });
+  }
+});
+
+// ADD COMMENT
+// POST /api/todos/:id/comments
+// Body: { body }
+// Returns the new comment (201)
+router.post('/', requireScope('todos:write'), authorizeTodo('editor'), async (req, res) => {
+  try {
+    const body = parseBody(req.body.body);
+
+    if (body.error) {
+      return res.status(400).json({ error: body.error });
+    }
+
+    const comment = await prisma.comment.create({
+      data: { todoId: req.todo.id, userId: req.userId, body: body.value },
+      include: COMMENT_INCLUDE,
+    });
+
+    notifyInBackground({ todo: req.todo, author: req.user, body: body.value });
+
+    res.status(201).json(publicComment(comment));
+  } catch (error) {
+    console.error('Create comment error:', error);
+    res.status(500).json({ error: 'Failed to add comment' });
+  }
+});
+
+// EDIT COMMENT
+// PUT /api/todos/:id/comments/:commentId
+// Body: { body }
+// Only the author, within COMMENT_EDIT_WINDOW_MINUTES of posting
+// Users mentioned for the first time by the edit are notified
+router.put(
+  '/:commentId',
+  requireScope('todos:write'),
+  authorizeTodo('editor'),
+  async (req, res) => {
+    try {
+      const comment = await findComment(req, res);
+      if (!comment) return;
+
+      if (comment.userId !== req.userId) {
+        return res.status(403).json({ error: 'Only the author can edit a comment' });
+      }
+
+      if (editableUntil(comment) < new Date()) {
+        const minutes = COMMENT_EDIT_WINDOW_MINUTES;
+        return res.status(403).json({
+          error: `Comments can only be edited for ${minutes} minutes after posting`,
+          code: 'edit_window_closed',
+        });
+      }
+
+      const body = parseBody(req.body.body);
+
+      if (body.error) {
+        return res.status(400).json({ error: body.error });
+      }
+
+      const updatedComment = await prisma.comment.update({
+        where: { id: comment.id },
+        data: { body: body.value, editedAt: new Date() },
+        include: COMMENT_INCLUDE,
+      });
+
+      notifyInBackground({
+        todo: req.todo,
+        author: req.user,
+        body: body.value,
+        previousBody: comment.body,
+      });
+
+      res.json(publicComment(updatedComment));
+    } catch (error) {
+      console.error('Update comment error:', error);
+      res.status(500).json({ error: 'Failed to update comment' });
+    }
+  }
+);
+
+// DELETE COMMENT
+// DELETE /api/todos/:id/comments/:commentId
+// The author can delete their comment; owners can delete any comment (moderation)
+router.delete(
+  '/:commentId',
+  requireScope('todos:write'),
+  authorizeTodo('editor'),
+  async (req, res) => {
+    try {
+      const comment = await findComment(req, res);
+      if (!comment) return;
+
+      if (comment.userId !== req.userId && req.role !== 'owner') {
+        return res.status(403).json({
+          error: 'Only the author or a list owner can delete a comment',
+          code: 'insufficient_role',
+        });
+      }
+
+      await prisma.comment.delete({ where: { id: comment.id } });
+
+      res.json({ message: 'Comment deleted successfully' });
+    } catch (error) {
+      console.error('Delete comment error:', error);
+      res.status(500).json({ error: 'Failed to delete comment' });
+    }
+  }
+);
+
+// Export router to be used in main app
+export default router;
@@ -0,0 +1,155 @@
+// Event Routes
+// A live stream of changes to the user's todos and lists, mounted at /api/events
+//
+// Server-Sent Events (SSE) is a plain HTTP response that never ends: the
+// server keeps writing small text blocks to it, one per event:
+//
+//   id: 1234
+//   event: todo
+//   data: {"id":5,"title":"Buy milk","completed":true,...}
+//
+// Each event's id is a change number. A client that loses the connection
+// reconnects with the last one it saw in the Last-Event-ID header and gets
+// the changes it missed replayed before the live ones (see utils/events.js
+// for the event types and how they're fanned out)
+
+// Import Express Router
+import express from 'express';
+
+// Import authentication middleware
+import { authenticateToken, requireScope } from '../middleware/auth.js';
+
+// Import the unverified-email policy, applied after authentication
+import { requireVerifiedEmail } from '../middleware/verification.js';
+
+// Import the live event helpers
+import { addClient } from '../utils/events.js';
+
+// Import the change queries used to replay missed changes
+import { currentCursor, parseSince, loadChanges } from '../utils/sync.js';
+
+// Create router instance
+const router = express.Router();
+
+// Apply authentication middleware to ALL routes in this file
+router.use(authenticateToken);
+router.use(requireVerifiedEmail);
+
+// How often an idle stream gets a comment line, so proxies and load balancers
+// (which often drop connections silent for 30-60 seconds) keep it open
+const HEARTBEAT_MS = 25 * 1000;
+
+// How long a stream stays open before the server closes it
+// The token is only checked when the stream opens, so this makes sure a
+// logged-out session or an expired token doesn't keep receiving events: the
+// client reconnects with a fresh token and resumes where it left off
+const MAX_STREAM_MS = 15 * 60 * 1000;
+
+// How long clients wait before reconnecting (sent as the stream's retry: field)
+const RETRY_MS = 3000;
+
+// Write one event to a stream
+// Events without an id (replayed ones) don't move the client's Last-Event-ID
+const writeEvent = (res, { id, type, data }) => {
+  if (res.writableEnded) return;
+  if (id !== undefined) {
+    res.write(`id: ${id}\n`);
+  }
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Write the changes after a cursor as events (see utils/events.js for the types)
+// Deletions first, like GET /api/sync says to apply them
+const replayChanges = async (res, userId, since) => {
+  const { todos, lists, deleted } = await loadChanges(userId, since);
+
+  for (const { type, id } of deleted) {
+    if (type === 'todo' || type === 'list') {
+      writeEvent(res, { type: `${type}-deleted`, data: { id } });
+    }
+  }
+  for (const list of lists) {
+    writeEvent(res, { type: 'list', data: list });
+  }
+  for (const todo of todos) {
+    writeEvent(res, { type: 'todo', data: todo });
+  }
+};
+
+// EVENT STREAM
+// GET /api/events
+// Opens the stream. It starts with one of:
+// - ready:   (fresh connection) data: { cursor } - nothing to catch up on
+// - resumed: (Last-Event-ID sent) the missed changes as events, then data: { cursor }
+// - reset:   (Last-Event-ID unusable, e.g. too new) data: { cursor } - reload everything
+// and then carries todo, todo-deleted, list and list-deleted events as they
+// happen, plus a ": heartbeat" comment every HEARTBEAT_MS
+// The server closes the stream after MAX_STREAM_MS; reconnect with Last-Event-ID
+router.get('/', requireScope('todos:read'), async (req, res) => {
+  try {
+    // Live events that arrive while missed changes are replayed wait here,
+    // so they're written after the (older) replayed ones
+    // Registered before the cursor is read: a change published in between
+    // would otherwise be in neither the replay nor the live events
+    let pending = [];
+    const removeClient = addClient(req.userId, (event) => {
+      if (pending) {
+        pending.push(event);
+      } else {
+        writeEvent(res, event);
+      }
+    });
+    // The client went away, the server ended the stream, or opening it failed
+    res.on('close', removeClient);
+
+    const cursor = await currentCursor();
+    const lastEventId = req.get('Last-Event-ID');
+    const since = lastEventId ? parseSince(lastEventId, cursor) : null;
+
+    // text/event-stream tells the browser this is SSE; no-cache keeps proxies
+    // from holding the response back, and X-Accel-Buffering: no does the same for nginx
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    // Lines starting with ':' are comments, which clients ignore
+    const heartbeat = setInterval(() => {
+      if (!res.writableEnded) res.write(': heartbeat\n\n');
+    }, HEARTBEAT_MS);
+    const lifetime = setTimeout(() => res.end(), MAX_STREAM_MS);
+
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      clearTimeout(lifetime);
+    });
+
+    if (since === null) {
+      writeEvent(res, { id: cursor, type: 'ready', data: { cursor } });
+    } else if (since.error) {
+      writeEvent(res, { id: cursor, type: 'reset', data: { cursor } });
+    } else {
+      await replayChanges(res, req.userId, since.value);
+      writeEvent(res, { id: cursor, type: 'resumed', data: { cursor } });
+    }
+
+    for (const event of pending) {
+      writeEvent(res, event);
+    }
+    pending = null;
+  } catch (error) {
+    console.error('Event stream error:', error);
+    if (res.headersSent) {
+      res.end();
+    } else {
+      res.status(500).json({ error: 'Failed to open event stream' });
+    }
+  }
+});
+
+// Export router to be used in main app (index.js)
+export default router;
@@ -0,0 +1,540 @@
+// List Routes
+// Handles CRUD operations for named lists (projects) that group todos,
+// and sharing lists with other users
+//
+// Every list has members, each with a role (see utils/permissions.js):
+// - viewer: sees the list and its todos
+// - editor: also adds, changes and deletes todos
+// - owner:  also renames or deletes the list and manages its members
+// The creator becomes the first owner; a list always keeps at least one owner
+
+// Import Express Router
+import express from 'express';
+
+// Import Prisma client for database operations
+import prisma from '../config/prisma.js';
+
+// Import authentication middleware
+// Lists are private to their members, so every route requires a valid JWT
+import { authenticateToken, requireScope } from '../middleware/auth.js';
+
+// Import authorization middleware (loads the list and checks the user's role)
+import { authorizeList } from '../middleware/authorize.js';
+
+// Import the unverified-email policy, applied after authentication
+import { requireVerifiedEmail } from '../middleware/verification.js';
+
+// Import the permission rules
+import { ROLES, visibleListsWhere } from '../utils/permissions.js';
+
+// Import the invitation email
+import { sendListInvitationEmail } from '../utils/emails.js';
+
+// Import the audit trail helper
+import { recordActivity, loadSnapshot, recordTodoChange } from '../utils/activity.js';
+
+// Import the ranking helper, for todos that move to the Inbox
+import { rankBetween, orderingScope } from '../utils/ranking.js';
+
+// Create router instance
+const router = express.Router();
+
+// Apply authentication middleware to ALL routes in this file
+router.use(authenticateToken);
+router.use(requireVerifiedEmail);
+
+// Validate a list name from a request body
+// Returns the trimmed name, or null if it's missing/blank
+const parseName = (name) => {
+  if (typeof name !== 'string' || name.trim() === '') {
+    return null;
+  }
+  return name.trim();
+};
+
+// Validate a role from a request body
+// Returns the role, or null if it isn't one of ROLES
+const parseRole = (role) => (ROLES.includes(role) ? role : null);
+
+// Member details returned by the member routes
+const MEMBER_INCLUDE = {
+  user: { select: { email: true } },
+};
+
+// Shape a ListMember row (with MEMBER_INCLUDE) for the client
+const publicMember = (member) => ({
+  userId: member.userId,
+  email: member.user.email,
+  role: member.role,
+  createdAt: member.createdAt,
+});
+
+// Whether a change would leave a list without any owner
+// - member: the membership being demoted or removed
+// Owners can step down or leave only while another owner remains,
+// otherwise nobody could manage the list any more
+const isLastOwner = async (member) => {
+  if (member.role !== 'owner') {
+    return false;
+  }
+
+  const ownerCount = await prisma.listMember.count({
+    where: { listId: member.listId, role: 'owner' },
+  });
+  return ownerCount <= 1;
+};
+
+// Record a change to who the list in req.list is shared with, in the audit trail
+// - member: the membership (with MEMBER_INCLUDE)
+// - from/to: the member's role before and after; null for a new member (from)
+//   or one who was removed or left (to)
+// The changes are keyed by the member's email:
+// { "sam@example.com": { from: null, to: "editor" } }
+const recordShare = (req, member, from, to) =>
+  recordActivity({
+    action: 'shared',
+    actorId: req.userId,
+    listId: req.list.id,
+    changes: { [member.user.email]: { from, to } },
+  });
+
+// Load the membership named by :userId in a list
+// Sends the appropriate error response and returns null if there isn't one
+// Route handlers call this and simply return when the result is null
+const findMember = async (req, res) => {
+  const userId = parseInt(req.params.userId);
+
+  if (isNaN(userId)) {
+    res.status(400).json({ error: 'Invalid user ID' });
+    return null;
+  }
+
+  const member = await prisma.listMember.findUnique({
+    where: { listId_userId: { listId: req.list.id, userId } },
+    include: MEMBER_INCLUDE,
+  });
+
+  if (!member) {
+    res.status(404).json({ error: 'Member not found' });
+    return null;
+  }
+
+  return member;
+};
+
+// GET ALL LISTS
+// GET /api/lists
+// Returns the lists the user is a member of (alphabetical) - their own and
+// those shared with them - with the number of todos in each, plus the number
+// of todos in the Inbox (todos without a list)
+// Each list includes the user's role and its number of members
+router.get('/', requireScope('todos:read'), async (req, res) => {
+  try {
+    // include._count asks Prisma to add a COUNT of related rows
+    // Each list comes back as { id, name, ..., _count: { todos: 3, members: 2 } }
+    // Only top-level todos are counted - subtasks are part of their parent -
+    // and todos in the trash aren't counted at all
+    // members is narrowed to the user's own membership, for their role
+    const lists = await prisma.list.findMany({
+      where: visibleListsWhere(req.userId),
+      orderBy: { name: 'asc' },
+      include: {
+        _count: {
+          select: { todos: { where: { parentId: null, deletedAt: null } }, members: true },
+        },
+        members: { where: { userId: req.userId }, select: { role: true } },
+      },
+    });
+
+    const inboxCount = await prisma.todo.count({
+      where: { userId: req.userId, listId: null, parentId: null, deletedAt: null },
+    });
+
+    res.json({
+      lists: lists.map(({ _count, members, ...list }) => ({
+        ...list,
+        role: members[0].role,
+        todoCount: _count.todos,
+        memberCount: _count.members,
+      })),
+      inboxCount,
+    });
+  } catch (error) {
+    console.error('Get lists error:', error);
+    res.status(500).json({ error: 'Failed to fetch lists' });
+  }
+});
+
+// CREATE LIST
+// POST /api/lists
+// Creates a new, empty list with the authenticated user as its owner
+router.post('/', requireScope('todos:write'), async (req, res) => {
+  try {
+    const name = parseName(req.body.name);
+
+    if (!name) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+
+    // Check for a duplicate name before inserting
+    // userId_name is the compound key generated from @@unique([userId, name])
+    const existingList = await prisma.list.findUnique({
+      where: { userId_name: { userId: req.userId, name } },
+    });
+
+    if (existingList) {
+      return res.status(400).json({ error: 'A list with that name already exists' });
+    }
+
+    // The nested create adds the owner membership in the same query
+    const list = await prisma.list.create({
+      data: {
+        name,
+        userId: req.userId,
+        members: { create: { userId: req.userId, role: 'owner' } },
+      },
+    });
+
+    res.status(201).json({ ...list, role: 'owner', todoCount: 0, memberCount: 1 });
+  } catch (error) {
+    console.error('Create list error:', error);
+    res.status(500).json({ error: 'Failed to create list' });
+  }
+});
+
+// RENAME LIST
+// PUT /api/lists/:id
+// Updates a list's name (owners only)
+router.put('/:id', requireScope('todos:write'), authorizeList('owner'), async (req, res) => {
+  try {
+    const list = req.list;
+
+    const name = parseName(req.body.name);
+
+    if (!name) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+
+    // Names are unique per creator, so check against the creator's lists
+    // (which may not be the user's, if a co-owner renames the list)
+    const existingList = await prisma.list.findUnique({
+      where: { userId_name: { userId: list.userId, name } },
+    });
+
+    // Renaming a list to its current name is fine; clashing with another isn't
+    if (existingList && existingList.id !== list.id) {
+      return res.status(400).json({ error: 'A list with that name already exists' });
+    }
+
+    const updatedList = await prisma.list.update({
+      where: { id: list.id },
+      data: { name },
+    });
+
+    res.json(updatedList);
+  } catch (error) {
+    console.error('Update list error:', error);
+    res.status(500).json({ error: 'Failed to update list' });
+  }
+});
+
+// DELETE LIST
+// DELETE /api/lists/:id?todos=delete|inbox
+// Deletes a list. If it still contains todos, the caller must choose what
+// happens to them:
+// - todos=delete: delete the todos along with the list
+// - todos=inbox:  keep the todos and move them to the Inbox
+// Without a choice, a non-empty list is left alone and 400 is returned
+// Todos of the list that are in the trash don't count, and are purged with it
+// Deleted todos are recorded as 'purged' in the audit trail
+// Owners only. In a shared list, todos=inbox sends each todo to the bottom of
+// the Inbox of the member who created it (subtasks follow their parent)
+router.delete('/:id', requireScope('todos:write'), authorizeList('owner'), async (req, res) => {
+  try {
+    const list = req.list;
+
+    const { todos: todosAction } = req.query;
+
+    if (todosAction !== undefined && !['delete', 'inbox'].includes(todosAction)) {
+      return res.status(400).json({ error: 'todos must be one of: delete, inbox' });
+    }
+
+    const todoCount = await prisma.todo.count({
+      where: { listId: list.id, parentId: null, deletedAt: null },
+    });
+
+    if (todoCount > 0 && !todosAction) {
+      return res.status(400).json({
+        error: 'List is not empty. Pass ?todos=delete or ?todos=inbox',
+        todoCount,
+      });
+    }
+
+    // The todos that are deleted for good with the list: the ones in its trash,
+    // and with todos=delete all the others too
+    // Their last state goes into the audit trail, like when the trash is emptied
+    const purgedTodos = await prisma.todo.findMany({
+      where: {
+        listId: list.id,
+        ...(todosAction === 'delete' ? {} : { deletedAt: { not: null } }),
+      },
+      select: { id: true },
+    });
+    const snapshots = [];
+    for (const todo of purgedTodos) {
+      snapshots.push(await loadSnapshot(todo.id));
+    }
+
+    // With todos=inbox, the top-level todos are added to the bottom of their
+    // creator's Inbox in the list's order - their positions were ranked among
+    // the list's todos and mean nothing next to the Inbox's (subtasks keep
+    // theirs: they're ordered under their parent)
+    const positionUpdates = [];
+    if (todosAction === 'inbox') {
+      const movedTodos = await prisma.todo.findMany({
+        where: { listId: list.id, parentId: null, deletedAt: null },
+        orderBy: { position: 'asc' },
+        select: { id: true, userId: true },
+      });
+
+      // The last position handed out per Inbox
+      const lastPositions = new Map();
+      for (const todo of movedTodos) {
+        if (!lastPositions.has(todo.userId)) {
+          const last = await prisma.todo.findFirst({
+            where: orderingScope({ userId: todo.userId, listId: null, parentId: null }),
+            orderBy: { position: 'desc' },
+            select: { position: true },
+          });
+          lastPositions.set(todo.userId, last ? last.position : '');
+        }
+
+        const position = rankBetween(lastPositions.get(todo.userId), null);
+        lastPositions.set(todo.userId, position);
+        positionUpdates.push(
+          prisma.todo.update({ where: { id: todo.id }, data: { position } })
+        );
+      }
+    }
+
+    // $transaction runs all queries atomically:
+    // either the todos are handled AND the list is deleted, or nothing changes
+    // (memberships are removed with the list: onDelete: Cascade)
+    // Todos of the list that are in the trash are purged either way
+    await prisma.$transaction([
+      prisma.todo.deleteMany({ where: { listId: list.id, deletedAt: { not: null } } }),
+      ...(todosAction === 'delete'
+        ? [prisma.todo.deleteMany({ where: { listId: list.id } })]
+        : [
+            // Subtasks go to the same Inbox as their parent, even when
+            // another member added them - Prisma can't copy a column from a
+            // related row, so this one is raw SQL
+            prisma.$executeRaw`
+              UPDATE "Todo" AS child SET "userId" = parent."userId"
+              FROM "Todo" AS parent
+              WHERE child."parentId" = parent."id" AND parent."listId" = ${list.id}
+            `,
+            // Only the Inbox's owner can see an Inbox todo, so other assignees are dropped
+            prisma.$executeRaw`
+              UPDATE "Todo" SET "assigneeId" = NULL
+              WHERE "listId" = ${list.id} AND "assigneeId" <> "userId"
+            `,
+            ...positionUpdates,
+            prisma.todo.updateMany({
+              where: { listId: list.id },
+              data: { listId: null },
+            }),
+          ]),
+      prisma.list.delete({ where: { id: list.id } }),
+    ]);
+
+    for (const before of snapshots) {
+      await recordTodoChange({ actorId: req.userId, before, after: null });
+    }
+
+    res.json({ message: 'List deleted successfully', todoCount });
+  } catch (error) {
+    console.error('Delete list error:', error);
+    res.status(500).json({ error: 'Failed to delete list' });
+  }
+});
+
+// LIST MEMBERS
+// GET /api/lists/:id/members
+// Returns everyone the list is shared with (any member can see this)
+// Returns: { members: [{ userId, email, role, createdAt }] } in the order they joined
+router.get(
+  '/:id/members',
+  requireScope('todos:read'),
+  authorizeList('viewer'),
+  async (req, res) => {
+    try {
+      const members = await prisma.listMember.findMany({
+        where: { listId: req.list.id },
+        orderBy: { createdAt: 'asc' },
+        include: MEMBER_INCLUDE,
+      });
+
+      res.json({ members: members.map(publicMember) });
+    } catch (error) {
+      console.error('Get list members error:', error);
+      res.status(500).json({ error: 'Failed to fetch list members' });
+    }
+  }
+);
+
+// ADD MEMBER
+// POST /api/lists/:id/members
+// Shares the list with another user (owners only) and emails them about it
+// Body: { email, role } - role is viewer, editor or owner
+// The user must already have an account; the list shows up in their
+// sidebar straight away
+router.post(
+  '/:id/members',
+  requireScope('todos:write'),
+  authorizeList('owner'),
+  async (req, res) => {
+    try {
+      const { email } = req.body;
+      const role = parseRole(req.body.role);
+
+      if (typeof email !== 'string' || email.trim() === '') {
+        return res.status(400).json({ error: 'Email is required' });
+      }
+
+      if (!role) {
+        return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` });
+      }
+
+      const user = await prisma.user.findUnique({
+        where: { email: email.trim() },
+      });
+
+      if (!user) {
+        return res.status(404).json({
+          error: 'No account uses that email. Ask them to sign up first',
+        });
+      }
+
+      const existingMember = await prisma.listMember.findUnique({
+        where: { listId_userId: { listId: req.list.id, userId: user.id } },
+      });
+
+      if (existingMember) {
+        return res.status(400).json({ error: 'That user is already a member of this list' });
+      }
+
+      const member = await prisma.listMember.create({
+        data: { listId: req.list.id, userId: user.id, role },
+        include: MEMBER_INCLUDE,
+      });
+
+      await recordShare(req, member, null, role);
+
+      // Not awaited: a mail problem shouldn't undo the share - failures are only logged
+      sendListInvitationEmail(user.email, {
+        listName: req.list.name,
+        inviterEmail: req.user.email,
+        role,
+      }).catch((error) => {
+        console.error('Failed to send list invitation email:', error);
+      });
+
+      res.status(201).json(publicMember(member));
+    } catch (error) {
+      console.error('Add list member error:', error);
+      res.status(500).json({ error: 'Failed to add list member' });
+    }
+  }
+);
+
+// CHANGE MEMBER ROLE
+// PUT /api/lists/:id/members/:userId
+// Body: { role } (owners only)
+// The last owner can't be demoted - make someone else an owner first
+router.put(
+  '/:id/members/:userId',
+  requireScope('todos:write'),
+  authorizeList('owner'),
+  async (req, res) => {
+    try {
+      const role = parseRole(req.body.role);
+
+      if (!role) {
+        return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` });
+      }
+
+      const member = await findMember(req, res);
+      if (!member) return;
+
+      if (role !== 'owner' && (await isLastOwner(member))) {
+        return res.status(400).json({
+          error: 'A list needs at least one owner. Make someone else an owner first',
+        });
+      }
+
+      const updatedMember = await prisma.listMember.update({
+        where: { id: member.id },
+        data: { role },
+        include: MEMBER_INCLUDE,
+      });
+
+      if (role !== member.role) {
+        await recordShare(req, member, member.role, role);
+      }
+
+      res.json(publicMember(updatedMember));
+    } catch (error) {
+      console.error('Update list member error:', error);
+      res.status(500).json({ error: 'Failed to update list member' });
+    }
+  }
+);
+
+// REMOVE MEMBER
+// DELETE /api/lists/:id/members/:userId
+// Owners can remove anyone; any member can remove themselves (leave the list)
+// The last owner can't leave - make someone else an owner, or delete the list
+// Todos the member added stay in the list; todos assigned to them become unassigned
+router.delete(
+  '/:id/members/:userId',
+  requireScope('todos:write'),
+  authorizeList('viewer'),
+  async (req, res) => {
+    try {
+      const member = await findMember(req, res);
+      if (!member) return;
+
+      if (member.userId !== req.userId && req.role !== 'owner') {
+        return res.status(403).json({
+          error: 'Only owners can remove other members',
+          code: 'insufficient_role',
+        });
+      }
+
+      if (await isLastOwner(member)) {
+        return res.status(400).json({
+          error: 'A list needs at least one owner. Make someone else an owner first',
+        });
+      }
+
+      // They can't see the list's todos any more, so they can't stay assigned to them
+      await prisma.$transaction([
+        prisma.listMember.delete({ where: { id: member.id } }),
+        prisma.todo.updateMany({
+          where: { listId: member.listId, assigneeId: member.userId },
+          data: { assigneeId: null },
+        }),
+      ]);
+
+      await recordShare(req, member, member.role, null);
+
+      res.json({ message: 'Member removed successfully' });
+    } catch (error) {
+      console.error('Remove list member error:', error);
+      res.status(500).json({ error: 'Failed to remove list member' });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,175 @@
+// Search Routes
+// Full-text search across todo titles, notes and tag names
+//
+// Uses PostgreSQL's built-in full-text search instead of LIKE '%text%':
+// - Words are stemmed ("running" matches "run") and stop words are ignored
+// - Results are ranked by relevance, with title matches counting most
+// - A GIN index on the precomputed tsvector column keeps it fast
+// The searchVector column is maintained by database triggers
+// (see the full_text_search migration), so this file only ever reads it
+
+// Import Express Router
+import express from 'express';
+
+// Import Prisma client for database operations
+import prisma from '../config/prisma.js';
+
+// Prisma.sql builds parameterized SQL fragments for $queryRaw
+import { Prisma } from '@prisma/client';
+
+// Import authentication middleware
+import { authenticateToken, requireScope } from '../middleware/auth.js';
+
+// Import the unverified-email policy, applied after authentication
+import { requireVerifiedEmail } from '../middleware/verification.js';
+
+// Import tag helpers shared with the todo routes
+import { normalizeTagName } from '../utils/tags.js';
+
+// Create router instance
+const router = express.Router();
+
+// Apply authentication middleware to ALL routes in this file
+router.use(authenticateToken);
+router.use(requireVerifiedEmail);
+
+// Page size limits for GET /api/search
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+// ts_headline options for highlighting matches
+// Matched words are wrapped in <mark>...</mark>; the rest of the text is NOT
+// HTML-escaped, so clients must render snippets as text (see SearchBox.jsx)
+// - Titles are short, so the whole title is returned
+// - Notes can be long, so only up to two fragments around the matches are returned
+const TITLE_HEADLINE = 'StartSel=<mark>, StopSel=</mark>, HighlightAll=true';
+const NOTES_HEADLINE =
+  'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=15, MinWords=5, FragmentDelimiter=" … "';
+
+// SEARCH TODOS
+// GET /api/search?q=<text>
+// Returns the todos the user can see (including subtasks) matching the search
+// text, most relevant first - their Inbox plus every list they're a member of
+// (the same rule as visibleTodosWhere in utils/permissions.js, written in SQL)
+//
+// q uses web search syntax (websearch_to_tsquery):
+// - words are ANDed: "buy milk"
+// - "quoted phrases" match words next to each other
+// - or: "milk or bread"
+// - a leading minus excludes a word: "milk -oat"
+//
+// Optional query parameters:
+// - limit=<1-50>  Number of results (default 20)
+// - listId=<id>|inbox  Only todos in that list (inbox = todos without a list)
+// - tag=<name> (repeatable)  Only todos having at least one of these tags
+// - completed=true|false  Only completed / open todos
+//
+// Response: { results: [{ todo, rank, highlights: { title, notes } }] }
+router.get('/', requireScope('todos:read'), async (req, res) => {
+  try {
+    const { q, listId, tag, completed, limit = DEFAULT_LIMIT } = req.query;
+
+    if (typeof q !== 'string' || q.trim() === '') {
+      return res.status(400).json({ error: 'q is required' });
+    }
+
+    const take = parseInt(limit);
+    if (isNaN(take) || take < 1 || take > MAX_LIMIT) {
+      return res.status(400).json({ error: `limit must be between 1 and ${MAX_LIMIT}` });
+    }
+
+    // Optional filters, each an extra "AND ..." SQL fragment
+    // Prisma.sql keeps every value a bound parameter, so user input can
+    // never change the query itself (no SQL injection)
+    const filters = [];
+
+    if (listId !== undefined) {
+      if (listId === 'inbox') {
+        filters.push(Prisma.sql`AND t."listId" IS NULL`);
+      } else {
+        const id = parseInt(listId);
+        if (isNaN(id)) {
+          return res.status(400).json({ error: 'listId must be a number or "inbox"' });
+        }
+        filters.push(Prisma.sql`AND t."listId" = ${id}`);
+      }
+    }
+
+    if (completed !== undefined) {
+      if (!['true', 'false'].includes(completed)) {
+        return res.status(400).json({ error: 'completed must be true or false' });
+      }
+      filters.push(Prisma.sql`AND t."completed" = ${completed === 'true'}`);
+    }
+
+    if (tag !== undefined) {
+      // Express turns ?tag=a&tag=b into an array but ?tag=a into a string
+      const names = [].concat(tag).map(normalizeTagName).filter((name) => name !== '');
+
+      if (names.length > 0) {
+        // "_TagToTodo" is Prisma's join table: A = tag ID, B = todo ID
+        filters.push(Prisma.sql`AND EXISTS (
+          SELECT 1 FROM "_TagToTodo" AS link
+          JOIN "Tag" AS tag ON tag."id" = link."A"
+          WHERE link."B" = t."id" AND tag."name" IN (${Prisma.join(names)})
+        )`);
+      }
+    }
+
+    // $queryRaw runs hand-written SQL - Prisma's query API has no full-text ranking
+    // - websearch_to_tsquery parses q into a tsquery (never throws on odd input)
+    // - @@ is the "matches" operator, answered from the GIN index
+    // - ts_rank_cd scores each match; weights make title hits count most
+    // - ts_headline produces the highlighted snippets (the ::text casts tell
+    //   PostgreSQL which of its ts_headline variants to use for the parameter)
+    const rows = await prisma.$queryRaw`
+      SELECT
+        t."id",
+        ts_rank_cd(t."searchVector", query) AS "rank",
+        ts_headline('english', t."title", query, ${TITLE_HEADLINE}::text) AS "titleHighlight",
+        CASE
+          WHEN t."notes" IS NULL THEN NULL
+          ELSE ts_headline('english', t."notes", query, ${NOTES_HEADLINE}::text)
+        END AS "notesHighlight"
+      FROM "Todo" AS t, websearch_to_tsquery('english', ${q.trim()}) AS query
+      WHERE (
+          (t."listId" IS NULL AND t."userId" = ${req.userId})
+          OR EXISTS (
+            SELECT 1 FROM "ListMember" AS member
+            WHERE member."listId" = t."listId" AND member."userId" = ${req.userId}
+          )
+        )
+        AND t."deletedAt" IS NULL
+        AND t."searchVector" @@ query
+        ${filters.length > 0 ? Prisma.join(filters, ' ') : Prisma.empty}
+      ORDER BY "rank" DESC, t."id" DESC
+      LIMIT ${take}
+    `;
+
+    // Load the matching todos through Prisma for the usual shape (with tags),
+    // then put them back into rank order
+    const todos = await prisma.todo.findMany({
+      where: { id: { in: rows.map((row) => row.id) } },
+      include: { tags: { select: { id: true, name: true }, orderBy: { name: 'asc' } } },
+    });
+    const todosById = new Map(todos.map((todo) => [todo.id, todo]));
+
+    res.json({
+      results: rows
+        .filter((row) => todosById.has(row.id))
+        .map((row) => ({
+          todo: todosById.get(row.id),
+          rank: row.rank,
+          highlights: {
+            title: row.titleHighlight,
+            notes: row.notesHighlight,
+          },
+        })),
+    });
+  } catch (error) {
+    console.error('Search todos error:', error);
+    res.status(500).json({ error: 'Failed to search todos' });
+  }
+});
+
+export default router;
@@ -0,0 +1,361 @@
+// Sync Routes
+// Delta sync for offline and multi-device clients, mounted at /api/sync
+//
+// Instead of reloading everything, a client keeps a local copy of the user's
+// todos, lists and tags and asks only for what changed:
+//   1. GET /api/sync                  -> everything, plus a cursor
+//   2. GET /api/sync?since=<cursor>   -> what changed after the cursor, plus a new one
+// Changes are found by changeSeq, a number from one database-wide sequence
+// that triggers stamp on every insert and update (see SyncTombstone in
+// schema.prisma) - unlike updatedAt it never goes backwards and two changes
+// never share a value
+//
+// Changes made offline go the other way with POST /api/sync, a batch of todo
+// creates, updates and deletes. Each one is checked against the version the
+// client last saw, and the response says per change whether it was applied or
+// conflicts with a change made somewhere else in the meantime
+
+// Import Express Router
+import express from 'express';
+
+// Import Prisma client for database operations
+import prisma from '../config/prisma.js';
+
+// Import authentication middleware
+import { authenticateToken, requireScope } from '../middleware/auth.js';
+
+// Import the unverified-email policy, applied after authentication
+import { requireVerifiedEmail } from '../middleware/verification.js';
+
+// Import the permission rules
+import { hasRole, getTodoRole } from '../utils/permissions.js';
+
+// Import the helpers the todo routes use for the same changes
+import { parseDueAt, parseNotes, parsePriority, parseListId } from '../utils/todoFields.js';
+import { parseTags, findOrCreateTags } from '../utils/tags.js';
+import { rollupParent } from '../utils/subtasks.js';
+import { spawnNextInstance } from '../utils/recurrence.js';
+import { positionAtTop, orderingScope } from '../utils/ranking.js';
+import { trashTodo } from '../utils/trash.js';
+import { loadSnapshot, recordTodoChange, recordActivity } from '../utils/activity.js';
+
+// Import the change queries shared with the live event stream
+import { SYNC_TODO_INCLUDE, currentCursor, parseSince, loadChanges } from '../utils/sync.js';
+
+// Prisma's error class, to recognise a write that lost a version race
+import { Prisma } from '@prisma/client';
+
+// Create router instance
+const router = express.Router();
+
+// Apply authentication middleware to ALL routes in this file
+router.use(authenticateToken);
+router.use(requireVerifiedEmail);
+
+// Most changes in one POST /api/sync request
+const MAX_CHANGES = 100;
+
+// What a change can do to a todo
+const OPS = ['create', 'update', 'delete'];
+
+// GET CHANGES
+// GET /api/sync?since=<cursor>
+// Returns everything the user can see that changed after the cursor - or
+// everything, without ?since=:
+// {
+//   todos:   [{ ...todo, tags, assignee }]        created or changed (live ones only)
+//   lists:   [{ id, name, userId, role, ... }]    created, renamed, or newly shared
+//   tags:    [{ id, name, ... }]                  created or renamed
+//   deleted: [{ type: 'todo' | 'list' | 'tag', id }]
+//   cursor:  pass as ?since= next time
+// }
+// Apply deleted first, then the rest: a todo moved from one of the user's
+// lists to another is reported as deleted from the first and changed
+// Deleting a list (or losing access to it) also deletes its todos
+// Todos moved to the trash are in deleted; restored ones come back in todos
+// 400 with code 'invalid_cursor' means the cursor can't be used - sync from scratch
+router.get('/', requireScope('todos:read'), async (req, res) => {
+  try {
+    const cursor = await currentCursor();
+
+    const since = parseSince(req.query.since, cursor);
+    if (since.error) {
+      return res.status(400).json({ error: since.error, code: 'invalid_cursor' });
+    }
+
+    const changes = await loadChanges(req.userId, since.value);
+    res.json({ ...changes, cursor: String(cursor) });
+  } catch (error) {
+    console.error('Get changes error:', error);
+    res.status(500).json({ error: 'Failed to fetch changes' });
+  }
+});
+
+// Is this error a conditional write (where: { id, version }) that found no row?
+const isVersionConflict = (error) =>
+  error instanceof Prisma.PrismaClientKnownRequestError && error.code === 'P2025';
+
+// The result of a change that was refused
+const failure = (status, error) => ({ result: 'failed', status, error });
+
+// The result of a change that lost to a newer version of the todo
+// current is the todo as it is now, for the client to merge or show the user
+// (with deletedAt set if it was deleted in the meantime)
+const conflict = async (todoId) => ({
+  result: 'conflict',
+  current: await prisma.todo.findUnique({ where: { id: todoId }, include: SYNC_TODO_INCLUDE }),
+});
+
+// Validate the fields of a create or update
+// The same rules as POST and PUT /api/todos; listId only on create (moving a
+// todo takes its subtasks and assignee along - use PUT /api/todos/:id)
+// Returns { value } with Prisma data or { status, error }
+const parseFields = async (fields, userId, op) => {
+  if (fields === null || typeof fields !== 'object') {
+    return failure(400, 'fields must be an object');
+  }
+
+  const { title, completed } = fields;
+  const data = {};
+
+  if (title !== undefined || op === 'create') {
+    if (typeof title !== 'string' || title.trim() === '') {
+      return failure(400, 'Title is required');
+    }
+    data.title = title.trim();
+  }
+
+  if (completed !== undefined) {
+    if (typeof completed !== 'boolean') {
+      return failure(400, 'completed must be a boolean');
+    }
+    data.completed = completed;
+  }
+
+  const notes = parseNotes(fields.notes);
+  const dueAt = parseDueAt(fields.dueAt);
+  const priority = parsePriority(fields.priority);
+  const tags = parseTags(fields.tags);
+  for (const parsed of [notes, dueAt, priority, tags]) {
+    if (parsed.error) {
+      return failure(400, parsed.error);
+    }
+  }
+  data.notes = notes.value;
+  data.dueAt = dueAt.value;
+  data.priority = priority.value;
+
+  if (fields.listId !== undefined) {
+    if (op !== 'create') {
+      return failure(400, 'Move todos with PUT /api/todos/:id');
+    }
+    const listId = await parseListId(fields.listId, userId);
+    if (listId.error) {
+      return failure(400, listId.error);
+    }
+    data.listId = listId.value;
+  }
+
+  if (tags.value !== undefined) {
+    // Tags that don't exist yet are created on the fly, like in the todo routes
+    const tagIds = await findOrCreateTags(tags.value, userId);
+    data.tags = op === 'create' ? { connect: tagIds } : { set: tagIds };
+  }
+
+  return { value: data };
+};
+
+// Apply a create
+const applyCreate = async (change, userId) => {
+  const fields = await parseFields(change.fields, userId, 'create');
+  if (fields.error) {
+    return fields;
+  }
+
+  const position = await positionAtTop(
+    orderingScope({ userId, listId: fields.value.listId ?? null, parentId: null })
+  );
+  const todo = await prisma.todo.create({
+    data: { ...fields.value, userId, position },
+    include: SYNC_TODO_INCLUDE,
+  });
+
+  await recordTodoChange({ actorId: userId, before: null, after: await loadSnapshot(todo.id) });
+  return { result: 'applied', todo };
+};
+
+// Apply an update or delete to an existing todo
+// - expectedVersion: only write if the todo is still at this version
+//   (undefined: unconditional)
+const applyToTodo = async (change, todo, expectedVersion, userId) => {
+  if (expectedVersion !== undefined && todo.version !== expectedVersion) {
+    return conflict(todo.id);
+  }
+
+  if (change.op === 'delete') {
+    try {
+      await trashTodo(todo, expectedVersion);
+    } catch (error) {
+      if (isVersionConflict(error)) {
+        return conflict(todo.id);
+      }
+      throw error;
+    }
+
+    if (todo.parentId !== null) {
+      await rollupParent(todo.parentId);
+    }
+    await recordActivity({
+      action: 'deleted',
+      actorId: userId,
+      todoId: todo.id,
+      todoTitle: todo.title,
+      listId: todo.listId,
+    });
+    return { result: 'applied', todo: null };
+  }
+
+  const fields = await parseFields(change.fields, userId, 'update');
+  if (fields.error) {
+    return fields;
+  }
+
+  const before = await loadSnapshot(todo.id);
+  try {
+    await prisma.todo.update({
+      where: { id: todo.id, version: expectedVersion },
+      data: fields.value,
+    });
+  } catch (error) {
+    if (isVersionConflict(error)) {
+      return conflict(todo.id);
+    }
+    throw error;
+  }
+
+  // The same follow-ups as PUT /api/todos/:id
+  const { completed } = fields.value;
+  if (todo.parentId !== null && completed !== undefined) {
+    await rollupParent(todo.parentId);
+  }
+  if (completed === true && !todo.completed && todo.recurrence) {
+    const current = await prisma.todo.findUnique({
+      where: { id: todo.id },
+      include: { tags: true, children: { where: { deletedAt: null } } },
+    });
+    const nextTodo = await spawnNextInstance(current, new Date());
+    if (nextTodo) {
+      await recordTodoChange({
+        actorId: userId,
+        before: null,
+        after: await loadSnapshot(nextTodo.id),
+      });
+    }
+  }
+  await recordTodoChange({ actorId: userId, before, after: await loadSnapshot(todo.id) });
+
+  return {
+    result: 'applied',
+    todo: await prisma.todo.findUnique({ where: { id: todo.id }, include: SYNC_TODO_INCLUDE }),
+  };
+};
+
+// Apply a batch of changes for a user, one at a time and in order
+// Each change stands on its own: one that fails or conflicts doesn't stop the rest
+// Returns one result per change (see POST /api/sync)
+const applyChanges = async (changes, userId) => {
+  // Todos created in this batch, by clientId - later changes can refer to them
+  const created = new Map();
+  // Per todo: the version before this batch first changed it, and after the last change
+  const versions = new Map();
+  const results = [];
+
+  for (const change of changes) {
+    const op = change?.op ?? null;
+    const clientId = change?.clientId ?? null;
+    let id = null;
+    let outcome;
+
+    if (change === null || typeof change !== 'object') {
+      outcome = failure(400, 'Each change must be an object');
+    } else if (!OPS.includes(op)) {
+      outcome = failure(400, `op must be one of: ${OPS.join(', ')}`);
+    } else if (op === 'create') {
+      outcome = await applyCreate(change, userId);
+      id = outcome.todo?.id ?? null;
+      if (id !== null && clientId !== null) {
+        created.set(clientId, id);
+      }
+    } else {
+      id = change.id !== undefined ? parseInt(change.id) : (created.get(clientId) ?? null);
+      // Trashed todos are missing, like in authorizeTodo
+      const todo =
+        id === null || isNaN(id)
+          ? null
+          : await prisma.todo.findFirst({ where: { id, deletedAt: null } });
+      const role = todo ? await getTodoRole(userId, todo) : null;
+
+      if (!todo || !role) {
+        outcome = failure(404, 'Todo not found');
+      } else if (!hasRole(role, 'editor')) {
+        outcome = failure(403, `This needs editor access to the list (you are a ${role})`);
+      } else if (change.version !== undefined && !Number.isInteger(change.version)) {
+        outcome = failure(400, 'version must be an integer');
+      } else {
+        // The client only knows the version from before the batch - an
+        // earlier change in this batch moved the todo on from there
+        const seen = versions.get(todo.id);
+        const expectedVersion =
+          seen && change.version === seen.before ? seen.after : change.version;
+
+        outcome = await applyToTodo(change, todo, expectedVersion, userId);
+        if (outcome.result === 'applied' && outcome.todo) {
+          versions.set(todo.id, {
+            before: seen?.before ?? todo.version,
+            after: outcome.todo.version,
+          });
+        }
+      }
+    }
+
+    results.push({ op, id: Number.isNaN(id) ? null : id, clientId, ...outcome });
+  }
+
+  return results;
+};
+
+// PUSH CHANGES
+// POST /api/sync
+// Body: { changes: [...] } - at most MAX_CHANGES, applied in order:
+// - { op: 'create', clientId, fields }
+// - { op: 'update', id, version, fields }
+// - { op: 'delete', id, version }
+// fields: title, notes, completed, dueAt, priority, tags (and listId on create),
+// with the same rules as POST/PUT /api/todos
+// version: the todo's version when the client last saw it; leave it out to
+// overwrite whatever is there. Updates and deletes can name a todo created
+// earlier in the batch by its clientId instead of an id
+// Returns: { results } - one per change, in order:
+// - { op, id, clientId, result: 'applied', todo }  (todo is null for a delete)
+// - { op, id, clientId, result: 'conflict', current }  changed since version; not applied
+// - { op, id, clientId, result: 'failed', status, error }
+router.post('/', requireScope('todos:write'), async (req, res) => {
+  try {
+    const { changes } = req.body;
+
+    if (!Array.isArray(changes) || changes.length === 0) {
+      return res.status(400).json({ error: 'changes must be a non-empty array' });
+    }
+    if (changes.length > MAX_CHANGES) {
+      return res.status(400).json({ error: `At most ${MAX_CHANGES} changes per request` });
+    }
+
+    res.json({ results: await applyChanges(changes, req.userId) });
+  } catch (error) {
+    console.error('Push changes error:', error);
+    res.status(500).json({ error: 'Failed to apply changes' });
+  }
+});
+
+// Export router to be used in main app (index.js)
+export default router;
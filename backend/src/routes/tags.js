@@ -0,0 +1,176 @@
+// Tag Routes
+// Lists a user's tags with usage counts and supports renaming and merging them
+// Tags themselves are created on the fly by POST/PUT /api/todos
+
+// Import Express Router
+import express from 'express';
+
+// Import Prisma client for database operations
+import prisma from '../config/prisma.js';
+
+// Import authentication middleware
+import { authenticateToken, requireScope } from '../middleware/auth.js';
+
+// Import the unverified-email policy, applied after authentication
+import { requireVerifiedEmail } from '../middleware/verification.js';
+
+// Import tag helpers shared with the todo routes
+import { normalizeTagName, MAX_TAG_LENGTH } from '../utils/tags.js';
+
+// Create router instance
+const router = express.Router();
+
+// Apply authentication middleware to ALL routes in this file
+router.use(authenticateToken);
+router.use(requireVerifiedEmail);
+
+// Load a tag by ID and make sure it belongs to the authenticated user
+// Sends the appropriate error response and returns null if it doesn't
+const findOwnedTag = async (req, res, rawId) => {
+  const tagId = parseInt(rawId);
+
+  if (isNaN(tagId)) {
+    res.status(400).json({ error: 'Invalid tag ID' });
+    return null;
+  }
+
+  const tag = await prisma.tag.findUnique({
+    where: { id: tagId },
+  });
+
+  if (!tag) {
+    res.status(404).json({ error: 'Tag not found' });
+    return null;
+  }
+
+  if (tag.userId !== req.userId) {
+    res.status(403).json({ error: 'Access denied' });
+    return null;
+  }
+
+  return tag;
+};
+
+// GET ALL TAGS
+// GET /api/tags
+// Returns the user's tags (alphabetical) with the number of todos using each
+router.get('/', requireScope('todos:read'), async (req, res) => {
+  try {
+    const tags = await prisma.tag.findMany({
+      where: { userId: req.userId },
+      orderBy: { name: 'asc' },
+      // Todos in the trash don't count
+      include: {
+        _count: { select: { todos: { where: { deletedAt: null } } } },
+      },
+    });
+
+    res.json(
+      tags.map(({ _count, ...tag }) => ({
+        ...tag,
+        todoCount: _count.todos,
+      }))
+    );
+  } catch (error) {
+    console.error('Get tags error:', error);
+    res.status(500).json({ error: 'Failed to fetch tags' });
+  }
+});
+
+// RENAME TAG
+// PUT /api/tags/:id
+// Changes a tag's name everywhere it's used
+// Renaming onto an existing tag's name is rejected - use merge for that
+router.put('/:id', requireScope('todos:write'), async (req, res) => {
+  try {
+    const tag = await findOwnedTag(req, res, req.params.id);
+    if (!tag) return;
+
+    const { name: rawName } = req.body;
+
+    if (typeof rawName !== 'string' || rawName.trim() === '') {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+
+    const name = normalizeTagName(rawName);
+
+    if (name.length > MAX_TAG_LENGTH) {
+      return res
+        .status(400)
+        .json({ error: `Tags must be at most ${MAX_TAG_LENGTH} characters` });
+    }
+
+    const existingTag = await prisma.tag.findUnique({
+      where: { userId_name: { userId: req.userId, name } },
+    });
+
+    if (existingTag && existingTag.id !== tag.id) {
+      return res.status(400).json({
+        error: 'A tag with that name already exists. Merge the tags instead',
+        existingTagId: existingTag.id,
+      });
+    }
+
+    const updatedTag = await prisma.tag.update({
+      where: { id: tag.id },
+      data: { name },
+    });
+
+    res.json(updatedTag);
+  } catch (error) {
+    console.error('Update tag error:', error);
+    res.status(500).json({ error: 'Failed to update tag' });
+  }
+});
+
+// MERGE TAGS
+// POST /api/tags/:id/merge
+// Body: { into: <target tag ID> }
+// Moves every todo labelled with this tag onto the target tag, then deletes this tag
+// Example: merge "errand" into "errands" to clean up a typo
+router.post('/:id/merge', requireScope('todos:write'), async (req, res) => {
+  try {
+    const source = await findOwnedTag(req, res, req.params.id);
+    if (!source) return;
+
+    const target = await findOwnedTag(req, res, req.body.into);
+    if (!target) return;
+
+    if (source.id === target.id) {
+      return res.status(400).json({ error: 'Cannot merge a tag into itself' });
+    }
+
+    // Find every todo that currently has the source tag
+    const todos = await prisma.todo.findMany({
+      where: { tags: { some: { id: source.id } } },
+      select: { id: true },
+    });
+
+    // In one transaction:
+    // 1. Link all of those todos to the target tag
+    //    (todos that already have both tags are left as they are)
+    // 2. Delete the source tag - its join table rows are removed by the cascade
+    await prisma.$transaction([
+      prisma.tag.update({
+        where: { id: target.id },
+        data: { todos: { connect: todos } },
+      }),
+      prisma.tag.delete({ where: { id: source.id } }),
+    ]);
+
+    const mergedTag = await prisma.tag.findUnique({
+      where: { id: target.id },
+      include: {
+        _count: { select: { todos: { where: { deletedAt: null } } } },
+      },
+    });
+
+    const { _count, ...tag } = mergedTag;
+    res.json({ ...tag, todoCount: _count.todos });
+  } catch (error) {
+    console.error('Merge tags error:', error);
+    res.status(500).json({ error: 'Failed to merge tags' });
+  }
+});
+
+export default router;
@@ -9,7 +9,60 @@ import prisma from '../config/prisma.js';
 
 // Import authentication middleware
 // This ensures all todo routes are protected and require valid JWT
-import { authenticateToken } from '../middleware/auth.js';
+import { authenticateToken, requireScope } from '../middleware/auth.js';
+
+// Import authorization middleware (loads a todo and checks the user's role for it)
+import { authorizeTodo, authorizeTrashedTodo } from '../middleware/authorize.js';
+
+// Import the unverified-email policy, applied after authentication
+import { requireVerifiedEmail } from '../middleware/verification.js';
+
+// Import tag helpers (validation and create-on-the-fly)
+import { parseTags, findOrCreateTags, normalizeTagName } from '../utils/tags.js';
+
+// Import subtask helpers (progress summary and parent completion rollup)
+import { withProgress, rollupParent } from '../utils/subtasks.js';
+
+// Import recurrence helpers (rule validation and next-instance generation)
+import { parseRecurrence, nextOccurrence, spawnNextInstance } from '../utils/recurrence.js';
+
+// Import ranking helpers for manual ordering
+import { rankBetween, positionAtTop, positionAtBottom, orderingScope } from '../utils/ranking.js';
+
+// Import the permission rules for shared lists
+import {
+  hasRole,
+  visibleTodosWhere,
+  editableTodosWhere,
+  getTodoRole,
+  usersWithAccess,
+} from '../utils/permissions.js';
+
+// Import the field validation shared with the sync routes
+import {
+  PRIORITIES,
+  parseDueAt,
+  parseNotes,
+  parsePriority,
+  parseListId,
+} from '../utils/todoFields.js';
+
+// Import the assignment email
+import { sendTodoAssignedEmail } from '../utils/emails.js';
+
+// Import the audit trail helpers
+import {
+  loadSnapshot,
+  recordTodoChange,
+  recordActivity,
+  findActivityPage,
+} from '../utils/activity.js';
+
+// Import the trash helpers (soft delete, restore, retention)
+import { trashTodo, restoreTodo, purgeAt, TRASH_RETENTION_DAYS } from '../utils/trash.js';
+
+// Prisma.DbNull clears a Json column (see the recurrence field)
+import { Prisma } from '@prisma/client';
 
 // Create router instance
 const router = express.Router();
@@ -18,92 +71,645 @@ const router = express.Router();
 // This means every route below will require a valid JWT token
 // The middleware extracts userId from token and adds it to req.userId
 router.use(authenticateToken);
+router.use(requireVerifiedEmail);
+
+// Tags come back as [{ id, name }] in alphabetical order
+const TAG_INCLUDE = {
+  select: { id: true, name: true },
+  orderBy: { name: 'asc' },
+};
+
+// The assignee comes back as { id, email } (or null)
+const ASSIGNEE_INCLUDE = {
+  select: { id: true, email: true },
+};
+
+// Related data returned with every todo
+// - tags: the todo's labels
+// - assignee: who is doing it
+// - children: its subtasks in manual order (withProgress adds the progress summary),
+//   leaving out subtasks in the trash
+const TODO_INCLUDE = {
+  tags: TAG_INCLUDE,
+  assignee: ASSIGNEE_INCLUDE,
+  children: {
+    where: { deletedAt: null },
+    orderBy: { position: 'asc' },
+    include: { tags: TAG_INCLUDE, assignee: ASSIGNEE_INCLUDE },
+  },
+};
+
+// Related data returned with trashed todos: the same, but with the subtasks
+// that are in the trash (the ones that were deleted along with the todo)
+const TRASH_INCLUDE = {
+  ...TODO_INCLUDE,
+  children: { ...TODO_INCLUDE.children, where: { deletedAt: { not: null } } },
+};
+
+// Optimistic concurrency
+// Every todo has a version that the database bumps on each change (see the
+// todo_versions migration). GET and PUT send it as the ETag header, and
+// PUT, PATCH and DELETE accept an If-Match header with the ETag the client
+// last saw: when the todo has changed since, the request is refused with
+// 412 Precondition Failed instead of silently overwriting the other change
+//
+// Requests without If-Match are applied unconditionally, as before
+
+// A todo's ETag: its version in quotes, e.g. "3"
+const todoETag = (todo) => `"${todo.version}"`;
+
+// Parse an If-Match header into the versions it accepts
+// Returns null for "*" (any version), otherwise an array of version numbers
+// Weak ETags (W/"3") never match: If-Match uses strong comparison
+const parseIfMatch = (header) => {
+  if (header.trim() === '*') {
+    return null;
+  }
+  return header
+    .split(',')
+    .map((tag) => /^"(\d+)"$/.exec(tag.trim()))
+    .filter(Boolean)
+    .map((match) => Number(match[1]));
+};
+
+// Respond 412 with the todo as it is now (with its new ETag), so the client
+// can show the user both versions and let them choose
+// Body: { error, code: 'version_conflict', current }
+const sendVersionConflict = async (res, todoId) => {
+  const current = await prisma.todo.findFirst({
+    where: { id: todoId, deletedAt: null },
+    include: TODO_INCLUDE,
+  });
+
+  // Deleted in the meantime - nothing left to compare with
+  if (!current) {
+    return res.status(404).json({ error: 'Todo not found' });
+  }
+
+  res.set('ETag', todoETag(current));
+  res.status(412).json({
+    error: 'This todo was changed somewhere else in the meantime',
+    code: 'version_conflict',
+    current: withProgress(current),
+  });
+};
+
+// Is this error a conditional write (where: { id, version }) that found no row?
+const isVersionConflict = (error) =>
+  error instanceof Prisma.PrismaClientKnownRequestError && error.code === 'P2025';
+
+// Middleware: check If-Match against the todo loaded by authorizeTodo
+// On a match, req.expectedVersion is set so the write itself can repeat the
+// check (where: { id, version }) - another request may change the todo
+// between this check and the write
+const checkIfMatch = async (req, res, next) => {
+  try {
+    const header = req.get('If-Match');
+    if (!header) {
+      return next();
+    }
+
+    const versions = parseIfMatch(header);
+    if (versions !== null && !versions.includes(req.todo.version)) {
+      return sendVersionConflict(res, req.todo.id);
+    }
+
+    req.expectedVersion = req.todo.version;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Fields that can be used in the ?sort= query parameter on GET /api/todos
+// - dir: the default direction when the client doesn't specify one
+// - nullable: optional columns sort NULLs last, so todos without a due
+//   date/priority end up at the bottom in either direction
+// position is the manual (drag-and-drop) order and the default sort
+const SORT_FIELDS = {
+  position: { dir: 'asc' },
+  createdAt: { dir: 'desc' },
+  updatedAt: { dir: 'desc' },
+  dueAt: { dir: 'asc', nullable: true },
+  priority: { dir: 'desc', nullable: true },
+  title: { dir: 'asc' },
+};
+
+// Page size limits for GET /api/todos
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+// Parse the ?sort= query parameter into a Prisma orderBy array
+// Format: comma-separated fields, each optionally followed by :asc or :desc
+// Example: "priority,dueAt:desc" -> high priority first, then latest due date first
+// Returns { value } or { error }
+//
+// id is always added as a final tie-breaker: cursor pagination needs a
+// strict, repeatable order, otherwise todos with equal sort values could be
+// skipped or repeated between pages
+const parseSort = (sort) => {
+  const orderBy = [];
+
+  for (const part of String(sort).split(',')) {
+    const [field, dir] = part.trim().split(':');
+
+    // hasOwn guards against ?sort=toString and other inherited properties
+    if (!Object.hasOwn(SORT_FIELDS, field)) {
+      return { error: `sort fields must be one of: ${Object.keys(SORT_FIELDS).join(', ')}` };
+    }
+    if (dir !== undefined && !['asc', 'desc'].includes(dir)) {
+      return { error: 'sort direction must be asc or desc' };
+    }
+
+    const direction = dir ?? SORT_FIELDS[field].dir;
+    orderBy.push({
+      [field]: SORT_FIELDS[field].nullable ? { sort: direction, nulls: 'last' } : direction,
+    });
+  }
+
+  orderBy.push({ id: 'asc' });
+  return { value: orderBy };
+};
+
+// Validate the optional parentId field from a request body (POST only)
+// The parent must exist, be editable by the user, and be a top-level todo
+// Returns { value } with the parent todo (or undefined) or { error }
+const parseParent = async (parentId, userId) => {
+  if (parentId === undefined || parentId === null) {
+    return { value: undefined };
+  }
+
+  const id = parseInt(parentId);
+  if (isNaN(id)) {
+    return { error: 'parentId must be a number' };
+  }
+
+  // A parent in the trash counts as missing
+  const parent = await prisma.todo.findFirst({
+    where: { id, deletedAt: null },
+  });
+  const role = parent ? await getTodoRole(userId, parent) : null;
+  if (!role) {
+    return { error: 'Parent todo not found' };
+  }
+  if (!hasRole(role, 'editor')) {
+    return { error: 'You can only view that todo, not add subtasks to it' };
+  }
+
+  // Keep nesting to a single level so progress rollup stays simple
+  if (parent.parentId !== null) {
+    return { error: 'Subtasks cannot have subtasks of their own' };
+  }
+  return { value: parent };
+};
+
+// Validate the optional assigneeId field from a request body (PUT only)
+// The assignee must be able to see the todo: a member of its list, or the
+// creator for Inbox todos - so nobody is handed work they can't open
+// - allowedIds: from usersWithAccess, for the list the todo will be in
+// Same return shape as parseDueAt (utils/todoFields.js); null unassigns the todo
+const parseAssignee = (assigneeId, allowedIds) => {
+  if (assigneeId === undefined) {
+    return { value: undefined };
+  }
+  if (assigneeId === null) {
+    return { value: null };
+  }
+
+  const id = parseInt(assigneeId);
+  if (isNaN(id)) {
+    return { error: 'assigneeId must be a number or null' };
+  }
+  if (!allowedIds.includes(id)) {
+    return { error: 'The assignee must be someone with access to this todo' };
+  }
+  return { value: id };
+};
+
+// Build a Prisma where-fragment for the ?due= query parameter
+// - overdue: due date has passed and the todo is still open
+// - today:   due at any time during the current day
+// - week:    due between the start of today and 7 days from then
+// Day boundaries use the server's local time zone
+// Returns null for an unknown value so the route can reject it
+const buildDueFilter = (due) => {
+  const now = new Date();
+
+  const startOfToday = new Date(now);
+  startOfToday.setHours(0, 0, 0, 0);
+
+  // setDate handles month/year rollover for us (e.g. Jan 31 + 1 = Feb 1)
+  const startOfTomorrow = new Date(startOfToday);
+  startOfTomorrow.setDate(startOfTomorrow.getDate() + 1);
+
+  const endOfWeek = new Date(startOfToday);
+  endOfWeek.setDate(endOfWeek.getDate() + 7);
+
+  switch (due) {
+    case 'overdue':
+      return { dueAt: { lt: now }, completed: false };
+    case 'today':
+      return { dueAt: { gte: startOfToday, lt: startOfTomorrow } };
+    case 'week':
+      return { dueAt: { gte: startOfToday, lt: endOfWeek } };
+    default:
+      return null;
+  }
+};
 
 // GET ALL TODOS
 // GET /api/todos
-// Returns all todos for the authenticated user
-router.get('/', async (req, res) => {
+// Returns one page of the top-level todos the user can see: their Inbox plus
+// every list they're a member of (including lists shared with them)
+// Subtasks are nested inside their parent's children array, with a progress summary
+//
+// Response: { todos, nextCursor, total }
+// - nextCursor: pass as ?cursor= to get the next page (null on the last page)
+// - total: number of todos matching the filters, across all pages
+//
+// Optional query parameters:
+// - limit=<1-100>  Page size (default 50)
+// - cursor=<todo ID>  Start after this todo (from the previous page's nextCursor)
+// - sort=<field>[:asc|desc],...  Sort order (default: manual order, see SORT_FIELDS)
+// - q=<text>  Only todos whose title contains this text (case-insensitive)
+// - completed=true|false  Only completed / open todos
+// - due=overdue|today|week  Only todos matching the due date window
+// - priority=low|medium|high  Only todos with that priority
+// - listId=<id>|inbox  Only todos in that list (inbox = todos without a list)
+// - assignee=me|none|<user ID>  Only todos assigned to the user, to nobody, or to that user
+// - tag=<name> (repeatable)  Only todos with these tags
+// - tagMatch=any|all  With several tags: match todos having any of them (default) or all of them
+router.get('/', requireScope('todos:read'), async (req, res) => {
   try {
+    const {
+      due,
+      priority,
+      listId,
+      assignee,
+      tag,
+      tagMatch = 'any',
+      sort = 'position',
+      q,
+      completed,
+      cursor,
+      limit = DEFAULT_LIMIT,
+    } = req.query;
+
+    // Each filter adds a condition; all of them must match (SQL AND)
+    const conditions = [];
+
+    if (listId !== undefined) {
+      if (listId === 'inbox') {
+        conditions.push({ listId: null });
+      } else {
+        // No membership check needed: visibleTodosWhere is already part of
+        // the filter, so a list the user isn't a member of matches no todos
+        const id = parseInt(listId);
+        if (isNaN(id)) {
+          return res.status(400).json({ error: 'listId must be a number or "inbox"' });
+        }
+        conditions.push({ listId: id });
+      }
+    }
+
+    if (assignee !== undefined) {
+      if (assignee === 'me') {
+        conditions.push({ assigneeId: req.userId });
+      } else if (assignee === 'none') {
+        conditions.push({ assigneeId: null });
+      } else {
+        const id = parseInt(assignee);
+        if (isNaN(id)) {
+          return res.status(400).json({ error: 'assignee must be "me", "none" or a user ID' });
+        }
+        conditions.push({ assigneeId: id });
+      }
+    }
+
+    if (due !== undefined) {
+      const dueFilter = buildDueFilter(due);
+      if (!dueFilter) {
+        return res.status(400).json({ error: 'due must be one of: overdue, today, week' });
+      }
+      conditions.push(dueFilter);
+    }
+
+    if (priority !== undefined) {
+      if (!PRIORITIES.includes(priority)) {
+        return res
+          .status(400)
+          .json({ error: `priority must be one of: ${PRIORITIES.join(', ')}` });
+      }
+      conditions.push({ priority });
+    }
+
+    if (completed !== undefined) {
+      if (!['true', 'false'].includes(completed)) {
+        return res.status(400).json({ error: 'completed must be true or false' });
+      }
+      // Query parameters are always strings, so compare against 'true'
+      conditions.push({ completed: completed === 'true' });
+    }
+
+    if (q !== undefined && String(q).trim() !== '') {
+      // contains + mode: 'insensitive' becomes an ILIKE '%text%' query in PostgreSQL
+      conditions.push({ title: { contains: String(q).trim(), mode: 'insensitive' } });
+    }
+
+    if (tag !== undefined) {
+      // Express turns ?tag=a&tag=b into an array but ?tag=a into a string
+      // [].concat() gives us an array either way
+      const names = [].concat(tag).map(normalizeTagName).filter((name) => name !== '');
+
+      if (!['any', 'all'].includes(tagMatch)) {
+        return res.status(400).json({ error: 'tagMatch must be one of: any, all' });
+      }
+
+      if (names.length > 0) {
+        if (tagMatch === 'all') {
+          // One "has this tag" condition per name, all of which must hold
+          conditions.push(...names.map((name) => ({ tags: { some: { name } } })));
+        } else {
+          // "some" matches todos with at least one related tag in the list
+          conditions.push({ tags: { some: { name: { in: names } } } });
+        }
+      }
+    }
+
+    const orderBy = parseSort(sort);
+    if (orderBy.error) {
+      return res.status(400).json({ error: orderBy.error });
+    }
+
+    const take = parseInt(limit);
+    if (isNaN(take) || take < 1 || take > MAX_LIMIT) {
+      return res.status(400).json({ error: `limit must be between 1 and ${MAX_LIMIT}` });
+    }
+
+    const cursorId = cursor !== undefined ? parseInt(cursor) : undefined;
+    if (cursorId !== undefined && isNaN(cursorId)) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
     // req.userId was set by authenticateToken middleware
-    // This ensures users can only see their own todos
-    //
+    // visibleTodosWhere limits the results to todos the user has access to
+    // parentId: null skips subtasks - they're returned inside their parent
+    // deletedAt: null leaves out todos in the trash (see GET /api/todos/trash)
+    const where = {
+      ...visibleTodosWhere(req.userId),
+      parentId: null,
+      deletedAt: null,
+      AND: conditions,
+    };
+
     // Prisma's findMany method:
-    // - Queries database for multiple records
     // - where clause filters results (similar to SQL WHERE)
-    // - orderBy sorts results (newest first in this case)
-    // - Returns array of todo objects
+    // - orderBy sorts results (an array applies several sort keys in order)
+    // - cursor + skip: 1 starts right after the cursor todo (keyset pagination),
+    //   which stays fast on deep pages unlike OFFSET
+    // - take: limit + 1 fetches one extra row to find out if there's another page
+    //
+    // The count runs in the same transaction so both see the same data
+    const [todos, total] = await prisma.$transaction([
+      prisma.todo.findMany({
+        where,
+        orderBy: orderBy.value,
+        include: TODO_INCLUDE,
+        take: take + 1,
+        ...(cursorId !== undefined && { cursor: { id: cursorId }, skip: 1 }),
+      }),
+      prisma.todo.count({ where }),
+    ]);
+
+    const hasMore = todos.length > take;
+    const page = hasMore ? todos.slice(0, take) : todos;
+
+    res.json({
+      todos: page.map(withProgress),
+      nextCursor: hasMore ? page[page.length - 1].id : null,
+      total,
+    });
+  } catch (error) {
+    console.error('Get todos error:', error);
+    res.status(500).json({ error: 'Failed to fetch todos' });
+  }
+});
+
+// GET TRASH
+// GET /api/todos/trash
+// Returns the deleted todos the user can see, most recently deleted first
+// Subtasks deleted along with their parent come back inside it (children);
+// subtasks deleted on their own are listed by themselves
+// Response: { todos, retentionDays }
+// - each todo has purgeAt: when it will be deleted for good
+// - retentionDays: how long todos stay in the trash
+//
+// Registered before the /:id routes, so "trash" isn't taken for a todo ID
+router.get('/trash', requireScope('todos:read'), async (req, res) => {
+  try {
     const todos = await prisma.todo.findMany({
       where: {
-        userId: req.userId,
-      },
-      orderBy: {
-        createdAt: 'desc',
+        AND: [
+          visibleTodosWhere(req.userId),
+          { deletedAt: { not: null } },
+          { OR: [{ parentId: null }, { parent: { deletedAt: null } }] },
+        ],
       },
+      orderBy: [{ deletedAt: 'desc' }, { id: 'desc' }],
+      include: TRASH_INCLUDE,
     });
 
-    // Send todos array as JSON response
-    res.json(todos);
+    res.json({
+      todos: todos.map((todo) => ({ ...withProgress(todo), purgeAt: purgeAt(todo.deletedAt) })),
+      retentionDays: TRASH_RETENTION_DAYS,
+    });
   } catch (error) {
-    console.error('Get todos error:', error);
-    res.status(500).json({ error: 'Failed to fetch todos' });
+    console.error('Get trash error:', error);
+    res.status(500).json({ error: 'Failed to fetch trash' });
   }
 });
 
-// GET SINGLE TODO
-// GET /api/todos/:id
-// Returns a specific todo by ID (only if it belongs to the user)
-router.get('/:id', async (req, res) => {
+// EMPTY TRASH
+// DELETE /api/todos/trash
+// Permanently deletes every todo in the trash that the user can edit
+// (their own Inbox todos, and todos in lists where they're an editor or owner)
+// Returns: { message, count }
+router.delete('/trash', requireScope('todos:write'), async (req, res) => {
   try {
-    // Extract todo ID from URL parameter
-    // Example: /api/todos/5 -> req.params.id = "5"
-    // parseInt converts string to number since database ID is integer
-    const todoId = parseInt(req.params.id);
+    const todos = await prisma.todo.findMany({
+      where: { ...editableTodosWhere(req.userId), deletedAt: { not: null } },
+      select: { id: true },
+    });
 
-    // Validate ID is a valid number
-    if (isNaN(todoId)) {
-      return res.status(400).json({ error: 'Invalid todo ID' });
+    // Their last state goes into the audit trail before they're gone
+    const snapshots = [];
+    for (const todo of todos) {
+      snapshots.push(await loadSnapshot(todo.id));
     }
 
-    // Find todo by ID AND userId
-    // This ensures users can't access other users' todos even if they know the ID
-    // findUnique is used when searching by unique identifier(s)
-    const todo = await prisma.todo.findUnique({
-      where: {
-        id: todoId,
-      },
+    const { count } = await prisma.todo.deleteMany({
+      where: { id: { in: todos.map((todo) => todo.id) } },
     });
 
-    // Check if todo exists
-    if (!todo) {
-      return res.status(404).json({ error: 'Todo not found' });
+    for (const before of snapshots) {
+      await recordTodoChange({ actorId: req.userId, before, after: null });
     }
 
-    // Verify todo belongs to authenticated user
-    // Authorization check: even if todo exists, user must own it
-    if (todo.userId !== req.userId) {
-      return res.status(403).json({ error: 'Access denied' });
+    res.json({ message: 'Trash emptied successfully', count });
+  } catch (error) {
+    console.error('Empty trash error:', error);
+    res.status(500).json({ error: 'Failed to empty trash' });
+  }
+});
+
+// PURGE TODO
+// DELETE /api/todos/trash/:id
+// Permanently deletes a todo that's in the trash, with its subtasks
+// (needs editor access; todos that aren't in the trash are reported as missing)
+router.delete(
+  '/trash/:id',
+  requireScope('todos:write'),
+  authorizeTrashedTodo('editor'),
+  async (req, res) => {
+    try {
+      const before = await loadSnapshot(req.todo.id);
+
+      // Subtasks are deleted too (onDelete: Cascade in the schema)
+      await prisma.todo.delete({ where: { id: req.todo.id } });
+
+      await recordTodoChange({ actorId: req.userId, before, after: null });
+
+      res.json({ message: 'Todo deleted permanently' });
+    } catch (error) {
+      console.error('Purge todo error:', error);
+      res.status(500).json({ error: 'Failed to delete todo permanently' });
     }
+  }
+);
 
-    res.json(todo);
+// GET SINGLE TODO
+// GET /api/todos/:id
+// Returns a specific todo by ID (only if the user can see it)
+// Includes its subtasks (children) and a progress summary
+//
+// authorizeTodo('viewer') has already checked the ID, that the todo exists,
+// and that it's in the user's Inbox or in a list they're a member of
+router.get('/:id', requireScope('todos:read'), authorizeTodo('viewer'), async (req, res) => {
+  try {
+    // Reload with the related data (the middleware only loads the todo row)
+    const todo = await prisma.todo.findUnique({
+      where: { id: req.todo.id },
+      include: TODO_INCLUDE,
+    });
+
+    res.set('ETag', todoETag(todo));
+    res.json(withProgress(todo));
   } catch (error) {
     console.error('Get todo error:', error);
     res.status(500).json({ error: 'Failed to fetch todo' });
   }
 });
 
+// GET TODO HISTORY
+// GET /api/todos/:id/history
+// Returns one page of the todo's audit trail, newest first: who created,
+// changed, completed, moved or reordered it, and when
+// Response: { events, nextCursor }
+// - events: [{ id, action, todoId, todoTitle, listId, actor, changes, createdAt }]
+//   - actor: { id, email }, or null once that account is deleted
+//   - changes: { <field>: { from, to } } (see utils/activity.js)
+// - nextCursor: pass as ?cursor= to get the next (older) page (null on the last page)
+// Optional query parameters: limit=<1-100> (default 50), cursor=<event ID>
+router.get(
+  '/:id/history',
+  requireScope('todos:read'),
+  authorizeTodo('viewer'),
+  async (req, res) => {
+    try {
+      const page = await findActivityPage({ todoId: req.todo.id }, req.query);
+
+      if (page.error) {
+        return res.status(400).json({ error: page.error });
+      }
+
+      res.json(page.value);
+    } catch (error) {
+      console.error('Get todo history error:', error);
+      res.status(500).json({ error: 'Failed to fetch todo history' });
+    }
+  }
+);
+
 // CREATE TODO
 // POST /api/todos
 // Creates a new todo for the authenticated user
-router.post('/', async (req, res) => {
+router.post('/', requireScope('todos:write'), async (req, res) => {
   try {
-    // Extract title from request body
-    const { title } = req.body;
+    // Extract fields from request body
+    // notes, dueAt, priority, listId, tags, parentId, autoComplete and recurrence are optional
+    const { title, autoComplete } = req.body;
 
     // Validation: title is required
     if (!title || title.trim() === '') {
       return res.status(400).json({ error: 'Title is required' });
     }
 
+    const notes = parseNotes(req.body.notes);
+    if (notes.error) {
+      return res.status(400).json({ error: notes.error });
+    }
+
+    const dueAt = parseDueAt(req.body.dueAt);
+    if (dueAt.error) {
+      return res.status(400).json({ error: dueAt.error });
+    }
+
+    const priority = parsePriority(req.body.priority);
+    if (priority.error) {
+      return res.status(400).json({ error: priority.error });
+    }
+
+    const listId = await parseListId(req.body.listId, req.userId);
+    if (listId.error) {
+      return res.status(400).json({ error: listId.error });
+    }
+
+    const tags = parseTags(req.body.tags);
+    if (tags.error) {
+      return res.status(400).json({ error: tags.error });
+    }
+
+    // parentId turns the new todo into a subtask
+    const parent = await parseParent(req.body.parentId, req.userId);
+    if (parent.error) {
+      return res.status(400).json({ error: parent.error });
+    }
+
+    if (autoComplete !== undefined && typeof autoComplete !== 'boolean') {
+      return res.status(400).json({ error: 'autoComplete must be a boolean' });
+    }
+
+    const recurrence = parseRecurrence(req.body.recurrence, dueAt.value);
+    if (recurrence.error) {
+      return res.status(400).json({ error: recurrence.error });
+    }
+    if (recurrence.value && parent.value) {
+      return res.status(400).json({ error: 'Subtasks cannot recur on their own' });
+    }
+
+    // Tags that don't exist yet are created on the fly
+    const tagIds = await findOrCreateTags(tags.value ?? [], req.userId);
+
+    // Subtasks always live in the same list as their parent
+    const todoListId = parent.value ? parent.value.listId : listId.value;
+
+    // New subtasks become the last step; new todos go to the top of their list
+    const position = parent.value
+      ? await positionAtBottom({ parentId: parent.value.id })
+      : await positionAtTop(
+          orderingScope({ userId: req.userId, listId: todoListId ?? null, parentId: null })
+        );
+
     // Create new todo in database
     // Prisma's create method:
     // - Inserts new row into todos table
@@ -115,11 +721,34 @@ router.post('/', async (req, res) => {
       data: {
         title: title.trim(),
         userId: req.userId,
+        // undefined values are ignored by Prisma, so the column stays NULL
+        notes: notes.value,
+        dueAt: dueAt.value,
+        priority: priority.value,
+        listId: todoListId,
+        parentId: parent.value?.id,
+        position,
+        autoComplete,
+        recurrence: recurrence.value ?? undefined,
+        // connect links the new todo to existing tag rows via the join table
+        tags: { connect: tagIds },
       },
+      include: TODO_INCLUDE,
+    });
+
+    // A new open subtask means a completed parent is no longer done
+    if (parent.value) {
+      await rollupParent(parent.value.id);
+    }
+
+    await recordTodoChange({
+      actorId: req.userId,
+      before: null,
+      after: await loadSnapshot(todo.id),
     });
 
     // Return created todo with 201 status (Created)
-    res.status(201).json(todo);
+    res.status(201).json(withProgress(todo));
   } catch (error) {
     console.error('Create todo error:', error);
     res.status(500).json({ error: 'Failed to create todo' });
@@ -128,29 +757,93 @@ router.post('/', async (req, res) => {
 
 // UPDATE TODO
 // PUT /api/todos/:id
-// Updates an existing todo (title and/or completed status)
-router.put('/:id', async (req, res) => {
+// Updates an existing todo (title, notes, completed status, due date, priority and/or list)
+// Send notes, dueAt or priority as null to clear them
+// Send listId to move the todo to another list, or null to move it to the Inbox
+// Send tags to replace the todo's tags (an empty array removes them all)
+// Send autoComplete to opt in/out of completing this todo when its subtasks are all done
+// Completing or reopening a subtask rolls up to its parent (see utils/subtasks.js)
+// Send recurrence to make the todo repeat (null stops it repeating)
+// Completing a recurring todo creates its next instance, returned as nextTodo
+// Send assigneeId to assign the todo to someone with access to it (null unassigns);
+// they get an email unless they assigned it to themselves. Moving a todo to a
+// list its assignee isn't a member of unassigns it
+// Needs editor access; moving the todo to another list needs editor access there too
+// Send If-Match with the todo's ETag to update it only if nobody else changed it
+// since (412 with the current todo otherwise); the response has the new ETag
+//
+// PATCH /api/todos/:id does exactly the same - every field is optional either way
+const updateTodoHandler = async (req, res) => {
   try {
-    const todoId = parseInt(req.params.id);
-    const { title, completed } = req.body;
+    // authorizeTodo loaded the todo and checked the user may edit it
+    const existingTodo = req.todo;
+    const todoId = existingTodo.id;
+    const { title, completed, autoComplete } = req.body;
 
-    if (isNaN(todoId)) {
-      return res.status(400).json({ error: 'Invalid todo ID' });
+    const notes = parseNotes(req.body.notes);
+    if (notes.error) {
+      return res.status(400).json({ error: notes.error });
     }
 
-    // First, check if todo exists and belongs to user
-    const existingTodo = await prisma.todo.findUnique({
-      where: { id: todoId },
-    });
+    const dueAt = parseDueAt(req.body.dueAt);
+    if (dueAt.error) {
+      return res.status(400).json({ error: dueAt.error });
+    }
+
+    const priority = parsePriority(req.body.priority);
+    if (priority.error) {
+      return res.status(400).json({ error: priority.error });
+    }
+
+    const listId = await parseListId(req.body.listId, req.userId);
+    if (listId.error) {
+      return res.status(400).json({ error: listId.error });
+    }
+
+    const tags = parseTags(req.body.tags);
+    if (tags.error) {
+      return res.status(400).json({ error: tags.error });
+    }
+
+    if (autoComplete !== undefined && typeof autoComplete !== 'boolean') {
+      return res.status(400).json({ error: 'autoComplete must be a boolean' });
+    }
 
-    if (!existingTodo) {
-      return res.status(404).json({ error: 'Todo not found' });
+    // Subtasks follow their parent, so they can't be moved on their own
+    if (existingTodo.parentId !== null && listId.value !== undefined) {
+      return res.status(400).json({ error: 'Move the parent todo to change a subtask\'s list' });
     }
 
-    if (existingTodo.userId !== req.userId) {
-      return res.status(403).json({ error: 'Access denied' });
+    // Validate the rule against the due date the todo will have after this update
+    const effectiveDueAt = dueAt.value !== undefined ? dueAt.value : existingTodo.dueAt;
+    const recurrence = parseRecurrence(
+      req.body.recurrence !== undefined ? req.body.recurrence : existingTodo.recurrence ?? undefined,
+      effectiveDueAt
+    );
+    if (recurrence.error) {
+      return res.status(400).json({ error: recurrence.error });
+    }
+    if (recurrence.value && existingTodo.parentId !== null) {
+      return res.status(400).json({ error: 'Subtasks cannot recur on their own' });
     }
 
+    // Who can be assigned depends on where the todo ends up after this update
+    // (a todo moved to the Inbox becomes the mover's, see below)
+    const movesList = listId.value !== undefined && listId.value !== existingTodo.listId;
+    const targetListId = movesList ? listId.value : existingTodo.listId;
+    const allowedAssignees = await usersWithAccess(
+      targetListId,
+      movesList && targetListId === null ? req.userId : existingTodo.userId
+    );
+
+    const assignee = parseAssignee(req.body.assigneeId, allowedAssignees);
+    if (assignee.error) {
+      return res.status(400).json({ error: assignee.error });
+    }
+
+    // What the todo looked like before, for the audit trail
+    const before = await loadSnapshot(todoId);
+
     // Build update data object
     // Only include fields that were provided in request
     // This allows partial updates (update only title, or only completed, or both)
@@ -158,9 +851,48 @@ router.put('/:id', async (req, res) => {
     if (title !== undefined) {
       updateData.title = title.trim();
     }
+    if (notes.value !== undefined) {
+      updateData.notes = notes.value;
+    }
     if (completed !== undefined) {
       updateData.completed = completed;
     }
+    if (dueAt.value !== undefined) {
+      updateData.dueAt = dueAt.value;
+    }
+    if (priority.value !== undefined) {
+      updateData.priority = priority.value;
+    }
+    if (movesList) {
+      updateData.listId = listId.value;
+      // Each list has its own manual order; a moved todo lands at the top
+      updateData.position = await positionAtTop(
+        orderingScope({ userId: req.userId, listId: listId.value, parentId: null })
+      );
+      // The Inbox is private, so a todo moved there from a shared list
+      // becomes the mover's - otherwise it could land in another member's Inbox
+      if (listId.value === null) {
+        updateData.userId = req.userId;
+      }
+      // An assignee who can't see the new list can't work on the todo there
+      const { assigneeId } = existingTodo;
+      if (assigneeId !== null && !allowedAssignees.includes(assigneeId)) {
+        updateData.assigneeId = null;
+      }
+    }
+    if (assignee.value !== undefined) {
+      updateData.assigneeId = assignee.value;
+    }
+    if (tags.value !== undefined) {
+      // set replaces all of the todo's tag links with exactly these tags
+      updateData.tags = { set: await findOrCreateTags(tags.value, req.userId) };
+    }
+    if (autoComplete !== undefined) {
+      updateData.autoComplete = autoComplete;
+    }
+    if (req.body.recurrence !== undefined) {
+      updateData.recurrence = recurrence.value ?? Prisma.DbNull;
+    }
 
     // Update todo in database
     // Prisma's update method:
@@ -168,56 +900,400 @@ router.put('/:id', async (req, res) => {
     // - Updates specified fields
     // - Automatically updates updatedAt timestamp
     // - Returns the updated todo object
-    const updatedTodo = await prisma.todo.update({
-      where: { id: todoId },
-      data: updateData,
-    });
+    // With If-Match, the version must still be the one that was checked; if
+    // another request got in first, no row matches and Prisma throws P2025
+    let updatedTodo;
+    try {
+      updatedTodo = await prisma.todo.update({
+        where: { id: todoId, version: req.expectedVersion },
+        data: updateData,
+        include: TODO_INCLUDE,
+      });
+    } catch (error) {
+      if (isVersionConflict(error)) {
+        return sendVersionConflict(res, todoId);
+      }
+      throw error;
+    }
+
+    // Moving a parent to another list takes its subtasks along
+    if (listId.value !== undefined) {
+      await prisma.todo.updateMany({
+        where: { parentId: todoId },
+        data: { listId: listId.value, ...(listId.value === null && { userId: req.userId }) },
+      });
+      // notIn never matches NULL, so unassigned subtasks are left alone
+      await prisma.todo.updateMany({
+        where: { parentId: todoId, assigneeId: { notIn: allowedAssignees } },
+        data: { assigneeId: null },
+      });
+      // Reload so the response shows the subtasks' new list
+      updatedTodo = await prisma.todo.findUnique({
+        where: { id: todoId },
+        include: TODO_INCLUDE,
+      });
+    }
+
+    // Let a newly assigned user know - not awaited, so a mail problem can't
+    // fail the update (failures are only logged)
+    if (
+      assignee.value &&
+      assignee.value !== existingTodo.assigneeId &&
+      assignee.value !== req.userId
+    ) {
+      sendTodoAssignedEmail(updatedTodo.assignee.email, {
+        todoTitle: updatedTodo.title,
+        assignerEmail: req.user.email,
+      }).catch((error) => {
+        console.error('Failed to send assignment email:', error);
+      });
+    }
+
+    // Completing/reopening a subtask may complete/reopen its parent
+    if (existingTodo.parentId !== null && completed !== undefined) {
+      await rollupParent(existingTodo.parentId);
+    }
+
+    // Switching autoComplete on for a parent whose subtasks are already done
+    // completes it right away; reload so the response shows the new status
+    if (autoComplete === true && existingTodo.parentId === null) {
+      await rollupParent(todoId);
+      updatedTodo = await prisma.todo.findUnique({
+        where: { id: todoId },
+        include: TODO_INCLUDE,
+      });
+    }
+
+    // Completing an open recurring todo schedules the next occurrence
+    // Only the false -> true transition counts, so saving an already
+    // completed todo again doesn't create duplicates
+    let nextTodo = null;
+    if (completed === true && !existingTodo.completed && updatedTodo.recurrence) {
+      nextTodo = await spawnNextInstance(updatedTodo, new Date());
+      updatedTodo = await prisma.todo.findUnique({
+        where: { id: todoId },
+        include: TODO_INCLUDE,
+      });
+      if (nextTodo) {
+        nextTodo = await prisma.todo.findUnique({
+          where: { id: nextTodo.id },
+          include: TODO_INCLUDE,
+        });
+      }
+    }
+
+    // One event for the whole update, named by its most important change
+    // (e.g. 'completed' for a todo completed and renamed at once)
+    await recordTodoChange({ actorId: req.userId, before, after: await loadSnapshot(todoId) });
+    if (nextTodo) {
+      await recordTodoChange({
+        actorId: req.userId,
+        before: null,
+        after: await loadSnapshot(nextTodo.id),
+      });
+    }
 
-    res.json(updatedTodo);
+    res.set('ETag', todoETag(updatedTodo));
+    res.json({
+      ...withProgress(updatedTodo),
+      nextTodo: nextTodo && withProgress(nextTodo),
+    });
   } catch (error) {
     console.error('Update todo error:', error);
     res.status(500).json({ error: 'Failed to update todo' });
   }
-});
+};
 
-// DELETE TODO
-// DELETE /api/todos/:id
-// Deletes a specific todo
-router.delete('/:id', async (req, res) => {
-  try {
-    const todoId = parseInt(req.params.id);
+router.put(
+  '/:id',
+  requireScope('todos:write'),
+  authorizeTodo('editor'),
+  checkIfMatch,
+  updateTodoHandler
+);
+router.patch(
+  '/:id',
+  requireScope('todos:write'),
+  authorizeTodo('editor'),
+  checkIfMatch,
+  updateTodoHandler
+);
 
-    if (isNaN(todoId)) {
-      return res.status(400).json({ error: 'Invalid todo ID' });
-    }
+// MOVE (REORDER) TODO
+// POST /api/todos/:id/move
+// Body: { before?: <todo ID>, after?: <todo ID> }
+// - before: the todo that should end up directly above this one
+// - after:  the todo that should end up directly below this one
+// At least one is required. Both must be in the same list as the todo
+// (or, for subtasks, have the same parent)
+// Only the moved todo's position changes - neighbours keep their keys
+// Needs editor access: a shared list's order is the same for every member
+router.post(
+  '/:id/move',
+  requireScope('todos:write'),
+  authorizeTodo('editor'),
+  async (req, res) => {
+    try {
+      const existingTodo = req.todo;
+      const todoId = existingTodo.id;
 
-    // Check if todo exists and belongs to user
-    const existingTodo = await prisma.todo.findUnique({
-      where: { id: todoId },
-    });
+      const { before, after } = req.body;
+
+      if (before === undefined && after === undefined) {
+        return res.status(400).json({ error: 'Provide before and/or after' });
+      }
+
+      // Todos that share an ordering with this one:
+      // siblings under the same parent, or top-level todos in the same list
+      const scope = {
+        ...orderingScope(existingTodo),
+        id: { not: todoId },
+        deletedAt: null,
+      };
+
+      // Load a neighbour and check it shares the todo's ordering
+      // Returns null for invalid IDs, the todo itself, or todos outside the scope
+      const findNeighbour = async (id) => {
+        const neighbourId = parseInt(id);
+        if (isNaN(neighbourId) || neighbourId === todoId) {
+          return null;
+        }
+        return prisma.todo.findFirst({
+          where: { ...scope, id: neighbourId },
+          select: { position: true },
+        });
+      };
+
+      let lower = null;
+      let upper = null;
+
+      if (before !== undefined && before !== null) {
+        lower = await findNeighbour(before);
+        if (!lower) {
+          return res.status(400).json({ error: 'before must be a todo in the same list' });
+        }
+      }
 
-    if (!existingTodo) {
-      return res.status(404).json({ error: 'Todo not found' });
+      if (after !== undefined && after !== null) {
+        upper = await findNeighbour(after);
+        if (!upper) {
+          return res.status(400).json({ error: 'after must be a todo in the same list' });
+        }
+      }
+
+      // With only one neighbour given, the other side is whichever todo
+      // currently sits next to it (or nothing, at the start/end of the list)
+      if (lower && !upper) {
+        upper = await prisma.todo.findFirst({
+          where: { ...scope, position: { gt: lower.position } },
+          orderBy: { position: 'asc' },
+          select: { position: true },
+        });
+      } else if (upper && !lower) {
+        lower = await prisma.todo.findFirst({
+          where: { ...scope, position: { lt: upper.position } },
+          orderBy: { position: 'desc' },
+          select: { position: true },
+        });
+      }
+
+      const lowerKey = lower ? lower.position : '';
+      const upperKey = upper ? upper.position : null;
+
+      // The neighbours must be in order - if not, the client's view is stale
+      if (upperKey !== null && lowerKey >= upperKey) {
+        return res.status(409).json({ error: 'The list order has changed. Reload and try again' });
+      }
+
+      const updatedTodo = await prisma.todo.update({
+        where: { id: todoId },
+        data: { position: rankBetween(lowerKey, upperKey) },
+        include: TODO_INCLUDE,
+      });
+
+      // Position keys mean nothing to people, so the event has no changes
+      await recordActivity({
+        action: 'reordered',
+        actorId: req.userId,
+        todoId,
+        todoTitle: updatedTodo.title,
+        listId: updatedTodo.listId,
+      });
+
+      res.json(withProgress(updatedTodo));
+    } catch (error) {
+      console.error('Move todo error:', error);
+      res.status(500).json({ error: 'Failed to move todo' });
     }
+  }
+);
 
-    if (existingTodo.userId !== req.userId) {
-      return res.status(403).json({ error: 'Access denied' });
+// SKIP OCCURRENCE
+// POST /api/todos/:id/skip
+// Skips the current occurrence of a recurring todo without completing it:
+// the same todo moves on to the next due date in its schedule
+// If the schedule has ended (past "until"), the todo stops recurring instead
+router.post('/:id/skip', requireScope('todos:write'), authorizeTodo('editor'), async (req, res) => {
+  try {
+    const existingTodo = req.todo;
+    const todoId = existingTodo.id;
+
+    if (!existingTodo.recurrence) {
+      return res.status(400).json({ error: 'Todo is not recurring' });
     }
 
-    // Delete todo from database
-    // Prisma's delete method:
-    // - Removes the record from database
-    // - Returns the deleted todo object (for confirmation)
-    await prisma.todo.delete({
+    // Pass no completion date: skipping moves exactly one step along the schedule
+    const dueAt = nextOccurrence(existingTodo.recurrence, existingTodo.dueAt);
+    const before = await loadSnapshot(todoId);
+
+    const updatedTodo = await prisma.todo.update({
       where: { id: todoId },
+      data: dueAt
+        ? { dueAt, seriesId: existingTodo.seriesId ?? existingTodo.id }
+        : { recurrence: Prisma.DbNull },
+      include: TODO_INCLUDE,
     });
 
-    // Return success message
-    res.json({ message: 'Todo deleted successfully' });
+    await recordTodoChange({ actorId: req.userId, before, after: await loadSnapshot(todoId) });
+
+    res.json(withProgress(updatedTodo));
   } catch (error) {
-    console.error('Delete todo error:', error);
-    res.status(500).json({ error: 'Failed to delete todo' });
+    console.error('Skip occurrence error:', error);
+    res.status(500).json({ error: 'Failed to skip occurrence' });
   }
 });
 
+// END SERIES
+// POST /api/todos/:id/end-series
+// Stops a recurring todo from repeating
+// The todo itself stays as a normal one-off todo; past instances are untouched
+router.post(
+  '/:id/end-series',
+  requireScope('todos:write'),
+  authorizeTodo('editor'),
+  async (req, res) => {
+    try {
+      const existingTodo = req.todo;
+      const todoId = existingTodo.id;
+
+      if (!existingTodo.recurrence) {
+        return res.status(400).json({ error: 'Todo is not recurring' });
+      }
+
+      const before = await loadSnapshot(todoId);
+
+      const updatedTodo = await prisma.todo.update({
+        where: { id: todoId },
+        data: { recurrence: Prisma.DbNull },
+        include: TODO_INCLUDE,
+      });
+
+      await recordTodoChange({ actorId: req.userId, before, after: await loadSnapshot(todoId) });
+
+      res.json(withProgress(updatedTodo));
+    } catch (error) {
+      console.error('End series error:', error);
+      res.status(500).json({ error: 'Failed to end series' });
+    }
+  }
+);
+
+// DELETE TODO
+// DELETE /api/todos/:id
+// Moves a todo (and its subtasks) to the trash (needs editor access)
+// It can be restored with POST /api/todos/:id/restore until it's purged,
+// TRASH_RETENTION_DAYS later (see utils/trash.js)
+// Honors If-Match like PUT, so a todo someone just changed isn't deleted unseen
+// Returns: { message, purgeAt }
+router.delete(
+  '/:id',
+  requireScope('todos:write'),
+  authorizeTodo('editor'),
+  checkIfMatch,
+  async (req, res) => {
+    try {
+      const existingTodo = req.todo;
+
+      let deletedAt;
+      try {
+        deletedAt = await trashTodo(existingTodo, req.expectedVersion);
+      } catch (error) {
+        if (isVersionConflict(error)) {
+          return sendVersionConflict(res, existingTodo.id);
+        }
+        throw error;
+      }
+
+      // Removing an open subtask may leave only completed ones behind
+      if (existingTodo.parentId !== null) {
+        await rollupParent(existingTodo.parentId);
+      }
+
+      // Nothing is lost yet, so the event needs no field changes
+      await recordActivity({
+        action: 'deleted',
+        actorId: req.userId,
+        todoId: existingTodo.id,
+        todoTitle: existingTodo.title,
+        listId: existingTodo.listId,
+      });
+
+      res.json({ message: 'Todo moved to trash', purgeAt: purgeAt(deletedAt) });
+    } catch (error) {
+      console.error('Delete todo error:', error);
+      res.status(500).json({ error: 'Failed to delete todo' });
+    }
+  }
+);
+
+// RESTORE TODO
+// POST /api/todos/:id/restore
+// Brings a todo back from the trash, with the subtasks that were deleted along
+// with it (needs editor access)
+// A subtask whose parent is still in the trash can't be restored on its own
+// Returns the restored todo
+router.post(
+  '/:id/restore',
+  requireScope('todos:write'),
+  authorizeTrashedTodo('editor'),
+  async (req, res) => {
+    try {
+      const existingTodo = req.todo;
+      const todoId = existingTodo.id;
+
+      if (existingTodo.parentId !== null) {
+        const parent = await prisma.todo.findUnique({ where: { id: existingTodo.parentId } });
+        if (parent.deletedAt !== null) {
+          return res.status(400).json({ error: 'Restore the parent todo first' });
+        }
+      }
+
+      await restoreTodo(existingTodo);
+
+      // A restored open subtask reopens a completed parent
+      if (existingTodo.parentId !== null) {
+        await rollupParent(existingTodo.parentId);
+      }
+
+      await recordActivity({
+        action: 'restored',
+        actorId: req.userId,
+        todoId,
+        todoTitle: existingTodo.title,
+        listId: existingTodo.listId,
+      });
+
+      const todo = await prisma.todo.findUnique({
+        where: { id: todoId },
+        include: TODO_INCLUDE,
+      });
+
+      res.json(withProgress(todo));
+    } catch (error) {
+      console.error('Restore todo error:', error);
+      res.status(500).json({ error: 'Failed to restore todo' });
+    }
+  }
+);
+
 export default router;
@@ -0,0 +1,226 @@
+// Two-Factor Authentication Routes
+// Turning TOTP two-factor authentication on and off, and recovery codes
+// (The second login step itself is POST /api/auth/login/2fa in routes/auth.js)
+//
+// Enrollment takes two requests:
+// 1. POST /setup creates a secret and returns it with a QR code to scan
+// 2. POST /enable takes a code from the app - only then is 2FA switched on,
+//    so a failed scan can't lock anyone out of their account
+
+// Import Express Router to define route handlers
+import express from 'express';
+
+// Import bcryptjs for checking the password when disabling 2FA
+import bcrypt from 'bcryptjs';
+
+// Import qrcode for rendering the otpauth:// URI as an image
+import QRCode from 'qrcode';
+
+// Import Prisma client to interact with database
+import prisma from '../config/prisma.js';
+
+// Import authentication middleware
+import { authenticateToken, requireSession } from '../middleware/auth.js';
+
+// Import TOTP helpers
+import { generateSecret, otpauthUrl, verifyCode } from '../utils/totp.js';
+
+// Import 2FA helpers
+import {
+  TOTP_ISSUER,
+  replaceRecoveryCodes,
+  verifySecondFactor,
+  countRecoveryCodes,
+} from '../utils/twoFactor.js';
+
+// Import the rate limiter - code checks here count like login attempts
+import { LIMITS, reserveAttempt, refundAttempt, tooManyAttempts } from '../utils/rateLimit.js';
+
+// Create router instance
+const router = express.Router();
+
+// All 2FA routes require a logged-in user (API tokens can't change 2FA settings)
+router.use(authenticateToken);
+router.use(requireSession);
+
+// GET 2FA STATUS
+// GET /api/auth/2fa
+// Returns: { enabled, recoveryCodesRemaining }
+router.get('/', async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.userId } });
+
+    res.json({
+      enabled: Boolean(user.totpEnabledAt),
+      recoveryCodesRemaining: user.totpEnabledAt ? await countRecoveryCodes(user.id) : 0,
+    });
+  } catch (error) {
+    console.error('Get 2FA status error:', error);
+    res.status(500).json({ error: 'Failed to fetch two-factor status' });
+  }
+});
+
+// START SETUP
+// POST /api/auth/2fa/setup
+// Creates a new secret for the user's authenticator app
+// Returns: { secret, otpauthUrl, qrCode } - qrCode is a data: URL for an <img>,
+// secret is for typing in by hand when the QR code can't be scanned
+// Calling it again replaces the secret (e.g. if the first scan went wrong)
+router.post('/setup', async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.userId } });
+
+    if (user.totpEnabledAt) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { totpSecret: secret, totpLastUsedStep: null },
+    });
+
+    const url = otpauthUrl(secret, user.email, TOTP_ISSUER);
+
+    res.json({
+      secret,
+      otpauthUrl: url,
+      qrCode: await QRCode.toDataURL(url),
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({ error: 'Failed to start two-factor setup' });
+  }
+});
+
+// CONFIRM SETUP
+// POST /api/auth/2fa/enable
+// Switches 2FA on once the user proves their app works
+// Body: { code } - the current code from the authenticator app
+// Returns: { message, recoveryCodes } - shown once, the user should store them safely
+router.post('/enable', async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await prisma.user.findUnique({ where: { id: req.userId } });
+
+    if (user.totpEnabledAt) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.totpSecret) {
+      return res.status(400).json({ error: 'Start two-factor setup first' });
+    }
+
+    // Recovery codes don't exist yet, so only app codes are accepted here
+    const step = verifyCode(user.totpSecret, typeof code === 'string' ? code.trim() : '');
+
+    if (step === null) {
+      return res.status(400).json({ error: 'Invalid code' });
+    }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { totpEnabledAt: new Date(), totpLastUsedStep: step },
+    });
+
+    const recoveryCodes = await replaceRecoveryCodes(user.id);
+
+    res.json({ message: 'Two-factor authentication enabled', recoveryCodes });
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+  }
+});
+
+// DISABLE 2FA
+// POST /api/auth/2fa/disable
+// Body: { password, code } - code is an app code or a recovery code
+// Both are required: a stolen session alone can't switch 2FA off
+router.post('/disable', async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    if (typeof password !== 'string' || typeof code !== 'string') {
+      return res.status(400).json({ error: 'Password and code are required' });
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: req.userId } });
+
+    if (!user.totpEnabledAt) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    // Counted before the password and code are checked, and given back if
+    // both are right (see POST /api/auth/login)
+    const limits = [[LIMITS.mfaUser, user.id]];
+    const { blocked } = await reserveAttempt(limits);
+    if (blocked) {
+      return tooManyAttempts(res, blocked);
+    }
+
+    if (!(await bcrypt.compare(password, user.password))) {
+      return res.status(400).json({ error: 'Incorrect password' });
+    }
+
+    if (!(await verifySecondFactor(user, code))) {
+      return res.status(400).json({ error: 'Invalid code' });
+    }
+
+    await refundAttempt(limits);
+
+    await prisma.$transaction([
+      prisma.user.update({
+        where: { id: user.id },
+        data: { totpSecret: null, totpEnabledAt: null, totpLastUsedStep: null },
+      }),
+      prisma.recoveryCode.deleteMany({ where: { userId: user.id } }),
+      prisma.mfaChallenge.deleteMany({ where: { userId: user.id } }),
+    ]);
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+  }
+});
+
+// REGENERATE RECOVERY CODES
+// POST /api/auth/2fa/recovery-codes
+// Replaces all recovery codes (e.g. after using most of them, or if they leaked)
+// Body: { code } - an app code or one of the old recovery codes
+// Returns: { recoveryCodes }
+router.post('/recovery-codes', async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await prisma.user.findUnique({ where: { id: req.userId } });
+
+    if (!user.totpEnabledAt) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    // Same limit as turning 2FA off - otherwise a stolen session could guess
+    // codes here and then take over the recovery codes
+    const limits = [[LIMITS.mfaUser, user.id]];
+    const { blocked } = await reserveAttempt(limits);
+    if (blocked) {
+      return tooManyAttempts(res, blocked);
+    }
+
+    if (!(await verifySecondFactor(user, code))) {
+      return res.status(400).json({ error: 'Invalid code' });
+    }
+
+    await refundAttempt(limits);
+
+    res.json({ recoveryCodes: await replaceRecoveryCodes(user.id) });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({ error: 'Failed to regenerate recovery codes' });
+  }
+});
+
+// Export router to be used in main app
+export default router;
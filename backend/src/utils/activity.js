@@ -0,0 +1,204 @@
+// Activity Helpers
+// Recording the audit trail (the ActivityEvent table) and reading it back in pages
+//
+// A change to a todo is recorded by comparing snapshots taken before and after it:
+//
+//   const before = await loadSnapshot(todoId);
+//   ...update the todo...
+//   await recordTodoChange({ actorId: req.userId, before, after: await loadSnapshot(todoId) });
+//
+// Snapshots hold human-readable values (the list's name, the assignee's email,
+// tag names) rather than IDs, so an event still reads well after the list is
+// renamed, the tag deleted or the todo itself is gone
+
+// Import Prisma client for database operations
+import prisma from '../config/prisma.js';
+
+// Page size limits for activity queries
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+// The related data a snapshot needs
+const SNAPSHOT_INCLUDE = {
+  list: { select: { name: true } },
+  assignee: { select: { email: true } },
+  tags: { select: { name: true }, orderBy: { name: 'asc' } },
+};
+
+// The tracked fields of a todo that doesn't exist (yet, or any more)
+// Diffing against it lists every field that has a value
+const EMPTY_FIELDS = {
+  title: null,
+  notes: null,
+  completed: false,
+  dueAt: null,
+  priority: null,
+  list: null,
+  assignee: null,
+  tags: [],
+  autoComplete: false,
+  recurrence: null,
+};
+
+// The actor comes back as { id, email } (or null for deleted accounts)
+const ACTOR_INCLUDE = {
+  actor: { select: { id: true, email: true } },
+};
+
+// Load what a todo looks like right now, for diffing later
+// Returns { id, title, listId, fields } or null if the todo doesn't exist
+export const loadSnapshot = async (todoId) => {
+  const todo = await prisma.todo.findUnique({
+    where: { id: todoId },
+    include: SNAPSHOT_INCLUDE,
+  });
+
+  if (!todo) {
+    return null;
+  }
+
+  return {
+    id: todo.id,
+    title: todo.title,
+    listId: todo.listId,
+    fields: {
+      title: todo.title,
+      notes: todo.notes,
+      completed: todo.completed,
+      dueAt: todo.dueAt?.toISOString() ?? null,
+      priority: todo.priority,
+      list: todo.list?.name ?? null,
+      assignee: todo.assignee?.email ?? null,
+      tags: todo.tags.map((tag) => tag.name),
+      autoComplete: todo.autoComplete,
+      recurrence: todo.recurrence,
+    },
+  };
+};
+
+// The fields that differ between two snapshots' fields
+// Returns { field: { from, to } }, or null when nothing changed
+// Either side may be null (the todo didn't exist), which compares against EMPTY_FIELDS
+export const diffFields = (before, after) => {
+  const from = before ?? EMPTY_FIELDS;
+  const to = after ?? EMPTY_FIELDS;
+  const changes = {};
+
+  for (const field of Object.keys(EMPTY_FIELDS)) {
+    // Values are plain JSON (strings, arrays, recurrence objects), so comparing
+    // their serialized form is a deep comparison
+    if (JSON.stringify(from[field]) !== JSON.stringify(to[field])) {
+      changes[field] = { from: from[field], to: to[field] };
+    }
+  }
+
+  return Object.keys(changes).length > 0 ? changes : null;
+};
+
+// Name an update by its most important change
+// Moving to another list wins over completing, which wins over (re)assigning
+const actionForChanges = (changes) => {
+  if (changes.list) {
+    return 'moved';
+  }
+  if (changes.completed) {
+    return changes.completed.to ? 'completed' : 'reopened';
+  }
+  if (changes.assignee && Object.keys(changes).length === 1) {
+    return 'assigned';
+  }
+  return 'updated';
+};
+
+// Append an event to the audit trail
+// - event: { action, actorId, todoId?, todoTitle?, listId?, changes? }
+//   (see the ActivityEvent model)
+// Never throws: a failing audit write is logged, but mustn't fail the change itself
+export const recordActivity = async ({ action, actorId, todoId, todoTitle, listId, changes }) => {
+  try {
+    await prisma.activityEvent.create({
+      data: {
+        action,
+        actorId,
+        todoId: todoId ?? null,
+        todoTitle: todoTitle ?? null,
+        listId: listId ?? null,
+        changes: changes ?? undefined,
+      },
+    });
+  } catch (error) {
+    console.error('Failed to record activity:', error);
+  }
+};
+
+// Record a change to a todo from its before/after snapshots (see loadSnapshot)
+// - before: null when the todo was just created
+// - after: null when the todo was just deleted for good (purged from the trash)
+// - action: overrides the action worked out from the changes
+// Nothing is recorded for an update that didn't change anything
+export const recordTodoChange = async ({ actorId, before, after, action }) => {
+  const changes = diffFields(before?.fields, after?.fields);
+
+  let eventAction = action;
+  if (!eventAction) {
+    if (!before) {
+      eventAction = 'created';
+    } else if (!after) {
+      eventAction = 'purged';
+    } else if (!changes) {
+      return;
+    } else {
+      eventAction = actionForChanges(changes);
+    }
+  }
+
+  // A purged todo is described by what it was
+  const todo = after ?? before;
+  await recordActivity({
+    action: eventAction,
+    actorId,
+    todoId: todo.id,
+    todoTitle: todo.title,
+    listId: todo.listId,
+    changes,
+  });
+};
+
+// Load one page of events, newest first
+// - where: a Prisma where-fragment choosing the events
+// - query: the request's query parameters, limit (1-100, default 50) and cursor
+//   (an event ID from the previous page's nextCursor)
+// Returns { value: { events, nextCursor } } or { error } for invalid parameters
+// - events: [{ id, action, todoId, todoTitle, listId, actor, changes, createdAt }]
+//   with actor as { id, email } (null once the account is deleted)
+export const findActivityPage = async (where, { limit = DEFAULT_LIMIT, cursor }) => {
+  const take = parseInt(limit);
+  if (isNaN(take) || take < 1 || take > MAX_LIMIT) {
+    return { error: `limit must be between 1 and ${MAX_LIMIT}` };
+  }
+
+  const cursorId = cursor !== undefined ? parseInt(cursor) : undefined;
+  if (cursorId !== undefined && isNaN(cursorId)) {
+    return { error: 'Invalid cursor' };
+  }
+
+  // IDs only ever grow, so ordering by ID is ordering by time - and unlike
+  // createdAt it never ties, which keyset pagination needs
+  // take + 1 fetches one extra row to find out if there's another page
+  const events = await prisma.activityEvent.findMany({
+    where: { ...where, ...(cursorId !== undefined && { id: { lt: cursorId } }) },
+    orderBy: { id: 'desc' },
+    include: ACTOR_INCLUDE,
+    take: take + 1,
+  });
+
+  const hasMore = events.length > take;
+  const page = hasMore ? events.slice(0, take) : events;
+
+  return {
+    value: {
+      events: page,
+      nextCursor: hasMore ? page[page.length - 1].id : null,
+    },
+  };
+};
@@ -0,0 +1,79 @@
+// Personal API Token Helpers
+// Long-lived tokens for scripts and integrations (CI jobs, shell scripts...)
+//
+// Unlike access tokens they aren't tied to a session and don't need refreshing:
+// they work until they expire (optional) or are revoked. To limit the damage
+// of a leaked token, each one only grants the scopes it was created with
+//
+// Tokens look like "tdp_<random>"; the prefix tells authenticateToken it's an
+// API token rather than a JWT, and makes leaked tokens easy to search for
+// Only a SHA-256 hash is stored, like refresh tokens
+
+// Import Node's crypto module for random tokens
+import crypto from 'crypto';
+
+// Import Prisma client for database operations
+import prisma from '../config/prisma.js';
+
+// Import the token hash shared with refresh and reset tokens
+import { hashToken } from './tokens.js';
+
+// Prefix of every API token
+export const API_TOKEN_PREFIX = 'tdp_';
+
+// Scopes a token can be granted, with what they allow
+// Session logins (the web app) implicitly have all of them
+export const SCOPES = {
+  'todos:read': 'Read todos, lists, tags and search results',
+  'todos:write': 'Create, change and delete todos, lists and tags',
+};
+
+// Characters of the token kept in plain text, so users can tell tokens apart
+// e.g. "tdp_Xk3a" - far too short to be guessable
+const VISIBLE_PREFIX_LENGTH = API_TOKEN_PREFIX.length + 4;
+
+// lastUsedAt is only written when it's older than this (like session lastSeenAt)
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+// Create a token
+// - expiresAt: Date, or null for a token that doesn't expire
+// Returns { apiToken, token } - token is the raw value, shown to the user once
+export const createApiToken = async (userId, { name, scopes, expiresAt }) => {
+  const token = API_TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+
+  const apiToken = await prisma.apiToken.create({
+    data: {
+      userId,
+      name,
+      scopes,
+      tokenHash: hashToken(token),
+      tokenPrefix: token.slice(0, VISIBLE_PREFIX_LENGTH),
+      expiresAt,
+    },
+  });
+
+  return { apiToken, token };
+};
+
+// Record that a token was just used (throttled, see LAST_USED_INTERVAL_MS)
+export const touchApiToken = async (apiToken) => {
+  if (apiToken.lastUsedAt && Date.now() - apiToken.lastUsedAt.getTime() < LAST_USED_INTERVAL_MS) {
+    return;
+  }
+
+  await prisma.apiToken.update({
+    where: { id: apiToken.id },
+    data: { lastUsedAt: new Date() },
+  });
+};
+
+// Token fields returned to the client (never the hash)
+export const publicApiToken = (apiToken) => ({
+  id: apiToken.id,
+  name: apiToken.name,
+  scopes: apiToken.scopes,
+  tokenPrefix: apiToken.tokenPrefix,
+  expiresAt: apiToken.expiresAt,
+  lastUsedAt: apiToken.lastUsedAt,
+  createdAt: apiToken.createdAt,
+});
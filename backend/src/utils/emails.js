@@ -0,0 +1,87 @@
+// Email Messages
+// The emails the app sends, built from plain-text templates and sent with the mailer
+
+// Import the mailer
+import { sendMail } from './mailer.js';
+
+// Base URL of the frontend, used to build links in emails
+const appUrl = () => process.env.APP_URL || 'http://localhost:5173';
+
+// Password reset email
+// - token: the raw reset token (only its hash is stored)
+// - ttlMinutes: how long the link is valid, mentioned in the text
+export const sendPasswordResetEmail = (email, token, ttlMinutes) => {
+  // The frontend opens the reset screen when it sees ?resetToken= in the URL
+  const link = `${appUrl()}/?resetToken=${encodeURIComponent(token)}`;
+
+  return sendMail({
+    to: email,
+    subject: 'Reset your password',
+    text:
+      `Someone (hopefully you) asked to reset the password for ${email}.\n\n` +
+      `Open this link to choose a new password:\n${link}\n\n` +
+      `The link expires in ${ttlMinutes} minutes and can only be used once.\n` +
+      `If you didn't ask for this, you can ignore this email.`,
+  });
+};
+
+// Email verification email
+// - token: the raw verification token (only its hash is stored)
+// - ttlHours: how long the link is valid, mentioned in the text
+export const sendVerificationEmail = (email, token, ttlHours) => {
+  // The frontend verifies the address when it sees ?verifyToken= in the URL
+  const link = `${appUrl()}/?verifyToken=${encodeURIComponent(token)}`;
+
+  return sendMail({
+    to: email,
+    subject: 'Verify your email address',
+    text:
+      `Welcome! Please confirm that ${email} is your email address:\n${link}\n\n` +
+      `The link expires in ${ttlHours} hours.\n` +
+      `If you didn't create an account, you can ignore this email.`,
+  });
+};
+
+// List invitation email, sent when someone is added to a shared list
+// - inviterEmail: who shared the list
+// - role: viewer, editor or owner, mentioned in the text
+export const sendListInvitationEmail = (email, { listName, inviterEmail, role }) => {
+  const article = role === 'viewer' ? 'a' : 'an';
+
+  return sendMail({
+    to: email,
+    subject: `${inviterEmail} shared "${listName}" with you`,
+    text:
+      `${inviterEmail} added you to the list "${listName}" as ${article} ${role}.\n\n` +
+      `It now appears with your other lists:\n${appUrl()}\n`,
+  });
+};
+
+// Assignment email, sent when someone else assigns a todo to the user
+// - assignerEmail: who assigned it
+export const sendTodoAssignedEmail = (email, { todoTitle, assignerEmail }) => {
+  return sendMail({
+    to: email,
+    subject: `You were assigned "${todoTitle}"`,
+    text:
+      `${assignerEmail} assigned the todo "${todoTitle}" to you.\n\n` +
+      `See everything assigned to you:\n${appUrl()}/?assignee=me\n`,
+  });
+};
+
+// Mention email, sent when someone mentions the user in a comment
+// - authorEmail: who wrote the comment
+// - body: the comment text, quoted in the email
+export const sendMentionEmail = (email, { todoTitle, authorEmail, body }) => {
+  return sendMail({
+    to: email,
+    subject: `${authorEmail} mentioned you on "${todoTitle}"`,
+    text:
+      `${authorEmail} mentioned you in a comment on "${todoTitle}":\n\n` +
+      body
+        .split('\n')
+        .map((line) => `> ${line}`)
+        .join('\n') +
+      `\n\nReply in the app:\n${appUrl()}\n`,
+  });
+};
@@ -0,0 +1,216 @@
+// Live Event Helpers
+// Pushing todo and list changes to connected clients (GET /api/events)
+//
+// How a change reaches the other members of a list:
+// 1. Once a request that changes data has finished, broadcastChanges (middleware
+//    on every such route) calls publishChanges, which loads every todo, list
+//    and tombstone changed since the last publish (see utils/sync.js)
+// 2. Each change becomes an event with the IDs of the users allowed to see it,
+//    which is handed to the broker
+// 3. The broker delivers every event to every backend process, and each
+//    process writes it to its own clients' streams - to the users in userIds only
+//
+// The broker is pluggable: the default one only reaches this process, which is
+// all a single server needs. With several processes behind a load balancer,
+// plug in one that goes through shared infrastructure (Redis pub/sub, Postgres
+// LISTEN/NOTIFY, ...) with setEventBroker - any object with:
+// - publish(event): send an event to every process (JSON-serializable)
+// - subscribe(listener): call listener(event) for every event; returns an
+//   unsubscribe function
+//
+// Events are { id, type, data, userIds }:
+// - todo: a todo was created or changed (data: the todo, flat like in GET /api/sync)
+// - todo-deleted: a todo was deleted, or moved somewhere the user can't see it (data: { id })
+// - list: a list was created, renamed or shared with the user (data: the list)
+// - list-deleted: a list was deleted, or the user lost access to it (data: { id })
+// id is the change number, which a client sends back as Last-Event-ID to
+// resume after a disconnect. Publishes run one after the other, each picking
+// up where the last one stopped, so events go out in change order: a client
+// that has an event has every earlier one it should see
+
+// Import the built-in event emitter the default broker is made of
+import { EventEmitter } from 'node:events';
+
+// Import Prisma client for database operations
+import prisma from '../config/prisma.js';
+
+// Import the change queries shared with delta sync
+import { SYNC_TODO_INCLUDE, SYNC_LIST_SELECT, currentCursor } from './sync.js';
+
+// Requests that only read data can't change anything worth broadcasting
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// The default broker: events go straight to the subscribers in this process
+export const createMemoryBroker = () => {
+  const emitter = new EventEmitter();
+  // One listener per process, but don't warn if someone subscribes more
+  emitter.setMaxListeners(0);
+
+  return {
+    publish: async (event) => {
+      emitter.emit('event', event);
+    },
+    subscribe: (listener) => {
+      emitter.on('event', listener);
+      return () => emitter.off('event', listener);
+    },
+  };
+};
+
+// The open streams in this process: userId -> Set of send(event) functions
+const clients = new Map();
+
+// Write an event to the streams of the users it's for
+const deliver = (event) => {
+  for (const userId of event.userIds) {
+    for (const send of clients.get(userId) ?? []) {
+      send(event);
+    }
+  }
+};
+
+let broker = null;
+let unsubscribe = null;
+
+// Swap the broker (call once at startup, before clients connect)
+export const setEventBroker = (newBroker) => {
+  unsubscribe?.();
+  broker = newBroker;
+  unsubscribe = broker.subscribe(deliver);
+};
+
+setEventBroker(createMemoryBroker());
+
+// Register a stream for a user
+// - send(event): called with every event for the user
+// Returns a function that unregisters it (call it when the connection closes)
+export const addClient = (userId, send) => {
+  if (!clients.has(userId)) {
+    clients.set(userId, new Set());
+  }
+  clients.get(userId).add(send);
+
+  return () => {
+    const sends = clients.get(userId);
+    sends.delete(send);
+    if (sends.size === 0) {
+      clients.delete(userId);
+    }
+  };
+};
+
+// The members of each list, by list ID - who sees the list and its todos
+const loadAudiences = async (listIds) => {
+  const members = await prisma.listMember.findMany({
+    where: { listId: { in: [...new Set(listIds)] } },
+    select: { listId: true, userId: true },
+  });
+
+  const audiences = new Map();
+  for (const { listId, userId } of members) {
+    audiences.set(listId, [...(audiences.get(listId) ?? []), userId]);
+  }
+  return audiences;
+};
+
+// Turn the changes numbered after `from`, up to `to`, into events and publish them
+// Changes are published in order of their number, so a todo moved between two
+// of a user's lists arrives as todo-deleted (from the old list) then todo
+const publishRange = async (from, to) => {
+  const range = { changeSeq: { gt: from, lte: to } };
+  const todos = await prisma.todo.findMany({ where: range, include: SYNC_TODO_INCLUDE });
+  const lists = await prisma.list.findMany({ where: range, select: SYNC_LIST_SELECT });
+  const memberships = await prisma.listMember.findMany({
+    where: range,
+    include: { list: { select: SYNC_LIST_SELECT } },
+  });
+  const tombstones = await prisma.syncTombstone.findMany({
+    where: { ...range, type: { in: ['todo', 'list'] } },
+  });
+
+  // A todo in a list is for the list's members, an Inbox todo for its owner
+  const audiences = await loadAudiences([
+    ...todos.map((todo) => todo.listId),
+    ...lists.map((list) => list.id),
+    ...tombstones.map((tombstone) => tombstone.listId),
+  ]);
+  const audienceOf = ({ listId, userId }) =>
+    listId === null ? [userId] : (audiences.get(listId) ?? []);
+
+  const events = [
+    ...todos.map((todo) =>
+      todo.deletedAt === null
+        ? { id: todo.changeSeq, type: 'todo', data: todo, userIds: audienceOf(todo) }
+        : {
+            id: todo.changeSeq,
+            type: 'todo-deleted',
+            data: { id: todo.id },
+            userIds: audienceOf(todo),
+          }
+    ),
+    ...lists.map((list) => ({
+      id: list.changeSeq,
+      type: 'list',
+      data: list,
+      userIds: audiences.get(list.id) ?? [],
+    })),
+    // A new member (or a new role) - only news to that member
+    ...memberships.map((member) => ({
+      id: member.changeSeq,
+      type: 'list',
+      data: member.list,
+      userIds: [member.userId],
+    })),
+    ...tombstones.map((tombstone) => ({
+      id: tombstone.changeSeq,
+      type: tombstone.type === 'todo' ? 'todo-deleted' : 'list-deleted',
+      data: { id: tombstone.entityId },
+      // A list tombstone is for the member who lost it (listId is set, but
+      // they're not in the list any more)
+      userIds: tombstone.type === 'todo' ? audienceOf(tombstone) : [tombstone.userId],
+    })),
+  ];
+
+  events.sort((a, b) => a.id - b.id);
+  for (const event of events) {
+    if (event.userIds.length > 0) {
+      await broker.publish(event);
+    }
+  }
+};
+
+// The change number everything up to has been published (null until the first
+// publish, which only sets the starting point), and the publish in progress
+let published = null;
+let publishing = Promise.resolve();
+
+// Publish every change since the last publish
+// Calls are queued, so ranges never overlap or go out of order. A failed
+// publish is logged and its changes go out with the next one
+// With several backend processes each one publishes every change, so clients
+// get each event once per process - applying it twice does no harm
+export const publishChanges = () => {
+  publishing = publishing
+    .then(async () => {
+      // Every change up to the cursor is committed (see currentCursor)
+      const to = await currentCursor();
+      if (published !== null && to > published) {
+        await publishRange(published, to);
+      }
+      published = Math.max(published ?? 0, to);
+    })
+    .catch((error) => {
+      console.error('Failed to broadcast changes:', error);
+    });
+  return publishing;
+};
+
+// Middleware: broadcast whatever the request changed, once it's done
+// Runs for requests that can change data (anything but GET/HEAD/OPTIONS)
+// Failures are only logged - the change itself has already been made
+export const broadcastChanges = (req, res, next) => {
+  if (!SAFE_METHODS.includes(req.method)) {
+    res.on('finish', publishChanges);
+  }
+  next();
+};
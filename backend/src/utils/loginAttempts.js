@@ -0,0 +1,31 @@
+// Login Attempt Audit Log
+// Records failed and blocked login/signup attempts in the LoginAttempt table,
+// so attacks (password guessing, credential stuffing) can be looked into later
+
+// Import Prisma client for database operations
+import prisma from '../config/prisma.js';
+
+// Longest user agent we store (same limit as sessions)
+const MAX_USER_AGENT_LENGTH = 255;
+
+// Record an attempt
+// - req: the request (for the IP address and user agent)
+// - attempt: { action, outcome, reason, email?, userId? } - see the LoginAttempt model
+// Never throws: a failing audit write is logged, but mustn't break the login itself
+export const recordLoginAttempt = async (req, { action, outcome, reason, email, userId }) => {
+  try {
+    await prisma.loginAttempt.create({
+      data: {
+        action,
+        outcome,
+        reason,
+        email: email ?? null,
+        userId: userId ?? null,
+        ip: req.ip ?? null,
+        userAgent: req.get('user-agent')?.slice(0, MAX_USER_AGENT_LENGTH) ?? null,
+      },
+    });
+  } catch (error) {
+    console.error('Failed to record login attempt:', error);
+  }
+};
@@ -0,0 +1,96 @@
+// Mailer
+// Sends emails (password reset links, ...) through a pluggable transport
+//
+// A transport is any object with an async send({ from, to, subject, text, html })
+// method. Three are built in, picked with the MAIL_TRANSPORT environment variable:
+// - console (default): prints emails to the server log - handy in development
+// - file: writes each email as a JSON file to MAIL_DIR - tests can read them back
+// - smtp: delivers real emails through an SMTP server (SMTP_* variables)
+// Other transports (an email API, a queue...) can be plugged in with setTransport()
+
+// Import Node's file system and path helpers for the file transport
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// Import nodemailer for the SMTP transport
+import nodemailer from 'nodemailer';
+
+// Sender address used when a message doesn't set one
+const DEFAULT_FROM = 'Todo App <no-reply@localhost>';
+
+// SMTP transport
+// nodemailer handles the SMTP conversation, TLS and authentication
+export const createSmtpTransport = ({ host, port = 587, secure = false, user, pass }) => {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    // secure: true uses TLS from the start (port 465); false upgrades with STARTTLS
+    secure,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    send: (message) => transporter.sendMail(message),
+  };
+};
+
+// File transport
+// Each email becomes <timestamp>-<random>.json in dir, so nothing is ever
+// actually sent - tests can read the newest file to get at a link
+export const createFileTransport = (dir) => ({
+  send: async (message) => {
+    await fs.mkdir(dir, { recursive: true });
+    const name = `${Date.now()}-${Math.random().toString(36).slice(2)}.json`;
+    await fs.writeFile(path.join(dir, name), JSON.stringify(message, null, 2));
+  },
+});
+
+// Console transport
+// Prints the plain text version, which is enough to copy a link from
+export const createConsoleTransport = () => ({
+  send: async (message) => {
+    console.log(`📧 Email to ${message.to}: ${message.subject}\n${message.text}`);
+  },
+});
+
+// Build the transport configured by environment variables
+export const createTransportFromEnv = (env = process.env) => {
+  switch (env.MAIL_TRANSPORT || 'console') {
+    case 'smtp':
+      return createSmtpTransport({
+        host: env.SMTP_HOST,
+        port: parseInt(env.SMTP_PORT) || undefined,
+        secure: env.SMTP_SECURE === 'true',
+        user: env.SMTP_USER,
+        pass: env.SMTP_PASS,
+      });
+    case 'file':
+      return createFileTransport(env.MAIL_DIR || path.join(os.tmpdir(), 'todo-app-mail'));
+    case 'console':
+      return createConsoleTransport();
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT: ${env.MAIL_TRANSPORT}`);
+  }
+};
+
+// The transport in use - created from the environment on first use
+let transport = null;
+
+// Replace the transport (e.g. with a custom one, or an in-memory one in tests)
+export const setTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+// Send an email
+// message: { to, subject, text, html? } - from defaults to MAIL_FROM
+export const sendMail = async (message) => {
+  if (!transport) {
+    transport = createTransportFromEnv();
+  }
+
+  return transport.send({
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    ...message,
+  });
+};
@@ -0,0 +1,65 @@
+// Mention Helpers
+// Finding "@email" mentions in comment bodies and notifying the mentioned users
+//
+// A mention is an @ followed by an email address, at the start of the text or
+// after a space or opening bracket: "thanks @sam@example.com!" mentions
+// sam@example.com. Only people who can see the todo are notified - mentioning
+// anyone else does nothing, so a comment can't be used to probe for accounts
+
+// Import Prisma client for database operations
+import prisma from '../config/prisma.js';
+
+// Import the permission rules (who can see a todo)
+import { usersWithAccess } from './permissions.js';
+
+// Import the mention email
+import { sendMentionEmail } from './emails.js';
+
+// "@" + an email address; the lookbehind keeps "me@x.com" itself from counting
+// as a mention of "x.com"
+// Trailing punctuation (".", ",", "!" ...) isn't part of the address
+const MENTION_PATTERN = /(?<=^|[\s(])@([\w.%+-]+@[\w-]+(?:\.[\w-]+)*\.[a-z]{2,})/gi;
+
+// Email addresses mentioned in a text, lowercased and without duplicates
+export const parseMentions = (text) => {
+  const emails = [...text.matchAll(MENTION_PATTERN)].map((match) => match[1].toLowerCase());
+  return [...new Set(emails)];
+};
+
+// Email the users mentioned in a comment
+// - todo: the todo the comment is on
+// - author: the comment's author ({ id, email }) - never notified about themselves
+// - body: the comment text
+// - previousBody: the text before an edit, so only new mentions are notified
+// Sending isn't awaited by callers' responses: failures are only logged
+export const notifyMentions = async ({ todo, author, body, previousBody = '' }) => {
+  const alreadyMentioned = parseMentions(previousBody);
+  const emails = parseMentions(body).filter((email) => !alreadyMentioned.includes(email));
+
+  if (emails.length === 0) {
+    return;
+  }
+
+  const allowedIds = await usersWithAccess(todo.listId, todo.userId);
+
+  // Emails are stored as typed at signup, so compare case-insensitively
+  const users = await prisma.user.findMany({
+    where: {
+      id: { in: allowedIds.filter((id) => id !== author.id) },
+      OR: emails.map((email) => ({ email: { equals: email, mode: 'insensitive' } })),
+    },
+    select: { email: true },
+  });
+
+  await Promise.all(
+    users.map((user) =>
+      sendMentionEmail(user.email, {
+        todoTitle: todo.title,
+        authorEmail: author.email,
+        body,
+      }).catch((error) => {
+        console.error('Failed to send mention email:', error);
+      })
+    )
+  );
+};
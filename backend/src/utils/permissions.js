@@ -0,0 +1,97 @@
+// Permissions
+// Who may do what with lists and todos - the rules behind the authorize*
+// middleware (middleware/authorize.js) and the queries that list data
+//
+// Access goes by role:
+// - A list's members have the role stored in ListMember: viewer, editor or owner
+// - Todos in a list inherit their members' roles
+// - Todos without a list (the Inbox) are private: their creator is the owner,
+//   nobody else has any access
+//
+// What each role allows:
+// - viewer: read the list and its todos
+// - editor: also create, change, complete, reorder and delete todos
+// - owner:  also rename or delete the list and manage its members
+
+// Import Prisma client for database operations
+import prisma from '../config/prisma.js';
+
+// Roles from least to most access
+// Must stay in sync with the ListRole enum in prisma/schema.prisma
+export const ROLES = ['viewer', 'editor', 'owner'];
+
+// Whether a role includes at least the access of another
+// e.g. hasRole('owner', 'editor') is true, hasRole('viewer', 'editor') is false
+// A null role (no access at all) never qualifies
+export const hasRole = (role, minimumRole) =>
+  role !== null && ROLES.indexOf(role) >= ROLES.indexOf(minimumRole);
+
+// Prisma where-fragment matching every todo a user can see:
+// their own Inbox todos, and todos in lists they're a member of
+export const visibleTodosWhere = (userId) => ({
+  OR: [{ listId: null, userId }, { list: { members: { some: { userId } } } }],
+});
+
+// Prisma where-fragment matching every todo a user can edit:
+// their own Inbox todos, and todos in lists where they're an editor or owner
+export const editableTodosWhere = (userId) => ({
+  OR: [
+    { listId: null, userId },
+    { list: { members: { some: { userId, role: { in: ['editor', 'owner'] } } } } },
+  ],
+});
+
+// Prisma where-fragment matching every list a user is a member of
+export const visibleListsWhere = (userId) => ({
+  members: { some: { userId } },
+});
+
+// A user's role in a list, or null if they aren't a member
+export const getListRole = async (userId, listId) => {
+  const member = await prisma.listMember.findUnique({
+    where: { listId_userId: { listId, userId } },
+  });
+  return member?.role ?? null;
+};
+
+// A user's role for a todo, or null if they can't see it
+export const getTodoRole = async (userId, todo) => {
+  if (todo.listId === null) {
+    return todo.userId === userId ? 'owner' : null;
+  }
+  return getListRole(userId, todo.listId);
+};
+
+// IDs of every user who can see a todo - the people it can be assigned to
+// - listId: the todo's list (null for the Inbox)
+// - creatorId: the todo's creator, the only one with access to an Inbox todo
+export const usersWithAccess = async (listId, creatorId) => {
+  if (listId === null) {
+    return [creatorId];
+  }
+
+  const members = await prisma.listMember.findMany({
+    where: { listId },
+    select: { userId: true },
+  });
+  return members.map((member) => member.userId);
+};
+
+// Prisma where-fragment matching every activity event a user can see (see ActivityEvent):
+// events in lists they're a member of, and their own Inbox events - only the
+// owner can change an Inbox todo, so those are the events they made themselves
+// Async because events don't reference lists with a foreign key: the user's
+// list IDs are looked up first
+export const visibleActivityWhere = async (userId) => {
+  const memberships = await prisma.listMember.findMany({
+    where: { userId },
+    select: { listId: true },
+  });
+
+  return {
+    OR: [
+      { listId: null, actorId: userId },
+      { listId: { in: memberships.map((member) => member.listId) } },
+    ],
+  };
+};
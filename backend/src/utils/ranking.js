@@ -0,0 +1,146 @@
+// Ranking Helpers
+// Lexicographic "fractional" positions for manually ordered todos
+//
+// Why strings instead of integers?
+// With integer positions (1, 2, 3...), moving a todo to the top means
+// renumbering every todo below it. With string keys we can always invent
+// a new key that sorts between any two existing keys:
+//   between('a', 'b')  -> 'ai'
+//   between('a', 'ai') -> 'ah'
+// So a drag-and-drop reorder only ever updates the row that moved.
+//
+// Keys use the digits 0-9 and letters a-z and never end in '0' (the smallest
+// digit) - that guarantees there is always room for a key in between.
+//
+// Most keys are made at the ends (every new todo goes on top), so keys without
+// one of the bounds count up or down by one instead of halving the gap:
+//   before('i') -> 'h', 'g', ... '1', then '0z', '0y', ... '01', then '00zz'...
+// Whenever a length runs out the next one is twice as long, which has room for
+// vastly more keys - so keys stay short however many todos a list has seen.
+// The position column uses the "C" collation so PostgreSQL compares keys
+// byte by byte, exactly like JavaScript's < operator.
+
+// Import Prisma client for database operations
+import prisma from '../config/prisma.js';
+
+const DIGITS = '0123456789abcdefghijklmnopqrstuvwxyz';
+
+// Add delta (1 or -1) to a key read as a number with `width` digits
+// (missing digits count as '0')
+// Returns null when the result doesn't fit in width digits
+const addToKey = (key, width, delta) => {
+  const digits = [...key.padEnd(width, '0')].map((digit) => DIGITS.indexOf(digit));
+
+  // Carry (or borrow) from the last digit towards the first
+  let i = width - 1;
+  for (; i >= 0; i--) {
+    digits[i] += delta;
+    if (digits[i] >= 0 && digits[i] < DIGITS.length) break;
+    digits[i] = delta > 0 ? 0 : DIGITS.length - 1;
+  }
+  if (i < 0) {
+    return null;
+  }
+
+  return digits.map((digit) => DIGITS[digit]).join('');
+};
+
+// The next key after (delta 1) or before (delta -1) a key, at the key's length,
+// or twice as long once that length has no room left
+// Keys can't end in '0', so one that would takes another step
+// (which can't end in '0' again)
+const stepKey = (key, delta) => {
+  for (let width = key.length; ; width *= 2) {
+    let next = addToKey(key, width, delta);
+    if (next !== null && next.endsWith('0')) {
+      next = addToKey(next, width, delta);
+    }
+    if (next !== null) return next;
+  }
+};
+
+const rankAfter = (a) => stepKey(a, 1);
+const rankBefore = (b) => stepKey(b, -1);
+
+// Generate a key that sorts strictly between a and b
+// - a: lower bound ('' means "no lower bound")
+// - b: upper bound (null means "no upper bound")
+// Callers must ensure a < b
+export const rankBetween = (a, b) => {
+  // Only one bound: count away from it
+  if (a === '' && b !== null) {
+    return rankBefore(b);
+  }
+  if (a !== '' && b === null) {
+    return rankAfter(a);
+  }
+
+  if (b !== null) {
+    // Copy the shared prefix, then find a key between the remainders
+    // Missing digits in a count as '0' (e.g. 'a' is treated like 'a0')
+    let n = 0;
+    while ((a[n] || '0') === b[n]) {
+      n++;
+    }
+    if (n > 0) {
+      return b.slice(0, n) + rankBetween(a.slice(n), b.slice(n));
+    }
+  }
+
+  // First digits differ
+  const digitA = a ? DIGITS.indexOf(a[0]) : 0;
+  const digitB = b !== null ? DIGITS.indexOf(b[0]) : DIGITS.length;
+
+  // Room for a digit in between? Pick the middle one
+  if (digitB - digitA > 1) {
+    return DIGITS[Math.round((digitA + digitB) / 2)];
+  }
+
+  // Adjacent digits: if b has more digits, its first digit alone sorts between
+  // (e.g. between('a', 'b5') -> 'b')
+  if (b !== null && b.length > 1) {
+    return b.slice(0, 1);
+  }
+
+  // Otherwise keep a's first digit and look for room after it
+  // (e.g. between('a', 'b') -> 'a' + between('', null) -> 'ai',
+  // between('az', 'b') -> 'a' + between('z', null) -> 'az1')
+  return DIGITS[digitA] + rankBetween(a.slice(1), null);
+};
+
+// Position that sorts before every todo matching a where clause
+// Used for new top-level todos, which appear at the top of their list
+export const positionAtTop = async (where) => {
+  const first = await prisma.todo.findFirst({
+    where,
+    orderBy: { position: 'asc' },
+    select: { position: true },
+  });
+  return rankBetween('', first ? first.position : null);
+};
+
+// Position that sorts after every todo matching a where clause
+// Used for new subtasks, which are added as the last step
+export const positionAtBottom = async (where) => {
+  const last = await prisma.todo.findFirst({
+    where,
+    orderBy: { position: 'desc' },
+    select: { position: true },
+  });
+  return rankBetween(last ? last.position : '', null);
+};
+
+// Where-clause for the todos that share one manual ordering with a todo
+// - subtasks: the steps under the same parent
+// - todos in a list: the list's top-level todos, whoever created them
+//   (a shared list has a single order that all members see)
+// - Inbox todos: the user's own top-level todos without a list
+export const orderingScope = ({ userId, listId, parentId }) => {
+  if (parentId !== null) {
+    return { parentId };
+  }
+  if (listId !== null) {
+    return { listId, parentId: null };
+  }
+  return { userId, listId: null, parentId: null };
+};
@@ -0,0 +1,355 @@
+// Rate Limiting
+// Slows down password guessing on login (and mass signups, reset emails and
+// 2FA codes) with exponential backoff and a temporary lockout
+//
+// Each limiter counts failures per key (an IP address, an account...):
+// - the first few failures are free
+// - after that, each failure makes the key wait before the next attempt:
+//   baseDelay, then twice as long, then four times... (exponential backoff)
+// - after lockoutAfter failures the key is locked for lockoutMs
+// - the count is forgotten windowMs after the last failure
+//
+// Attempts are counted before they're made, not after they fail: otherwise a
+// burst of parallel guesses would all pass the check before the first failure
+// is counted. An attempt that turns out fine gives its count back (refund)
+//
+// The counts live in a store. A store is any object with four async methods:
+// - take(key, windowMs, isBlocked): atomically (no other take or hit for the
+//   key in between) call isBlocked(entry) with the current { count, lastAt }
+//   or null, and unless it returns something truthy, add one to the count.
+//   Returns { blocked } (what isBlocked returned) or { count }
+// - hit(key, windowMs): add one failure, return { count, lastAt } (atomically!)
+// - refund(key): take one back off the count (never below zero)
+// - reset(key): forget the key
+// Two are built in, picked with the RATE_LIMIT_STORE environment variable:
+// - memory (default): a Map in this process - fine for a single backend instance
+// - database: a table in PostgreSQL, shared by every backend instance
+// Others (e.g. Redis) can be plugged in with setRateLimitStore()
+
+// Import Prisma client for the database store
+import prisma from '../config/prisma.js';
+
+// How often expired entries are cleaned up
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+// Memory store
+// Counts are lost on restart and not shared between instances
+export const createMemoryStore = () => {
+  const entries = new Map();
+
+  const isExpired = (entry) => entry.expiresAt <= Date.now();
+
+  // Drop expired entries now and then so the Map doesn't grow forever
+  // unref() lets the process exit even though the timer is still scheduled
+  setInterval(() => {
+    for (const [key, entry] of entries) {
+      if (isExpired(entry)) entries.delete(key);
+    }
+  }, SWEEP_INTERVAL_MS).unref();
+
+  const current = (key) => {
+    const entry = entries.get(key);
+    return entry && !isExpired(entry) ? { count: entry.count, lastAt: entry.lastAt } : null;
+  };
+
+  // No await between reading and writing an entry, so each call is atomic
+  const hit = async (key, windowMs) => {
+    const count = (current(key)?.count ?? 0) + 1;
+    const lastAt = new Date();
+    entries.set(key, { count, lastAt, expiresAt: Date.now() + windowMs });
+    return { count, lastAt };
+  };
+
+  return {
+    take: async (key, windowMs, isBlocked) => {
+      const blocked = isBlocked(current(key));
+      if (blocked) return { blocked };
+      const { count } = await hit(key, windowMs);
+      return { count };
+    },
+    hit,
+    refund: async (key) => {
+      const entry = entries.get(key);
+      if (entry && entry.count > 0) entry.count -= 1;
+    },
+    reset: async (key) => {
+      entries.delete(key);
+    },
+  };
+};
+
+// Database store
+// Uses the RateLimit table; hit and refund are single statements and take
+// locks the key's row, so concurrent attempts from several instances are all
+// counted and checked one after the other
+export const createDatabaseStore = () => {
+  setInterval(() => {
+    prisma.rateLimit
+      .deleteMany({ where: { expiresAt: { lte: new Date() } } })
+      .catch((error) => console.error('Rate limit cleanup error:', error));
+  }, SWEEP_INTERVAL_MS).unref();
+
+  return {
+    hit: async (key, windowMs) => {
+      // Times come from here rather than NOW(), so they're stored in UTC like
+      // every other timestamp Prisma writes, whatever the database time zone
+      const now = new Date();
+      const expiresAt = new Date(now.getTime() + windowMs);
+
+      // Start again at 1 if the previous entry expired
+      const [entry] = await prisma.$queryRaw`
+        INSERT INTO "RateLimit" ("key", "count", "lastAt", "expiresAt")
+        VALUES (${key}, 1, ${now}, ${expiresAt})
+        ON CONFLICT ("key") DO UPDATE SET
+          "count" = CASE WHEN "RateLimit"."expiresAt" <= ${now} THEN 1
+                         ELSE "RateLimit"."count" + 1 END,
+          "lastAt" = EXCLUDED."lastAt",
+          "expiresAt" = EXCLUDED."expiresAt"
+        RETURNING "count", "lastAt"`;
+
+      return entry;
+    },
+    take: (key, windowMs, isBlocked) =>
+      prisma.$transaction(async (tx) => {
+        // Make sure there's a row to lock - an empty one that has already expired
+        const created = new Date();
+        await tx.$executeRaw`
+          INSERT INTO "RateLimit" ("key", "count", "lastAt", "expiresAt")
+          VALUES (${key}, 0, ${created}, ${created})
+          ON CONFLICT ("key") DO NOTHING`;
+
+        // FOR UPDATE makes any other take for this key wait until we're done
+        const [row] = await tx.$queryRaw`
+          SELECT "count", "lastAt", "expiresAt" FROM "RateLimit"
+          WHERE "key" = ${key}
+          FOR UPDATE`;
+
+        const now = new Date();
+        const entry = row.expiresAt > now ? { count: row.count, lastAt: row.lastAt } : null;
+        const blocked = isBlocked(entry);
+        if (blocked) return { blocked };
+
+        const count = (entry?.count ?? 0) + 1;
+        await tx.rateLimit.update({
+          where: { key },
+          data: { count, lastAt: now, expiresAt: new Date(now.getTime() + windowMs) },
+        });
+        return { count };
+      }),
+    refund: async (key) => {
+      await prisma.rateLimit.updateMany({
+        where: { key, count: { gt: 0 } },
+        data: { count: { decrement: 1 } },
+      });
+    },
+    reset: async (key) => {
+      await prisma.rateLimit.deleteMany({ where: { key } });
+    },
+  };
+};
+
+// Build the store configured by environment variables
+export const createStoreFromEnv = (env = process.env) => {
+  switch (env.RATE_LIMIT_STORE || 'memory') {
+    case 'memory':
+      return createMemoryStore();
+    case 'database':
+      return createDatabaseStore();
+    default:
+      throw new Error(`Unknown RATE_LIMIT_STORE: ${env.RATE_LIMIT_STORE}`);
+  }
+};
+
+// The store in use - created from the environment on first use
+let store = null;
+
+const getStore = () => {
+  if (!store) {
+    store = createStoreFromEnv();
+  }
+  return store;
+};
+
+// Replace the store (e.g. with a Redis one, or a fresh memory store in tests)
+export const setRateLimitStore = (newStore) => {
+  store = newStore;
+};
+
+// Limiter settings
+// - prefix: namespaces the keys (e.g. "login:ip")
+// - freeAttempts: failures allowed before any waiting
+// - baseDelayMs / maxDelayMs: first backoff delay, and the most it grows to
+// - lockoutAfter / lockoutMs: failures that lock the key, and for how long
+// - windowMs: how long failures are remembered (must be >= lockoutMs)
+export const LIMITS = {
+  // Per account: a handful of tries, then backoff, then a 15 minute lockout
+  // (a lockout also affects the real owner - the per-IP limit below is what
+  // stops one attacker from locking out many accounts quickly)
+  loginAccount: {
+    prefix: 'login:account',
+    freeAttempts: 5,
+    baseDelayMs: 1000,
+    maxDelayMs: 60 * 1000,
+    lockoutAfter: 10,
+    lockoutMs: 15 * 60 * 1000,
+    windowMs: 60 * 60 * 1000,
+  },
+  // Per IP address: more generous, since several people may share an IP
+  loginIp: {
+    prefix: 'login:ip',
+    freeAttempts: 20,
+    baseDelayMs: 1000,
+    maxDelayMs: 5 * 60 * 1000,
+    lockoutAfter: 100,
+    lockoutMs: 60 * 60 * 1000,
+    windowMs: 60 * 60 * 1000,
+  },
+  // Signups per IP address (every signup counts, not just failed ones)
+  signupIp: {
+    prefix: 'signup:ip',
+    freeAttempts: 5,
+    baseDelayMs: 10 * 1000,
+    maxDelayMs: 10 * 60 * 1000,
+    lockoutAfter: 20,
+    lockoutMs: 60 * 60 * 1000,
+    windowMs: 60 * 60 * 1000,
+  },
+  // Password reset emails (every request counts): per address, so nobody's
+  // inbox can be flooded, and per IP address, so one client can't spread its
+  // requests over many addresses
+  passwordResetEmail: {
+    prefix: 'reset:email',
+    freeAttempts: 3,
+    baseDelayMs: 60 * 1000,
+    maxDelayMs: 60 * 60 * 1000,
+    lockoutAfter: 10,
+    lockoutMs: 24 * 60 * 60 * 1000,
+    windowMs: 24 * 60 * 60 * 1000,
+  },
+  passwordResetIp: {
+    prefix: 'reset:ip',
+    freeAttempts: 10,
+    baseDelayMs: 10 * 1000,
+    maxDelayMs: 10 * 60 * 1000,
+    lockoutAfter: 50,
+    lockoutMs: 60 * 60 * 1000,
+    windowMs: 60 * 60 * 1000,
+  },
+  // 2FA codes checked in the account settings (turning 2FA off, new recovery
+  // codes), per user - the same room as a login, since a stolen session could
+  // otherwise guess codes there without limit
+  mfaUser: {
+    prefix: 'mfa:user',
+    freeAttempts: 5,
+    baseDelayMs: 1000,
+    maxDelayMs: 60 * 1000,
+    lockoutAfter: 10,
+    lockoutMs: 15 * 60 * 1000,
+    windowMs: 60 * 60 * 1000,
+  },
+};
+
+const storeKey = (limit, id) => `${limit.prefix}:${id}`;
+
+// When a key with this failure count may try again (null = right away)
+// Returns { until: Date, locked: boolean } or null
+const blockedUntil = (limit, { count, lastAt }) => {
+  if (count >= limit.lockoutAfter) {
+    return { until: new Date(lastAt.getTime() + limit.lockoutMs), locked: true };
+  }
+
+  if (count >= limit.freeAttempts) {
+    const delay = Math.min(
+      limit.maxDelayMs,
+      limit.baseDelayMs * 2 ** (count - limit.freeAttempts)
+    );
+    return { until: new Date(lastAt.getTime() + delay), locked: false };
+  }
+
+  return null;
+};
+
+// Reserve an attempt against each of the given keys
+// - checks: [[limit, id], ...] e.g. [[LIMITS.loginIp, req.ip], [LIMITS.loginAccount, email]]
+// Each key is checked and counted in one step, so parallel attempts can't all
+// slip through before the first one is counted
+// Returns { blocked: { retryAfter, locked } } for the longest wait when any key
+// has to wait (retryAfter in whole seconds, for the Retry-After header) - the
+// attempt isn't counted then - or { locked } (whether this attempt locked any
+// key) when it may go ahead. Call refundAttempt if it turns out fine
+export const reserveAttempt = async (checks) => {
+  const taken = [];
+  let result = null;
+  let locked = false;
+
+  for (const [limit, id] of checks) {
+    const outcome = await getStore().take(storeKey(limit, id), limit.windowMs, (entry) => {
+      const wait = entry && blockedUntil(limit, entry);
+      return wait && wait.until > new Date() ? wait : null;
+    });
+
+    if (outcome.blocked) {
+      const retryAfter = Math.ceil((outcome.blocked.until.getTime() - Date.now()) / 1000);
+      if (!result || retryAfter > result.retryAfter) {
+        result = { retryAfter, locked: outcome.blocked.locked };
+      }
+    } else {
+      taken.push([limit, id]);
+      if (outcome.count === limit.lockoutAfter) {
+        locked = true;
+      }
+    }
+  }
+
+  // Blocked by one key - the others shouldn't count this attempt either
+  if (result) {
+    await refundAttempt(taken);
+    return { blocked: result };
+  }
+
+  return { locked };
+};
+
+// Give back an attempt reserved with reserveAttempt (e.g. the password was right)
+export const refundAttempt = async (checks) => {
+  for (const [limit, id] of checks) {
+    await getStore().refund(storeKey(limit, id));
+  }
+};
+
+// Count a failure against each of the given keys, without reserving first
+// (for failures only known afterwards, e.g. the account behind a 2FA challenge)
+// Returns true if this failure locked any of them
+export const recordFailure = async (checks) => {
+  let locked = false;
+
+  for (const [limit, id] of checks) {
+    const { count } = await getStore().hit(storeKey(limit, id), limit.windowMs);
+    if (count === limit.lockoutAfter) {
+      locked = true;
+    }
+  }
+
+  return locked;
+};
+
+// Forget the failures of a key (e.g. an account after a successful login)
+export const resetLimit = (limit, id) => getStore().reset(storeKey(limit, id));
+
+// Human-readable wait, e.g. "45 seconds" or "15 minutes"
+const formatWait = (seconds) =>
+  seconds < 120 ? `${seconds} seconds` : `${Math.ceil(seconds / 60)} minutes`;
+
+// 429 response for a rate-limited attempt
+// - blocked: { retryAfter, locked } from reserveAttempt
+// Retry-After tells clients (and well-behaved scripts) how long to wait
+export const tooManyAttempts = (res, { retryAfter, locked }) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    error: locked
+      ? `Too many failed attempts. Try again in ${formatWait(retryAfter)}`
+      : `Too many attempts. Please wait ${formatWait(retryAfter)} before trying again`,
+    code: locked ? 'locked_out' : 'rate_limited',
+    retryAfter,
+  });
+};
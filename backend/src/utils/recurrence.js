@@ -0,0 +1,358 @@
+// Recurrence Helpers
+// Validates recurrence rules and calculates the next occurrence of a recurring todo
+//
+// A rule is stored as JSON on the todo (see the recurrence column in schema.prisma):
+// {
+//   freq: 'daily' | 'weekly' | 'monthly' | 'yearly',
+//   interval: 1,              // every N days/weeks/months/years
+//   byWeekday: [1, 3],        // weekly only: 0 = Sunday ... 6 = Saturday
+//   byMonthDay: 15,           // monthly only: 1-31, or -1 for the last day of the month
+//   afterCompletion: false,   // daily only: count the interval from the completion date
+//   timezone: 'Europe/Berlin' // IANA time zone the schedule is defined in
+//   until: '2026-12-31T...'   // optional: no occurrences after this instant
+// }
+//
+// Why time zones matter:
+// A todo due "every Monday at 09:00" in Berlin is due at 08:00 UTC in summer
+// and 09:00 UTC in winter. If we simply added 7 * 24 hours to the UTC timestamp,
+// the local time would drift by an hour at every daylight saving switch.
+// So all calendar math happens on local wall-clock dates in the rule's time zone,
+// and only the final result is converted back to a UTC instant.
+
+// Import Prisma client for database operations
+import prisma from '../config/prisma.js';
+
+// Prisma.DbNull stores SQL NULL in a Json column (plain null is ambiguous for JSON)
+import { Prisma } from '@prisma/client';
+
+// New instances go to the top of their list, like any new todo
+import { positionAtTop, orderingScope } from './ranking.js';
+
+export const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+// Safety limit for the "roll forward until the next occurrence is in the future" loop
+// (e.g. a daily todo that was completed after being ignored for two years)
+const MAX_ITERATIONS = 1000;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Check whether a string is a time zone the runtime knows about
+// Intl.DateTimeFormat throws a RangeError for unknown zones like "Mars/Olympus"
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Split an instant into wall-clock parts as seen in a time zone
+// Example: 2026-03-29T07:00Z in Europe/Berlin -> { year: 2026, month: 3, day: 29, hour: 9, ... }
+const toZonedParts = (date, timeZone) => {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  });
+
+  const parts = {};
+  formatter.formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') {
+      parts[type] = parseInt(value);
+    }
+  });
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+    millisecond: date.getUTCMilliseconds(),
+  };
+};
+
+// Offset of a time zone from UTC at a given instant, in milliseconds
+// Found by reading the wall-clock time in that zone and comparing it with UTC
+const getOffset = (date, timeZone) => {
+  const p = toZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second, p.millisecond);
+  return asUtc - date.getTime();
+};
+
+// Convert wall-clock parts in a time zone back into a UTC instant
+// The offset depends on the instant we're looking for, so we guess with the
+// offset at the "wall time as if it were UTC" and correct once
+// Wall times inside a DST gap (e.g. 02:30 on a spring-forward night) don't
+// exist and come out shifted by the size of the gap
+const fromZonedParts = (p, timeZone) => {
+  const guess = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second, p.millisecond);
+
+  const firstOffset = getOffset(new Date(guess), timeZone);
+  const secondOffset = getOffset(new Date(guess - firstOffset), timeZone);
+
+  return new Date(guess - secondOffset);
+};
+
+// Number of days in a month (month is 1-12)
+// Day 0 of the next month is the last day of this one
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+// Move a calendar date by a number of days, keeping the time of day
+// Date.UTC handles month/year rollover (e.g. Jan 31 + 1 = Feb 1)
+const addDays = (p, days) => {
+  const shifted = new Date(Date.UTC(p.year, p.month - 1, p.day + days));
+  return {
+    ...p,
+    year: shifted.getUTCFullYear(),
+    month: shifted.getUTCMonth() + 1,
+    day: shifted.getUTCDate(),
+  };
+};
+
+// Day of the week for a calendar date (0 = Sunday)
+const weekdayOf = (p) => new Date(Date.UTC(p.year, p.month - 1, p.day)).getUTCDay();
+
+// Index of the Monday-based week a calendar date falls in, counted from the epoch
+// Used to tell whether two dates are "interval" weeks apart
+const weekIndexOf = (p) => {
+  const days = Math.floor(Date.UTC(p.year, p.month - 1, p.day) / MS_PER_DAY);
+  // The epoch (1970-01-01) was a Thursday; shifting by 3 makes weeks start on Monday
+  return Math.floor((days + 3) / 7);
+};
+
+// Pick a day of the month, clamped to the month's length
+// byMonthDay 31 in February gives the 28th/29th; -1 always means the last day
+const clampMonthDay = (year, month, byMonthDay) => {
+  const lastDay = daysInMonth(year, month);
+  return byMonthDay === -1 ? lastDay : Math.min(byMonthDay, lastDay);
+};
+
+// Validate and normalize a recurrence rule from a request body
+// Returns { value } with the normalized rule (or null to clear it) or { error }
+// - dueAt: the todo's due date, used for defaults like "same weekday as the due date"
+export const parseRecurrence = (rule, dueAt) => {
+  if (rule === undefined) {
+    return { value: undefined };
+  }
+  if (rule === null) {
+    return { value: null };
+  }
+  if (typeof rule !== 'object' || Array.isArray(rule)) {
+    return { error: 'recurrence must be an object or null' };
+  }
+
+  if (!FREQUENCIES.includes(rule.freq)) {
+    return { error: `recurrence.freq must be one of: ${FREQUENCIES.join(', ')}` };
+  }
+
+  // Every occurrence is calculated from the previous due date
+  if (!dueAt) {
+    return { error: 'Recurring todos need a due date' };
+  }
+
+  const timezone = rule.timezone ?? 'UTC';
+  if (typeof timezone !== 'string' || !isValidTimeZone(timezone)) {
+    return { error: 'recurrence.timezone must be a valid IANA time zone' };
+  }
+
+  const interval = rule.interval ?? 1;
+  if (!Number.isInteger(interval) || interval < 1 || interval > 1000) {
+    return { error: 'recurrence.interval must be a whole number between 1 and 1000' };
+  }
+
+  const local = toZonedParts(dueAt, timezone);
+  const normalized = { freq: rule.freq, interval, timezone };
+
+  if (rule.freq === 'weekly') {
+    const byWeekday = rule.byWeekday ?? [weekdayOf(local)];
+    if (
+      !Array.isArray(byWeekday) ||
+      byWeekday.length === 0 ||
+      byWeekday.some((day) => !Number.isInteger(day) || day < 0 || day > 6)
+    ) {
+      return { error: 'recurrence.byWeekday must be a list of weekdays (0 = Sunday ... 6 = Saturday)' };
+    }
+    // Store sorted and without duplicates
+    normalized.byWeekday = [...new Set(byWeekday)].sort((a, b) => a - b);
+  }
+
+  if (rule.freq === 'monthly') {
+    const byMonthDay = rule.byMonthDay ?? local.day;
+    if (
+      !Number.isInteger(byMonthDay) ||
+      !(byMonthDay === -1 || (byMonthDay >= 1 && byMonthDay <= 31))
+    ) {
+      return { error: 'recurrence.byMonthDay must be 1-31, or -1 for the last day' };
+    }
+    normalized.byMonthDay = byMonthDay;
+  }
+
+  if (rule.afterCompletion !== undefined) {
+    if (typeof rule.afterCompletion !== 'boolean') {
+      return { error: 'recurrence.afterCompletion must be a boolean' };
+    }
+    if (rule.afterCompletion && rule.freq !== 'daily') {
+      return { error: 'recurrence.afterCompletion is only supported with freq "daily"' };
+    }
+    normalized.afterCompletion = rule.afterCompletion;
+  }
+
+  if (rule.until !== undefined && rule.until !== null) {
+    const until = new Date(rule.until);
+    if (isNaN(until.getTime())) {
+      return { error: 'recurrence.until must be a valid date' };
+    }
+    normalized.until = until.toISOString();
+  }
+
+  return { value: normalized };
+};
+
+// Calculate the occurrence that follows a given due date on the rule's calendar
+// Returns the wall-clock parts of the next occurrence
+const stepCalendar = (rule, local) => {
+  switch (rule.freq) {
+    case 'daily':
+      return addDays(local, rule.interval);
+
+    case 'weekly': {
+      // Walk forward day by day until we hit a selected weekday in a week
+      // that is a multiple of "interval" weeks away from the current one
+      const startWeek = weekIndexOf(local);
+      let candidate = local;
+      for (let i = 0; i < 7 * (rule.interval + 1); i++) {
+        candidate = addDays(candidate, 1);
+        const weeksApart = weekIndexOf(candidate) - startWeek;
+        if (weeksApart % rule.interval === 0 && rule.byWeekday.includes(weekdayOf(candidate))) {
+          return candidate;
+        }
+      }
+      // Unreachable for a valid rule (byWeekday is never empty)
+      return null;
+    }
+
+    case 'monthly': {
+      // Count months from year 0 so adding "interval" rolls years over naturally
+      const monthIndex = local.year * 12 + (local.month - 1) + rule.interval;
+      const year = Math.floor(monthIndex / 12);
+      const month = (monthIndex % 12) + 1;
+      return { ...local, year, month, day: clampMonthDay(year, month, rule.byMonthDay) };
+    }
+
+    case 'yearly': {
+      const year = local.year + rule.interval;
+      // Feb 29 falls back to Feb 28 in non-leap years
+      return { ...local, year, day: Math.min(local.day, daysInMonth(year, local.month)) };
+    }
+
+    default:
+      return null;
+  }
+};
+
+// Calculate the next due date for a recurring todo
+// - rule: normalized recurrence rule (see parseRecurrence)
+// - dueAt: the current occurrence's due date
+// - completedAt: when the current occurrence was completed (null when skipping)
+// Returns a Date, or null when the series has ended (past "until")
+//
+// When completing a todo, occurrences that are already in the past are skipped,
+// so a weekly chore completed two weeks late is next due in the future
+export const nextOccurrence = (rule, dueAt, completedAt = null) => {
+  const local = toZonedParts(dueAt, rule.timezone);
+  const until = rule.until ? new Date(rule.until) : null;
+
+  let next;
+
+  if (rule.afterCompletion && completedAt) {
+    // "Every N days after completion": count from the day it was completed,
+    // keeping the original time of day
+    const completedLocal = toZonedParts(completedAt, rule.timezone);
+    next = fromZonedParts(
+      addDays(
+        { ...local, year: completedLocal.year, month: completedLocal.month, day: completedLocal.day },
+        rule.interval
+      ),
+      rule.timezone
+    );
+  } else {
+    let candidate = local;
+    for (let i = 0; i < MAX_ITERATIONS; i++) {
+      candidate = stepCalendar(rule, candidate);
+      if (!candidate) return null;
+
+      next = fromZonedParts(candidate, rule.timezone);
+      if (!completedAt || next > completedAt) break;
+    }
+  }
+
+  if (until && next > until) {
+    return null;
+  }
+  return next;
+};
+
+// Create the next instance of a recurring todo after it was completed
+// The rule moves to the new instance, so the completed todo won't spawn another
+// copy if it's reopened and completed again
+// Subtasks are copied over as fresh, open steps
+// Returns the new todo, or null when the series has ended
+export const spawnNextInstance = async (todo, completedAt) => {
+  const dueAt = nextOccurrence(todo.recurrence, todo.dueAt, completedAt);
+
+  // Every instance in a series points at the first one
+  const seriesId = todo.seriesId ?? todo.id;
+
+  const position = await positionAtTop(
+    orderingScope({ userId: todo.userId, listId: todo.listId, parentId: null })
+  );
+
+  const [, nextTodo] = await prisma.$transaction([
+    prisma.todo.update({
+      where: { id: todo.id },
+      data: { recurrence: Prisma.DbNull, seriesId },
+    }),
+    ...(dueAt
+      ? [
+          prisma.todo.create({
+            data: {
+              title: todo.title,
+              notes: todo.notes,
+              userId: todo.userId,
+              listId: todo.listId,
+              priority: todo.priority,
+              // The same person keeps doing a recurring chore
+              assigneeId: todo.assigneeId,
+              autoComplete: todo.autoComplete,
+              dueAt,
+              recurrence: todo.recurrence,
+              seriesId,
+              position,
+              tags: { connect: todo.tags.map((tag) => ({ id: tag.id })) },
+              children: {
+                create: todo.children.map((child) => ({
+                  title: child.title,
+                  notes: child.notes,
+                  userId: child.userId,
+                  listId: child.listId,
+                  assigneeId: child.assigneeId,
+                  // Keep the steps in the same order as before
+                  position: child.position,
+                })),
+              },
+            },
+          }),
+        ]
+      : []),
+  ]);
+
+  return nextTodo ?? null;
+};
@@ -0,0 +1,101 @@
+// Session Helpers
+// A session is one login on one device. Refresh tokens belong to a session,
+// and access tokens carry its ID (sid), so revoking a session logs that
+// device out right away
+
+// Import Prisma client for database operations
+import prisma from '../config/prisma.js';
+
+// lastSeenAt is only written when it's older than this, so a busy client
+// doesn't turn every API request into a database write
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+// Longest user agent we store - some browsers send very long strings
+const MAX_USER_AGENT_LENGTH = 255;
+
+// Where a request comes from: user agent and IP address
+// req.ip honours the 'trust proxy' setting (see TRUST_PROXY in index.js)
+const requestOrigin = (req) => ({
+  userAgent: req.get('user-agent')?.slice(0, MAX_USER_AGENT_LENGTH) ?? null,
+  ip: req.ip ?? null,
+});
+
+// Create a session for a user who just logged in
+export const createSession = (userId, req) =>
+  prisma.session.create({
+    data: {
+      userId,
+      ...requestOrigin(req),
+    },
+  });
+
+// Record that a session was just used (throttled, see LAST_SEEN_INTERVAL_MS)
+export const touchSession = async (session, req) => {
+  if (Date.now() - session.lastSeenAt.getTime() < LAST_SEEN_INTERVAL_MS) {
+    return;
+  }
+
+  await prisma.session.update({
+    where: { id: session.id },
+    data: { lastSeenAt: new Date(), ...requestOrigin(req) },
+  });
+};
+
+// Revoke a session and every refresh token issued for it
+// Access tokens for the session are rejected by authenticateToken from now on
+export const revokeSession = (sessionId) =>
+  prisma.$transaction([
+    prisma.session.updateMany({
+      where: { id: sessionId, revokedAt: null },
+      data: { revokedAt: new Date() },
+    }),
+    prisma.refreshToken.updateMany({
+      where: { sessionId, revokedAt: null },
+      data: { revokedAt: new Date() },
+    }),
+  ]);
+
+// Revoke all of a user's sessions (e.g. after a password reset)
+export const revokeAllSessions = (userId) =>
+  prisma.$transaction([
+    prisma.session.updateMany({
+      where: { userId, revokedAt: null },
+      data: { revokedAt: new Date() },
+    }),
+    prisma.refreshToken.updateMany({
+      where: { session: { userId }, revokedAt: null },
+      data: { revokedAt: new Date() },
+    }),
+  ]);
+
+// Short, human-readable description of a user agent for the sessions list
+// e.g. "Firefox on Windows" - good enough to recognise your own devices,
+// without pulling in a full user agent parsing library
+// Order matters: Edge and Opera also claim to be Chrome, Chrome claims to be Safari
+export const describeDevice = (userAgent) => {
+  if (!userAgent) {
+    return 'Unknown device';
+  }
+
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Firefox', /Firefox\//],
+    ['Chrome', /Chrome\//],
+    ['Safari', /Safari\//],
+    ['curl', /^curl\//],
+  ];
+  const systems = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/],
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  const system = systems.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+  if (browser && system) return `${browser} on ${system}`;
+  return browser ?? system ?? 'Unknown device';
+};
@@ -0,0 +1,56 @@
+// Subtask Helpers
+// Progress calculation and parent/child completion rollup for subtasks
+
+// Import Prisma client for database operations
+import prisma from '../config/prisma.js';
+
+// Add a progress summary to a todo that was loaded with its children
+// progress.ratio is a number between 0 and 1, or null when there are no subtasks
+// Example: 2 of 4 subtasks done -> { completed: 2, total: 4, ratio: 0.5 }
+export const withProgress = (todo) => {
+  const children = todo.children ?? [];
+  const completed = children.filter((child) => child.completed).length;
+
+  return {
+    ...todo,
+    progress: {
+      completed,
+      total: children.length,
+      ratio: children.length > 0 ? completed / children.length : null,
+    },
+  };
+};
+
+// Bring a parent todo's completed status in line with its subtasks
+// Call this after a subtask is created, deleted, completed or reopened
+//
+// Rules:
+// - Any open subtask reopens a completed parent
+// - All subtasks completed completes the parent, but only if it opted in (autoComplete)
+// - A parent without subtasks is left alone
+export const rollupParent = async (parentId) => {
+  const parent = await prisma.todo.findUnique({
+    where: { id: parentId },
+    // Subtasks in the trash don't count
+    include: { children: { where: { deletedAt: null }, select: { completed: true } } },
+  });
+
+  if (!parent || parent.children.length === 0) {
+    return;
+  }
+
+  // every() returns true only if the callback is true for all items
+  const allDone = parent.children.every((child) => child.completed);
+
+  if (!allDone && parent.completed) {
+    await prisma.todo.update({
+      where: { id: parentId },
+      data: { completed: false },
+    });
+  } else if (allDone && !parent.completed && parent.autoComplete) {
+    await prisma.todo.update({
+      where: { id: parentId },
+      data: { completed: true },
+    });
+  }
+};
@@ -0,0 +1,136 @@
+// Sync Helpers
+// Reading the changes a user hasn't seen yet, by change number (changeSeq - see
+// SyncTombstone in schema.prisma). Shared by delta sync (GET /api/sync) and the
+// live event stream (GET /api/events), which replays missed changes from here
+
+// Import Prisma client for database operations
+import prisma from '../config/prisma.js';
+
+// Todos are synced flat - subtasks are rows of their own, linked by parentId -
+// with their tags ([{ id, name }]) and assignee ({ id, email } or null)
+export const SYNC_TODO_INCLUDE = {
+  tags: { select: { id: true, name: true }, orderBy: { name: 'asc' } },
+  assignee: { select: { id: true, email: true } },
+};
+
+// List and tag columns sent to clients (counts aren't synced - a client can
+// count its own copy of the todos)
+export const SYNC_LIST_SELECT = {
+  id: true,
+  name: true,
+  userId: true,
+  changeSeq: true,
+  createdAt: true,
+  updatedAt: true,
+};
+const SYNC_TAG_SELECT = {
+  id: true,
+  name: true,
+  changeSeq: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+// The highest change number handed out so far, which becomes the client's
+// next cursor. It's read before the changes are, so a change made while the
+// request runs is sent (again) next time rather than missed
+//
+// change_seq_cursor() waits for any transaction that is still drawing numbers
+// to finish, so every change up to the cursor is committed - none can turn up
+// below it later (see the change_seq_lock migration)
+export const currentCursor = async () => {
+  const [{ cursor }] = await prisma.$queryRaw`SELECT "change_seq_cursor"() AS cursor`;
+  return Number(cursor);
+};
+
+// Validate a cursor from a client (?since= for sync, Last-Event-ID for events)
+// Returns { value } with the change number (0 when absent: sync everything) or { error }
+export const parseSince = (since, cursor) => {
+  if (since === undefined || since === '') {
+    return { value: 0 };
+  }
+  if (!/^\d+$/.test(since)) {
+    return { error: 'The cursor must come from a previous sync' };
+  }
+
+  const value = Number(since);
+  // Ahead of the database, e.g. after it was restored from a backup
+  if (value > cursor) {
+    return { error: 'The cursor is newer than any change - sync again without it' };
+  }
+  return { value };
+};
+
+// Load everything a user can see that changed after a change number (0: everything)
+// Returns { todos, lists, tags, deleted } - see GET /api/sync for the shapes
+export const loadChanges = async (userId, since) => {
+  // The user's lists, and the ones they joined (or whose role changed)
+  // since the cursor - their todos may be older than the cursor but are new
+  // to this client, so those lists are sent in full
+  const memberships = await prisma.listMember.findMany({
+    where: { userId },
+    select: { listId: true, role: true, changeSeq: true },
+  });
+  const listIds = memberships.map((member) => member.listId);
+  const joinedIds = memberships
+    .filter((member) => member.changeSeq > since)
+    .map((member) => member.listId);
+
+  // Like visibleTodosWhere, but with the list IDs already loaded
+  // Trashed todos are included, to be reported as deleted
+  const todos = await prisma.todo.findMany({
+    where: {
+      AND: [
+        { OR: [{ listId: null, userId }, { listId: { in: listIds } }] },
+        { OR: [{ changeSeq: { gt: since } }, { listId: { in: joinedIds } }] },
+      ],
+    },
+    orderBy: { changeSeq: 'asc' },
+    include: SYNC_TODO_INCLUDE,
+  });
+
+  const lists = await prisma.list.findMany({
+    where: {
+      id: { in: listIds },
+      OR: [{ changeSeq: { gt: since } }, { id: { in: joinedIds } }],
+    },
+    orderBy: { changeSeq: 'asc' },
+    select: SYNC_LIST_SELECT,
+  });
+
+  const tags = await prisma.tag.findMany({
+    where: { userId, changeSeq: { gt: since } },
+    orderBy: { changeSeq: 'asc' },
+    select: SYNC_TAG_SELECT,
+  });
+
+  // A client syncing from scratch has nothing to delete
+  const tombstones =
+    since === 0
+      ? []
+      : await prisma.syncTombstone.findMany({
+          where: {
+            changeSeq: { gt: since },
+            OR: [
+              { type: 'todo', listId: null, userId },
+              { type: 'todo', listId: { in: listIds } },
+              { type: { in: ['list', 'tag'] }, userId },
+            ],
+          },
+          orderBy: { changeSeq: 'asc' },
+        });
+
+  const roles = new Map(memberships.map((member) => [member.listId, member.role]));
+
+  return {
+    todos: todos.filter((todo) => todo.deletedAt === null),
+    lists: lists.map((list) => ({ ...list, role: roles.get(list.id) })),
+    tags,
+    deleted: [
+      ...tombstones.map((tombstone) => ({ type: tombstone.type, id: tombstone.entityId })),
+      ...todos
+        .filter((todo) => todo.deletedAt !== null)
+        .map((todo) => ({ type: 'todo', id: todo.id })),
+    ],
+  };
+};
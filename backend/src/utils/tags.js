@@ -0,0 +1,59 @@
+// Tag Helpers
+// Shared by the todo routes (which attach tags) and the tag routes (which rename/merge them)
+
+// Import Prisma client for database operations
+import prisma from '../config/prisma.js';
+
+// Maximum length of a single tag name
+// Keeps labels short enough to render as chips in the UI
+export const MAX_TAG_LENGTH = 50;
+
+// Normalize a tag name
+// Tags are case-insensitive, so "Work", " work " and "WORK" all become "work"
+export const normalizeTagName = (name) => name.trim().toLowerCase();
+
+// Validate the optional tags field from a request body
+// Returns { value } with a de-duplicated array of normalized names, or { error }
+// - undefined: field not sent, leave the todo's tags unchanged
+// - []: remove all tags
+export const parseTags = (tags) => {
+  if (tags === undefined) {
+    return { value: undefined };
+  }
+
+  if (!Array.isArray(tags) || tags.some((tag) => typeof tag !== 'string')) {
+    return { error: 'tags must be an array of strings' };
+  }
+
+  // Normalize, drop blanks, and remove duplicates
+  // A Set only keeps unique values, so ['work', 'Work'] becomes ['work']
+  const names = [...new Set(tags.map(normalizeTagName).filter((name) => name !== ''))];
+
+  if (names.some((name) => name.length > MAX_TAG_LENGTH)) {
+    return { error: `Tags must be at most ${MAX_TAG_LENGTH} characters` };
+  }
+
+  return { value: names };
+};
+
+// Look up the user's tags by name, creating any that don't exist yet
+// Returns an array of { id } objects ready for Prisma's connect/set
+//
+// createMany with skipDuplicates inserts only the missing names
+// (the @@unique([userId, name]) constraint makes existing ones a no-op),
+// so two requests adding the same new tag at once can't create duplicates
+export const findOrCreateTags = async (names, userId) => {
+  if (names.length === 0) {
+    return [];
+  }
+
+  await prisma.tag.createMany({
+    data: names.map((name) => ({ name, userId })),
+    skipDuplicates: true,
+  });
+
+  return prisma.tag.findMany({
+    where: { userId, name: { in: names } },
+    select: { id: true },
+  });
+};
@@ -0,0 +1,96 @@
+// Todo Field Helpers
+// Validation for the todo fields a client can send, shared by the todo routes
+// and the sync routes (which apply the same changes in batches)
+// Each helper returns { value } when valid or { error } with a message for the client
+
+// Import the permission rules (a todo can only be filed into a list the user can edit)
+import { hasRole, getListRole } from './permissions.js';
+
+// Allowed priority values
+// Must stay in sync with the Priority enum in prisma/schema.prisma
+export const PRIORITIES = ['low', 'medium', 'high'];
+
+// Validate the optional dueAt field from a request body
+// Returns { value } when valid or { error } with a message for the client
+// - undefined: field not sent, leave it unchanged
+// - null or '': clear the due date
+// - anything else: must be parseable as a date (ISO 8601 strings recommended)
+export const parseDueAt = (dueAt) => {
+  if (dueAt === undefined) {
+    return { value: undefined };
+  }
+  if (dueAt === null || dueAt === '') {
+    return { value: null };
+  }
+
+  const date = new Date(dueAt);
+  // new Date('garbage') produces an "Invalid Date" whose time is NaN
+  if (typeof dueAt === 'boolean' || isNaN(date.getTime())) {
+    return { error: 'dueAt must be a valid date' };
+  }
+  return { value: date };
+};
+
+// Maximum length of a todo's notes, to keep rows (and search documents) reasonable
+export const MAX_NOTES_LENGTH = 10000;
+
+// Validate the optional notes field from a request body
+// Same return shape as parseDueAt; null or '' clears the notes
+export const parseNotes = (notes) => {
+  if (notes === undefined) {
+    return { value: undefined };
+  }
+  if (notes === null || (typeof notes === 'string' && notes.trim() === '')) {
+    return { value: null };
+  }
+  if (typeof notes !== 'string') {
+    return { error: 'notes must be a string' };
+  }
+  if (notes.length > MAX_NOTES_LENGTH) {
+    return { error: `notes must be at most ${MAX_NOTES_LENGTH} characters` };
+  }
+  return { value: notes.trim() };
+};
+
+// Validate the optional priority field from a request body
+// Same return shape as parseDueAt
+export const parsePriority = (priority) => {
+  if (priority === undefined) {
+    return { value: undefined };
+  }
+  if (priority === null || priority === '') {
+    return { value: null };
+  }
+  if (!PRIORITIES.includes(priority)) {
+    return { error: `priority must be one of: ${PRIORITIES.join(', ')}` };
+  }
+  return { value: priority };
+};
+
+// Validate the optional listId field from a request body
+// The user must be an editor (or owner) of the list - otherwise a user could
+// file todos into someone else's list just by guessing its ID
+// Same return shape as parseDueAt; null moves the todo to the Inbox
+export const parseListId = async (listId, userId) => {
+  if (listId === undefined) {
+    return { value: undefined };
+  }
+  if (listId === null) {
+    return { value: null };
+  }
+
+  const id = parseInt(listId);
+  if (isNaN(id)) {
+    return { error: 'listId must be a number or null' };
+  }
+
+  // Lists the user isn't a member of are reported as missing
+  const role = await getListRole(userId, id);
+  if (!role) {
+    return { error: 'List not found' };
+  }
+  if (!hasRole(role, 'editor')) {
+    return { error: 'You can only view that list, not add todos to it' };
+  }
+  return { value: id };
+};
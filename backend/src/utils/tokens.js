@@ -0,0 +1,115 @@
+// Token Helpers
+// Short-lived access tokens (JWTs) and rotating refresh tokens
+//
+// Why two tokens?
+// - The access token is sent with every API request. It's a JWT, so it's
+//   cheap to verify - and it only lives for a few minutes
+// - The refresh token is only sent to POST /api/auth/refresh to get a new
+//   access token. It's checked against the database, so it can be revoked
+// Both belong to a session (see utils/sessions.js)
+//
+// Rotation and reuse detection:
+// Every refresh revokes the refresh token that was used and issues a new one
+// for the same session. A legitimate client always holds the newest token,
+// so if an already rotated token shows up again, someone copied it: we then
+// revoke the whole session, logging out both the attacker and the victim
+
+// Import Node's crypto module for random tokens and hashing
+import crypto from 'crypto';
+
+// Import jsonwebtoken for creating JWTs
+import jwt from 'jsonwebtoken';
+
+// Import Prisma client for database operations
+import prisma from '../config/prisma.js';
+
+// Import session helpers
+import { createSession, revokeSession, touchSession } from './sessions.js';
+
+// How long an access token is valid (any jsonwebtoken expiresIn value)
+export const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
+// How long a refresh token is valid, in days
+// Each refresh issues a new token, so an active user stays logged in indefinitely
+export const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Create a signed access token for a session
+// authenticateToken puts userId on req.userId and checks that the session (sid)
+// hasn't been revoked
+export const signAccessToken = (session) =>
+  jwt.sign({ userId: session.userId, sid: session.id }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+
+// SHA-256 hash of a token, as stored in the database
+// Unlike passwords, tokens are long random strings, so a fast hash is enough:
+// there's no dictionary to brute-force
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Create and store a new refresh token for a session
+// Returns the raw token - the only time it exists outside the client
+export const issueRefreshToken = async (sessionId) => {
+  // 32 random bytes = 256 bits, impossible to guess
+  // base64url only uses characters that are safe in URLs and headers
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await prisma.refreshToken.create({
+    data: {
+      tokenHash: hashToken(token),
+      sessionId,
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    },
+  });
+
+  return token;
+};
+
+// Access + refresh token pair for a session
+export const issueTokens = async (session) => ({
+  token: signAccessToken(session),
+  refreshToken: await issueRefreshToken(session.id),
+});
+
+// Log a user in: start a new session for this device and issue its tokens
+// Used by signup and login
+export const startSession = async (userId, req) => issueTokens(await createSession(userId, req));
+
+// Exchange a refresh token for a new token pair
+// Returns { token, refreshToken } on success, or { error } when the token is
+// unknown, expired, belongs to a revoked session, or was already used
+// (reuse revokes the session)
+export const rotateRefreshToken = async (token, req) => {
+  const existing = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(token) },
+    include: { session: true },
+  });
+
+  if (!existing) {
+    return { error: 'Invalid refresh token' };
+  }
+
+  if (existing.session.revokedAt) {
+    return { error: 'Session has been revoked' };
+  }
+
+  // Claim the token: only succeeds if nobody revoked it in the meantime
+  // updateMany with revokedAt: null in the WHERE clause is atomic, so two
+  // requests racing with the same token can't both rotate it
+  const { count } = await prisma.refreshToken.updateMany({
+    where: { id: existing.id, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+
+  if (count === 0) {
+    // Already rotated: treat as theft and end the whole session
+    await revokeSession(existing.sessionId);
+    return { error: 'Refresh token reuse detected' };
+  }
+
+  if (existing.expiresAt < new Date()) {
+    return { error: 'Refresh token expired' };
+  }
+
+  await touchSession(existing.session, req);
+  return issueTokens(existing.session);
+};
@@ -0,0 +1,140 @@
+// TOTP (Time-based One-Time Passwords, RFC 6238)
+// The 6-digit codes shown by authenticator apps (Google Authenticator, 1Password, ...)
+//
+// How it works:
+// - Server and app share a random secret (scanned from a QR code at setup)
+// - Time is cut into 30-second steps; both sides compute an HMAC of the
+//   current step number with the secret and turn it into 6 digits
+// - Nothing is sent between them, so the codes work offline - the server
+//   just computes the same code and compares
+//
+// The algorithm is small enough that we implement it here with Node's crypto
+// module instead of adding a dependency
+
+// Import Node's crypto module for HMAC and random secrets
+import crypto from 'crypto';
+
+// Parameters every authenticator app supports (and assumes by default)
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+// Accept codes from one step before and after the current one, so a slightly
+// wrong clock or a code entered just as it changes still works
+const WINDOW = 1;
+
+// Base32 alphabet (RFC 4648) - secrets are shared in base32 because it's
+// case-insensitive and easy to type if the QR code can't be scanned
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Encode bytes as base32 (without padding, as authenticator apps expect)
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+// Decode a base32 string back to bytes (ignores padding, spaces and case)
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character in TOTP secret');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// Generate a new random secret (160 bits, the size RFC 4226 recommends)
+// Returns it base32-encoded
+export const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// The time step a timestamp falls in
+export const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+// The code for a given secret and time step (HOTP, RFC 4226)
+export const generateCode = (secret, step) => {
+  // The step number as an 8-byte big-endian counter
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+
+  // "Dynamic truncation": the last 4 bits pick where to read 31 bits from
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+// Check a code entered by the user
+// Returns the time step the code belongs to (so callers can reject reuse),
+// or null if it doesn't match any step in the window
+export const verifyCode = (secret, code, now = Date.now()) => {
+  if (typeof code !== 'string' || !/^\d{6}$/.test(code)) {
+    return null;
+  }
+
+  const step = currentStep(now);
+
+  for (let offset = -WINDOW; offset <= WINDOW; offset++) {
+    const expected = generateCode(secret, step + offset);
+
+    // Constant-time comparison, so response times don't leak matching digits
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return step + offset;
+    }
+  }
+
+  return null;
+};
+
+// otpauth:// URI for setting up an authenticator app (this is what the QR code contains)
+// e.g. otpauth://totp/Todo%20App:me%40example.com?secret=...&issuer=Todo%20App
+// - issuer: shown in the app next to the account name
+export const otpauthUrl = (secret, accountName, issuer) => {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+
+  // Built by hand rather than with URLSearchParams, which encodes spaces as "+"
+  // - not every authenticator app decodes that back to a space
+  const params = Object.entries({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: DIGITS,
+    period: STEP_SECONDS,
+  })
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+    .join('&');
+
+  return `otpauth://totp/${label}?${params}`;
+};
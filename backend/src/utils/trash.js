@@ -0,0 +1,114 @@
+// Trash Helpers
+// Deleting a todo only moves it to the trash (sets deletedAt), so a slip of
+// the mouse can be undone. Trashed todos are purged for good once they've
+// been in the trash for TRASH_RETENTION_DAYS
+//
+// Everything that lists or counts todos must leave trashed ones out - with
+// deletedAt: null in Prisma queries, or "deletedAt" IS NULL in raw SQL
+
+// Import Prisma client for database operations
+import prisma from '../config/prisma.js';
+
+// Import the audit trail helpers, to record purged todos
+import { loadSnapshot, recordTodoChange } from './activity.js';
+
+// Import the live event helpers, to tell clients about purged todos
+import { publishChanges } from './events.js';
+
+// How long trashed todos are kept before they're purged automatically
+export const TRASH_RETENTION_DAYS = parseFloat(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// How often the purge runs
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// When a todo trashed at deletedAt will be purged
+export const purgeAt = (deletedAt) =>
+  new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * MS_PER_DAY);
+
+// The queries that move a todo and its subtasks to the trash, for $transaction
+// Subtasks that were trashed earlier keep their own deletedAt, so restoring
+// the parent doesn't bring them back
+// - version: optional; only trash the todo if it's still at this version
+//   (If-Match) - otherwise the update finds no row and Prisma throws P2025
+export const trashQueries = (todo, deletedAt, version) => [
+  prisma.todo.update({ where: { id: todo.id, version }, data: { deletedAt } }),
+  prisma.todo.updateMany({
+    where: { parentId: todo.id, deletedAt: null },
+    data: { deletedAt },
+  }),
+];
+
+// Move a todo and its subtasks to the trash
+// - version: see trashQueries
+// Returns the deletedAt timestamp
+export const trashTodo = async (todo, version) => {
+  const deletedAt = new Date();
+  await prisma.$transaction(trashQueries(todo, deletedAt, version));
+  return deletedAt;
+};
+
+// Bring a trashed todo back, with the subtasks that were trashed along with it
+export const restoreTodo = async (todo) => {
+  await prisma.$transaction([
+    prisma.todo.update({ where: { id: todo.id }, data: { deletedAt: null } }),
+    prisma.todo.updateMany({
+      where: { parentId: todo.id, deletedAt: todo.deletedAt },
+      data: { deletedAt: null },
+    }),
+  ]);
+};
+
+// Delete every todo that has been in the trash longer than the retention period
+// Subtasks go with their parent (onDelete: Cascade)
+// Each one is recorded as 'purged' in the audit trail, like when a user empties
+// the trash. Nobody in particular purged it: Inbox todos are put down to their
+// owner (the only one who can trash them, and the feed shows Inbox events by
+// actor), todos in lists to no one
+// Returns the number of todos purged
+export const purgeExpiredTrash = async () => {
+  const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * MS_PER_DAY);
+  const todos = await prisma.todo.findMany({
+    where: { deletedAt: { lte: cutoff } },
+    select: { id: true, userId: true, listId: true },
+  });
+
+  // Their last state goes into the audit trail before they're gone
+  const snapshots = [];
+  for (const todo of todos) {
+    snapshots.push({ todo, before: await loadSnapshot(todo.id) });
+  }
+
+  const { count } = await prisma.todo.deleteMany({
+    where: { id: { in: todos.map((todo) => todo.id) } },
+  });
+
+  for (const { todo, before } of snapshots) {
+    await recordTodoChange({
+      actorId: todo.listId === null ? todo.userId : null,
+      before,
+      after: null,
+    });
+  }
+
+  return count;
+};
+
+// Purge expired trash now and then every PURGE_INTERVAL_MS
+// Called once when the server starts
+// unref() lets the process exit even though the timer is still scheduled
+export const startTrashPurge = () => {
+  // Not a request, so broadcastChanges doesn't see it - publish the changes here
+  const purge = async () => {
+    try {
+      await purgeExpiredTrash();
+      await publishChanges();
+    } catch (error) {
+      console.error('Trash purge error:', error);
+    }
+  };
+
+  purge();
+  setInterval(purge, PURGE_INTERVAL_MS).unref();
+};
@@ -0,0 +1,196 @@
+// Two-Factor Authentication Helpers
+// Recovery codes, checking a second-factor code, and the login challenge
+// that sits between the password step and the code step
+//
+// Login with 2FA enabled:
+// 1. POST /api/auth/login checks the password and returns a challenge token
+//    (mfaToken) instead of access/refresh tokens
+// 2. POST /api/auth/login/2fa takes the challenge token and a code from the
+//    authenticator app (or a recovery code) and starts the session
+// The challenge only lives a few minutes and allows a few wrong codes, so the
+// password alone is never enough to brute-force the 6-digit code
+
+// Import Node's crypto module for challenge tokens and recovery codes
+import crypto from 'crypto';
+
+// Import Prisma client for database operations
+import prisma from '../config/prisma.js';
+
+// Import the token hash shared with refresh and reset tokens
+import { hashToken } from './tokens.js';
+
+// Import TOTP code verification
+import { verifyCode } from './totp.js';
+
+// Name shown next to the account in authenticator apps
+export const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Todo App';
+
+// How many recovery codes a user gets
+export const RECOVERY_CODE_COUNT = 10;
+
+// How long the second login step may take, and how many wrong codes it allows
+export const MFA_CHALLENGE_TTL_MINUTES = 5;
+export const MAX_MFA_ATTEMPTS = 5;
+
+// Characters used in recovery codes: lowercase letters and digits without the
+// easily confused ones (0/o, 1/l/i)
+const RECOVERY_CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+
+// One recovery code, e.g. "k7dp3-xw9qm" (10 random characters, ~49 bits)
+const generateRecoveryCode = () => {
+  const chars = Array.from(
+    { length: 10 },
+    () => RECOVERY_CODE_ALPHABET[crypto.randomInt(RECOVERY_CODE_ALPHABET.length)]
+  );
+  return `${chars.slice(0, 5).join('')}-${chars.slice(5).join('')}`;
+};
+
+// Recovery codes are compared without case, spaces or dashes, so
+// "K7DP3 XW9QM" and "k7dp3-xw9qm" are the same code
+const normalizeRecoveryCode = (code) => code.toLowerCase().replace(/[\s-]/g, '');
+
+// Replace a user's recovery codes with a fresh set
+// Returns the raw codes - the only time they exist outside the user's hands
+export const replaceRecoveryCodes = async (userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+
+  await prisma.$transaction([
+    prisma.recoveryCode.deleteMany({ where: { userId } }),
+    prisma.recoveryCode.createMany({
+      data: codes.map((code) => ({ userId, codeHash: hashToken(normalizeRecoveryCode(code)) })),
+    }),
+  ]);
+
+  return codes;
+};
+
+// Check a second-factor code for a user with 2FA set up
+// - code: a 6-digit code from the authenticator app, or a recovery code
+// Returns 'totp' or 'recovery' (how the user proved it's them), or null
+//
+// Both kinds are single-use, and both are claimed with an atomic updateMany,
+// so two requests racing with the same code can't both succeed
+export const verifySecondFactor = async (user, code) => {
+  if (typeof code !== 'string' || !user.totpSecret) {
+    return null;
+  }
+
+  const trimmed = code.replace(/\s/g, '');
+
+  if (/^\d{6}$/.test(trimmed)) {
+    const step = verifyCode(user.totpSecret, trimmed);
+    if (step === null) {
+      return null;
+    }
+
+    // Only accept codes newer than the last one used: a code seen over
+    // someone's shoulder can't be replayed within its 30 seconds
+    const { count } = await prisma.user.updateMany({
+      where: {
+        id: user.id,
+        OR: [{ totpLastUsedStep: null }, { totpLastUsedStep: { lt: step } }],
+      },
+      data: { totpLastUsedStep: step },
+    });
+
+    return count > 0 ? 'totp' : null;
+  }
+
+  const { count } = await prisma.recoveryCode.updateMany({
+    where: {
+      userId: user.id,
+      codeHash: hashToken(normalizeRecoveryCode(trimmed)),
+      usedAt: null,
+    },
+    data: { usedAt: new Date() },
+  });
+
+  return count > 0 ? 'recovery' : null;
+};
+
+// Number of unused recovery codes a user has left
+export const countRecoveryCodes = (userId) =>
+  prisma.recoveryCode.count({ where: { userId, usedAt: null } });
+
+// Start the second login step for a user whose password was correct
+// Returns the raw challenge token for the client
+export const createMfaChallenge = async (userId) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await prisma.mfaChallenge.create({
+    data: {
+      tokenHash: hashToken(token),
+      userId,
+      expiresAt: new Date(Date.now() + MFA_CHALLENGE_TTL_MINUTES * 60 * 1000),
+    },
+  });
+
+  return token;
+};
+
+// Complete the second login step
+// Returns { user, method } when the code is right, or { error, expired, user } -
+// expired: true means the challenge can't be used any more (timed out, already
+// used or too many wrong codes) and the user has to log in again; user is the
+// challenge's user (null for an unknown token), for rate limiting and auditing
+export const redeemMfaChallenge = async (token, code) => {
+  const challenge = await prisma.mfaChallenge.findUnique({
+    where: { tokenHash: hashToken(token) },
+    include: { user: true },
+  });
+
+  const expiredResult = {
+    error: 'Your login has expired, please log in again',
+    expired: true,
+    user: challenge?.user ?? null,
+  };
+
+  if (!challenge) {
+    return expiredResult;
+  }
+
+  // Count the attempt before the code is checked, in one statement with the
+  // checks: parallel requests with the same challenge can't all get past the
+  // limit before the first wrong code is counted
+  const { count: claimed } = await prisma.mfaChallenge.updateMany({
+    where: {
+      id: challenge.id,
+      usedAt: null,
+      expiresAt: { gt: new Date() },
+      attempts: { lt: MAX_MFA_ATTEMPTS },
+    },
+    data: { attempts: { increment: 1 } },
+  });
+
+  if (claimed === 0) {
+    return expiredResult;
+  }
+
+  const method = await verifySecondFactor(challenge.user, code);
+
+  if (!method) {
+    // The last allowed attempt ends the challenge
+    const expired = challenge.attempts + 1 >= MAX_MFA_ATTEMPTS;
+    return {
+      error: expired ? 'Too many invalid codes, please log in again' : 'Invalid code',
+      expired,
+      user: challenge.user,
+    };
+  }
+
+  // Claim the challenge so it can't complete a second login
+  const { count } = await prisma.mfaChallenge.updateMany({
+    where: { id: challenge.id, usedAt: null },
+    data: { usedAt: new Date() },
+  });
+
+  if (count === 0) {
+    return {
+      error: 'Your login has expired, please log in again',
+      expired: true,
+      user: challenge.user,
+    };
+  }
+
+  return { user: challenge.user, method };
+};
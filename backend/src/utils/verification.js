@@ -0,0 +1,76 @@
+// Email Verification Helpers
+// Verification links sent on signup, and the policy for what users who
+// haven't verified their address yet are allowed to do
+
+// Import Node's crypto module for verification tokens
+import crypto from 'crypto';
+
+// Import Prisma client for database operations
+import prisma from '../config/prisma.js';
+
+// Import the token hash shared with refresh and reset tokens
+import { hashToken } from './tokens.js';
+
+// Import the verification email
+import { sendVerificationEmail } from './emails.js';
+
+// How long a verification link is valid
+export const VERIFICATION_TOKEN_TTL_HOURS = 24;
+
+// Access levels for unverified users
+// - full: no restrictions
+// - read-only: GET requests only (they can look at their todos, not change them)
+// - none: no access to the API until they verify
+export const ACCESS_LEVELS = ['full', 'read-only', 'none'];
+
+// Create a verification token for a user
+// - db: the Prisma client, or a transaction's client (see POST /api/auth/resend-verification)
+// Returns the token for the link; only its hash is stored
+export const createVerificationToken = async (db, userId) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await db.emailVerificationToken.create({
+    data: {
+      tokenHash: hashToken(token),
+      userId,
+      expiresAt: new Date(Date.now() + VERIFICATION_TOKEN_TTL_HOURS * 60 * 60 * 1000),
+    },
+  });
+
+  return token;
+};
+
+// Email a user the link for a token from createVerificationToken
+// Returns a Promise for the email
+export const emailVerificationLink = (user, token) =>
+  sendVerificationEmail(user.email, token, VERIFICATION_TOKEN_TTL_HOURS);
+
+// Create a verification token for a user and email them the link
+// Returns a Promise for the email; callers decide whether to wait for it
+export const sendVerification = async (user) => {
+  const token = await createVerificationToken(prisma, user.id);
+  return emailVerificationLink(user, token);
+};
+
+// What an unverified user may do, configured with environment variables:
+// - UNVERIFIED_ACCESS: one of ACCESS_LEVELS (default full)
+// - UNVERIFIED_GRACE_DAYS: days after signup during which unverified users
+//   still have full access, before UNVERIFIED_ACCESS applies (default 0)
+// Example: UNVERIFIED_ACCESS=none UNVERIFIED_GRACE_DAYS=7 blocks accounts
+// that are still unverified a week after signup
+// Returns one of ACCESS_LEVELS
+export const accessLevel = (user) => {
+  if (user.emailVerifiedAt) {
+    return 'full';
+  }
+
+  const access = process.env.UNVERIFIED_ACCESS || 'full';
+  if (!ACCESS_LEVELS.includes(access)) {
+    throw new Error(`UNVERIFIED_ACCESS must be one of: ${ACCESS_LEVELS.join(', ')}`);
+  }
+
+  const graceDays = parseFloat(process.env.UNVERIFIED_GRACE_DAYS) || 0;
+  const graceEnds = user.createdAt.getTime() + graceDays * 24 * 60 * 60 * 1000;
+
+  return Date.now() < graceEnds ? 'full' : access;
+};
@@ -6,9 +6,19 @@
 // useAuth hook allows us to access current authentication state
 import { AuthProvider, useAuth } from './contexts/AuthContext';
 
+// Import React hooks
+import { useState, useEffect } from 'react';
+
 // Import authentication and todo components
 import { Auth } from './components/Auth';
 import { TodoList } from './components/TodoList';
+import { VerificationBanner } from './components/VerificationBanner';
+
+// Import API function for verifying an email address
+import { verifyEmail } from './utils/api';
+
+// Verification links look like http://localhost:5173/?verifyToken=...
+const getVerifyToken = () => new URLSearchParams(window.location.search).get('verifyToken');
 
 // AppContent Component
 // This component uses useAuth, so it must be INSIDE AuthProvider
@@ -20,7 +30,40 @@ import { TodoList } from './components/TodoList';
 // - We need another component inside Provider to use useAuth hook
 function AppContent() {
   // Get authentication state from context
-  const { user, loading } = useAuth();
+  const { user, loading, updateUser } = useAuth();
+
+  // Result of opening a verification link: { type: 'success' | 'error', text }
+  const [verifyNotice, setVerifyNotice] = useState(null);
+
+  // Verify the email address if the app was opened from a verification link
+  // This works whether or not the user is logged in on this device
+  useEffect(() => {
+    // Wait until the stored session has been restored, so user is known
+    if (loading) return;
+
+    const verifyToken = getVerifyToken();
+    if (!verifyToken) return;
+
+    // Remove the token from the address bar so a reload doesn't reuse it
+    window.history.replaceState(null, '', window.location.pathname);
+
+    verifyEmail(verifyToken)
+      .then((data) => {
+        setVerifyNotice({ type: 'success', text: data.message });
+
+        // Update the logged-in user so the banner disappears
+        // (only if the link was for the account logged in here)
+        if (user && user.id === data.user.id) {
+          updateUser(data.user);
+        }
+      })
+      .catch((err) => {
+        setVerifyNotice({
+          type: 'error',
+          text: err instanceof Error ? err.message : 'Failed to verify email',
+        });
+      });
+  }, [loading]);
 
   // Show loading state while checking for existing session
   // This prevents flash of login screen if user is already logged in
@@ -42,7 +85,16 @@ function AppContent() {
   // - When user logs in, context updates and component re-renders with TodoList
   // - When user logs out, context updates and component re-renders with Auth
   return (
-    <div style={{ maxWidth: '600px', margin: '50px auto', padding: '20px' }}>
+    <div style={{ maxWidth: '900px', margin: '50px auto', padding: '20px' }}>
+      {verifyNotice && (
+        <div
+          role="status"
+          style={{ color: verifyNotice.type === 'success' ? 'green' : 'red', marginBottom: '10px' }}
+        >
+          {verifyNotice.text}
+        </div>
+      )}
+      {user && <VerificationBanner />}
       {user ? <TodoList /> : <Auth />}
     </div>
   );
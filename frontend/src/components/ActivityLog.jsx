@@ -0,0 +1,181 @@
+// ActivityLog Component
+// The audit trail, newest first: who created, changed, completed, moved or
+// deleted todos - and who shared lists with whom - and when
+// Shows a single todo's history when given a todo, otherwise the account-wide
+// feed (the Inbox plus every list the user is a member of)
+
+// Import React hooks
+import { useState, useEffect } from 'react';
+
+// Import auth context for the API token
+import { useAuth } from '../contexts/AuthContext';
+
+// Import activity API functions
+import { getTodoHistory, getActivity } from '../utils/api';
+
+// Import the actor badge
+import { AssigneeAvatar } from './AssigneeAvatar';
+
+// How each action reads in a sentence ("sam@example.com completed Buy milk")
+const ACTION_VERBS = {
+  created: 'created',
+  updated: 'updated',
+  completed: 'completed',
+  reopened: 'reopened',
+  moved: 'moved',
+  reordered: 'reordered',
+  assigned: 'assigned',
+  deleted: 'deleted',
+  restored: 'restored',
+  purged: 'permanently deleted',
+  shared: 'changed the members of',
+};
+
+// Who made a change, for display
+// The automatic trash cleanup purges todos in lists on nobody's behalf
+const actorName = (event) => {
+  if (event.actor) return event.actor.email;
+  return event.action === 'purged' ? 'The trash cleanup' : 'A deleted user';
+};
+
+// Labels for the fields in an event's changes (see utils/activity.js in the backend)
+const FIELD_LABELS = {
+  title: 'Title',
+  notes: 'Notes',
+  completed: 'Completed',
+  dueAt: 'Due',
+  priority: 'Priority',
+  list: 'List',
+  assignee: 'Assignee',
+  tags: 'Tags',
+  autoComplete: 'Auto-complete',
+  recurrence: 'Repeats',
+};
+
+// Longest text value shown in full; notes can be long
+const MAX_VALUE_LENGTH = 60;
+
+// Turn a changed value into display text
+// Lists and assignees are already names/emails; the Inbox is a list of null
+const formatValue = (field, value) => {
+  if (field === 'list' && value === null) return 'Inbox';
+  if (value === null || value === '' || (Array.isArray(value) && value.length === 0)) return '—';
+  if (typeof value === 'boolean') return value ? 'yes' : 'no';
+  if (field === 'dueAt') return new Date(value).toLocaleString();
+  if (field === 'tags') return value.join(', ');
+  // The rule itself is detailed; its frequency is enough to tell changes apart
+  if (field === 'recurrence') return value.freq;
+
+  const text = String(value);
+  return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH)}…` : text;
+};
+
+// Turn a membership change ({ from, to } roles) into display text
+const formatRoleChange = ({ from, to }) => {
+  if (from === null) return `added as ${to}`;
+  if (to === null) return 'removed';
+  return `${from} → ${to}`;
+};
+
+// Describe one entry of an event's changes, e.g. "Priority: low → high"
+// 'shared' events are keyed by the member's email instead of a field
+const describeChange = (event, field, change) => {
+  if (event.action === 'shared') {
+    return `${field}: ${formatRoleChange(change)}`;
+  }
+  const from = formatValue(field, change.from);
+  const to = formatValue(field, change.to);
+  return `${FIELD_LABELS[field] ?? field}: ${from} → ${to}`;
+};
+
+// ActivityLog Component
+// Props:
+// - todo: Show this todo's history (optional - without it, the account-wide feed)
+// - lists: The user's lists ([{ id, name }]), to name the list of a 'shared' event
+export const ActivityLog = ({ todo, lists = [] }) => {
+  // Events loaded so far, newest first, and the cursor for the next (older) page
+  const [events, setEvents] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const { token } = useAuth();
+
+  // Start over from the newest event whenever the todo changes
+  useEffect(() => {
+    fetchEvents();
+  }, [todo?.id]);
+
+  // Load a page of events
+  // - cursor: where to continue from; without it the first page replaces the events
+  const fetchEvents = async (cursor) => {
+    if (!token) return;
+
+    try {
+      setLoading(true);
+      setError('');
+      const params = cursor ? { cursor } : {};
+      const response = todo
+        ? await getTodoHistory(token, todo.id, params)
+        : await getActivity(token, params);
+      setEvents(cursor ? [...events, ...response.events] : response.events);
+      setNextCursor(response.nextCursor);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to fetch activity');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // What an event is about: the todo's title, or for 'shared' events the list's name
+  // (blank in a todo's own history, where it's obvious)
+  const subjectOf = (event) => {
+    if (event.action === 'shared') {
+      const list = lists.find((l) => l.id === event.listId);
+      return list ? list.name : 'a list';
+    }
+    return todo ? '' : event.todoTitle;
+  };
+
+  return (
+    <div style={{ marginTop: '10px', fontSize: '14px' }}>
+      <strong>{todo ? 'History' : 'Activity'}</strong>
+      {error && <div style={{ color: 'red' }}>{error}</div>}
+
+      <ul style={{ listStyle: 'none', padding: 0 }}>
+        {events.map((event) => (
+          <li key={event.id} style={{ marginBottom: '8px' }}>
+            {event.actor && <AssigneeAvatar user={event.actor} size={18} />}
+            <span>
+              {actorName(event)} {ACTION_VERBS[event.action]}{' '}
+              <em>{subjectOf(event)}</em>
+            </span>{' '}
+            <span style={{ color: '#6b7280', fontSize: '12px' }}>
+              {new Date(event.createdAt).toLocaleString()}
+            </span>
+
+            {/* Field-level changes, or the members affected for 'shared' events */}
+            {event.changes && (
+              <ul style={{ margin: '2px 0 0 24px', padding: 0, fontSize: '13px' }}>
+                {Object.entries(event.changes).map(([field, change]) => (
+                  <li key={field} style={{ color: '#374151' }}>
+                    {describeChange(event, field, change)}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {loading && <p style={{ fontSize: '13px' }}>Loading activity...</p>}
+      {!loading && events.length === 0 && <p style={{ color: '#6b7280' }}>No activity yet.</p>}
+
+      {/* Older events are loaded on demand */}
+      {!loading && nextCursor && (
+        <button onClick={() => fetchEvents(nextCursor)}>Show older</button>
+      )}
+    </div>
+  );
+};
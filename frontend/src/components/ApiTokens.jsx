@@ -0,0 +1,193 @@
+// ApiTokens Component
+// Manages personal API tokens for scripts and integrations: create a token
+// with a name, scopes and optional expiry, see when each was last used, revoke
+
+// Import React hooks
+import { useState, useEffect } from 'react';
+
+// Import auth context for the API token
+import { useAuth } from '../contexts/AuthContext';
+
+// Import API token functions
+import { getApiTokens, createApiToken, revokeApiToken } from '../utils/api';
+
+// Expiry choices for new tokens (days; '' = never)
+const EXPIRY_OPTIONS = [
+  { value: '30', label: '30 days' },
+  { value: '90', label: '90 days' },
+  { value: '365', label: '1 year' },
+  { value: '', label: 'Never' },
+];
+
+// ApiTokens Component
+export const ApiTokens = () => {
+  // Existing tokens, and the scopes the server offers ({ name: description })
+  const [tokens, setTokens] = useState([]);
+  const [scopes, setScopes] = useState({});
+
+  // Create form inputs
+  const [name, setName] = useState('');
+  const [selectedScopes, setSelectedScopes] = useState(['todos:read']);
+  const [expiresInDays, setExpiresInDays] = useState('90');
+
+  // The token just created - its value is only available right now
+  const [newToken, setNewToken] = useState(null);
+
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const { token } = useAuth();
+
+  // Fetch tokens when the component mounts
+  useEffect(() => {
+    fetchTokens();
+  }, []);
+
+  const fetchTokens = async () => {
+    if (!token) return;
+
+    try {
+      setLoading(true);
+      setError('');
+      const response = await getApiTokens(token);
+      setTokens(response.tokens);
+      setScopes(response.scopes);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to fetch API tokens');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Tick or untick a scope in the create form
+  const toggleScope = (scope) => {
+    setSelectedScopes(
+      selectedScopes.includes(scope)
+        ? selectedScopes.filter((s) => s !== scope)
+        : [...selectedScopes, scope]
+    );
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    if (!name.trim()) {
+      setError('Please enter a name');
+      return;
+    }
+
+    if (selectedScopes.length === 0) {
+      setError('Please choose at least one scope');
+      return;
+    }
+
+    try {
+      setError('');
+      const created = await createApiToken(token, {
+        name: name.trim(),
+        scopes: selectedScopes,
+        expiresInDays: expiresInDays ? parseInt(expiresInDays) : null,
+      });
+
+      // Keep the raw value out of the list - it's shown once, above it
+      const { token: value, ...details } = created;
+      setNewToken({ name: details.name, value });
+      setTokens([details, ...tokens]);
+      setName('');
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to create API token');
+    }
+  };
+
+  const handleRevoke = async (apiToken) => {
+    if (!window.confirm(`Revoke "${apiToken.name}"? Scripts using it will stop working.`)) {
+      return;
+    }
+
+    try {
+      setError('');
+      await revokeApiToken(token, apiToken.id);
+      setTokens(tokens.filter((t) => t.id !== apiToken.id));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to revoke API token');
+    }
+  };
+
+  if (loading) {
+    return <p>Loading API tokens...</p>;
+  }
+
+  return (
+    <div style={{ margin: '10px 0', padding: '10px', border: '1px solid #d1d5db' }}>
+      <h3 style={{ marginTop: 0 }}>API tokens</h3>
+      <p style={{ color: '#6b7280' }}>
+        For scripts and integrations: send a token as <code>Authorization: Bearer &lt;token&gt;</code>
+      </p>
+      {error && <div style={{ color: 'red' }}>{error}</div>}
+
+      {newToken && (
+        <div style={{ marginBottom: '10px', padding: '8px', background: '#ecfdf5' }}>
+          <p style={{ margin: 0 }}>
+            Copy your new token "{newToken.name}" now - you won't be able to see it again:
+          </p>
+          <code style={{ wordBreak: 'break-all' }}>{newToken.value}</code>
+        </div>
+      )}
+
+      <form onSubmit={handleCreate}>
+        <input
+          type="text"
+          placeholder="Token name, e.g. CI"
+          aria-label="Token name"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          maxLength={100}
+        />{' '}
+        {Object.entries(scopes).map(([scope, description]) => (
+          <label key={scope} title={description} style={{ marginRight: '8px' }}>
+            <input
+              type="checkbox"
+              checked={selectedScopes.includes(scope)}
+              onChange={() => toggleScope(scope)}
+            />
+            {scope}
+          </label>
+        ))}
+        <select
+          aria-label="Expires"
+          value={expiresInDays}
+          onChange={(e) => setExpiresInDays(e.target.value)}
+        >
+          {EXPIRY_OPTIONS.map((option) => (
+            <option key={option.label} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>{' '}
+        <button type="submit">Create token</button>
+      </form>
+
+      <ul style={{ listStyle: 'none', padding: 0 }}>
+        {tokens.map((apiToken) => {
+          const expired = apiToken.expiresAt && new Date(apiToken.expiresAt) < new Date();
+          return (
+            <li key={apiToken.id} style={{ marginBottom: '6px' }}>
+              <strong>{apiToken.name}</strong> <code>{apiToken.tokenPrefix}…</code>{' '}
+              <span style={{ color: '#6b7280' }}>
+                {apiToken.scopes.join(', ')} ·{' '}
+                {apiToken.lastUsedAt
+                  ? `last used ${new Date(apiToken.lastUsedAt).toLocaleString()}`
+                  : 'never used'}{' '}
+                ·{' '}
+                {apiToken.expiresAt
+                  ? `${expired ? 'expired' : 'expires'} ${new Date(apiToken.expiresAt).toLocaleDateString()}`
+                  : 'never expires'}
+              </span>{' '}
+              <button onClick={() => handleRevoke(apiToken)}>Revoke</button>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
@@ -0,0 +1,45 @@
+// AssigneeAvatar Component
+// A small round badge with a user's initials, e.g. "JD" for jane.doe@example.com
+// There are no profile pictures, so each user gets a stable color instead
+
+// Background colors to pick from - chosen by user ID so a person keeps their color
+const AVATAR_COLORS = ['#2563eb', '#059669', '#d97706', '#db2777', '#7c3aed', '#0891b2'];
+
+// Initials from an email address
+// "jane.doe@example.com" -> "JD", "sam@example.com" -> "SA"
+const initialsFor = (email) => {
+  const name = email.split('@')[0];
+  const parts = name.split(/[._-]+/).filter(Boolean);
+
+  if (parts.length >= 2) {
+    return (parts[0][0] + parts[1][0]).toUpperCase();
+  }
+  return name.slice(0, 2).toUpperCase();
+};
+
+// AssigneeAvatar Component
+// Props:
+// - user: { id, email }
+// - size: Diameter in pixels (default 22)
+export const AssigneeAvatar = ({ user, size = 22 }) => (
+  <span
+    title={`Assigned to ${user.email}`}
+    aria-label={`Assigned to ${user.email}`}
+    style={{
+      display: 'inline-flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      width: `${size}px`,
+      height: `${size}px`,
+      marginRight: '6px',
+      borderRadius: '50%',
+      fontSize: `${Math.round(size / 2.2)}px`,
+      fontWeight: 'bold',
+      color: 'white',
+      background: AVATAR_COLORS[user.id % AVATAR_COLORS.length],
+      verticalAlign: 'middle',
+    }}
+  >
+    {initialsFor(user.email)}
+  </span>
+);
@@ -0,0 +1,64 @@
+// AssigneePicker Component
+// A dropdown for choosing who is doing a todo
+// Only people with access to the todo can be picked: the members of its list,
+// or just the user themselves for Inbox todos
+
+// Import React hooks
+import { useState, useEffect } from 'react';
+
+// Import auth context for the API token and the current user
+import { useAuth } from '../contexts/AuthContext';
+
+// Import the member list API function
+import { getListMembers } from '../utils/api';
+
+// AssigneePicker Component
+// Props:
+// - todo: The todo, including listId and assignee
+// - onAssign(todo, assigneeId): Called with the chosen user ID, or null to unassign
+// - disabled: Show the current assignee without allowing changes
+export const AssigneePicker = ({ todo, onAssign, disabled = false }) => {
+  // People who can be assigned: [{ userId, email }]
+  const [people, setPeople] = useState([]);
+
+  const { token, user } = useAuth();
+
+  // Load the candidates whenever the todo moves to another list
+  useEffect(() => {
+    if (!token || !user) return;
+
+    // Inbox todos are private, so the only candidate is the user
+    if (todo.listId === null) {
+      setPeople([{ userId: user.id, email: user.email }]);
+      return;
+    }
+
+    getListMembers(token, todo.listId)
+      .then((response) => setPeople(response.members))
+      .catch(() => setPeople([]));
+  }, [todo.listId]);
+
+  // Keep the current assignee selectable even before the members have loaded
+  const options =
+    todo.assignee && !people.some((p) => p.userId === todo.assignee.id)
+      ? [...people, { userId: todo.assignee.id, email: todo.assignee.email }]
+      : people;
+
+  return (
+    <label style={{ display: 'block', marginTop: '6px', fontSize: '13px' }}>
+      Assignee:{' '}
+      <select
+        value={todo.assignee?.id ?? ''}
+        disabled={disabled}
+        onChange={(e) => onAssign(todo, e.target.value ? Number(e.target.value) : null)}
+      >
+        <option value="">Nobody</option>
+        {options.map((person) => (
+          <option key={person.userId} value={person.userId}>
+            {person.userId === user?.id ? `${person.email} (me)` : person.email}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
@@ -1,5 +1,6 @@
 // Authentication Component
-// Handles user login and signup with form validation
+// Handles user login and signup with form validation, the two-factor
+// code screen, and the "forgot password" and password reset screens
 
 // Import React hooks
 // useState: Manages component state (form inputs, errors, loading)
@@ -9,24 +10,50 @@ import { useState } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 
 // Import API functions for backend communication
-import { login as apiLogin, signup as apiSignup } from '../utils/api';
+import {
+  login as apiLogin,
+  loginTwoFactor,
+  signup as apiSignup,
+  forgotPassword,
+  resetPassword,
+} from '../utils/api';
+
+// Password reset links look like http://localhost:5173/?resetToken=...
+// Read the token once, when the app loads
+const getResetToken = () => new URLSearchParams(window.location.search).get('resetToken');
 
 // Auth Component
-// Provides UI for both login and signup
-// Uses a toggle to switch between modes
+// Provides UI for login (with the 2FA step), signup, "forgot password" and password reset
+// mode decides which screen is shown
 export const Auth = () => {
   // Component State Management
 
-  // Toggle between login and signup mode
-  const [isLogin, setIsLogin] = useState(true);
+  // Current screen: 'login', 'signup', 'mfa' (enter the 2FA code after the
+  // password), 'forgot' (request a reset email) or 'reset' (choose a new
+  // password, opened from the emailed link)
+  // useState(() => ...) only computes the initial value on the first render
+  const [mode, setMode] = useState(() => (getResetToken() ? 'reset' : 'login'));
+  const isLogin = mode === 'login';
 
   // Form input values
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
 
+  // Second password field on the reset screen, to catch typos
+  const [confirmPassword, setConfirmPassword] = useState('');
+
+  // Two-factor step: the challenge token from the password step, the code
+  // typed in, and whether the user is entering a recovery code instead
+  const [mfaToken, setMfaToken] = useState('');
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+
   // Error message from API or validation
   const [error, setError] = useState('');
 
+  // Success message (e.g. "reset link sent")
+  const [message, setMessage] = useState('');
+
   // Loading state during API request
   // Prevents double-submission and shows feedback to user
   const [loading, setLoading] = useState(false);
@@ -54,6 +81,7 @@ export const Auth = () => {
 
     // Clear any previous errors
     setError('');
+    setMessage('');
 
     // Client-side validation
     // Catch errors before making API request for better UX
@@ -80,15 +108,24 @@ export const Auth = () => {
 
     try {
       // Make API request based on current mode
-      // Both functions return { token, user } on success
+      // Both functions return { token, refreshToken, user } on success
       const response = isLogin
         ? await apiLogin(email, password)
         : await apiSignup(email, password);
 
+      // Account with 2FA: the password was right, now ask for the code
+      if (response.mfaRequired) {
+        setMfaToken(response.mfaToken);
+        setCode('');
+        setUseRecoveryCode(false);
+        setMode('mfa');
+        return;
+      }
+
       // Update global auth state with token and user data
       // This will trigger re-render of entire app
       // Components checking auth state will now see user is logged in
-      login(response.token, response.user);
+      login(response.token, response.refreshToken, response.user);
 
       // No need to redirect - App component will handle this
       // When user is set in context, App will render TodoList instead of Auth
@@ -103,13 +140,227 @@ export const Auth = () => {
     }
   };
 
+  // Switch screens, clearing messages from the previous one
+  const switchMode = (newMode) => {
+    setMode(newMode);
+    setError('');
+    setMessage('');
+  };
+
+  // Two-factor form handler - completes the login with the code
+  const handleTwoFactor = async (e) => {
+    e.preventDefault();
+    setError('');
+    setMessage('');
+
+    if (!code.trim()) {
+      setError('Please enter a code');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const response = await loginTwoFactor(mfaToken, code);
+      login(response.token, response.refreshToken, response.user);
+    } catch (err) {
+      if (err.code === 'mfa_expired') {
+        // Took too long or too many wrong codes: start again with the password
+        setMfaToken('');
+        setPassword('');
+        setMode('login');
+      }
+      setError(err instanceof Error ? err.message : 'Failed to verify code');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // "Forgot password" form handler - asks the backend to email a reset link
+  const handleForgotPassword = async (e) => {
+    e.preventDefault();
+    setError('');
+    setMessage('');
+
+    if (!email.includes('@')) {
+      setError('Please enter a valid email');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      // The backend answers the same way whether or not the account exists
+      const response = await forgotPassword(email);
+      setMessage(response.message);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to send reset link');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Password reset form handler - sets the new password using the link's token
+  const handleResetPassword = async (e) => {
+    e.preventDefault();
+    setError('');
+    setMessage('');
+
+    if (password.length < 6) {
+      setError('Password must be at least 6 characters');
+      return;
+    }
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const response = await resetPassword(getResetToken() ?? '', password);
+
+      // The token is used up - remove it from the address bar so a reload
+      // doesn't open the reset screen again
+      window.history.replaceState(null, '', window.location.pathname);
+
+      setPassword('');
+      setConfirmPassword('');
+      setMode('login');
+      setMessage(response.message);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to reset password');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Messages shown above every form
+  const messages = (
+    <>
+      {/* Error message display - only shown if error exists */}
+      {error && <div style={{ color: 'red' }}>{error}</div>}
+      {message && <div style={{ color: 'green' }}>{message}</div>}
+    </>
+  );
+
+  // Two-factor code screen (after a correct password on an account with 2FA)
+  if (mode === 'mfa') {
+    return (
+      <div>
+        <h1>Two-Factor Authentication</h1>
+        {messages}
+        <form onSubmit={handleTwoFactor}>
+          <div>
+            <label htmlFor="code">
+              {useRecoveryCode ? 'Recovery code:' : 'Code from your authenticator app:'}
+            </label>
+            <input
+              id="code"
+              type="text"
+              // Lets phones offer the code from an SMS/app and show a number pad
+              autoComplete="one-time-code"
+              inputMode={useRecoveryCode ? 'text' : 'numeric'}
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              disabled={loading}
+              autoFocus
+              required
+            />
+          </div>
+          <button type="submit" disabled={loading}>
+            {loading ? 'Verifying...' : 'Verify'}
+          </button>
+        </form>
+        <button
+          onClick={() => {
+            setUseRecoveryCode(!useRecoveryCode);
+            setCode('');
+          }}
+          disabled={loading}
+        >
+          {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+        </button>
+        <button onClick={() => switchMode('login')} disabled={loading}>
+          Back to login
+        </button>
+      </div>
+    );
+  }
+
+  // "Forgot password" screen
+  if (mode === 'forgot') {
+    return (
+      <div>
+        <h1>Forgot Password</h1>
+        {messages}
+        <form onSubmit={handleForgotPassword}>
+          <div>
+            <label htmlFor="email">Email:</label>
+            <input
+              id="email"
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              disabled={loading}
+              required
+            />
+          </div>
+          <button type="submit" disabled={loading}>
+            {loading ? 'Sending...' : 'Send reset link'}
+          </button>
+        </form>
+        <button onClick={() => switchMode('login')} disabled={loading}>
+          Back to login
+        </button>
+      </div>
+    );
+  }
+
+  // Password reset screen (opened from the emailed link)
+  if (mode === 'reset') {
+    return (
+      <div>
+        <h1>Choose a New Password</h1>
+        {messages}
+        <form onSubmit={handleResetPassword}>
+          <div>
+            <label htmlFor="password">New password:</label>
+            <input
+              id="password"
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              disabled={loading}
+              required
+            />
+          </div>
+          <div>
+            <label htmlFor="confirmPassword">Confirm password:</label>
+            <input
+              id="confirmPassword"
+              type="password"
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              disabled={loading}
+              required
+            />
+          </div>
+          <button type="submit" disabled={loading}>
+            {loading ? 'Saving...' : 'Set password'}
+          </button>
+        </form>
+      </div>
+    );
+  }
+
   // Render authentication form
   return (
     <div>
       <h1>{isLogin ? 'Login' : 'Sign Up'}</h1>
 
-      {/* Error message display - only shown if error exists */}
-      {error && <div style={{ color: 'red' }}>{error}</div>}
+      {messages}
 
       {/* Authentication form */}
       <form onSubmit={handleSubmit}>
@@ -149,9 +400,15 @@ export const Auth = () => {
       </form>
 
       {/* Toggle between login and signup */}
-      <button onClick={() => setIsLogin(!isLogin)} disabled={loading}>
+      <button onClick={() => switchMode(isLogin ? 'signup' : 'login')} disabled={loading}>
         {isLogin ? 'Need an account? Sign up' : 'Have an account? Login'}
       </button>
+
+      {isLogin && (
+        <button onClick={() => switchMode('forgot')} disabled={loading}>
+          Forgot password?
+        </button>
+      )}
     </div>
   );
 };
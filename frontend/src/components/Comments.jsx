@@ -0,0 +1,174 @@
+// Comments Component
+// The discussion thread shown in a todo's details: read the comments, add one,
+// edit your own for a few minutes after posting, delete your own (owners can
+// delete any). Comments support simple markdown and "@email" mentions
+
+// Import React hooks
+import { useState, useEffect } from 'react';
+
+// Import auth context for the API token and the current user
+import { useAuth } from '../contexts/AuthContext';
+
+// Import comment API functions
+import { getComments, createComment, updateComment, deleteComment } from '../utils/api';
+
+// Import the author badge and the markdown renderer
+import { AssigneeAvatar } from './AssigneeAvatar';
+import { Markdown } from './Markdown';
+
+// Comments Component
+// Props:
+// - todo: The todo whose thread to show
+// - role: The user's role for the todo ('viewer', 'editor' or 'owner')
+export const Comments = ({ todo, role }) => {
+  // Comments: [{ id, body, author: { id, email }, createdAt, editedAt, editableUntil }]
+  const [comments, setComments] = useState([]);
+
+  // New comment text
+  const [newBody, setNewBody] = useState('');
+
+  // The comment being edited and its draft text
+  const [editingId, setEditingId] = useState(null);
+  const [editBody, setEditBody] = useState('');
+
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const { token, user } = useAuth();
+
+  // Viewers can read the thread but not write in it
+  const canComment = role !== 'viewer';
+
+  // Fetch the thread when the todo is opened
+  useEffect(() => {
+    fetchComments();
+  }, [todo.id]);
+
+  const fetchComments = async () => {
+    if (!token) return;
+
+    try {
+      setLoading(true);
+      setError('');
+      const response = await getComments(token, todo.id);
+      setComments(response.comments);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to fetch comments');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!newBody.trim()) return;
+
+    try {
+      setError('');
+      const comment = await createComment(token, todo.id, newBody.trim());
+      setComments([...comments, comment]);
+      setNewBody('');
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to add comment');
+    }
+  };
+
+  const startEditing = (comment) => {
+    setEditingId(comment.id);
+    setEditBody(comment.body);
+  };
+
+  const handleSaveEdit = async (comment) => {
+    if (!editBody.trim()) return;
+
+    try {
+      setError('');
+      const updated = await updateComment(token, todo.id, comment.id, editBody.trim());
+      setComments(comments.map((c) => (c.id === comment.id ? updated : c)));
+      setEditingId(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to edit comment');
+    }
+  };
+
+  const handleDelete = async (comment) => {
+    if (!window.confirm('Delete this comment?')) {
+      return;
+    }
+
+    try {
+      setError('');
+      await deleteComment(token, todo.id, comment.id);
+      setComments(comments.filter((c) => c.id !== comment.id));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to delete comment');
+    }
+  };
+
+  if (loading) {
+    return <p style={{ fontSize: '13px' }}>Loading comments...</p>;
+  }
+
+  return (
+    <div style={{ marginTop: '10px', fontSize: '14px' }}>
+      <strong>Comments</strong>
+      {error && <div style={{ color: 'red' }}>{error}</div>}
+
+      <ul style={{ listStyle: 'none', padding: 0 }}>
+        {comments.map((comment) => {
+          const mine = comment.author.id === user?.id;
+          // The server enforces the window too - this only hides a button that would fail
+          const canEdit = mine && canComment && new Date(comment.editableUntil) > new Date();
+          const canDelete = canComment && (mine || role === 'owner');
+
+          return (
+            <li key={comment.id} style={{ marginBottom: '8px' }}>
+              <AssigneeAvatar user={comment.author} size={18} />
+              <span style={{ color: '#6b7280', fontSize: '12px' }}>
+                {comment.author.email} · {new Date(comment.createdAt).toLocaleString()}
+                {comment.editedAt && ' (edited)'}
+              </span>{' '}
+              {canEdit && editingId !== comment.id && (
+                <button onClick={() => startEditing(comment)}>Edit</button>
+              )}
+              {canDelete && <button onClick={() => handleDelete(comment)}>Delete</button>}
+
+              {editingId === comment.id ? (
+                <div>
+                  <textarea
+                    aria-label="Edit comment"
+                    value={editBody}
+                    onChange={(e) => setEditBody(e.target.value)}
+                    rows={3}
+                    style={{ display: 'block', width: '100%' }}
+                  />
+                  <button onClick={() => handleSaveEdit(comment)}>Save</button>
+                  <button onClick={() => setEditingId(null)}>Cancel</button>
+                </div>
+              ) : (
+                <Markdown text={comment.body} />
+              )}
+            </li>
+          );
+        })}
+      </ul>
+
+      {comments.length === 0 && <p style={{ color: '#6b7280' }}>No comments yet.</p>}
+
+      {/* Form to add a comment */}
+      {canComment && (
+        <form onSubmit={handleAdd}>
+          <textarea
+            aria-label={`Comment on ${todo.title}`}
+            placeholder="Write a comment - **bold**, *italic*, `code`, [link](https://...), @email to mention"
+            value={newBody}
+            onChange={(e) => setNewBody(e.target.value)}
+            rows={2}
+            style={{ display: 'block', width: '100%' }}
+          />
+          <button type="submit">Comment</button>
+        </form>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,101 @@
+// ConflictPrompt Component
+// Shown when saving a todo failed because it was changed somewhere else in the
+// meantime (another tab, or another member of a shared list). It puts the
+// user's change next to the current version and lets them pick one, so
+// neither edit is lost without the user knowing
+
+// Labels for the fields a change can touch
+const FIELD_LABELS = {
+  title: 'Title',
+  notes: 'Notes',
+  completed: 'Completed',
+  dueAt: 'Due',
+  priority: 'Priority',
+  listId: 'List',
+  assigneeId: 'Assignee',
+  autoComplete: 'Auto-complete',
+};
+
+// Longest text value shown in full; notes can be long
+const MAX_VALUE_LENGTH = 80;
+
+const promptStyle = {
+  position: 'fixed',
+  top: '20%',
+  left: '50%',
+  transform: 'translateX(-50%)',
+  background: 'white',
+  border: '1px solid #d1d5db',
+  borderRadius: '6px',
+  padding: '16px',
+  maxWidth: '480px',
+  boxShadow: '0 10px 25px rgba(0, 0, 0, 0.2)',
+  zIndex: 1000,
+};
+
+// ConflictPrompt Component
+// Props:
+// - conflict: { current, updates }
+//   - current: The todo as it is on the server now
+//   - updates: The fields the user tried to save, or null for a delete
+// - lists: The user's lists ([{ id, name }]), to name a listId
+// - onKeepMine(): Save the user's change on top of the current version
+// - onKeepTheirs(): Drop the user's change and show the current version
+export const ConflictPrompt = ({ conflict, lists, onKeepMine, onKeepTheirs }) => {
+  const { current, updates } = conflict;
+
+  // Turn a field's value into display text
+  const formatValue = (field, value) => {
+    if (field === 'listId') {
+      return value === null ? 'Inbox' : (lists.find((l) => l.id === value)?.name ?? 'a list');
+    }
+    if (field === 'assigneeId') {
+      if (value === null) return 'Nobody';
+      // Only the current version comes with the assignee's email
+      return value === current.assigneeId ? current.assignee.email : 'Someone else';
+    }
+    if (value === null || value === undefined || value === '') return '—';
+    if (typeof value === 'boolean') return value ? 'yes' : 'no';
+    if (field === 'dueAt') return new Date(value).toLocaleString();
+
+    const text = String(value);
+    return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH)}…` : text;
+  };
+
+  return (
+    <div role="alertdialog" aria-labelledby="conflict-title" style={promptStyle}>
+      <strong id="conflict-title">"{current.title}" was changed somewhere else</strong>
+      <p style={{ fontSize: '14px' }}>
+        Someone (maybe you, in another tab) changed this todo after it was loaded here.
+      </p>
+
+      {updates === null ? (
+        <p style={{ fontSize: '14px' }}>You were about to delete it.</p>
+      ) : (
+        <table style={{ fontSize: '14px', marginBottom: '10px' }}>
+          <thead>
+            <tr>
+              <th></th>
+              <th style={{ textAlign: 'left' }}>Your change</th>
+              <th style={{ textAlign: 'left' }}>Now</th>
+            </tr>
+          </thead>
+          <tbody>
+            {Object.entries(updates).map(([field, value]) => (
+              <tr key={field}>
+                <td>{FIELD_LABELS[field] ?? field}</td>
+                <td>{formatValue(field, value)}</td>
+                <td>{formatValue(field, current[field])}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <button onClick={onKeepMine}>{updates === null ? 'Delete anyway' : 'Keep my change'}</button>
+      <button onClick={onKeepTheirs}>
+        {updates === null ? "Don't delete" : 'Keep the current version'}
+      </button>
+    </div>
+  );
+};
@@ -0,0 +1,185 @@
+// ListMembers Component
+// Shows who a list is shared with. Owners can invite people by email, change
+// their roles and remove them; everyone else sees the members and can leave
+
+// Import React hooks
+import { useState, useEffect } from 'react';
+
+// Import auth context for the API token and the current user
+import { useAuth } from '../contexts/AuthContext';
+
+// Import list member API functions
+import {
+  getListMembers,
+  addListMember,
+  updateListMember,
+  removeListMember,
+} from '../utils/api';
+
+// Roles a member can have, with a short description for the role picker
+// Must stay in sync with ROLES in backend/src/utils/permissions.js
+const ROLE_OPTIONS = [
+  { value: 'viewer', label: 'Viewer - can see todos' },
+  { value: 'editor', label: 'Editor - can change todos' },
+  { value: 'owner', label: 'Owner - can also share, rename and delete' },
+];
+
+// ListMembers Component
+// Props:
+// - list: The selected list, including the user's role in it
+// - onChange(): Called after the members changed (e.g. to refresh member counts)
+// - onLeave(): Called after the user left the list
+export const ListMembers = ({ list, onChange, onLeave }) => {
+  // Members: [{ userId, email, role, createdAt }]
+  const [members, setMembers] = useState([]);
+
+  // Invite form inputs
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState('editor');
+
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const { token, user } = useAuth();
+
+  // Only owners can manage members
+  const isOwner = list.role === 'owner';
+
+  // Fetch members when the component mounts or another list is selected
+  useEffect(() => {
+    fetchMembers();
+  }, [list.id]);
+
+  const fetchMembers = async () => {
+    if (!token) return;
+
+    try {
+      setLoading(true);
+      setError('');
+      const response = await getListMembers(token, list.id);
+      setMembers(response.members);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to fetch members');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+
+    if (!email.trim()) {
+      setError('Please enter an email address');
+      return;
+    }
+
+    try {
+      setError('');
+      const member = await addListMember(token, list.id, email.trim(), role);
+      setMembers([...members, member]);
+      setEmail('');
+      onChange();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to add member');
+    }
+  };
+
+  const handleRoleChange = async (member, newRole) => {
+    try {
+      setError('');
+      const updated = await updateListMember(token, list.id, member.userId, newRole);
+      setMembers(members.map((m) => (m.userId === member.userId ? updated : m)));
+
+      // Stepping down from owner changes what this user may do with the list
+      onChange();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to change role');
+    }
+  };
+
+  const handleRemove = async (member) => {
+    const leaving = member.userId === user?.id;
+    const question = leaving
+      ? `Leave "${list.name}"? You won't see its todos any more.`
+      : `Remove ${member.email} from "${list.name}"?`;
+
+    if (!window.confirm(question)) {
+      return;
+    }
+
+    try {
+      setError('');
+      await removeListMember(token, list.id, member.userId);
+
+      if (leaving) {
+        onLeave();
+        return;
+      }
+      setMembers(members.filter((m) => m.userId !== member.userId));
+      onChange();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to remove member');
+    }
+  };
+
+  if (loading) {
+    return <p>Loading members...</p>;
+  }
+
+  return (
+    <div style={{ margin: '10px 0', padding: '10px', border: '1px solid #d1d5db' }}>
+      <h3 style={{ marginTop: 0 }}>Members of "{list.name}"</h3>
+      {error && <div style={{ color: 'red' }}>{error}</div>}
+
+      <ul style={{ listStyle: 'none', padding: 0 }}>
+        {members.map((member) => (
+          <li key={member.userId} style={{ marginBottom: '6px' }}>
+            {member.email}
+            {member.userId === user?.id && ' (you)'}{' '}
+            {isOwner ? (
+              <select
+                aria-label={`Role of ${member.email}`}
+                value={member.role}
+                onChange={(e) => handleRoleChange(member, e.target.value)}
+              >
+                {ROLE_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.value}
+                  </option>
+                ))}
+              </select>
+            ) : (
+              <span style={{ color: '#6b7280' }}>{member.role}</span>
+            )}{' '}
+            {(isOwner || member.userId === user?.id) && (
+              <button onClick={() => handleRemove(member)}>
+                {member.userId === user?.id ? 'Leave' : 'Remove'}
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {/* Invite form - owners only */}
+      {isOwner && (
+        <form onSubmit={handleInvite}>
+          <input
+            type="email"
+            placeholder="Email of an existing user"
+            aria-label="Email to share with"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+          />{' '}
+          <select aria-label="Role" value={role} onChange={(e) => setRole(e.target.value)}>
+            {ROLE_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>{' '}
+          <button type="submit">Share</button>
+        </form>
+      )}
+    </div>
+  );
+};
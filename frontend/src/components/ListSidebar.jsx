@@ -0,0 +1,178 @@
+// ListSidebar Component
+// Shows the user's lists (projects) and lets them switch, create, rename and delete lists
+// Lists shared with the user appear here too; only owners can rename or delete a list
+// The list data itself lives in TodoList - this component only renders it
+// and reports user actions back through callback props
+
+// Import React hooks
+import { useState } from 'react';
+
+// Import icons for the rename/delete buttons and the shared-list marker
+import { Pencil, Trash2, Users } from 'lucide-react';
+
+// Style for a clickable sidebar entry
+// The selected entry gets a highlighted background
+const entryStyle = (selected) => ({
+  display: 'flex',
+  alignItems: 'center',
+  justifyContent: 'space-between',
+  padding: '4px 8px',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  background: selected ? '#e5e7eb' : 'transparent',
+});
+
+// Reset styles so icon buttons don't look like default browser buttons
+const iconButtonStyle = {
+  border: 'none',
+  background: 'none',
+  cursor: 'pointer',
+  padding: '0 2px',
+};
+
+// ListSidebar Component
+// Props:
+// - lists: Array of { id, name, role, todoCount, memberCount }
+// - inboxCount: Number of todos without a list
+// - selectedListId: '' (all todos), 'inbox', or a list ID
+// - onSelect(listId): Called when the user picks an entry
+// - onCreate(name): Called with the new list name; returns a Promise
+// - onRename(list, name): Called with the list and its new name
+// - onDelete(list, todosAction): todosAction is 'delete', 'inbox' or undefined (empty list)
+export const ListSidebar = ({
+  lists,
+  inboxCount,
+  selectedListId,
+  onSelect,
+  onCreate,
+  onRename,
+  onDelete,
+}) => {
+  // Input value for new list name
+  const [newListName, setNewListName] = useState('');
+
+  // ID of the non-empty list the user is about to delete
+  // While set, we ask what should happen to the list's todos
+  const [pendingDeleteId, setPendingDeleteId] = useState(null);
+
+  // Create new list from the form input
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newListName.trim()) return;
+
+    await onCreate(newListName.trim());
+    setNewListName('');
+  };
+
+  // Rename a list using the browser's built-in prompt dialog
+  const handleRename = (list) => {
+    const name = window.prompt('Rename list', list.name);
+    if (name && name.trim() && name.trim() !== list.name) {
+      onRename(list, name.trim());
+    }
+  };
+
+  // Delete a list
+  // Empty lists are deleted immediately; otherwise we show the
+  // "delete todos / move to Inbox" choice below the list entry
+  const handleDelete = (list) => {
+    if (list.todoCount === 0) {
+      onDelete(list);
+      return;
+    }
+    setPendingDeleteId(list.id);
+  };
+
+  // Finish a pending delete with the user's choice for its todos
+  const confirmDelete = (list, todosAction) => {
+    setPendingDeleteId(null);
+    onDelete(list, todosAction);
+  };
+
+  return (
+    <nav style={{ width: '200px', flexShrink: 0 }}>
+      <h2>Lists</h2>
+
+      <div style={entryStyle(selectedListId === '')} onClick={() => onSelect('')}>
+        All todos
+      </div>
+      <div
+        style={entryStyle(selectedListId === 'inbox')}
+        onClick={() => onSelect('inbox')}
+      >
+        <span>Inbox</span>
+        <span>{inboxCount}</span>
+      </div>
+
+      {lists.map((list) => (
+        <div key={list.id}>
+          <div
+            style={entryStyle(selectedListId === list.id)}
+            onClick={() => onSelect(list.id)}
+          >
+            <span>
+              {list.name}{' '}
+              {/* Shared lists show how many people are in them and the user's role */}
+              {list.memberCount > 1 && (
+                <span title={`Shared with ${list.memberCount} people - your role: ${list.role}`}>
+                  <Users size={12} />
+                </span>
+              )}
+            </span>
+            <span>
+              {list.todoCount}
+              {/* Renaming and deleting are for owners only
+                  stopPropagation keeps the click from also selecting the list */}
+              {list.role === 'owner' && (
+                <>
+                  <button
+                    style={iconButtonStyle}
+                    aria-label={`Rename ${list.name}`}
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      handleRename(list);
+                    }}
+                  >
+                    <Pencil size={14} />
+                  </button>
+                  <button
+                    style={iconButtonStyle}
+                    aria-label={`Delete ${list.name}`}
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      handleDelete(list);
+                    }}
+                  >
+                    <Trash2 size={14} color="red" />
+                  </button>
+                </>
+              )}
+            </span>
+          </div>
+
+          {/* Ask what to do with the todos of a non-empty list */}
+          {pendingDeleteId === list.id && (
+            <div style={{ padding: '4px 8px', fontSize: '13px' }}>
+              <p>Delete "{list.name}" and its {list.todoCount} todos?</p>
+              <button onClick={() => confirmDelete(list, 'delete')}>Delete todos</button>
+              <button onClick={() => confirmDelete(list, 'inbox')}>Move to Inbox</button>
+              <button onClick={() => setPendingDeleteId(null)}>Cancel</button>
+            </div>
+          )}
+        </div>
+      ))}
+
+      {/* Form to create new list */}
+      <form onSubmit={handleCreate} style={{ marginTop: '10px' }}>
+        <input
+          type="text"
+          placeholder="New list"
+          value={newListName}
+          onChange={(e) => setNewListName(e.target.value)}
+          style={{ width: '120px' }}
+        />
+        <button type="submit">Add</button>
+      </form>
+    </nav>
+  );
+};
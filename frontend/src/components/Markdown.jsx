@@ -0,0 +1,94 @@
+// Markdown Component
+// Renders the small markdown subset allowed in comments:
+// - **bold**, *italic* and `code`
+// - [links](https://example.com) - http(s) only, opened in a new tab
+// - @email mentions, highlighted
+// - blank lines separate paragraphs, single line breaks are kept
+//
+// Everything is built as React elements, never as an HTML string, so comment
+// text can't inject markup or scripts - anything that isn't one of the
+// patterns above is shown exactly as typed
+
+// One pattern per inline style; the first that matches at a position wins
+// Capture groups: 1 code, 2 bold, 3 italic, 4+5 link text and URL, 6 mention
+const INLINE_PATTERN = new RegExp(
+  [
+    '`([^`\\n]+)`',
+    '\\*\\*([^*\\n]+)\\*\\*',
+    '\\*([^*\\n]+)\\*',
+    '\\[([^\\]\\n]+)\\]\\((https?://[^\\s)]+)\\)',
+    // Same rule as the backend's mention parser (utils/mentions.js)
+    '(?<=^|[\\s(])(@[\\w.%+-]+@[\\w-]+(?:\\.[\\w-]+)*\\.[a-z]{2,})',
+  ].join('|'),
+  'gi'
+);
+
+// Mentions get a soft highlight, like a chip
+const mentionStyle = {
+  background: '#ede9fe',
+  color: '#5b21b6',
+  borderRadius: '4px',
+  padding: '0 2px',
+};
+
+// Turn one line of text into strings and styled elements
+const renderInline = (line, keyPrefix) => {
+  const parts = [];
+  let lastIndex = 0;
+
+  for (const match of line.matchAll(INLINE_PATTERN)) {
+    // Plain text before this match
+    if (match.index > lastIndex) {
+      parts.push(line.slice(lastIndex, match.index));
+    }
+
+    const key = `${keyPrefix}-${match.index}`;
+    const [, code, bold, italic, linkText, linkUrl, mention] = match;
+
+    if (code !== undefined) {
+      parts.push(<code key={key}>{code}</code>);
+    } else if (bold !== undefined) {
+      parts.push(<strong key={key}>{bold}</strong>);
+    } else if (italic !== undefined) {
+      parts.push(<em key={key}>{italic}</em>);
+    } else if (linkText !== undefined) {
+      parts.push(
+        <a key={key} href={linkUrl} target="_blank" rel="noopener noreferrer">
+          {linkText}
+        </a>
+      );
+    } else {
+      parts.push(
+        <span key={key} style={mentionStyle}>
+          {mention}
+        </span>
+      );
+    }
+
+    lastIndex = match.index + match[0].length;
+  }
+
+  // Plain text after the last match
+  if (lastIndex < line.length) {
+    parts.push(line.slice(lastIndex));
+  }
+  return parts;
+};
+
+// Markdown Component
+// Props:
+// - text: The raw comment text
+export const Markdown = ({ text }) => (
+  <>
+    {text.split(/\n{2,}/).map((paragraph, p) => (
+      <p key={p} style={{ margin: '4px 0' }}>
+        {paragraph.split('\n').map((line, l) => (
+          <span key={l}>
+            {l > 0 && <br />}
+            {renderInline(line, `${p}-${l}`)}
+          </span>
+        ))}
+      </p>
+    ))}
+  </>
+);
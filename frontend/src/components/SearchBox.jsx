@@ -0,0 +1,194 @@
+// SearchBox Component
+// Full-text search over todo titles, notes and tags (GET /api/search)
+// Results appear in a dropdown as you type and can be picked with the mouse
+// or the keyboard (Arrow Up/Down to move, Enter to open, Escape to close)
+
+// Import React hooks
+import { useState, useEffect } from 'react';
+
+// Import auth context for the API token
+import { useAuth } from '../contexts/AuthContext';
+
+// Import search API function
+import { searchTodos } from '../utils/api';
+
+// Render a highlighted snippet from the search API
+// Matched words come wrapped in <mark>...</mark>, but the rest of the text is
+// the user's raw input - rendering it as HTML would allow script injection.
+// Instead we split on the tags and let React render every piece as plain text
+// split() drops the tags themselves, so the parts alternate: text, match, text...
+const Highlight = ({ text }) => (
+  <>
+    {text.split(/<\/?mark>/).map((part, index) =>
+      index % 2 === 1 ? <mark key={index}>{part}</mark> : part
+    )}
+  </>
+);
+
+// SearchBox Component
+// Props:
+// - filters: { listId, tag, completed } passed on to the search endpoint
+// - onSelect(todo): Called when the user picks a result
+export const SearchBox = ({ filters, onSelect }) => {
+  // Text in the search box
+  const [query, setQuery] = useState('');
+
+  // Results of the latest search: [{ todo, rank, highlights }]
+  const [results, setResults] = useState([]);
+
+  // Index of the keyboard-highlighted result (-1 = none)
+  const [activeIndex, setActiveIndex] = useState(-1);
+
+  // Whether the results dropdown is shown
+  const [open, setOpen] = useState(false);
+
+  const [error, setError] = useState('');
+
+  const { token } = useAuth();
+
+  // Search 250ms after the user stops typing (debounce), so we send one
+  // request per pause instead of one per keystroke
+  //
+  // The cleanup function runs before the next effect: it cancels the pending
+  // timeout and marks any in-flight request as stale, so a slow response for
+  // "mil" can't overwrite the results for "milk"
+  useEffect(() => {
+    const q = query.trim();
+    if (!q || !token) {
+      setResults([]);
+      return;
+    }
+
+    let stale = false;
+    const timeout = setTimeout(async () => {
+      try {
+        const data = await searchTodos(token, { q, ...filters });
+        if (stale) return;
+        setResults(data.results);
+        setActiveIndex(-1);
+        setError('');
+      } catch (err) {
+        if (stale) return;
+        setError(err instanceof Error ? err.message : 'Search failed');
+      }
+    }, 250);
+
+    return () => {
+      stale = true;
+      clearTimeout(timeout);
+    };
+  }, [query, token, filters.listId, filters.tag, filters.completed]);
+
+  // Pick a result: report it and reset the box
+  const select = (result) => {
+    onSelect(result.todo);
+    setQuery('');
+    setResults([]);
+    setOpen(false);
+  };
+
+  // Keyboard navigation through the results
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault(); // Don't move the text cursor
+      setOpen(true);
+      // Wrap around from the last result to the first
+      setActiveIndex((index) => (results.length ? (index + 1) % results.length : -1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex((index) =>
+        results.length ? (index <= 0 ? results.length - 1 : index - 1) : -1
+      );
+    } else if (e.key === 'Enter' && activeIndex >= 0 && results[activeIndex]) {
+      e.preventDefault();
+      select(results[activeIndex]);
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+    }
+  };
+
+  const showResults = open && query.trim() !== '';
+
+  return (
+    <div style={{ position: 'relative', margin: '10px 0' }}>
+      {/* ARIA combobox pattern: screen readers announce the highlighted option */}
+      <input
+        type="search"
+        role="combobox"
+        aria-label="Search todos"
+        aria-expanded={showResults}
+        aria-controls="search-results"
+        aria-activedescendant={activeIndex >= 0 ? `search-result-${activeIndex}` : undefined}
+        placeholder="Search titles, notes and tags"
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setOpen(true);
+        }}
+        onKeyDown={handleKeyDown}
+        onFocus={() => setOpen(true)}
+        // Delay closing so a click on a result still registers
+        onBlur={() => setTimeout(() => setOpen(false), 150)}
+        style={{ width: '100%' }}
+      />
+
+      {showResults && (
+        <ul
+          id="search-results"
+          role="listbox"
+          style={{
+            position: 'absolute',
+            zIndex: 1,
+            left: 0,
+            right: 0,
+            margin: 0,
+            padding: 0,
+            listStyle: 'none',
+            background: 'white',
+            border: '1px solid #d1d5db',
+            borderRadius: '4px',
+          }}
+        >
+          {error && <li style={{ padding: '6px', color: 'red' }}>{error}</li>}
+          {!error && results.length === 0 && (
+            <li style={{ padding: '6px', color: '#6b7280' }}>No matches</li>
+          )}
+          {results.map((result, index) => (
+            <li
+              key={result.todo.id}
+              id={`search-result-${index}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              // onMouseDown fires before the input's blur, unlike onClick
+              onMouseDown={() => select(result)}
+              onMouseEnter={() => setActiveIndex(index)}
+              style={{
+                padding: '6px',
+                cursor: 'pointer',
+                background: index === activeIndex ? '#e5e7eb' : 'transparent',
+              }}
+            >
+              <div
+                style={{
+                  textDecoration: result.todo.completed ? 'line-through' : 'none',
+                }}
+              >
+                <Highlight text={result.highlights.title} />
+              </div>
+              {result.highlights.notes && (
+                <div style={{ fontSize: '12px', color: '#6b7280' }}>
+                  <Highlight text={result.highlights.notes} />
+                </div>
+              )}
+              {result.todo.tags.length > 0 && (
+                <div style={{ fontSize: '12px', color: '#7c3aed' }}>
+                  {result.todo.tags.map((tag) => `#${tag.name}`).join(' ')}
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
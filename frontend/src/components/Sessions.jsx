@@ -0,0 +1,82 @@
+// Sessions Component
+// Lists the devices the user is logged in on and lets them sign out the others
+// (e.g. a lost phone or a shared computer)
+
+// Import React hooks
+import { useState, useEffect } from 'react';
+
+// Import auth context for the API token
+import { useAuth } from '../contexts/AuthContext';
+
+// Import session API functions
+import { getSessions, revokeSession } from '../utils/api';
+
+// Sessions Component
+export const Sessions = () => {
+  // Active sessions: [{ id, device, ip, lastSeenAt, current, ... }]
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const { token, logout } = useAuth();
+
+  // Fetch sessions when the component mounts
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const fetchSessions = async () => {
+    if (!token) return;
+
+    try {
+      setLoading(true);
+      setError('');
+      setSessions(await getSessions(token));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to fetch sessions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Sign out a session
+  // Signing out the current session is the same as logging out
+  const handleRevoke = async (session) => {
+    if (session.current) {
+      logout();
+      return;
+    }
+
+    try {
+      setError('');
+      await revokeSession(token, session.id);
+      setSessions(sessions.filter((s) => s.id !== session.id));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to sign out session');
+    }
+  };
+
+  if (loading) {
+    return <p>Loading sessions...</p>;
+  }
+
+  return (
+    <div style={{ margin: '10px 0', padding: '10px', border: '1px solid #d1d5db' }}>
+      <h3 style={{ marginTop: 0 }}>Where you're logged in</h3>
+      {error && <div style={{ color: 'red' }}>{error}</div>}
+      <ul style={{ listStyle: 'none', padding: 0 }}>
+        {sessions.map((session) => (
+          <li key={session.id} style={{ marginBottom: '6px' }}>
+            <strong>{session.device}</strong>
+            {session.current && ' (this device)'}
+            <span style={{ color: '#6b7280', marginLeft: '8px' }}>
+              {session.ip ?? 'Unknown IP'} · last active{' '}
+              {new Date(session.lastSeenAt).toLocaleString()}
+            </span>{' '}
+            <button onClick={() => handleRevoke(session)}>Sign out</button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
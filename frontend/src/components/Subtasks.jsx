@@ -0,0 +1,101 @@
+// Subtasks Component
+// Renders a todo's subtasks (children) as a nested checklist under the parent
+// TodoList owns the data and API calls; this component reports actions through props
+
+// Import React hooks
+import { useState } from 'react';
+
+// Import icon for delete button
+import { Trash2 } from 'lucide-react';
+
+// Import the assignee initials badge
+import { AssigneeAvatar } from './AssigneeAvatar';
+
+// Subtasks Component
+// Props:
+// - parent: The parent todo, including children and autoComplete
+// - onAdd(parent, title): Create a new subtask
+// - onToggle(child): Complete/reopen a subtask
+// - onDelete(child): Delete a subtask
+// - onToggleAutoComplete(parent): Flip the parent's autoComplete setting
+// - readOnly: Only show the checklist (for viewers of a shared list)
+export const Subtasks = ({
+  parent,
+  onAdd,
+  onToggle,
+  onDelete,
+  onToggleAutoComplete,
+  readOnly = false,
+}) => {
+  // Input value for new subtask
+  const [newTitle, setNewTitle] = useState('');
+
+  // Create new subtask from the inline form
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!newTitle.trim()) return;
+
+    await onAdd(parent, newTitle.trim());
+    setNewTitle('');
+  };
+
+  return (
+    <div style={{ marginLeft: '28px', marginTop: '6px' }}>
+      <ul style={{ listStyle: 'none', padding: 0 }}>
+        {parent.children.map((child) => (
+          <li key={child.id} style={{ marginBottom: '4px' }}>
+            <input
+              type="checkbox"
+              checked={child.completed}
+              disabled={readOnly}
+              onChange={() => onToggle(child)}
+            />
+            <span
+              style={{
+                textDecoration: child.completed ? 'line-through' : 'none',
+                marginLeft: '8px',
+                marginRight: '8px',
+              }}
+            >
+              {child.title}
+            </span>
+            {child.assignee && <AssigneeAvatar user={child.assignee} size={18} />}
+            {!readOnly && (
+              <button
+                onClick={() => onDelete(child)}
+                aria-label={`Delete ${child.title}`}
+                style={{ border: 'none', background: 'none', cursor: 'pointer' }}
+              >
+                <Trash2 size={14} color="red" />
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {/* Form to add a subtask to this parent */}
+      {!readOnly && (
+        <form onSubmit={handleAdd}>
+          <input
+            type="text"
+            placeholder="Add a step"
+            value={newTitle}
+            onChange={(e) => setNewTitle(e.target.value)}
+          />
+          <button type="submit">Add</button>
+        </form>
+      )}
+
+      {/* Opt-in rollup: complete the parent once every subtask is done */}
+      <label style={{ fontSize: '13px' }}>
+        <input
+          type="checkbox"
+          checked={parent.autoComplete}
+          disabled={readOnly}
+          onChange={() => onToggleAutoComplete(parent)}
+        />{' '}
+        Complete automatically when all steps are done
+      </label>
+    </div>
+  );
+};
@@ -0,0 +1,54 @@
+// SyncStatus Component
+// A small indicator of whether the changes made in this browser have reached
+// the server: all saved, waiting for a connection, or being sent right now.
+// Changes the server refused when they were replayed (e.g. the todo was
+// deleted in the meantime) are listed, to retry or discard
+
+// What each change type reads like in the failed list
+const CHANGE_LABELS = {
+  create: 'Add',
+  update: 'Change',
+  delete: 'Delete',
+};
+
+const STATUS_STYLES = {
+  synced: { color: '#059669', text: 'All changes saved' },
+  syncing: { color: '#2563eb', text: 'Saving changes...' },
+  offline: { color: '#d97706', text: 'Offline' },
+};
+
+// SyncStatus Component
+// Props:
+// - status: 'synced', 'syncing' or 'offline'
+// - pendingCount: How many changes are waiting to be sent
+// - failed: Queued changes the server refused ([{ seq, type, title, error }])
+// - onRetry(change): Queue a failed change again
+// - onDiscard(change): Drop a failed change
+export const SyncStatus = ({ status, pendingCount, failed, onRetry, onDiscard }) => {
+  const { color, text } = STATUS_STYLES[status];
+
+  return (
+    <div style={{ margin: '6px 0', fontSize: '13px' }}>
+      <span role="status" style={{ color }}>
+        ● {text}
+        {pendingCount > 0 &&
+          ` - ${pendingCount} change${pendingCount === 1 ? '' : 's'} waiting to be saved`}
+      </span>
+
+      {failed.length > 0 && (
+        <div style={{ color: '#dc2626', marginTop: '4px' }}>
+          These changes could not be saved:
+          <ul style={{ margin: '2px 0', paddingLeft: '20px' }}>
+            {failed.map((change) => (
+              <li key={change.seq}>
+                {CHANGE_LABELS[change.type]} "{change.title}": {change.error}{' '}
+                <button onClick={() => onRetry(change)}>Retry</button>
+                <button onClick={() => onDiscard(change)}>Discard</button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
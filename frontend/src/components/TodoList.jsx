@@ -4,7 +4,8 @@
 // Import React hooks
 // useState: Manages component state
 // useEffect: Runs side effects (like fetching data on mount)
-import { useState, useEffect } from 'react';
+// useRef: Holds a reference to a DOM element (the infinite scroll sentinel)
+import { useState, useEffect, useRef } from 'react';
 
 // Import auth context to get current user and token
 import { useAuth } from '../contexts/AuthContext';
@@ -12,25 +13,327 @@ import { useAuth } from '../contexts/AuthContext';
 // Import API functions for todo operations
 import {
   getTodos,
+  getTodo,
   createTodo,
   updateTodo,
   deleteTodo,
+  restoreTodo,
+  moveTodo,
+  skipOccurrence,
+  endSeries,
+  getLists,
+  createList,
+  updateList,
+  deleteList,
+  getTags,
+  bulkTodos,
+  clearCompleted,
+  completeAll,
 } from '../utils/api';
 
-// Import icon for delete button
-import { Trash2 } from 'lucide-react';
+// Import sidebar for switching between lists
+import { ListSidebar } from './ListSidebar';
+
+// Import nested checklist for subtasks
+import { Subtasks } from './Subtasks';
+
+// Import full-text search box
+import { SearchBox } from './SearchBox';
+
+// Import the logged-in devices panel
+import { Sessions } from './Sessions';
+import { TwoFactorSettings } from './TwoFactorSettings';
+import { ApiTokens } from './ApiTokens';
+
+// Import the sharing panel for the selected list
+import { ListMembers } from './ListMembers';
+
+// Import assignee display and picker
+import { AssigneeAvatar } from './AssigneeAvatar';
+import { AssigneePicker } from './AssigneePicker';
+
+// Import the discussion thread shown in a todo's details
+import { Comments } from './Comments';
+
+// Import the audit trail (a todo's history and the account-wide feed)
+import { ActivityLog } from './ActivityLog';
+
+// Import the trash view and the "Undo" notice shown after deleting
+import { Trash } from './Trash';
+import { UndoToast } from './UndoToast';
+
+// Import the prompt shown when a todo was changed somewhere else while editing
+import { ConflictPrompt } from './ConflictPrompt';
+
+// Import the offline copy of the todos and the queue of changes made offline
+import {
+  readCache,
+  writeCache,
+  getQueue,
+  queueChange,
+  removeQueuedChange,
+  saveQueuedChange,
+  applyQueue,
+  replayQueue,
+  createTempId,
+  isTempId,
+} from '../utils/offline';
+import { SyncStatus } from './SyncStatus';
+
+// Import the listener for changes made elsewhere
+import { listenForEvents } from '../utils/liveUpdates';
+
+// Import icons for delete, expand/collapse and recurrence buttons
+import {
+  Trash2,
+  ChevronDown,
+  ChevronRight,
+  Repeat,
+  SkipForward,
+  XCircle,
+  GripVertical,
+} from 'lucide-react';
+
+// Badge colors for each priority level
+// Keys match the priority values accepted by the backend
+const PRIORITY_COLORS = {
+  high: '#dc2626',
+  medium: '#d97706',
+  low: '#2563eb',
+};
+
+// Build the due date badge for a todo
+// Returns null when the todo has no due date
+// A todo is overdue when its due date has passed and it's still open
+const getDueBadge = (todo) => {
+  if (!todo.dueAt) return null;
+
+  // dueAt arrives as an ISO string in UTC; Date converts it to local time
+  const due = new Date(todo.dueAt);
+  return {
+    label: due.toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' }),
+    overdue: !todo.completed && due < new Date(),
+  };
+};
+
+// Turn the comma-separated tag input into an array of tag names
+// Example: "work, urgent ," -> ['work', 'urgent']
+const parseTagInput = (value) =>
+  value
+    .split(',')
+    .map((tag) => tag.trim())
+    .filter((tag) => tag !== '');
+
+// Build the stand-in for a todo created offline, shaped like the todos the
+// backend returns, so the list can show it until the server has saved it
+// The recurrence rule is left out: the backend fills in its defaults (e.g. the
+// weekday of the due date), so the repeat badge appears once the todo is saved
+// Parameters:
+// - id: Temporary ID (see createTempId)
+// - title: The todo's title
+// - fields: The other fields sent to createTodo
+const buildLocalTodo = (id, title, fields) => ({
+  id,
+  title: title.trim(),
+  notes: null,
+  completed: false,
+  dueAt: fields.dueAt ?? null,
+  priority: fields.priority ?? null,
+  listId: fields.listId ?? null,
+  parentId: null,
+  assigneeId: null,
+  assignee: null,
+  autoComplete: false,
+  recurrence: null,
+  tags: fields.tags.map((name) => ({ id: name, name: name.toLowerCase() })),
+  children: [],
+  progress: { completed: 0, total: 0, ratio: null },
+});
+
+// How often to check whether the server is reachable again while offline
+const SYNC_RETRY_MS = 30 * 1000;
+
+// How long to wait after a live event before reloading the sidebar and tag counts
+const LIVE_REFRESH_DELAY_MS = 1000;
+
+// Weekday names used in recurrence labels (index 0 = Sunday, like Date.getDay())
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Build a recurrence rule from the "Repeat" select in the create form
+// The schedule uses the browser's time zone so "every day at 9:00" stays at
+// 9:00 local time across daylight saving changes
+// Parameters:
+// - repeat: Selected option ('', 'daily', 'weekdays', 'weekly', 'monthly', 'yearly', 'after')
+// - days: Number of days for the "N days after completion" option
+const buildRecurrence = (repeat, days) => {
+  if (!repeat) return undefined;
+
+  const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  switch (repeat) {
+    case 'weekdays':
+      return { freq: 'weekly', byWeekday: [1, 2, 3, 4, 5], timezone };
+    case 'after':
+      return { freq: 'daily', interval: days, afterCompletion: true, timezone };
+    default:
+      // daily, weekly, monthly, yearly - the backend defaults the weekday or
+      // day of month to the one of the due date
+      return { freq: repeat, timezone };
+  }
+};
+
+// Describe a recurrence rule for the repeat badge
+// Example: { freq: 'weekly', byWeekday: [1, 3] } -> "weekly on Mon, Wed"
+const describeRecurrence = (rule) => {
+  const every = rule.interval > 1 ? `every ${rule.interval} ` : '';
+  switch (rule.freq) {
+    case 'daily':
+      if (rule.afterCompletion) return `${rule.interval} days after completion`;
+      return every ? `${every}days` : 'daily';
+    case 'weekly':
+      return `${every ? `${every}weeks` : 'weekly'} on ${rule.byWeekday
+        .map((day) => WEEKDAYS[day])
+        .join(', ')}`;
+    case 'monthly':
+      return `${every ? `${every}months` : 'monthly'} on ${
+        rule.byMonthDay === -1 ? 'the last day' : `day ${rule.byMonthDay}`
+      }`;
+    default:
+      return every ? `${every}years` : 'yearly';
+  }
+};
+
+// Shared style for the small pill-shaped labels next to each todo
+const badgeStyle = {
+  display: 'inline-block',
+  padding: '1px 6px',
+  marginRight: '6px',
+  borderRadius: '9999px',
+  fontSize: '12px',
+  color: 'white',
+};
 
 // TodoList Component
 export const TodoList = () => {
   // Component State
 
-  // Array of all todos
-  // Each todo object shape: { id, title, completed, userId, createdAt, updatedAt }
+  // Todos loaded so far (one or more pages)
+  // Each todo object shape: { id, title, completed, dueAt, priority, listId, userId, createdAt, updatedAt }
   const [todos, setTodos] = useState([]);
 
+  // Pagination state from the last response
+  // nextCursor is null once the last page has been loaded
+  // total is the number of matching todos across all pages
+  const [nextCursor, setNextCursor] = useState(null);
+  const [total, setTotal] = useState(0);
+  const [loadingMore, setLoadingMore] = useState(false);
+
+  // Invisible element after the last todo - when it scrolls into view,
+  // the next page is loaded (infinite scroll)
+  const sentinelRef = useRef(null);
+
+  // User's lists and the number of todos in the Inbox (shown in the sidebar)
+  const [lists, setLists] = useState([]);
+  const [inboxCount, setInboxCount] = useState(0);
+
+  // Currently selected sidebar entry: '' (all todos), 'inbox', or a list ID
+  const [selectedListId, setSelectedListId] = useState('');
+
+  // ID of the todo currently being dragged (null when not dragging)
+  const [draggedId, setDraggedId] = useState(null);
+
+  // IDs of todos whose notes and subtasks are expanded
+  // Stored as an array because React state should be replaced, not mutated
+  const [expandedIds, setExpandedIds] = useState([]);
+
+  // ID of a todo to scroll to once it's rendered (set when picking a search result)
+  const [scrollToId, setScrollToId] = useState(null);
+
+  // Whether the logged-in devices panel is open
+  const [showSessions, setShowSessions] = useState(false);
+
+  // Whether the two-factor authentication panel is open
+  const [showTwoFactor, setShowTwoFactor] = useState(false);
+
+  // Whether the API tokens panel is open
+  const [showApiTokens, setShowApiTokens] = useState(false);
+
+  // Whether the members (sharing) panel of the selected list is open
+  const [showMembers, setShowMembers] = useState(false);
+
+  // Whether the account-wide activity feed is open
+  const [showActivity, setShowActivity] = useState(false);
+
+  // ID of the expanded todo whose history is shown (one at a time)
+  const [historyTodoId, setHistoryTodoId] = useState(null);
+
+  // Whether the trash panel is open
+  const [showTrash, setShowTrash] = useState(false);
+
+  // The todo (or subtask) that was just deleted, while its "Undo" toast is up
+  const [undoTodo, setUndoTodo] = useState(null);
+
+  // IDs of the todos selected for the bulk action bar
+  // lastSelectedId is where a shift-click range starts
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [lastSelectedId, setLastSelectedId] = useState(null);
+
+  // Tag typed into the bulk action bar
+  const [bulkTag, setBulkTag] = useState('');
+
+  // A save that was refused because the todo changed in the meantime:
+  // { current, updates, onSaved } (see saveTodo) - shown in the conflict prompt
+  const [conflict, setConflict] = useState(null);
+
+  // Offline support (see utils/offline.js)
+  // - online: false once a request couldn't reach the server (or the browser went offline)
+  // - syncing: queued changes are being sent right now
+  // - queuedChanges: this user's queued changes, pending and failed
+  const [online, setOnline] = useState(navigator.onLine);
+  const [syncing, setSyncing] = useState(false);
+  const [queuedChanges, setQueuedChanges] = useState([]);
+
   // Input value for new todo
   const [newTodoTitle, setNewTodoTitle] = useState('');
 
+  // Optional due date and priority for new todo
+  // newTodoDueAt holds the raw datetime-local input value (e.g. "2026-01-31T17:00")
+  const [newTodoDueAt, setNewTodoDueAt] = useState('');
+  const [newTodoPriority, setNewTodoPriority] = useState('');
+
+  // Comma-separated tags for new todo (e.g. "work, urgent")
+  const [newTodoTags, setNewTodoTags] = useState('');
+
+  // Repeat option for new todo (see buildRecurrence) and the day count
+  // used by the "days after completion" option
+  const [newTodoRepeat, setNewTodoRepeat] = useState('');
+  const [newTodoRepeatDays, setNewTodoRepeatDays] = useState(7);
+
+  // All of the user's tags with usage counts (for the tag filter bar)
+  const [tags, setTags] = useState([]);
+
+  // Tag filter: selected tag names and whether todos need any or all of them
+  const [tagFilter, setTagFilter] = useState([]);
+  const [tagMatch, setTagMatch] = useState('any');
+
+  // Sorting and filtering options sent to the backend
+  // Empty strings mean "no filter"
+  // 'position' is the manual drag-and-drop order
+  const [sort, setSort] = useState('position');
+  const [dueFilter, setDueFilter] = useState('');
+  const [priorityFilter, setPriorityFilter] = useState('');
+  const [completedFilter, setCompletedFilter] = useState('');
+
+  // "Assigned to me" filter: 'me' or '' (everyone)
+  // Starts on when the page was opened from an assignment email (?assignee=me)
+  const [assigneeFilter, setAssigneeFilter] = useState(() =>
+    new URLSearchParams(window.location.search).get('assignee') === 'me' ? 'me' : ''
+  );
+
+  // Title search: searchInput follows the text box on every keystroke,
+  // search is the debounced value that's actually sent to the backend
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+
   // Loading state for initial data fetch
   const [loading, setLoading] = useState(true);
 
@@ -40,8 +343,7 @@ export const TodoList = () => {
   // Get auth data from context
   const { token, user, logout } = useAuth();
 
-  // Fetch todos when component mounts
-  // useEffect with empty dependency array runs once after first render
+  // Fetch todos when component mounts and whenever sort/filters change
   //
   // Component lifecycle:
   // 1. Component renders with initial state (empty todos, loading true)
@@ -51,9 +353,294 @@ export const TodoList = () => {
   // 5. Component re-renders with loaded todos
   useEffect(() => {
     fetchTodos();
-  }, []); // Empty array = run once on mount
+  }, [
+    sort,
+    dueFilter,
+    priorityFilter,
+    completedFilter,
+    assigneeFilter,
+    search,
+    selectedListId,
+    tagFilter,
+    tagMatch,
+  ]); // Re-run when any of these change
 
-  // Fetch todos from backend
+  // Debounce the search box: only search once the user stops typing for 300ms
+  // The cleanup function cancels the pending timeout when the input changes again
+  useEffect(() => {
+    const timeout = setTimeout(() => setSearch(searchInput.trim()), 300);
+    return () => clearTimeout(timeout);
+  }, [searchInput]);
+
+  // Infinite scroll
+  // IntersectionObserver calls us when the sentinel below the list becomes
+  // visible, i.e. the user scrolled to the end of the loaded todos
+  // The observer is recreated whenever the cursor changes so the callback
+  // always sees the current state, and after a reload (the sentinel isn't
+  // rendered while loading)
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !nextCursor) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        loadMore();
+      }
+    });
+    observer.observe(sentinel);
+
+    // Stop observing when the component unmounts or before re-observing
+    return () => observer.disconnect();
+  }, [nextCursor, loadingMore, loading]);
+
+  // Scroll a picked search result into view once the todos have loaded
+  // The element ID is set on each todo's <li> below
+  useEffect(() => {
+    if (!scrollToId || loading) return;
+
+    const element = document.getElementById(`todo-${scrollToId}`);
+    if (element) {
+      element.scrollIntoView({ block: 'center' });
+      setScrollToId(null);
+    }
+  }, [scrollToId, loading, todos]);
+
+  // Fetch lists and tags once on mount
+  // Afterwards they're refreshed whenever todo counts may have changed
+  useEffect(() => {
+    fetchLists();
+    fetchTags();
+  }, []);
+
+  // Send queued changes when the app starts and whenever the connection comes back
+  // The listeners are registered once, so they go through syncRef to reach the
+  // syncNow of the latest render (with the current filters and state)
+  const syncRef = useRef(null);
+  useEffect(() => {
+    syncRef.current();
+    const handleOnline = () => syncRef.current();
+    const handleOffline = () => setOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  // While offline, try again every so often - the browser's 'online' event
+  // doesn't fire when only the server was unreachable
+  useEffect(() => {
+    if (online) return;
+    const interval = setInterval(() => syncRef.current(), SYNC_RETRY_MS);
+    return () => clearInterval(interval);
+  }, [online]);
+
+  // Live updates: changes made by other members of shared lists (or in other
+  // tabs) arrive as events and are applied to the state (see handleLiveEvent)
+  // Like syncRef, liveRef reaches the handler of the latest render
+  // lastEventIdRef lets a new connection (e.g. after a token refresh) pick up
+  // where the previous one stopped
+  const liveRef = useRef(null);
+  const lastEventIdRef = useRef(null);
+  useEffect(() => {
+    if (!token) return;
+
+    return listenForEvents(token, {
+      lastEventId: lastEventIdRef.current,
+      onEvent: (event) => {
+        if (event.id !== undefined) lastEventIdRef.current = event.id;
+        liveRef.current(event);
+      },
+    });
+  }, [token]);
+
+  // Sidebar counts and tag counts change with almost every event - reload them
+  // once a burst of events is over rather than once per event
+  const refreshCountsRef = useRef(null);
+  const scheduleCountsRefresh = () => {
+    clearTimeout(refreshCountsRef.current);
+    refreshCountsRef.current = setTimeout(() => {
+      fetchLists();
+      fetchTags();
+    }, LIVE_REFRESH_DELAY_MS);
+  };
+  useEffect(() => () => clearTimeout(refreshCountsRef.current), []);
+
+  // Load data from the server, with the IndexedDB copy as a stand-in:
+  // the cached copy is shown first, so the page fills in instantly, then the
+  // server's answer replaces it and is cached for next time
+  // Without a connection the cached copy simply stays (and the status says offline)
+  // - key: what's being loaded, e.g. 'lists' (the cache is per user)
+  // - load(): fetches from the server
+  // - show(data): puts the data into state
+  const loadWithCache = async (key, load, show) => {
+    const cacheKey = `${key}:${user?.id}`;
+    const cached = await readCache(cacheKey).catch(() => undefined);
+    if (cached) show(cached);
+
+    try {
+      const data = await load();
+      show(data);
+      setOnline(true);
+      writeCache(cacheKey, data).catch((err) => console.error('Failed to cache data:', err));
+    } catch (err) {
+      if (err.code !== 'network_error') throw err;
+      setOnline(false);
+      // Nothing to show at all - report it
+      if (!cached) throw err;
+    }
+  };
+
+  // Reload the queued changes from IndexedDB into state
+  const refreshQueue = async () => {
+    setQueuedChanges(await getQueue(user?.id).catch(() => []));
+  };
+
+  // Send the queued changes, then reload what they changed
+  const syncNow = async () => {
+    if (!token || !user) return;
+
+    try {
+      setSyncing(true);
+      const result = await replayQueue(token, user.id, {
+        // Swap the temporary todo for the saved one right away
+        onCreated: (tempId, todo) => {
+          setTodos((current) => current.map((t) => (t.id === tempId ? todo : t)));
+        },
+      });
+      await refreshQueue();
+
+      if (result.offline) {
+        setOnline(false);
+        return;
+      }
+
+      // Reload when changes were saved, or to find out whether we're back
+      // online (the loaders set online again once the server answers)
+      if (result.synced > 0 || !online) {
+        fetchTodos();
+        fetchLists();
+        fetchTags();
+      }
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to save queued changes');
+    } finally {
+      setSyncing(false);
+    }
+  };
+  syncRef.current = syncNow;
+
+  // Send a change to the server now, or queue it for later
+  // Changes are queued while offline, while earlier changes are still waiting
+  // (so everything reaches the server in the order it was made), and for todos
+  // that only exist in this browser so far
+  // Parameters:
+  // - change: The queue entry - { type, todoId, title, ... } (see utils/offline.js)
+  // - send(): Sends the change right away
+  // Returns the server's response, or null when the change was queued
+  const sendOrQueue = async (change, send) => {
+    const mustWait =
+      !online ||
+      isTempId(change.todoId) ||
+      queuedChanges.some((queued) => queued.status === 'pending');
+
+    if (!mustWait) {
+      try {
+        return await send();
+      } catch (err) {
+        if (err.code !== 'network_error') throw err;
+        setOnline(false);
+      }
+    }
+
+    await queueChange({ ...change, userId: user.id });
+    await refreshQueue();
+    return null;
+  };
+
+  // Failed queued change: try it again with the next sync
+  // Without the version it was made on, so a change refused because the todo
+  // was changed in the meantime is applied on top of the current version
+  const handleRetryChange = async (change) => {
+    try {
+      await saveQueuedChange({
+        ...change,
+        status: 'pending',
+        error: undefined,
+        version: undefined,
+      });
+      await refreshQueue();
+      syncNow();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to retry change');
+    }
+  };
+
+  // Failed queued change: give up on it, and show the todos as the server has them
+  const handleDiscardChange = async (change) => {
+    try {
+      await removeQueuedChange(change.seq);
+      await refreshQueue();
+      fetchTodos();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to discard change');
+    }
+  };
+
+  // Fetch tags (with usage counts) from backend
+  const fetchTags = async () => {
+    if (!token) return;
+
+    try {
+      await loadWithCache('tags', () => getTags(token), setTags);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to fetch tags');
+    }
+  };
+
+  // Add or remove a tag from the tag filter
+  // Used by the filter bar and by clicking a tag chip on a todo
+  const toggleTagFilter = (name) => {
+    setTagFilter(
+      tagFilter.includes(name) ? tagFilter.filter((t) => t !== name) : [...tagFilter, name]
+    );
+  };
+
+  // Fetch lists (with todo counts) from backend
+  const fetchLists = async () => {
+    if (!token) return;
+
+    try {
+      await loadWithCache(
+        'lists',
+        () => getLists(token),
+        (data) => {
+          setLists(data.lists);
+          setInboxCount(data.inboxCount);
+        }
+      );
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to fetch lists');
+    }
+  };
+
+  // Query parameters for the current sort order and filters
+  // Shared by the first page and every following page
+  const todoParams = () => ({
+    sort,
+    q: search,
+    completed: completedFilter,
+    due: dueFilter,
+    priority: priorityFilter,
+    assignee: assigneeFilter,
+    listId: selectedListId,
+    tag: tagFilter,
+    tagMatch: tagFilter.length > 1 ? tagMatch : undefined,
+  });
+
+  // Fetch the first page of todos from backend
+  // Replaces whatever was loaded before (used when sort/filters change)
   const fetchTodos = async () => {
     // Safety check - should never happen due to App.jsx logic
     if (!token) return;
@@ -62,13 +649,31 @@ export const TodoList = () => {
       setLoading(true);
       setError('');
 
+      // Changes still waiting to be sent are shown on top of the server's todos
+      const queued = await getQueue(user?.id).catch(() => []);
+
       // Call API to get todos
       // Backend filters todos by user ID extracted from token
-      const data = await getTodos(token);
+      // and applies the selected sort order and filters
+      // Each combination of filters is cached separately
+      const params = todoParams();
+      await loadWithCache(
+        `todos:${JSON.stringify(params)}`,
+        () => getTodos(token, params),
+        (data) => {
+          // Update state with fetched todos
+          // This triggers re-render and displays todos
+          const shown = applyQueue(data.todos, queued);
+          setTodos(shown);
+          setNextCursor(data.nextCursor);
+          setTotal(data.total + shown.length - data.todos.length);
+          setLoading(false);
+        }
+      );
 
-      // Update state with fetched todos
-      // This triggers re-render and displays todos
-      setTodos(data);
+      // A selection only makes sense for the todos on screen
+      setSelectedIds([]);
+      setLastSelectedId(null);
     } catch (err) {
       // Handle errors (network issues, invalid token, etc.)
       setError(err instanceof Error ? err.message : 'Failed to fetch todos');
@@ -78,6 +683,27 @@ export const TodoList = () => {
     }
   };
 
+  // Fetch the next page and append it to the loaded todos
+  // Called by the infinite scroll observer
+  const loadMore = async () => {
+    // Nothing left to load, or a page is already on its way
+    if (!token || !nextCursor || loadingMore) return;
+
+    try {
+      setLoadingMore(true);
+
+      const data = await getTodos(token, { ...todoParams(), cursor: nextCursor });
+
+      setTodos((current) => [...current, ...data.todos]);
+      setNextCursor(data.nextCursor);
+      setTotal(data.total);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to fetch todos');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
   // Create new todo
   // Parameter:
   // - e: Event object from form submission
@@ -91,6 +717,12 @@ export const TodoList = () => {
       return;
     }
 
+    // Each occurrence is scheduled from the previous due date
+    if (newTodoRepeat && !newTodoDueAt) {
+      setError('Recurring todos need a due date');
+      return;
+    }
+
     if (!token) return;
 
     try {
@@ -98,7 +730,62 @@ export const TodoList = () => {
 
       // Call API to create todo
       // Backend returns the created todo with generated ID
-      const newTodo = await createTodo(token, newTodoTitle);
+      // datetime-local values have no time zone, so new Date() reads them as
+      // local time and toISOString() converts to UTC for the backend
+      // New todos go into the selected list ('' and 'inbox' both mean no list)
+      const fields = {
+        dueAt: newTodoDueAt ? new Date(newTodoDueAt).toISOString() : undefined,
+        priority: newTodoPriority || undefined,
+        listId: typeof selectedListId === 'number' ? selectedListId : undefined,
+        tags: parseTagInput(newTodoTags),
+        recurrence: buildRecurrence(newTodoRepeat, newTodoRepeatDays),
+      };
+
+      // Offline, the todo is shown right away under a temporary ID and saved
+      // once the connection is back
+      const localTodo = buildLocalTodo(createTempId(), newTodoTitle, fields);
+      const newTodo = await sendOrQueue(
+        {
+          type: 'create',
+          todoId: localTodo.id,
+          title: localTodo.title,
+          fields: { title: newTodoTitle, ...fields },
+          todo: localTodo,
+        },
+        () => createTodo(token, newTodoTitle, fields)
+      );
+
+      // Clear input fields
+      setNewTodoTitle('');
+      setNewTodoDueAt('');
+      setNewTodoPriority('');
+      setNewTodoTags('');
+      setNewTodoRepeat('');
+
+      if (!newTodo) {
+        setTodos((current) => [localTodo, ...current]);
+        setTotal((current) => current + 1);
+        return;
+      }
+
+      // Keep the sidebar and tag counts in sync
+      // (the todo may have introduced brand-new tags)
+      fetchLists();
+      fetchTags();
+
+      // With a custom sort or filter, the new todo's position depends on the
+      // server's ordering rules, so refetch instead of guessing
+      if (
+        sort !== 'position' ||
+        dueFilter ||
+        priorityFilter ||
+        completedFilter ||
+        search ||
+        tagFilter.length > 0
+      ) {
+        fetchTodos();
+        return;
+      }
 
       // Optimistic UI update
       // Add new todo to state immediately without refetching all todos
@@ -106,15 +793,96 @@ export const TodoList = () => {
       //
       // We prepend new todo to array so it appears at top
       // [newTodo, ...todos] creates new array with newTodo first, then existing todos
-      setTodos([newTodo, ...todos]);
-
-      // Clear input field
-      setNewTodoTitle('');
+      // The live stream may have added it already
+      if (todos.some((t) => t.id === newTodo.id)) return;
+      setTodos((current) =>
+        current.some((t) => t.id === newTodo.id) ? current : [newTodo, ...current]
+      );
+      setTotal(total + 1);
     } catch (err) {
       setError(err instanceof Error ? err.message : 'Failed to create todo');
     }
   };
 
+  // Save a change to a todo - or delete it, with updates null - but only if
+  // nobody changed the todo since it was loaded (its version goes along as If-Match)
+  // If somebody did, nothing is saved and the conflict prompt asks the user
+  // whether to keep their change or the current version
+  // Parameters:
+  // - todo: The todo as shown on screen
+  // - updates: The fields to change (see updateTodo), or null to delete
+  // - onSaved(response): Puts the response into state. It may run later, from
+  //   the conflict prompt, so it must use functional state updates
+  //   (setTodos((current) => ...)) rather than the todos of this render
+  // - options.queue: Offline, apply the change locally and queue it instead of
+  //   failing (toggling and deleting top-level todos). Conflicts found when the
+  //   queue is replayed show up in the sync status instead of the prompt
+  const saveTodo = async (todo, updates, onSaved, { queue = false } = {}) => {
+    const send = () =>
+      updates === null
+        ? deleteTodo(token, todo.id, todo.version)
+        : updateTodo(token, todo.id, updates, todo.version);
+
+    try {
+      if (!queue) {
+        await onSaved(await send());
+        return;
+      }
+
+      const response = await sendOrQueue(
+        {
+          type: updates === null ? 'delete' : 'update',
+          todoId: todo.id,
+          title: todo.title,
+          updates,
+          version: todo.version,
+        },
+        send
+      );
+      if (response) {
+        await onSaved(response);
+      } else if (updates === null) {
+        setTodos((current) => current.filter((t) => t.id !== todo.id));
+        setTotal((current) => current - 1);
+      } else {
+        setTodos((current) => current.map((t) => (t.id === todo.id ? { ...t, ...updates } : t)));
+      }
+    } catch (err) {
+      if (err.code !== 'version_conflict') throw err;
+      setConflict({ current: err.current, updates, onSaved });
+    }
+  };
+
+  // Conflict prompt: save the user's change again, on top of the current version
+  const handleKeepMine = async () => {
+    const { current, updates, onSaved } = conflict;
+    setConflict(null);
+
+    try {
+      setError('');
+      await saveTodo(current, updates, onSaved);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to save todo');
+    }
+  };
+
+  // Conflict prompt: drop the user's change and show the current version
+  // (a subtask is shown through its parent, which may have changed with it)
+  const handleKeepTheirs = async () => {
+    const { current } = conflict;
+    setConflict(null);
+
+    try {
+      if (current.parentId !== null) {
+        await refreshTodo(current.parentId);
+      } else {
+        setTodos((loaded) => loaded.map((t) => (t.id === current.id ? current : t)));
+      }
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to fetch todo');
+    }
+  };
+
   // Toggle todo completed status
   // Parameter:
   // - todo: The todo object to toggle
@@ -126,28 +894,384 @@ export const TodoList = () => {
 
       // Call API to update todo
       // We only update the completed field
-      const updatedTodo = await updateTodo(token, todo.id, {
-        completed: !todo.completed,
-      });
+      await saveTodo(
+        todo,
+        { completed: !todo.completed },
+        ({ nextTodo, ...updatedTodo }) => {
+          // Completing a recurring todo creates its next occurrence
+          // Show it at the top of the list right away
+          if (nextTodo) {
+            setTodos((current) => [
+              nextTodo,
+              ...current.map((t) => (t.id === todo.id ? updatedTodo : t)),
+            ]);
+            fetchLists();
+            return;
+          }
 
-      // Update state with modified todo
-      // map creates new array by transforming each element
-      // When we find matching todo, replace it with updated version
-      // All other todos remain unchanged
-      //
-      // Why we create new array instead of mutating:
-      // - React requires immutability for state updates
-      // - React compares references to detect changes
-      // - Mutating array directly won't trigger re-render
-      setTodos(
-        todos.map((t) => (t.id === todo.id ? updatedTodo : t))
+          // Update state with modified todo
+          // map creates new array by transforming each element
+          // When we find matching todo, replace it with updated version
+          // All other todos remain unchanged
+          //
+          // Why we create new array instead of mutating:
+          // - React requires immutability for state updates
+          // - React compares references to detect changes
+          // - Mutating array directly won't trigger re-render
+          setTodos((current) => current.map((t) => (t.id === todo.id ? updatedTodo : t)));
+        },
+        { queue: true }
       );
     } catch (err) {
       setError(err instanceof Error ? err.message : 'Failed to update todo');
     }
   };
 
+  // Move a todo to a new index in the manual order
+  // Used by both drag-and-drop and keyboard reordering
+  // Parameters:
+  // - todo: The todo being moved
+  // - toIndex: Its new index in the todos array
+  const handleReorder = async (todo, toIndex) => {
+    if (!token) return;
+
+    const fromIndex = todos.findIndex((t) => t.id === todo.id);
+    if (toIndex < 0 || toIndex >= todos.length || toIndex === fromIndex) return;
+
+    // Optimistic update: show the new order immediately
+    // splice(toIndex, 0, todo) inserts the todo at toIndex without removing anything
+    const reordered = todos.filter((t) => t.id !== todo.id);
+    reordered.splice(toIndex, 0, todo);
+    setTodos(reordered);
+
+    try {
+      setError('');
+
+      // The backend only needs the new neighbours to calculate a position
+      const updatedTodo = await moveTodo(token, todo.id, {
+        before: reordered[toIndex - 1]?.id,
+        after: reordered[toIndex + 1]?.id,
+      });
+      setTodos((current) => current.map((t) => (t.id === todo.id ? updatedTodo : t)));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to reorder todo');
+      // Reload to get back to the order the server has
+      fetchTodos();
+    }
+  };
+
+  // Keyboard reordering on a todo's drag handle
+  // Arrow Up/Down moves the todo one step; focus follows it
+  const handleReorderKey = (e, todo, index) => {
+    if (e.key !== 'ArrowUp' && e.key !== 'ArrowDown') return;
+
+    // Stop the page from scrolling
+    e.preventDefault();
+    handleReorder(todo, e.key === 'ArrowUp' ? index - 1 : index + 1);
+
+    // React moves the list item in the DOM, which can drop focus
+    // Refocus the handle once the new order has rendered
+    requestAnimationFrame(() => {
+      document.getElementById(`reorder-${todo.id}`)?.focus();
+    });
+  };
+
+  // Skip the current occurrence of a recurring todo
+  // The backend moves the todo to its next due date
+  const handleSkipOccurrence = async (todo) => {
+    if (!token) return;
+
+    try {
+      setError('');
+      const updatedTodo = await skipOccurrence(token, todo.id);
+      setTodos(todos.map((t) => (t.id === todo.id ? updatedTodo : t)));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to skip occurrence');
+    }
+  };
+
+  // Stop a recurring todo from repeating
+  const handleEndSeries = async (todo) => {
+    if (!token) return;
+
+    try {
+      setError('');
+      const updatedTodo = await endSeries(token, todo.id);
+      setTodos(todos.map((t) => (t.id === todo.id ? updatedTodo : t)));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to end series');
+    }
+  };
+
+  // Show or hide a todo's subtasks
+  const toggleExpanded = (id) => {
+    setExpandedIds(
+      expandedIds.includes(id) ? expandedIds.filter((x) => x !== id) : [...expandedIds, id]
+    );
+  };
+
+  // Jump to a todo picked in the search box
+  // Shows its list without any filters and expands it (or, for a subtask,
+  // its parent) so matching notes and steps are visible
+  const handleSearchSelect = (todo) => {
+    const targetId = todo.parentId ?? todo.id;
+
+    setSelectedListId(todo.listId ?? 'inbox');
+    setDueFilter('');
+    setPriorityFilter('');
+    setCompletedFilter('');
+    setSearchInput('');
+    setTagFilter([]);
+    setExpandedIds((current) => (current.includes(targetId) ? current : [...current, targetId]));
+    setScrollToId(targetId);
+  };
+
+  // Save a todo's notes (called when the notes box loses focus)
+  const handleSaveNotes = async (todo, notes) => {
+    if (!token || notes === (todo.notes ?? '')) return;
+
+    try {
+      setError('');
+      await saveTodo(todo, { notes }, (updatedTodo) => {
+        setTodos((current) => current.map((t) => (t.id === todo.id ? updatedTodo : t)));
+      });
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to save notes');
+    }
+  };
+
+  // Assign a todo to someone (or nobody, with null)
+  const handleAssign = async (todo, assigneeId) => {
+    if (!token) return;
+
+    try {
+      setError('');
+      await saveTodo(todo, { assigneeId }, (updatedTodo) => {
+        // Unassigning myself removes the todo from the "Assigned to me" view
+        if (assigneeFilter === 'me' && assigneeId !== user?.id) {
+          setTodos((current) => current.filter((t) => t.id !== todo.id));
+          setTotal((current) => current - 1);
+        } else {
+          setTodos((current) => current.map((t) => (t.id === todo.id ? updatedTodo : t)));
+        }
+      });
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to assign todo');
+    }
+  };
+
+  // Reload one top-level todo (with its subtasks and progress) into state
+  // Used after subtask changes, since those can also change the parent
+  // (e.g. completing the last step auto-completes it)
+  const refreshTodo = async (id) => {
+    const freshTodo = await getTodo(token, id);
+    setTodos((current) => current.map((t) => (t.id === id ? freshTodo : t)));
+  };
+
+  // Whether a todo belongs in the selected sidebar entry
+  const inSelectedList = (todo) =>
+    selectedListId === '' ||
+    (selectedListId === 'inbox' ? todo.listId === null : todo.listId === selectedListId);
+
+  // Apply an event from the live stream (see utils/liveUpdates.js)
+  // Todos are reloaded through getTodo rather than taken from the event, so
+  // they come with their subtasks and progress like the rest of the list
+  // With a custom sort or filter, a todo from elsewhere can't be placed without
+  // the server's ordering rules, so those views only pick up changes to the
+  // todos they already show
+  const handleLiveEvent = async ({ type, data }) => {
+    try {
+      if (type === 'todo' || type === 'todo-deleted') {
+        scheduleCountsRefresh();
+
+        const shown = todos.find((t) => t.id === data.id);
+        // A subtask - its parent's progress (and maybe completion) changed
+        const parent = !shown && todos.find((t) => t.children?.some((c) => c.id === data.id));
+
+        if (parent || (type === 'todo' && data.parentId)) {
+          if (parent || todos.some((t) => t.id === data.parentId)) {
+            await refreshTodo(parent ? parent.id : data.parentId);
+          }
+          return;
+        }
+
+        if (type === 'todo-deleted' || !inSelectedList(data)) {
+          if (shown) {
+            setTodos((current) => current.filter((t) => t.id !== data.id));
+            setTotal((current) => current - 1);
+          }
+          return;
+        }
+
+        // Already up to date (e.g. the change was made here)
+        if (shown) {
+          if (shown.version < data.version) await refreshTodo(data.id);
+          return;
+        }
+
+        const customView =
+          sort !== 'position' ||
+          dueFilter ||
+          priorityFilter ||
+          completedFilter ||
+          assigneeFilter ||
+          search ||
+          tagFilter.length > 0;
+        if (customView) return;
+
+        // New here (created or restored elsewhere) - it goes on top, like a new todo
+        const newTodo = await getTodo(token, data.id);
+        setTodos((current) =>
+          current.some((t) => t.id === newTodo.id) ? current : [newTodo, ...current]
+        );
+        setTotal((current) => current + 1);
+      } else if (type === 'list' || type === 'list-deleted') {
+        scheduleCountsRefresh();
+        if (type === 'list-deleted' && selectedListId === data.id) {
+          setSelectedListId('');
+        }
+      } else if (type === 'reset') {
+        // Too much was missed to catch up event by event
+        fetchTodos();
+        fetchLists();
+        fetchTags();
+      }
+    } catch (err) {
+      // Not worth an error message - e.g. the todo may be gone again by now,
+      // and the event saying so follows
+      console.error('Failed to apply live update:', err);
+    }
+  };
+  liveRef.current = handleLiveEvent;
+
+  // Add a subtask to a todo
+  const handleAddSubtask = async (parent, title) => {
+    if (!token) return;
+
+    try {
+      setError('');
+      await createTodo(token, title, { parentId: parent.id });
+      await refreshTodo(parent.id);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to add subtask');
+    }
+  };
+
+  // Complete or reopen a subtask
+  const handleToggleSubtask = async (child) => {
+    if (!token) return;
+
+    try {
+      setError('');
+      await saveTodo(child, { completed: !child.completed }, () => refreshTodo(child.parentId));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to update subtask');
+    }
+  };
+
+  // Delete a subtask (it goes to the trash, so it can be undone)
+  const handleDeleteSubtask = async (child) => {
+    if (!token) return;
+
+    try {
+      setError('');
+      await saveTodo(child, null, async () => {
+        await refreshTodo(child.parentId);
+        setUndoTodo(child);
+      });
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to delete subtask');
+    }
+  };
+
+  // Opt in/out of auto-completing a todo when all its subtasks are done
+  const handleToggleAutoComplete = async (parent) => {
+    if (!token) return;
+
+    try {
+      setError('');
+      await saveTodo(parent, { autoComplete: !parent.autoComplete }, (updatedTodo) => {
+        setTodos((current) => current.map((t) => (t.id === parent.id ? updatedTodo : t)));
+      });
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to update todo');
+    }
+  };
+
+  // Move todo to another list
+  // Parameters:
+  // - todo: The todo object to move
+  // - listId: Target list ID, or null for the Inbox
+  const handleMoveTodo = async (todo, listId) => {
+    if (!token) return;
+
+    try {
+      setError('');
+
+      await saveTodo(todo, { listId }, (updatedTodo) => {
+        // When viewing a single list, the moved todo no longer belongs here
+        if (selectedListId === '') {
+          setTodos((current) => current.map((t) => (t.id === todo.id ? updatedTodo : t)));
+        } else {
+          setTodos((current) => current.filter((t) => t.id !== todo.id));
+        }
+        fetchLists();
+      });
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to move todo');
+    }
+  };
+
+  // Create new list from the sidebar
+  const handleCreateList = async (name) => {
+    if (!token) return;
+
+    try {
+      setError('');
+      await createList(token, name);
+      fetchLists();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to create list');
+    }
+  };
+
+  // Rename a list from the sidebar
+  const handleRenameList = async (list, name) => {
+    if (!token) return;
+
+    try {
+      setError('');
+      await updateList(token, list.id, name);
+      fetchLists();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to rename list');
+    }
+  };
+
+  // Delete a list from the sidebar
+  // todosAction is 'delete' or 'inbox' for non-empty lists (see ListSidebar)
+  const handleDeleteList = async (list, todosAction) => {
+    if (!token) return;
+
+    try {
+      setError('');
+      await deleteList(token, list.id, todosAction);
+
+      // If the deleted list was open, fall back to "All todos"
+      // (changing selectedListId triggers a refetch through the effect above)
+      if (selectedListId === list.id) {
+        setSelectedListId('');
+      } else {
+        fetchTodos();
+      }
+      fetchLists();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to delete list');
+    }
+  };
+
   // Delete todo
+  // The todo goes to the trash, and an "Undo" toast offers to bring it back
   // Parameter:
   // - id: The ID of the todo to delete
   const handleDeleteTodo = async (id) => {
@@ -156,107 +1280,749 @@ export const TodoList = () => {
     try {
       setError('');
 
-      // Call API to delete todo
-      await deleteTodo(token, id);
+      // A todo that only exists in this browser so far is simply taken off
+      // the queue, along with any changes queued for it
+      if (isTempId(id)) {
+        for (const change of queuedChanges.filter((c) => c.todoId === id)) {
+          await removeQueuedChange(change.seq);
+        }
+        await refreshQueue();
+        setTodos((current) => current.filter((t) => t.id !== id));
+        setTotal((current) => current - 1);
+        return;
+      }
 
-      // Remove todo from state
-      // filter creates new array with only items that pass the test
-      // We keep all todos except the one being deleted
-      setTodos(todos.filter((t) => t.id !== id));
+      // Call API to delete todo
+      const todo = todos.find((t) => t.id === id);
+      await saveTodo(
+        todo,
+        null,
+        () => {
+          // Remove todo from state
+          // filter creates new array with only items that pass the test
+          // We keep all todos except the one being deleted
+          setUndoTodo(todo);
+          setTodos((current) => current.filter((t) => t.id !== id));
+          setTotal((current) => current - 1);
+          fetchLists();
+          fetchTags();
+        },
+        { queue: true }
+      );
     } catch (err) {
       setError(err instanceof Error ? err.message : 'Failed to delete todo');
     }
   };
 
+  // Put a todo restored from the trash back into state
+  // Subtasks reappear inside their parent; top-level todos go to the top,
+  // like a new todo (the next reload puts them back in their place)
+  const showRestoredTodo = async (todo) => {
+    if (todo.parentId !== null) {
+      await refreshTodo(todo.parentId);
+    } else {
+      setTodos((current) => [todo, ...current]);
+      setTotal((current) => current + 1);
+    }
+    fetchLists();
+    fetchTags();
+  };
+
+  // Undo the last delete (the "Undo" button on the toast)
+  const handleUndoDelete = async () => {
+    const todo = undoTodo;
+    setUndoTodo(null);
+
+    try {
+      setError('');
+      const restoredTodo = await restoreTodo(token, todo.id);
+      await showRestoredTodo(restoredTodo);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to restore todo');
+    }
+  };
+
+  // Select or unselect a todo for the bulk action bar
+  // Shift-click applies the same change to every todo between the last
+  // clicked one and this one
+  const handleSelectTodo = (todo, shiftKey) => {
+    const selecting = !selectedIds.includes(todo.id);
+    let ids = [todo.id];
+
+    const from = todos.findIndex((t) => t.id === lastSelectedId);
+    if (shiftKey && from !== -1) {
+      const to = todos.findIndex((t) => t.id === todo.id);
+      ids = todos.slice(Math.min(from, to), Math.max(from, to) + 1).map((t) => t.id);
+    }
+
+    setSelectedIds(
+      selecting
+        ? [...new Set([...selectedIds, ...ids])]
+        : selectedIds.filter((id) => !ids.includes(id))
+    );
+    setLastSelectedId(todo.id);
+  };
+
+  // Send a bulk request and reload everything it may have changed
+  // Operations the backend rejected (e.g. on todos in a list the user can
+  // only view) are reported; the others have been applied
+  // - request(): Calls one of the bulk API functions
+  const runBulk = async (request) => {
+    if (!token) return;
+
+    try {
+      setError('');
+      const response = await request();
+
+      await fetchTodos();
+      fetchLists();
+      fetchTags();
+
+      if (response.failed > 0) {
+        const reasons = new Set(response.results.filter((r) => !r.ok).map((r) => r.error));
+        setError(
+          `${response.failed} of ${response.results.length} todos were not changed: ` +
+            [...reasons].join('; ')
+        );
+      }
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to change todos');
+    }
+  };
+
+  // Apply one action to every selected todo
+  // - extra: the action's fields, e.g. { listId } for 'move' or { tag } for 'addTag'
+  const handleBulkAction = (action, extra = {}) =>
+    runBulk(() => bulkTodos(token, selectedIds.map((id) => ({ id, action, ...extra }))));
+
   // Show loading state
   if (loading) {
     return <div>Loading todos...</div>;
   }
 
+  // Title of the currently selected sidebar entry
+  const selectedList = lists.find((list) => list.id === selectedListId);
+  const heading =
+    selectedListId === 'inbox' ? 'Inbox' : selectedList ? selectedList.name : 'My Todos';
+
+  // Viewers of a shared list can read its todos but not change them
+  // Inbox todos are always the user's own, so the user is their owner
+  // (the backend enforces all of this - the UI just hides what would fail)
+  const roleFor = (listId) =>
+    listId === null ? 'owner' : lists.find((list) => list.id === listId)?.role;
+  const canEditList = (listId) => roleFor(listId) !== 'viewer';
+  const canEditSelected = !selectedList || canEditList(selectedList.id);
+
+  // Lists a todo can be moved into
+  const editableLists = lists.filter((list) => list.role !== 'viewer');
+
+  // Manual order is stored per list, so reordering needs a single list
+  // (or the Inbox) in manual sort order with no filters hiding todos in between
+  const canReorder =
+    selectedListId !== '' &&
+    canEditSelected &&
+    sort === 'position' &&
+    !dueFilter &&
+    !priorityFilter &&
+    !completedFilter &&
+    !assigneeFilter &&
+    !search &&
+    tagFilter.length === 0;
+
   // Render todo list UI
+  // Sidebar on the left, selected list on the right
   return (
-    <div>
-      {/* Header with user info and logout button */}
-      <div>
-        <h1>My Todos</h1>
+    <div style={{ display: 'flex', gap: '20px' }}>
+      <ListSidebar
+        lists={lists}
+        inboxCount={inboxCount}
+        selectedListId={selectedListId}
+        onSelect={(listId) => {
+          setSelectedListId(listId);
+          setShowMembers(false);
+        }}
+        onCreate={handleCreateList}
+        onRename={handleRenameList}
+        onDelete={handleDeleteList}
+      />
+
+      <div style={{ flex: 1 }}>
+        {/* Header with user info and logout button */}
         <div>
-          <span>Logged in as: {user?.email}</span>
-          <button onClick={logout}>Logout</button>
+          <h1>{heading}</h1>
+          <div>
+            <span>Logged in as: {user?.email}</span>
+            <button onClick={() => setShowSessions(!showSessions)}>
+              {showSessions ? 'Hide devices' : 'Devices'}
+            </button>
+            <button onClick={() => setShowTwoFactor(!showTwoFactor)}>
+              {showTwoFactor ? 'Hide two-factor' : 'Two-factor'}
+            </button>
+            <button onClick={() => setShowApiTokens(!showApiTokens)}>
+              {showApiTokens ? 'Hide API tokens' : 'API tokens'}
+            </button>
+            <button onClick={() => setShowActivity(!showActivity)}>
+              {showActivity ? 'Hide activity' : 'Activity'}
+            </button>
+            <button onClick={() => setShowTrash(!showTrash)}>
+              {showTrash ? 'Hide trash' : 'Trash'}
+            </button>
+            <button onClick={logout}>Logout</button>
+          </div>
+          <SyncStatus
+            status={syncing ? 'syncing' : online ? 'synced' : 'offline'}
+            pendingCount={queuedChanges.filter((c) => c.status === 'pending').length}
+            failed={queuedChanges.filter((c) => c.status === 'failed')}
+            onRetry={handleRetryChange}
+            onDiscard={handleDiscardChange}
+          />
+          {showSessions && <Sessions />}
+          {showTwoFactor && <TwoFactorSettings />}
+          {showApiTokens && <ApiTokens />}
+          {showActivity && <ActivityLog lists={lists} />}
+          {showTrash && <Trash onRestore={showRestoredTodo} />}
         </div>
-      </div>
 
-      {/* Error message display */}
-      {error && <div style={{ color: 'red' }}>{error}</div>}
+        {/* Sharing - only for real lists, the Inbox is always private */}
+        {selectedList && (
+          <div>
+            <button onClick={() => setShowMembers(!showMembers)}>
+              {showMembers
+                ? 'Hide members'
+                : selectedList.memberCount > 1
+                  ? `Members (${selectedList.memberCount})`
+                  : 'Share'}
+            </button>
+            {showMembers && (
+              <ListMembers
+                list={selectedList}
+                onChange={fetchLists}
+                onLeave={() => {
+                  setShowMembers(false);
+                  setSelectedListId('');
+                  fetchLists();
+                }}
+              />
+            )}
+          </div>
+        )}
 
-      {/* Form to create new todo */}
-      <form onSubmit={handleCreateTodo}>
-        <input
-          type="text"
-          placeholder="What needs to be done?"
-          value={newTodoTitle}
-          onChange={(e) => setNewTodoTitle(e.target.value)}
+        {/* Full-text search - scoped by the current list, tag and status filters */}
+        <SearchBox
+          filters={{
+            listId: selectedListId,
+            tag: tagFilter,
+            completed: completedFilter,
+          }}
+          onSelect={handleSearchSelect}
         />
-        <button type="submit">Add Todo</button>
-      </form>
 
-      {/* Todo list */}
-      <div>
-        {todos.length === 0 ? (
-          <p>No todos yet. Add one above!</p>
+        {/* Error message display */}
+        {error && <div style={{ color: 'red' }}>{error}</div>}
+
+        {/* Form to create new todo - viewers of a shared list get a note instead */}
+        {!canEditSelected ? (
+          <p style={{ color: '#6b7280' }}>You can view this list but not change it.</p>
         ) : (
-          <ul style={{ listStyle: 'none', padding: 0 }}>
-            {/* Map over todos array to render each todo
-                map is a JavaScript array method that creates new array
-                by calling a function for each element
-                In React, we use map to render lists of components */}
-            {todos.map((todo) => (
-              // Key prop is required for list items in React
-              // Helps React identify which items changed, added, or removed
-              // Should be unique and stable (ID is perfect)
-              <li key={todo.id} style={{ marginBottom: '10px' }}>
-                {/* Checkbox to toggle completed status
-                    checked attribute sets checkbox state
-                    onChange fires when user clicks checkbox */}
-                <input
-                  type="checkbox"
-                  checked={todo.completed}
-                  onChange={() => handleToggleTodo(todo)}
-                />
-
-                {/* Todo title with strikethrough if completed
-                    Conditional styling: if completed, apply textDecoration */}
-                <span
-                  style={{
-                    textDecoration: todo.completed ? 'line-through' : 'none',
-                    marginLeft: '10px',
-                    marginRight: '10px',
-                  }}
-                >
-                  {todo.title}
-                </span>
-
-                {/* Delete button */}
-                <button
-                  onClick={() => handleDeleteTodo(todo.id)}
-                  style={{ border: 'none', background: 'none', cursor: 'pointer' }}
-                >
-                  <Trash2 size={18} color="red" />
-                </button>
-              </li>
+          <form onSubmit={handleCreateTodo}>
+            <input
+              type="text"
+              placeholder="What needs to be done?"
+              value={newTodoTitle}
+              onChange={(e) => setNewTodoTitle(e.target.value)}
+            />
+            {/* Optional due date - datetime-local shows a native date/time picker */}
+            <input
+              type="datetime-local"
+              aria-label="Due date"
+              value={newTodoDueAt}
+              onChange={(e) => setNewTodoDueAt(e.target.value)}
+            />
+            <select
+              aria-label="Priority"
+              value={newTodoPriority}
+              onChange={(e) => setNewTodoPriority(e.target.value)}
+            >
+              <option value="">No priority</option>
+              <option value="high">High</option>
+              <option value="medium">Medium</option>
+              <option value="low">Low</option>
+            </select>
+            <input
+              type="text"
+              placeholder="Tags (comma separated)"
+              value={newTodoTags}
+              onChange={(e) => setNewTodoTags(e.target.value)}
+            />
+            <select
+              aria-label="Repeat"
+              value={newTodoRepeat}
+              onChange={(e) => setNewTodoRepeat(e.target.value)}
+            >
+              <option value="">Does not repeat</option>
+              <option value="daily">Daily</option>
+              <option value="weekdays">Every weekday</option>
+              <option value="weekly">Weekly</option>
+              <option value="monthly">Monthly</option>
+              <option value="yearly">Yearly</option>
+              <option value="after">Days after completion</option>
+            </select>
+            {newTodoRepeat === 'after' && (
+              <input
+                type="number"
+                min="1"
+                aria-label="Days after completion"
+                value={newTodoRepeatDays}
+                onChange={(e) => setNewTodoRepeatDays(Math.max(1, parseInt(e.target.value) || 1))}
+                style={{ width: '60px' }}
+              />
+            )}
+            <button type="submit">Add Todo</button>
+          </form>
+        )}
+
+        {/* Sorting and filtering controls
+            Changing any of these updates state, which re-runs the fetch effect */}
+        <div style={{ margin: '10px 0' }}>
+          <label>
+            Sort by:{' '}
+            <select value={sort} onChange={(e) => setSort(e.target.value)}>
+              <option value="position">Manual</option>
+              <option value="createdAt">Newest</option>
+              <option value="updatedAt">Recently updated</option>
+              <option value="dueAt">Due date</option>
+              {/* Several fields: highest priority first, soonest due date within each */}
+              <option value="priority,dueAt">Priority</option>
+              <option value="title">Title</option>
+            </select>
+          </label>{' '}
+          <label>
+            Due:{' '}
+            <select value={dueFilter} onChange={(e) => setDueFilter(e.target.value)}>
+              <option value="">Any time</option>
+              <option value="overdue">Overdue</option>
+              <option value="today">Today</option>
+              <option value="week">Next 7 days</option>
+            </select>
+          </label>{' '}
+          <label>
+            Priority:{' '}
+            <select
+              value={priorityFilter}
+              onChange={(e) => setPriorityFilter(e.target.value)}
+            >
+              <option value="">All</option>
+              <option value="high">High</option>
+              <option value="medium">Medium</option>
+              <option value="low">Low</option>
+            </select>
+          </label>{' '}
+          <label>
+            Status:{' '}
+            <select
+              value={completedFilter}
+              onChange={(e) => setCompletedFilter(e.target.value)}
+            >
+              <option value="">All</option>
+              <option value="false">Open</option>
+              <option value="true">Completed</option>
+            </select>
+          </label>{' '}
+          <label>
+            <input
+              type="checkbox"
+              checked={assigneeFilter === 'me'}
+              onChange={(e) => setAssigneeFilter(e.target.checked ? 'me' : '')}
+            />{' '}
+            Assigned to me
+          </label>{' '}
+          <input
+            type="search"
+            placeholder="Filter titles"
+            aria-label="Filter titles"
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
+          />
+        </div>
+
+        {/* Tag filter bar
+            Click a tag to show only todos with it; selected tags are highlighted */}
+        {tags.length > 0 && (
+          <div style={{ margin: '10px 0' }}>
+            Tags:{' '}
+            {tags.map((tag) => (
+              <button
+                key={tag.id}
+                onClick={() => toggleTagFilter(tag.name)}
+                style={{
+                  ...badgeStyle,
+                  border: 'none',
+                  cursor: 'pointer',
+                  background: tagFilter.includes(tag.name) ? '#7c3aed' : '#a1a1aa',
+                }}
+              >
+                #{tag.name} ({tag.todoCount})
+              </button>
             ))}
-          </ul>
+            {/* Match mode only matters once more than one tag is selected */}
+            {tagFilter.length > 1 && (
+              <select value={tagMatch} onChange={(e) => setTagMatch(e.target.value)}>
+                <option value="any">Match any</option>
+                <option value="all">Match all</option>
+              </select>
+            )}
+          </div>
+        )}
+
+        {/* Shortcuts for the whole list - needs a single list (or the Inbox) */}
+        {selectedListId !== '' && canEditSelected && todos.length > 0 && (
+          <div style={{ margin: '10px 0' }}>
+            <button onClick={() => runBulk(() => completeAll(token, selectedListId))}>
+              Complete all
+            </button>
+            <button onClick={() => runBulk(() => clearCompleted(token, selectedListId))}>
+              Clear completed
+            </button>
+          </div>
         )}
-      </div>
 
-      {/* Summary statistics */}
-      <div>
-        <p>
-          Total: {todos.length} | Completed:{' '}
-          {/* filter returns array of completed todos, length gives count */}
-          {todos.filter((t) => t.completed).length} | Pending:{' '}
-          {todos.filter((t) => !t.completed).length}
-        </p>
+        {/* Bulk action bar - shown while todos are selected
+            (shift-click a todo's select box to select a whole range) */}
+        {selectedIds.length > 0 && (
+          <div style={{ margin: '10px 0', padding: '6px', background: '#f3f4f6' }}>
+            <span>{selectedIds.length} selected</span>{' '}
+            <button onClick={() => handleBulkAction('complete')}>Complete</button>
+            <button onClick={() => handleBulkAction('uncomplete')}>Reopen</button>
+            <button onClick={() => handleBulkAction('delete')}>Delete</button>{' '}
+            <select
+              aria-label="Move selected todos to list"
+              value=""
+              onChange={(e) =>
+                handleBulkAction('move', {
+                  listId: e.target.value === 'inbox' ? null : Number(e.target.value),
+                })
+              }
+            >
+              <option value="" disabled>
+                Move to...
+              </option>
+              <option value="inbox">Inbox</option>
+              {editableLists.map((list) => (
+                <option key={list.id} value={list.id}>
+                  {list.name}
+                </option>
+              ))}
+            </select>{' '}
+            <input
+              type="text"
+              placeholder="Tag"
+              aria-label="Tag for selected todos"
+              value={bulkTag}
+              onChange={(e) => setBulkTag(e.target.value)}
+              style={{ width: '100px' }}
+            />
+            <button
+              disabled={!bulkTag.trim()}
+              onClick={() => handleBulkAction('addTag', { tag: bulkTag })}
+            >
+              Add tag
+            </button>
+            <button
+              disabled={!bulkTag.trim()}
+              onClick={() => handleBulkAction('removeTag', { tag: bulkTag })}
+            >
+              Remove tag
+            </button>{' '}
+            <button onClick={() => setSelectedIds([])}>Clear selection</button>
+          </div>
+        )}
+
+        {/* Todo list */}
+        <div>
+          {todos.length === 0 ? (
+            <p>No todos yet. Add one above!</p>
+          ) : (
+            <ul style={{ listStyle: 'none', padding: 0 }}>
+              {/* Map over todos array to render each todo
+                  map is a JavaScript array method that creates new array
+                  by calling a function for each element
+                  In React, we use map to render lists of components */}
+              {todos.map((todo, index) => {
+                const dueBadge = getDueBadge(todo);
+                const expanded = expandedIds.includes(todo.id);
+                const editable = canEditList(todo.listId);
+                // Created offline and not saved yet - only toggling and
+                // deleting work until the server has it
+                const local = isTempId(todo.id);
+
+                return (
+                  // Key prop is required for list items in React
+                  // Helps React identify which items changed, added, or removed
+                  // Should be unique and stable (ID is perfect)
+                  //
+                  // Drag-and-drop uses the browser's built-in HTML5 events:
+                  // - dragStart remembers which todo is being dragged
+                  // - dragOver must call preventDefault() to allow dropping here
+                  // - drop moves the dragged todo to this todo's index
+                  <li
+                    key={todo.id}
+                    id={`todo-${todo.id}`}
+                    draggable={canReorder && !local}
+                    onDragStart={() => setDraggedId(todo.id)}
+                    onDragOver={(e) => canReorder && e.preventDefault()}
+                    onDrop={() => {
+                      const dragged = todos.find((t) => t.id === draggedId);
+                      if (dragged) handleReorder(dragged, index);
+                    }}
+                    onDragEnd={() => setDraggedId(null)}
+                    style={{
+                      marginBottom: '10px',
+                      opacity: draggedId === todo.id ? 0.5 : 1,
+                    }}
+                  >
+                    {/* Drag handle - also focusable for keyboard reordering */}
+                    {canReorder && !local && (
+                      <button
+                        id={`reorder-${todo.id}`}
+                        onKeyDown={(e) => handleReorderKey(e, todo, index)}
+                        aria-label={`Reorder ${todo.title} (use arrow keys)`}
+                        style={{ border: 'none', background: 'none', cursor: 'grab' }}
+                      >
+                        <GripVertical size={16} />
+                      </button>
+                    )}
+
+                    {/* Select for the bulk action bar
+                        onClick instead of onChange, because only the click
+                        event tells whether Shift was held */}
+                    <input
+                      type="checkbox"
+                      aria-label={`Select ${todo.title}`}
+                      checked={selectedIds.includes(todo.id)}
+                      disabled={local}
+                      readOnly
+                      onClick={(e) => handleSelectTodo(todo, e.shiftKey)}
+                    />
+
+                    {/* Expand/collapse the notes and subtask checklist */}
+                    <button
+                      onClick={() => toggleExpanded(todo.id)}
+                      aria-label={expanded ? 'Hide details' : 'Show details'}
+                      aria-expanded={expanded}
+                      disabled={local}
+                      style={{ border: 'none', background: 'none', cursor: 'pointer' }}
+                    >
+                      {expanded ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+                    </button>
+
+                    {/* Checkbox to toggle completed status
+                        checked attribute sets checkbox state
+                        onChange fires when user clicks checkbox */}
+                    <input
+                      type="checkbox"
+                      checked={todo.completed}
+                      disabled={!editable}
+                      onChange={() => handleToggleTodo(todo)}
+                    />
+
+                    {/* Todo title with strikethrough if completed
+                        Conditional styling: if completed, apply textDecoration */}
+                    <span
+                      style={{
+                        textDecoration: todo.completed ? 'line-through' : 'none',
+                        marginLeft: '10px',
+                        marginRight: '10px',
+                      }}
+                    >
+                      {todo.title}
+                    </span>
+
+                    {/* Created offline, waiting to be saved */}
+                    {local && (
+                      <span style={{ ...badgeStyle, background: '#d97706' }}>not saved yet</span>
+                    )}
+
+                    {/* Initials of whoever is doing it */}
+                    {todo.assignee && <AssigneeAvatar user={todo.assignee} />}
+
+                    {/* Subtask progress, e.g. "2/5" - only shown when there are subtasks */}
+                    {todo.progress?.total > 0 && (
+                      <span style={{ ...badgeStyle, background: '#059669' }}>
+                        {todo.progress.completed}/{todo.progress.total}
+                      </span>
+                    )}
+
+                    {/* Priority badge - only shown when a priority is set */}
+                    {todo.priority && (
+                      <span
+                        style={{ ...badgeStyle, background: PRIORITY_COLORS[todo.priority] }}
+                      >
+                        {todo.priority}
+                      </span>
+                    )}
+
+                    {/* Due date badge - red when overdue, grey otherwise */}
+                    {dueBadge && (
+                      <span
+                        style={{
+                          ...badgeStyle,
+                          background: dueBadge.overdue ? '#dc2626' : '#6b7280',
+                        }}
+                      >
+                        {dueBadge.overdue ? 'Overdue: ' : 'Due '}
+                        {dueBadge.label}
+                      </span>
+                    )}
+
+                    {/* Repeat badge with skip/end controls for recurring todos */}
+                    {todo.recurrence && (
+                      <span style={{ ...badgeStyle, background: '#0891b2' }}>
+                        <Repeat size={12} /> {describeRecurrence(todo.recurrence)}
+                        {editable && !local && (
+                          <>
+                            <button
+                              onClick={() => handleSkipOccurrence(todo)}
+                              aria-label="Skip this occurrence"
+                              title="Skip this occurrence"
+                              style={{ border: 'none', background: 'none', cursor: 'pointer', color: 'white' }}
+                            >
+                              <SkipForward size={12} />
+                            </button>
+                            <button
+                              onClick={() => handleEndSeries(todo)}
+                              aria-label="Stop repeating"
+                              title="Stop repeating"
+                              style={{ border: 'none', background: 'none', cursor: 'pointer', color: 'white' }}
+                            >
+                              <XCircle size={12} />
+                            </button>
+                          </>
+                        )}
+                      </span>
+                    )}
+
+                    {/* Tag chips - clicking one filters the list by that tag */}
+                    {todo.tags?.map((tag) => (
+                      <span
+                        key={tag.id}
+                        onClick={() => toggleTagFilter(tag.name)}
+                        style={{ ...badgeStyle, background: '#7c3aed', cursor: 'pointer' }}
+                      >
+                        #{tag.name}
+                      </span>
+                    ))}
+
+                    {/* List picker - moves the todo to another list or the Inbox
+                        Only lists the user can edit are offered as targets */}
+                    <select
+                      aria-label="Move to list"
+                      value={todo.listId ?? ''}
+                      disabled={!editable || local}
+                      onChange={(e) =>
+                        handleMoveTodo(todo, e.target.value ? Number(e.target.value) : null)
+                      }
+                      style={{ marginRight: '6px' }}
+                    >
+                      <option value="">Inbox</option>
+                      {lists
+                        .filter((list) => list.id === todo.listId || editableLists.includes(list))
+                        .map((list) => (
+                          <option key={list.id} value={list.id}>
+                            {list.name}
+                          </option>
+                        ))}
+                    </select>
+
+                    {/* Delete button */}
+                    {editable && (
+                      <button
+                        onClick={() => handleDeleteTodo(todo.id)}
+                        style={{ border: 'none', background: 'none', cursor: 'pointer' }}
+                      >
+                        <Trash2 size={18} color="red" />
+                      </button>
+                    )}
+
+                    {/* Nested subtasks, shown when expanded */}
+                    {expanded && (
+                      <>
+                        {/* Notes are saved when the box loses focus
+                            defaultValue (instead of value) leaves the text box
+                            in charge of its content while typing */}
+                        <textarea
+                          aria-label={`Notes for ${todo.title}`}
+                          placeholder="Notes"
+                          defaultValue={todo.notes ?? ''}
+                          readOnly={!editable}
+                          onBlur={(e) => editable && handleSaveNotes(todo, e.target.value.trim())}
+                          rows={3}
+                          style={{ display: 'block', width: '100%', marginTop: '6px' }}
+                        />
+                        <AssigneePicker
+                          todo={todo}
+                          onAssign={handleAssign}
+                          disabled={!editable}
+                        />
+                        <Subtasks
+                          parent={todo}
+                          readOnly={!editable}
+                          onAdd={handleAddSubtask}
+                          onToggle={handleToggleSubtask}
+                          onDelete={handleDeleteSubtask}
+                          onToggleAutoComplete={handleToggleAutoComplete}
+                        />
+                        <Comments todo={todo} role={roleFor(todo.listId)} />
+                        <button
+                          onClick={() =>
+                            setHistoryTodoId(historyTodoId === todo.id ? null : todo.id)
+                          }
+                        >
+                          {historyTodoId === todo.id ? 'Hide history' : 'History'}
+                        </button>
+                        {historyTodoId === todo.id && <ActivityLog todo={todo} />}
+                      </>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+
+          {/* Infinite scroll sentinel - loads the next page when scrolled into view */}
+          <div ref={sentinelRef} />
+          {loadingMore && <p>Loading more...</p>}
+        </div>
+
+        {/* Summary statistics
+            Total comes from the server and counts every matching todo,
+            the other numbers only cover the todos loaded so far */}
+        <div>
+          <p>
+            Total: {total} | Showing: {todos.length} | Completed:{' '}
+            {/* filter returns array of completed todos, length gives count */}
+            {todos.filter((t) => t.completed).length} | Pending:{' '}
+            {todos.filter((t) => !t.completed).length}
+          </p>
+        </div>
       </div>
+
+      {undoTodo && (
+        <UndoToast
+          key={undoTodo.id}
+          message={`Deleted "${undoTodo.title}"`}
+          onUndo={handleUndoDelete}
+          onDismiss={() => setUndoTodo(null)}
+        />
+      )}
+
+      {conflict && (
+        <ConflictPrompt
+          conflict={conflict}
+          lists={lists}
+          onKeepMine={handleKeepMine}
+          onKeepTheirs={handleKeepTheirs}
+        />
+      )}
     </div>
   );
 };
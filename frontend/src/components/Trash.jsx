@@ -0,0 +1,130 @@
+// Trash Component
+// The deleted todos: restore them, delete them for good, or empty the trash
+// Anything left here is purged automatically after the retention period
+
+// Import React hooks
+import { useState, useEffect } from 'react';
+
+// Import auth context for the API token
+import { useAuth } from '../contexts/AuthContext';
+
+// Import trash API functions
+import { getTrash, restoreTodo, purgeTodo, emptyTrash } from '../utils/api';
+
+// Trash Component
+// Props:
+// - onRestore(todo): Called after a todo was restored, so the list can show it again
+export const Trash = ({ onRestore }) => {
+  // Deleted todos: [{ id, title, parentId, children, deletedAt, purgeAt, ... }]
+  const [todos, setTodos] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const { token } = useAuth();
+
+  // Fetch the trash when the panel opens
+  useEffect(() => {
+    fetchTrash();
+  }, []);
+
+  const fetchTrash = async () => {
+    if (!token) return;
+
+    try {
+      setLoading(true);
+      setError('');
+      const response = await getTrash(token);
+      setTodos(response.todos);
+      setRetentionDays(response.retentionDays);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to fetch trash');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRestore = async (todo) => {
+    try {
+      setError('');
+      const restoredTodo = await restoreTodo(token, todo.id);
+      setTodos(todos.filter((t) => t.id !== todo.id));
+      onRestore(restoredTodo);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to restore todo');
+    }
+  };
+
+  const handlePurge = async (todo) => {
+    if (!window.confirm(`Delete "${todo.title}" for good? This can't be undone.`)) {
+      return;
+    }
+
+    try {
+      setError('');
+      await purgeTodo(token, todo.id);
+      setTodos(todos.filter((t) => t.id !== todo.id));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to delete todo');
+    }
+  };
+
+  const handleEmpty = async () => {
+    if (!window.confirm("Delete everything in the trash for good? This can't be undone.")) {
+      return;
+    }
+
+    try {
+      setError('');
+      await emptyTrash(token);
+      // Todos in lists the user can only view stay behind, so reload
+      await fetchTrash();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to empty trash');
+    }
+  };
+
+  if (loading) {
+    return <p>Loading trash...</p>;
+  }
+
+  return (
+    <div style={{ margin: '10px 0' }}>
+      <h3>Trash</h3>
+      <p style={{ color: '#6b7280', fontSize: '13px' }}>
+        Deleted todos are kept for {retentionDays} days, then deleted for good.
+      </p>
+      {error && <div style={{ color: 'red' }}>{error}</div>}
+
+      {todos.length === 0 ? (
+        <p>The trash is empty.</p>
+      ) : (
+        <>
+          <ul style={{ listStyle: 'none', padding: 0 }}>
+            {todos.map((todo) => (
+              <li key={todo.id} style={{ marginBottom: '6px' }}>
+                <span>{todo.title}</span>
+                {todo.parentId !== null && (
+                  <span style={{ color: '#6b7280', fontSize: '12px' }}> (subtask)</span>
+                )}
+                {todo.children.length > 0 && (
+                  <span style={{ color: '#6b7280', fontSize: '12px' }}>
+                    {' '}
+                    with {todo.children.length} subtask{todo.children.length === 1 ? '' : 's'}
+                  </span>
+                )}{' '}
+                <span style={{ color: '#6b7280', fontSize: '12px' }}>
+                  deleted {new Date(todo.deletedAt).toLocaleString()}, purged{' '}
+                  {new Date(todo.purgeAt).toLocaleDateString()}
+                </span>{' '}
+                <button onClick={() => handleRestore(todo)}>Restore</button>
+                <button onClick={() => handlePurge(todo)}>Delete forever</button>
+              </li>
+            ))}
+          </ul>
+          <button onClick={handleEmpty}>Empty trash</button>
+        </>
+      )}
+    </div>
+  );
+};
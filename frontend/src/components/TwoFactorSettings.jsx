@@ -0,0 +1,183 @@
+// TwoFactorSettings Component
+// Turns two-factor authentication on and off, and shows recovery codes
+//
+// Setup flow:
+// 1. "Set up" fetches a secret and QR code; the user scans it with their app
+// 2. They type the current code to confirm - only then is 2FA enabled
+// 3. The recovery codes are shown once, to be stored somewhere safe
+
+// Import React hooks
+import { useState, useEffect } from 'react';
+
+// Import auth context for the API token
+import { useAuth } from '../contexts/AuthContext';
+
+// Import 2FA API functions
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} from '../utils/api';
+
+// TwoFactorSettings Component
+export const TwoFactorSettings = () => {
+  // { enabled, recoveryCodesRemaining } from the server
+  const [status, setStatus] = useState(null);
+
+  // { secret, otpauthUrl, qrCode } while setup is in progress
+  const [setup, setSetup] = useState(null);
+
+  // Recovery codes just generated (only ever shown right after creation)
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+
+  // Form inputs
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const { token } = useAuth();
+
+  // Fetch the 2FA status when the component mounts
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  const fetchStatus = async () => {
+    if (!token) return;
+
+    try {
+      setLoading(true);
+      setError('');
+      setStatus(await getTwoFactorStatus(token));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to fetch two-factor status');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Run an API call with the shared error handling, clearing the inputs on success
+  const submit = async (action, fallbackError) => {
+    try {
+      setError('');
+      await action();
+      setCode('');
+      setPassword('');
+    } catch (err) {
+      setError(err instanceof Error ? err.message : fallbackError);
+    }
+  };
+
+  // Step 1: get a secret and QR code
+  const handleSetup = () =>
+    submit(async () => {
+      setRecoveryCodes(null);
+      setSetup(await setupTwoFactor(token));
+    }, 'Failed to start setup');
+
+  // Step 2: confirm with a code from the app
+  const handleEnable = (e) => {
+    e.preventDefault();
+    submit(async () => {
+      const response = await enableTwoFactor(token, code);
+      setSetup(null);
+      setRecoveryCodes(response.recoveryCodes);
+      await fetchStatus();
+    }, 'Failed to enable two-factor authentication');
+  };
+
+  const handleDisable = (e) => {
+    e.preventDefault();
+    submit(async () => {
+      await disableTwoFactor(token, password, code);
+      setRecoveryCodes(null);
+      await fetchStatus();
+    }, 'Failed to disable two-factor authentication');
+  };
+
+  const handleRegenerate = (e) => {
+    e.preventDefault();
+    submit(async () => {
+      const response = await regenerateRecoveryCodes(token, code);
+      setRecoveryCodes(response.recoveryCodes);
+      await fetchStatus();
+    }, 'Failed to generate recovery codes');
+  };
+
+  if (loading && !status) {
+    return <p>Loading two-factor settings...</p>;
+  }
+
+  // Code input shared by the forms below
+  const codeInput = (
+    <input
+      type="text"
+      placeholder="Code"
+      aria-label="Code"
+      autoComplete="one-time-code"
+      value={code}
+      onChange={(e) => setCode(e.target.value)}
+      required
+    />
+  );
+
+  return (
+    <div style={{ margin: '10px 0', padding: '10px', border: '1px solid #d1d5db' }}>
+      <h3 style={{ marginTop: 0 }}>Two-factor authentication</h3>
+      {error && <div style={{ color: 'red' }}>{error}</div>}
+
+      {recoveryCodes && (
+        <div style={{ marginBottom: '10px' }}>
+          <p>
+            Save these recovery codes somewhere safe. Each one can be used once to log in if you
+            lose access to your authenticator app. They won't be shown again.
+          </p>
+          <pre>{recoveryCodes.join('\n')}</pre>
+        </div>
+      )}
+
+      {status?.enabled ? (
+        <>
+          <p>
+            Two-factor authentication is on. {status.recoveryCodesRemaining} recovery codes left.
+          </p>
+          <form onSubmit={handleRegenerate}>
+            {codeInput}{' '}
+            <button type="submit">New recovery codes</button>
+          </form>
+          <form onSubmit={handleDisable} style={{ marginTop: '6px' }}>
+            <input
+              type="password"
+              placeholder="Password"
+              aria-label="Password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              required
+            />{' '}
+            {codeInput} <button type="submit">Turn off</button>
+          </form>
+        </>
+      ) : setup ? (
+        <>
+          <p>Scan this QR code with your authenticator app, then enter the code it shows.</p>
+          <img src={setup.qrCode} alt="QR code for your authenticator app" width={200} />
+          <p>
+            Can't scan it? Enter this key instead: <code>{setup.secret}</code>
+          </p>
+          <form onSubmit={handleEnable}>
+            {codeInput} <button type="submit">Turn on</button>
+          </form>
+        </>
+      ) : (
+        <>
+          <p>Protect your account with a code from an authenticator app when you log in.</p>
+          <button onClick={handleSetup}>Set up</button>
+        </>
+      )}
+    </div>
+  );
+};
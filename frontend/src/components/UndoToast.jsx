@@ -0,0 +1,48 @@
+// UndoToast Component
+// A small notice in the corner of the screen after something was deleted,
+// with an Undo button. It goes away by itself after a few seconds - the
+// deleted item stays in the trash either way
+
+// Import React hooks
+import { useEffect } from 'react';
+
+// How long the toast stays up
+const TOAST_DURATION_MS = 8000;
+
+const toastStyle = {
+  position: 'fixed',
+  bottom: '20px',
+  left: '50%',
+  transform: 'translateX(-50%)',
+  background: '#1f2937',
+  color: 'white',
+  padding: '10px 16px',
+  borderRadius: '6px',
+  display: 'flex',
+  gap: '12px',
+  alignItems: 'center',
+  zIndex: 1000,
+};
+
+// UndoToast Component
+// Props:
+// - message: What happened (e.g. 'Deleted "Buy milk"')
+// - onUndo(): Called when Undo is clicked
+// - onDismiss(): Called when the toast closes, by itself or with the close button
+export const UndoToast = ({ message, onUndo, onDismiss }) => {
+  // Restart the timer for every new message
+  useEffect(() => {
+    const timer = setTimeout(onDismiss, TOAST_DURATION_MS);
+    return () => clearTimeout(timer);
+  }, [message]);
+
+  return (
+    <div role="status" style={toastStyle}>
+      <span>{message}</span>
+      <button onClick={onUndo}>Undo</button>
+      <button aria-label="Dismiss" onClick={onDismiss}>
+        ×
+      </button>
+    </div>
+  );
+};
@@ -0,0 +1,65 @@
+// VerificationBanner Component
+// Reminds the user to verify their email address, with a button to resend
+// the link. Shown at the top of the app until the address is verified
+
+// Import React hooks
+import { useState } from 'react';
+
+// Import auth context for the user and their verification state
+import { useAuth } from '../contexts/AuthContext';
+
+// Import API function for resending the email
+import { resendVerification } from '../utils/api';
+
+// What the banner says for each access level (see the backend's verification policy)
+const ACCESS_MESSAGES = {
+  full: 'Please verify your email address.',
+  'read-only': 'Your account is read-only until you verify your email address.',
+  none: 'Please verify your email address to use your account.',
+};
+
+// VerificationBanner Component
+export const VerificationBanner = () => {
+  // Result of the last resend attempt
+  const [status, setStatus] = useState('');
+  const [sending, setSending] = useState(false);
+
+  const { user, token, emailVerified } = useAuth();
+
+  // Nothing to show once the email is verified
+  if (!user || emailVerified) {
+    return null;
+  }
+
+  const handleResend = async () => {
+    try {
+      setSending(true);
+      const response = await resendVerification(token);
+      setStatus(response.message);
+    } catch (err) {
+      // e.g. "Please wait 42 seconds before requesting another email"
+      setStatus(err instanceof Error ? err.message : 'Failed to send verification email');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div
+      role="status"
+      style={{
+        padding: '10px',
+        marginBottom: '10px',
+        background: '#fef3c7',
+        border: '1px solid #f59e0b',
+        borderRadius: '4px',
+      }}
+    >
+      {ACCESS_MESSAGES[user.access] ?? ACCESS_MESSAGES.full} We sent a link to {user.email}.{' '}
+      <button onClick={handleResend} disabled={sending}>
+        {sending ? 'Sending...' : 'Resend email'}
+      </button>
+      {status && <div>{status}</div>}
+    </div>
+  );
+};
@@ -8,6 +8,13 @@
 // useEffect: Hook for side effects (like checking localStorage on mount)
 import { createContext, useContext, useState, useEffect } from 'react';
 
+// Import the hook that lets the API layer renew expired access tokens,
+// and the logout request that revokes the session on the server
+import { configureSession, logout as apiLogout, getMe } from '../utils/api';
+
+// Import the offline copy of the user's todos, which is wiped on logout
+import { clearOfflineData } from '../utils/offline';
+
 // Create the Authentication Context
 // createContext creates a special object that can hold and distribute data
 // We initialize with undefined and will provide actual values in the Provider
@@ -42,10 +49,13 @@ export const useAuth = () => {
 export const AuthProvider = ({ children }) => {
   // State for storing current user information
   // null means no user is logged in
-  // User object shape: { id: number, email: string }
+  // User object shape: { id, email, emailVerifiedAt, access }
+  // access is what the user may do while unverified: 'full', 'read-only' or 'none'
   const [user, setUser] = useState(null);
 
-  // State for storing JWT token (string or null)
+  // State for storing the JWT access token (string or null)
+  // Access tokens expire after a few minutes; the API layer swaps in a new one
+  // using the refresh token, which only lives in localStorage
   const [token, setToken] = useState(null);
 
   // Loading state to handle initial authentication check
@@ -75,10 +85,17 @@ export const AuthProvider = ({ children }) => {
         const parsedUser = JSON.parse(storedUser);
         setToken(storedToken);
         setUser(parsedUser);
+
+        // The stored copy may be out of date (e.g. the email was verified
+        // on another device), so fetch a fresh one in the background
+        getMe(storedToken)
+          .then((data) => updateUser(data.user))
+          .catch((error) => console.error('Failed to refresh user:', error));
       } catch (error) {
         // If JSON parsing fails (corrupted data), clear invalid data
         console.error('Failed to parse stored user data:', error);
         localStorage.removeItem('token');
+        localStorage.removeItem('refreshToken');
         localStorage.removeItem('user');
       }
     }
@@ -91,9 +108,10 @@ export const AuthProvider = ({ children }) => {
   // Called when user successfully authenticates via login or signup
   // Stores credentials in both state (for current session) and localStorage (for persistence)
   // Parameters:
-  // - newToken: JWT token string
+  // - newToken: JWT access token string
+  // - newRefreshToken: Refresh token string
   // - newUser: User object { id, email }
-  const login = (newToken, newUser) => {
+  const login = (newToken, newRefreshToken, newUser) => {
     // Update React state
     // This causes re-render and updates UI immediately
     setToken(newToken);
@@ -103,12 +121,19 @@ export const AuthProvider = ({ children }) => {
     // This ensures session survives page refreshes
     // JSON.stringify converts object to string for storage
     localStorage.setItem('token', newToken);
+    localStorage.setItem('refreshToken', newRefreshToken);
     localStorage.setItem('user', JSON.stringify(newUser));
   };
 
-  // Logout function
-  // Clears all authentication data from state and localStorage
-  const logout = () => {
+  // Replace the stored user (e.g. after verifying the email address)
+  const updateUser = (newUser) => {
+    setUser(newUser);
+    localStorage.setItem('user', JSON.stringify(newUser));
+  };
+
+  // Clear all authentication data from state and localStorage
+  // Used on logout, and when the session can no longer be renewed
+  const clearSession = () => {
     // Clear React state
     setToken(null);
     setUser(null);
@@ -116,16 +141,58 @@ export const AuthProvider = ({ children }) => {
     // Clear localStorage
     // This ensures user won't be automatically logged back in
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
     localStorage.removeItem('user');
   };
 
+  // Logout function
+  // Revokes the session on the server first, so the tokens can't be used
+  // even if they were copied, then clears the local data
+  const logout = async () => {
+    try {
+      if (token) {
+        await apiLogout(token);
+      }
+    } catch (error) {
+      // The server may be unreachable - log out locally anyway
+      console.error('Failed to revoke session:', error);
+    }
+    // Only an explicit logout forgets the offline data - when a session
+    // merely expires, changes still queued are sent after logging back in
+    clearOfflineData().catch((error) => {
+      console.error('Failed to clear offline data:', error);
+    });
+    clearSession();
+  };
+
+  // Let the API layer renew expired access tokens
+  // When a request fails with 401, fetchWrapper calls POST /api/auth/refresh,
+  // stores the new token pair through onRefresh and retries the request.
+  // Only if the refresh itself is rejected does onExpired log the user out
+  useEffect(() => {
+    configureSession({
+      getAccessToken: () => localStorage.getItem('token'),
+      getRefreshToken: () => localStorage.getItem('refreshToken'),
+      onRefresh: ({ token: newToken, refreshToken: newRefreshToken }) => {
+        setToken(newToken);
+        localStorage.setItem('token', newToken);
+        localStorage.setItem('refreshToken', newRefreshToken);
+      },
+      onExpired: clearSession,
+    });
+  }, []);
+
   // Context value object
   // This is what consuming components will receive via useAuth()
+  // emailVerified: whether the user has confirmed their email address
+  // (the UI shows a banner until they do)
   const value = {
     user,
     token,
     login,
     logout,
+    updateUser,
+    emailVerified: Boolean(user?.emailVerifiedAt),
     loading,
   };
 
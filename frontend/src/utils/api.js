@@ -6,6 +6,78 @@
 // This could be configured via environment variable for different environments
 const API_URL = 'http://localhost:3000/api';
 
+// Session handlers registered by AuthContext (see configureSession)
+// api.js can't use React hooks, so AuthContext hands it these callbacks instead
+let session = null;
+
+// Refresh request currently in flight, shared by every request that fails
+// at the same time - they all wait for one refresh instead of each sending
+// their own (a second refresh with the same token would look like token theft)
+let refreshPromise = null;
+
+// Connect fetchWrapper to the auth state
+// Called by AuthContext with:
+// - getAccessToken(): Returns the stored access token (or null)
+// - getRefreshToken(): Returns the stored refresh token (or null)
+// - onRefresh({ token, refreshToken }): Store a new token pair
+// - onExpired(): The session can't be renewed - log out
+export const configureSession = (handlers) => {
+  session = handlers;
+};
+
+// Get a new access token using the stored refresh token
+// - failedToken: the access token the server just rejected
+// Resolves to the new access token; rejects if the session can't be renewed
+//
+// Other browser tabs share localStorage and may be refreshing at the same time.
+// The Web Locks API (where available) lets only one tab refresh at a time; a
+// tab that gets the lock after another one refreshed finds a newer access
+// token in storage and simply uses it
+const refreshSession = (failedToken) => {
+  if (!refreshPromise) {
+    const refresh = async () => {
+      const storedToken = session?.getAccessToken();
+      if (storedToken && storedToken !== failedToken) {
+        // Bring this tab's auth state up to date too
+        session?.onRefresh({ token: storedToken, refreshToken: session.getRefreshToken() });
+        return storedToken;
+      }
+
+      const refreshToken = session?.getRefreshToken();
+      if (!refreshToken) {
+        session?.onExpired();
+        throw new Error('Session expired, please log in again');
+      }
+
+      const response = await fetch(`${API_URL}/auth/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken }),
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        // Only a rejected refresh token ends the session - a network error
+        // or server hiccup (thrown by fetch or a 5xx) leaves the user logged in
+        if (response.status === 400 || response.status === 401) {
+          session?.onExpired();
+        }
+        throw new Error(data.error || 'Session expired, please log in again');
+      }
+
+      session?.onRefresh(data);
+      return data.token;
+    };
+
+    refreshPromise = (
+      navigator.locks ? navigator.locks.request('todo-auth-refresh', refresh) : refresh()
+    ).finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
 // Generic fetch wrapper with error handling
 // This function wraps the native fetch API to add common functionality
 //
@@ -21,20 +93,47 @@ const API_URL = 'http://localhost:3000/api';
 // - Parses JSON responses
 // - Throws descriptive errors for non-200 responses
 //
+// - Renews an expired access token and retries the request once
+// - Passes on the server's current copy when a versioned write conflicts (412)
+// - Marks errors from a missing connection with code 'network_error'
+//
 // Parameters:
 // - url: The URL to fetch (string)
 // - options: Fetch options object (method, headers, body, etc.)
-const fetchWrapper = async (url, options = {}) => {
+// - retried: true on the retry after a refresh (internal)
+const fetchWrapper = async (url, options = {}, retried = false) => {
   // Make HTTP request using fetch
-  const response = await fetch(url, {
-    // Merge provided options with defaults
-    ...options,
-    headers: {
-      'Content-Type': 'application/json',
-      // Spread any additional headers provided by caller
-      ...options.headers,
-    },
-  });
+  // fetch only rejects when no response arrives at all (offline, server down);
+  // those errors get the code 'network_error', so callers can tell them apart
+  // from errors the server sent (e.g. to queue a change for later)
+  let response;
+  try {
+    response = await fetch(url, {
+      // Merge provided options with defaults
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        // Spread any additional headers provided by caller
+        ...options.headers,
+      },
+    });
+  } catch {
+    const error = new Error("Can't reach the server - check your connection");
+    error.code = 'network_error';
+    throw error;
+  }
+
+  // 401 on an authenticated request means the access token expired (or is
+  // otherwise no longer accepted): get a new one and replay the request with it
+  if (response.status === 401 && options.headers?.Authorization && !retried) {
+    const failedToken = options.headers.Authorization.split(' ')[1];
+    const newToken = await refreshSession(failedToken);
+    return fetchWrapper(
+      url,
+      { ...options, headers: { ...options.headers, Authorization: `Bearer ${newToken}` } },
+      true
+    );
+  }
 
   // Parse JSON response body
   // response.json() returns a Promise that resolves to parsed JavaScript object
@@ -44,7 +143,14 @@ const fetchWrapper = async (url, options = {}) => {
   if (!response.ok) {
     // Throw error with message from server
     // The error will be caught by try-catch blocks in components
-    throw new Error(data.error || 'Something went wrong');
+    // error.code carries the server's machine-readable code, when it sends one
+    // (e.g. 'mfa_expired'), so components can react to specific errors
+    const error = new Error(data.error || 'Something went wrong');
+    error.code = data.code;
+    // A 'version_conflict' (412) also carries the server's current copy, so the
+    // component can ask the user which version to keep instead of losing an edit
+    error.current = data.current;
+    throw error;
   }
 
   return data;
@@ -57,7 +163,7 @@ const fetchWrapper = async (url, options = {}) => {
 // Parameters:
 // - email: User's email address (string)
 // - password: User's password (string)
-// Returns: { token, user }
+// Returns: { token, refreshToken, user }
 export const signup = async (email, password) => {
   return fetchWrapper(`${API_URL}/auth/signup`, {
     method: 'POST',
@@ -70,7 +176,8 @@ export const signup = async (email, password) => {
 // Parameters:
 // - email: User's email address (string)
 // - password: User's password (string)
-// Returns: { token, user }
+// Returns: { token, refreshToken, user }, or { mfaRequired: true, mfaToken }
+// when the account has two-factor authentication (complete it with loginTwoFactor)
 export const login = async (email, password) => {
   return fetchWrapper(`${API_URL}/auth/login`, {
     method: 'POST',
@@ -78,17 +185,264 @@ export const login = async (email, password) => {
   });
 };
 
+// Second step of a login with two-factor authentication
+// Parameters:
+// - mfaToken: Challenge token returned by login (string)
+// - code: Code from the authenticator app, or a recovery code (string)
+// Returns: { token, refreshToken, user, usedRecoveryCode }
+// An error with code 'mfa_expired' means the user has to enter their password again
+export const loginTwoFactor = async (mfaToken, code) => {
+  return fetchWrapper(`${API_URL}/auth/login/2fa`, {
+    method: 'POST',
+    body: JSON.stringify({ mfaToken, code }),
+  });
+};
+
+// Request a password reset email
+// The response is the same whether or not the account exists
+// Parameters:
+// - email: User's email address (string)
+// Returns: { message }
+export const forgotPassword = async (email) => {
+  return fetchWrapper(`${API_URL}/auth/forgot-password`, {
+    method: 'POST',
+    body: JSON.stringify({ email }),
+  });
+};
+
+// Set a new password using the token from a reset email
+// Parameters:
+// - token: Reset token from the emailed link (string)
+// - password: New password (string)
+// Returns: { message }
+export const resetPassword = async (token, password) => {
+  return fetchWrapper(`${API_URL}/auth/reset-password`, {
+    method: 'POST',
+    body: JSON.stringify({ token, password }),
+  });
+};
+
+// Get the logged-in user
+// Parameters:
+// - token: JWT token (string)
+// Returns: { user } - user includes emailVerifiedAt and access
+export const getMe = async (token) => {
+  return fetchWrapper(`${API_URL}/auth/me`, {
+    headers: {
+      Authorization: `Bearer ${token}`,
+    },
+  });
+};
+
+// Verify an email address using the token from a verification email
+// Parameters:
+// - token: Verification token from the emailed link (string)
+// Returns: { message, user }
+export const verifyEmail = async (token) => {
+  return fetchWrapper(`${API_URL}/auth/verify?token=${encodeURIComponent(token)}`);
+};
+
+// Send a new verification email to the logged-in user
+// Rate-limited by the backend (the error message says how long to wait)
+// Parameters:
+// - token: JWT token (string)
+// Returns: { message }
+export const resendVerification = async (token) => {
+  return fetchWrapper(`${API_URL}/auth/resend-verification`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${token}`,
+    },
+  });
+};
+
+// Logout function
+// Revokes the current session on the server, so its tokens stop working
+// Parameters:
+// - token: JWT token (string)
+export const logout = async (token) => {
+  return fetchWrapper(`${API_URL}/auth/logout`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${token}`,
+    },
+  });
+};
+
+// Get the user's active sessions (logged-in devices)
+// Parameters:
+// - token: JWT token (string)
+// Returns: Array of { id, device, userAgent, ip, lastSeenAt, createdAt, current }
+export const getSessions = async (token) => {
+  return fetchWrapper(`${API_URL}/auth/sessions`, {
+    headers: {
+      Authorization: `Bearer ${token}`,
+    },
+  });
+};
+
+// Sign out one session (device)
+// Parameters:
+// - token: JWT token (string)
+// - id: Session ID (number)
+export const revokeSession = async (token, id) => {
+  return fetchWrapper(`${API_URL}/auth/sessions/${id}`, {
+    method: 'DELETE',
+    headers: {
+      Authorization: `Bearer ${token}`,
+    },
+  });
+};
+
+// Two-Factor Authentication API Functions
+
+// Get the user's 2FA status
+// Parameters:
+// - token: JWT token (string)
+// Returns: { enabled, recoveryCodesRemaining }
+export const getTwoFactorStatus = async (token) => {
+  return fetchWrapper(`${API_URL}/auth/2fa`, {
+    headers: {
+      Authorization: `Bearer ${token}`,
+    },
+  });
+};
+
+// Start 2FA setup: creates a secret for the authenticator app
+// Parameters:
+// - token: JWT token (string)
+// Returns: { secret, otpauthUrl, qrCode } - qrCode is an image data URL
+export const setupTwoFactor = async (token) => {
+  return fetchWrapper(`${API_URL}/auth/2fa/setup`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${token}`,
+    },
+  });
+};
+
+// Finish 2FA setup with a code from the authenticator app
+// Parameters:
+// - token: JWT token (string)
+// - code: Current 6-digit code (string)
+// Returns: { message, recoveryCodes }
+export const enableTwoFactor = async (token, code) => {
+  return fetchWrapper(`${API_URL}/auth/2fa/enable`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${token}`,
+    },
+    body: JSON.stringify({ code }),
+  });
+};
+
+// Turn 2FA off
+// Parameters:
+// - token: JWT token (string)
+// - password: Account password (string)
+// - code: App code or recovery code (string)
+// Returns: { message }
+export const disableTwoFactor = async (token, password, code) => {
+  return fetchWrapper(`${API_URL}/auth/2fa/disable`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${token}`,
+    },
+    body: JSON.stringify({ password, code }),
+  });
+};
+
+// Replace all recovery codes with new ones
+// Parameters:
+// - token: JWT token (string)
+// - code: App code or an old recovery code (string)
+// Returns: { recoveryCodes }
+export const regenerateRecoveryCodes = async (token, code) => {
+  return fetchWrapper(`${API_URL}/auth/2fa/recovery-codes`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${token}`,
+    },
+    body: JSON.stringify({ code }),
+  });
+};
+
+// API Token Functions
+// Personal access tokens for scripts and integrations
+
+// Get the user's API tokens
+// Parameters:
+// - token: JWT token (string)
+// Returns: { tokens: [{ id, name, scopes, tokenPrefix, expiresAt, lastUsedAt, createdAt }],
+//            scopes: { 'todos:read': description, ... } }
+export const getApiTokens = async (token) => {
+  return fetchWrapper(`${API_URL}/tokens`, {
+    headers: {
+      Authorization: `Bearer ${token}`,
+    },
+  });
+};
+
+// Create an API token
+// Parameters:
+// - token: JWT token (string)
+// - fields: { name, scopes, expiresInDays } - expiresInDays null = never expires
+// Returns: The token's details plus token, the raw value (only returned this once)
+export const createApiToken = async (token, fields) => {
+  return fetchWrapper(`${API_URL}/tokens`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${token}`,
+    },
+    body: JSON.stringify(fields),
+  });
+};
+
+// Revoke an API token
+// Parameters:
+// - token: JWT token (string)
+// - id: API token ID (number)
+export const revokeApiToken = async (token, id) => {
+  return fetchWrapper(`${API_URL}/tokens/${id}`, {
+    method: 'DELETE',
+    headers: {
+      Authorization: `Bearer ${token}`,
+    },
+  });
+};
+
 // Todo API Functions
 // All these functions require authentication token
 
-// Get all todos for current user
+// Build a query string from an object of parameters
+// Skips empty values so callers can pass their filter state as-is
+// Arrays become repeated parameters
+// Example: { due: 'today', priority: '', tag: ['a', 'b'] } -> "?due=today&tag=a&tag=b"
+const toQueryString = (params = {}) => {
+  const searchParams = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    // [].concat() wraps single values so both cases share one loop
+    [].concat(value).forEach((item) => {
+      if (item !== undefined && item !== null && item !== '') {
+        searchParams.append(key, item);
+      }
+    });
+  });
+  const query = searchParams.toString();
+  return query ? `?${query}` : '';
+};
+
+// Get one page of todos for current user
 // Token is passed in Authorization header
 // Backend middleware extracts user ID from token
 // Parameters:
 // - token: JWT token (string)
-// Returns: Array of todo objects
-export const getTodos = async (token) => {
-  return fetchWrapper(`${API_URL}/todos`, {
+// - params: Optional filters { q, completed, due, priority, sort, listId, assignee, tag, tagMatch }
+//   and pagination { limit, cursor }
+// Returns: { todos, nextCursor, total }
+// Pass nextCursor back as params.cursor to get the next page (null = last page)
+export const getTodos = async (token, params = {}) => {
+  return fetchWrapper(`${API_URL}/todos${toQueryString(params)}`, {
     headers: {
       // Bearer token authentication standard
       // Format: "Bearer <token>"
@@ -97,50 +451,534 @@ export const getTodos = async (token) => {
   });
 };
 
+// Get a single todo
+// Includes its subtasks (children) and a progress summary
+// Parameters:
+// - token: JWT token (string)
+// - id: Todo ID (number)
+// Returns: Todo object with children and progress
+export const getTodo = async (token, id) => {
+  return fetchWrapper(`${API_URL}/todos/${id}`, {
+    headers: {
+      Authorization: `Bearer ${token}`,
+    },
+  });
+};
+
 // Create new todo
 // Sends todo title to backend
 // Backend automatically associates todo with authenticated user
 // Parameters:
 // - token: JWT token (string)
 // - title: Todo title (string)
+// - fields: Optional extra fields { notes, dueAt, priority, listId, tags, parentId, autoComplete, recurrence }
+//   (parentId creates the todo as a subtask of that todo)
 // Returns: Created todo object
-export const createTodo = async (token, title) => {
+export const createTodo = async (token, title, fields = {}) => {
   return fetchWrapper(`${API_URL}/todos`, {
     method: 'POST',
     headers: {
       Authorization: `Bearer ${token}`,
     },
-    body: JSON.stringify({ title }),
+    body: JSON.stringify({ title, ...fields }),
   });
 };
 
+// If-Match header for a versioned write, or no header without a version
+// Todos carry their version (also sent as the ETag header); the server refuses
+// a write with an old version with 412 and error.code 'version_conflict'
+const ifMatch = (version) => (version === undefined ? {} : { 'If-Match': `"${version}"` });
+
 // Update existing todo
 // Can update title, completed status, or both
 // Parameters:
 // - token: JWT token (string)
 // - id: Todo ID (number)
-// - updates: Object with optional title and/or completed fields
-// Returns: Updated todo object
-export const updateTodo = async (token, id, updates) => {
+// - updates: Object with optional title, notes, completed, dueAt, priority, listId, tags,
+//   autoComplete, recurrence and assigneeId fields
+// - version: The todo's version as last seen (optional) - if someone else changed the
+//   todo since, nothing is saved and the error has the current todo as error.current
+// Returns: Updated todo object (plus nextTodo when completing a recurring todo)
+export const updateTodo = async (token, id, updates, version) => {
   return fetchWrapper(`${API_URL}/todos/${id}`, {
     method: 'PUT',
     headers: {
       Authorization: `Bearer ${token}`,
+      ...ifMatch(version),
     },
     body: JSON.stringify(updates),
   });
 };
 
+// Move a todo to a new spot in the manual order
+// Parameters:
+// - token: JWT token (string)
+// - id: Todo ID (number)
+// - neighbours: { before, after } - IDs of the todos that should end up
+//   directly above and below it (either may be omitted at the list's ends)
+// Returns: Updated todo object
+export const moveTodo = async (token, id, { before, after }) => {
+  return fetchWrapper(`${API_URL}/todos/${id}/move`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${token}`,
+    },
+    body: JSON.stringify({ before, after }),
+  });
+};
+
+// Skip the current occurrence of a recurring todo
+// The todo moves on to its next due date without being completed
+// Parameters:
+// - token: JWT token (string)
+// - id: Todo ID (number)
+// Returns: Updated todo object
+export const skipOccurrence = async (token, id) => {
+  return fetchWrapper(`${API_URL}/todos/${id}/skip`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${token}`,
+    },
+  });
+};
+
+// Stop a recurring todo from repeating
+// Parameters:
+// - token: JWT token (string)
+// - id: Todo ID (number)
+// Returns: Updated todo object
+export const endSeries = async (token, id) => {
+  return fetchWrapper(`${API_URL}/todos/${id}/end-series`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${token}`,
+    },
+  });
+};
+
 // Delete todo
+// Moves it (and its subtasks) to the trash, from where it can be restored
 // Parameters:
 // - token: JWT token (string)
 // - id: Todo ID (number)
-// Returns: Success message
-export const deleteTodo = async (token, id) => {
+// - version: The todo's version as last seen (optional, see updateTodo)
+// Returns: { message, purgeAt } - purgeAt is when it will be deleted for good
+export const deleteTodo = async (token, id, version) => {
   return fetchWrapper(`${API_URL}/todos/${id}`, {
     method: 'DELETE',
     headers: {
       Authorization: `Bearer ${token}`,
+      ...ifMatch(version),
     },
   });
 };
+
+// Trash API Functions
+// Deleted todos stay in the trash for a while (retentionDays) before they're purged
+
+// Get the deleted todos, most recently deleted first
+// Parameters:
+// - token: JWT token (string)
+// Returns: { todos, retentionDays } - each todo has a purgeAt date
+export const getTrash = async (token) => {
+  return fetchWrapper(`${API_URL}/todos/trash`, {
+    headers: {
+      Authorization: `Bearer ${token}`,
+    },
+  });
+};
+
+// Bring a todo back from the trash, with the subtasks deleted along with it
+// Parameters:
+// - token: JWT token (string)
+// - id: Todo ID (number)
+// Returns: The restored todo
+export const restoreTodo = async (token, id) => {
+  return fetchWrapper(`${API_URL}/todos/${id}/restore`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${token}`,
+    },
+  });
+};
+
+// Permanently delete a todo that's in the trash
+// Parameters:
+// - token: JWT token (string)
+// - id: Todo ID (number)
+// Returns: Success message
+export const purgeTodo = async (token, id) => {
+  return fetchWrapper(`${API_URL}/todos/trash/${id}`, {
+    method: 'DELETE',
+    headers: {
+      Authorization: `Bearer ${token}`,
+    },
+  });
+};
+
+// Permanently delete everything in the trash that the user can edit
+// Parameters:
+// - token: JWT token (string)
+// Returns: { message, count }
+export const emptyTrash = async (token) => {
+  return fetchWrapper(`${API_URL}/todos/trash`, {
+    method: 'DELETE',
+    headers: {
+      Authorization: `Bearer ${token}`,
+    },
+  });
+};
+
+// Bulk API Functions
+// Change many todos in one request; each operation is checked on its own, and the
+// ones that pass run together in one transaction
+// All of them return { results, succeeded, failed }, with one result per operation:
+// { id, action, ok } plus { status, error } for the operations that were rejected
+
+// Run a batch of operations (at most 100)
+// Parameters:
+// - token: JWT token (string)
+// - operations: [{ id, action, listId?, tag? }] - action is one of complete, uncomplete,
+//   delete, move (with listId, null for the Inbox), addTag or removeTag (with tag)
+export const bulkTodos = async (token, operations) => {
+  return fetchWrapper(`${API_URL}/todos/bulk`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${token}`,
+    },
+    body: JSON.stringify({ operations }),
+  });
+};
+
+// Move every completed todo of a list to the trash
+// Parameters:
+// - token: JWT token (string)
+// - listId: List ID (number), or 'inbox'
+export const clearCompleted = async (token, listId) => {
+  return fetchWrapper(`${API_URL}/todos/bulk/clear-completed`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${token}`,
+    },
+    body: JSON.stringify({ listId }),
+  });
+};
+
+// Complete every open todo of a list
+// Parameters:
+// - token: JWT token (string)
+// - listId: List ID (number), or 'inbox'
+export const completeAll = async (token, listId) => {
+  return fetchWrapper(`${API_URL}/todos/bulk/complete-all`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${token}`,
+    },
+    body: JSON.stringify({ listId }),
+  });
+};
+
+// Comment API Functions
+// Each todo has a discussion thread; "@email" mentions notify the mentioned user
+
+// Get a todo's comments, oldest first
+// Parameters:
+// - token: JWT token (string)
+// - todoId: Todo ID (number)
+// Returns: { comments: [{ id, body, author: { id, email }, createdAt, editedAt, editableUntil }] }
+export const getComments = async (token, todoId) => {
+  return fetchWrapper(`${API_URL}/todos/${todoId}/comments`, {
+    headers: {
+      Authorization: `Bearer ${token}`,
+    },
+  });
+};
+
+// Add a comment to a todo
+// Parameters:
+// - token: JWT token (string)
+// - todoId: Todo ID (number)
+// - body: Comment text (string, simple markdown)
+// Returns: Created comment object
+export const createComment = async (token, todoId, body) => {
+  return fetchWrapper(`${API_URL}/todos/${todoId}/comments`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${token}`,
+    },
+    body: JSON.stringify({ body }),
+  });
+};
+
+// Edit a comment (author only, shortly after posting - see editableUntil)
+// Parameters:
+// - token: JWT token (string)
+// - todoId: Todo ID (number)
+// - commentId: Comment ID (number)
+// - body: New comment text (string)
+// Returns: Updated comment object
+export const updateComment = async (token, todoId, commentId, body) => {
+  return fetchWrapper(`${API_URL}/todos/${todoId}/comments/${commentId}`, {
+    method: 'PUT',
+    headers: {
+      Authorization: `Bearer ${token}`,
+    },
+    body: JSON.stringify({ body }),
+  });
+};
+
+// Delete a comment (its author or a list owner)
+// Parameters:
+// - token: JWT token (string)
+// - todoId: Todo ID (number)
+// - commentId: Comment ID (number)
+// Returns: Success message
+export const deleteComment = async (token, todoId, commentId) => {
+  return fetchWrapper(`${API_URL}/todos/${todoId}/comments/${commentId}`, {
+    method: 'DELETE',
+    headers: {
+      Authorization: `Bearer ${token}`,
+    },
+  });
+};
+
+// Activity API Functions
+// The audit trail: who changed what, and when
+// Events come back as { id, action, todoId, todoTitle, listId, actor, changes, createdAt }
+// - action: created, updated, completed, reopened, moved, reordered, assigned, deleted,
+//   restored, purged or shared
+// - actor: { id, email }, or null once that account is deleted
+// - changes: { <field>: { from, to } } with readable values (list names, emails...)
+
+// Get one page of a todo's history, newest first
+// Parameters:
+// - token: JWT token (string)
+// - todoId: Todo ID (number)
+// - params: Optional pagination { limit, cursor }
+// Returns: { events, nextCursor } - pass nextCursor back as params.cursor for older events
+export const getTodoHistory = async (token, todoId, params = {}) => {
+  return fetchWrapper(`${API_URL}/todos/${todoId}/history${toQueryString(params)}`, {
+    headers: {
+      Authorization: `Bearer ${token}`,
+    },
+  });
+};
+
+// Get one page of the account-wide activity feed, newest first
+// Covers the Inbox and every list the user is a member of
+// Parameters:
+// - token: JWT token (string)
+// - params: Optional { listId } filter and pagination { limit, cursor }
+// Returns: { events, nextCursor }
+export const getActivity = async (token, params = {}) => {
+  return fetchWrapper(`${API_URL}/activity${toQueryString(params)}`, {
+    headers: {
+      Authorization: `Bearer ${token}`,
+    },
+  });
+};
+
+// List API Functions
+// Lists group todos into named projects; todos without a list are in the Inbox
+
+// Get all lists for current user
+// Parameters:
+// - token: JWT token (string)
+// Returns: { lists: [{ id, name, role, todoCount, memberCount, ... }], inboxCount }
+// - role: the user's role in the list ('viewer', 'editor' or 'owner')
+export const getLists = async (token) => {
+  return fetchWrapper(`${API_URL}/lists`, {
+    headers: {
+      Authorization: `Bearer ${token}`,
+    },
+  });
+};
+
+// Create new list
+// Parameters:
+// - token: JWT token (string)
+// - name: List name (string)
+// Returns: Created list object
+export const createList = async (token, name) => {
+  return fetchWrapper(`${API_URL}/lists`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${token}`,
+    },
+    body: JSON.stringify({ name }),
+  });
+};
+
+// Rename list
+// Parameters:
+// - token: JWT token (string)
+// - id: List ID (number)
+// - name: New list name (string)
+// Returns: Updated list object
+export const updateList = async (token, id, name) => {
+  return fetchWrapper(`${API_URL}/lists/${id}`, {
+    method: 'PUT',
+    headers: {
+      Authorization: `Bearer ${token}`,
+    },
+    body: JSON.stringify({ name }),
+  });
+};
+
+// Delete list
+// Parameters:
+// - token: JWT token (string)
+// - id: List ID (number)
+// - todosAction: What to do with the list's todos - 'delete' or 'inbox'
+//   (required by the backend when the list isn't empty)
+// Returns: Success message
+export const deleteList = async (token, id, todosAction) => {
+  return fetchWrapper(`${API_URL}/lists/${id}${toQueryString({ todos: todosAction })}`, {
+    method: 'DELETE',
+    headers: {
+      Authorization: `Bearer ${token}`,
+    },
+  });
+};
+
+// List Member API Functions
+// Lists can be shared: each member has a role (viewer, editor or owner)
+
+// Get the members of a list
+// Parameters:
+// - token: JWT token (string)
+// - listId: List ID (number)
+// Returns: { members: [{ userId, email, role, createdAt }] }
+export const getListMembers = async (token, listId) => {
+  return fetchWrapper(`${API_URL}/lists/${listId}/members`, {
+    headers: {
+      Authorization: `Bearer ${token}`,
+    },
+  });
+};
+
+// Share a list with another user (owners only)
+// Parameters:
+// - token: JWT token (string)
+// - listId: List ID (number)
+// - email: The other user's account email (string)
+// - role: 'viewer', 'editor' or 'owner'
+// Returns: The new member { userId, email, role, createdAt }
+export const addListMember = async (token, listId, email, role) => {
+  return fetchWrapper(`${API_URL}/lists/${listId}/members`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${token}`,
+    },
+    body: JSON.stringify({ email, role }),
+  });
+};
+
+// Change a member's role (owners only)
+// Parameters:
+// - token: JWT token (string)
+// - listId: List ID (number)
+// - userId: The member's user ID (number)
+// - role: 'viewer', 'editor' or 'owner'
+// Returns: The updated member
+export const updateListMember = async (token, listId, userId, role) => {
+  return fetchWrapper(`${API_URL}/lists/${listId}/members/${userId}`, {
+    method: 'PUT',
+    headers: {
+      Authorization: `Bearer ${token}`,
+    },
+    body: JSON.stringify({ role }),
+  });
+};
+
+// Remove a member from a list - or, with the user's own ID, leave it
+// Parameters:
+// - token: JWT token (string)
+// - listId: List ID (number)
+// - userId: The member's user ID (number)
+// Returns: Success message
+export const removeListMember = async (token, listId, userId) => {
+  return fetchWrapper(`${API_URL}/lists/${listId}/members/${userId}`, {
+    method: 'DELETE',
+    headers: {
+      Authorization: `Bearer ${token}`,
+    },
+  });
+};
+
+// Tag API Functions
+// Tags are created automatically when a todo uses them
+
+// Get all tags for current user
+// Parameters:
+// - token: JWT token (string)
+// Returns: Array of { id, name, todoCount }
+export const getTags = async (token) => {
+  return fetchWrapper(`${API_URL}/tags`, {
+    headers: {
+      Authorization: `Bearer ${token}`,
+    },
+  });
+};
+
+// Search API Functions
+
+// Full-text search across todo titles, notes and tags
+// Parameters:
+// - token: JWT token (string)
+// - params: { q, listId, tag, completed, limit } - q is required
+// Returns: { results: [{ todo, rank, highlights: { title, notes } }] }
+// Highlights wrap matched words in <mark>...</mark> and are not HTML-escaped
+export const searchTodos = async (token, params) => {
+  return fetchWrapper(`${API_URL}/search${toQueryString(params)}`, {
+    headers: {
+      Authorization: `Bearer ${token}`,
+    },
+  });
+};
+
+// Live Update API Functions
+
+// Open the stream of live changes (Server-Sent Events, read by utils/liveUpdates.js)
+// The browser's EventSource can't send an Authorization header, so the
+// stream is opened with fetch and read from the response body instead
+// Parameters:
+// - token: JWT token (string)
+// - lastEventId: ID of the last event received, to replay what was missed (optional)
+// - signal: AbortSignal that closes the stream
+// - retried: true on the retry after a refresh (internal)
+// Returns: the Response, whose body is the stream
+export const openEventStream = async (token, lastEventId, signal, retried = false) => {
+  let response;
+  try {
+    response = await fetch(`${API_URL}/events`, {
+      headers: {
+        Authorization: `Bearer ${token}`,
+        Accept: 'text/event-stream',
+        ...(lastEventId && { 'Last-Event-ID': lastEventId }),
+      },
+      signal,
+    });
+  } catch (err) {
+    // Closed on purpose - not a connection problem
+    if (signal.aborted) throw err;
+    const error = new Error("Can't reach the server - check your connection");
+    error.code = 'network_error';
+    throw error;
+  }
+
+  // An expired access token is renewed once, like in fetchWrapper
+  if (response.status === 401 && !retried) {
+    const newToken = await refreshSession(token);
+    return openEventStream(newToken, lastEventId, signal, true);
+  }
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    const error = new Error(data.error || 'Something went wrong');
+    error.code = data.code;
+    throw error;
+  }
+
+  return response;
+};
@@ -0,0 +1,116 @@
+// Live Updates
+// Listens to the server's stream of changes (GET /api/events), so a todo
+// completed by another member of a shared list - or in another tab - shows up
+// here without a reload
+//
+// The stream is Server-Sent Events: text blocks separated by blank lines,
+// each made of "field: value" lines:
+//
+//   id: 1234
+//   event: todo
+//   data: {"id":5,"title":"Buy milk",...}
+//
+// When the connection drops, it's opened again with the ID of the last event
+// received (Last-Event-ID), and the server replays what was missed
+
+// Import the request that opens the stream
+import { openEventStream } from './api';
+
+// How long to wait before reconnecting, until the server says otherwise (retry:)
+const DEFAULT_RETRY_MS = 3000;
+
+// Reconnect delays double after each failed attempt, up to this
+const MAX_RETRY_MS = 60 * 1000;
+
+// Read a stream's body and call dispatch({ id, type, data }) for every event
+// (data is parsed from JSON); onRetry(ms) is called for retry: fields
+// Resolves when the server ends the stream
+const readEvents = async (body, dispatch, onRetry) => {
+  const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  let event = { data: [] };
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) return;
+
+    // Chunks can end in the middle of a line - keep the unfinished part for later
+    buffer += value;
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const rawLine of lines) {
+      const line = rawLine.replace(/\r$/, '');
+
+      // A blank line ends the event
+      if (line === '') {
+        if (event.data.length > 0) {
+          dispatch({
+            id: event.id,
+            type: event.type ?? 'message',
+            data: JSON.parse(event.data.join('\n')),
+          });
+        }
+        event = { data: [] };
+        continue;
+      }
+
+      // Comments (the server's heartbeats) only keep the connection alive
+      if (line.startsWith(':')) continue;
+
+      const colon = line.indexOf(':');
+      const field = colon === -1 ? line : line.slice(0, colon);
+      const fieldValue = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+
+      if (field === 'data') event.data.push(fieldValue);
+      else if (field === 'event') event.type = fieldValue;
+      else if (field === 'id') event.id = fieldValue;
+      else if (field === 'retry' && /^\d+$/.test(fieldValue)) onRetry(Number(fieldValue));
+    }
+  }
+};
+
+// Listen for live changes until the returned function is called
+// Parameters:
+// - token: JWT token (string)
+// - lastEventId: resume after this event (e.g. from an earlier listener), or null
+// - onEvent({ id, type, data }): called for every event - see routes/events.js
+//   in the backend for the types
+// Returns: a function that stops listening
+export const listenForEvents = (token, { lastEventId, onEvent }) => {
+  const controller = new AbortController();
+  let resumeFrom = lastEventId;
+  let retryMs = DEFAULT_RETRY_MS;
+  let delay = retryMs;
+
+  const listen = async () => {
+    while (!controller.signal.aborted) {
+      try {
+        const response = await openEventStream(token, resumeFrom, controller.signal);
+        delay = retryMs;
+
+        await readEvents(
+          response.body,
+          (event) => {
+            if (event.id !== undefined) resumeFrom = event.id;
+            onEvent(event);
+          },
+          (ms) => {
+            retryMs = ms;
+          }
+        );
+        // The server closed the stream (it does so regularly) - reconnect right away
+        delay = 0;
+      } catch (err) {
+        if (controller.signal.aborted) return;
+        console.error('Live updates disconnected:', err);
+        delay = Math.min(Math.max(delay * 2, retryMs), MAX_RETRY_MS);
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  };
+
+  listen();
+  return () => controller.abort();
+};
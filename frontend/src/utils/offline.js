@@ -0,0 +1,197 @@
+// Offline Support
+// Keeps a copy of what the user last saw in IndexedDB, so the todo list renders
+// instantly (and without a network), and a queue of the changes made while
+// offline, which are replayed in order once the app can reach the server again
+//
+// IndexedDB is the browser's built-in database. Unlike localStorage it can hold
+// a lot of structured data, but its API is callback based - the helpers below
+// wrap each request in a Promise
+//
+// Two object stores ("tables"):
+// - cache: API responses by key, e.g. 'todos:5:{...params}' -> { todos, nextCursor, total }
+// - queue: changes waiting to be sent, in the order they were made (seq is
+//   auto-incremented), each { seq, userId, type, todoId, status, ... } - see queueChange
+
+// Import the API functions the queued changes are replayed with
+import { createTodo, updateTodo, deleteTodo } from './api';
+
+const DB_NAME = 'todo-app';
+const DB_VERSION = 1;
+
+// Todos created while offline get an ID like 'temp-<uuid>' until the server
+// has saved them and handed out a real (numeric) ID
+const TEMP_ID_PREFIX = 'temp-';
+
+export const createTempId = () => `${TEMP_ID_PREFIX}${crypto.randomUUID()}`;
+
+export const isTempId = (id) => typeof id === 'string' && id.startsWith(TEMP_ID_PREFIX);
+
+// The database connection, opened on first use and shared afterwards
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      // Runs when the database is created (or DB_VERSION goes up)
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore('cache');
+        db.createObjectStore('queue', { keyPath: 'seq', autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+};
+
+// Run one request against a store and resolve with its result once the
+// transaction has been committed
+// - operation(store): starts the request, e.g. (store) => store.get(key)
+const run = async (storeName, mode, operation) => {
+  const db = await openDb();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+// Read a cached response (undefined if there is none)
+export const readCache = (key) => run('cache', 'readonly', (store) => store.get(key));
+
+// Store a response for next time
+export const writeCache = (key, value) =>
+  run('cache', 'readwrite', (store) => store.put(value, key));
+
+// The user's queued changes, oldest first
+// Each change is { seq, userId, type, todoId, status, error?, ... }
+// - type: 'create' (with fields and a temporary todo), 'update' (with updates
+//   and the version it was made on) or 'delete' (with version)
+// - status: 'pending' (waiting to be sent) or 'failed' (the server refused it -
+//   see error; the user can retry or discard it)
+export const getQueue = async (userId) => {
+  const changes = await run('queue', 'readonly', (store) => store.getAll());
+  return changes.filter((change) => change.userId === userId);
+};
+
+// Add a change to the end of the queue
+export const queueChange = (change) =>
+  run('queue', 'readwrite', (store) => store.add({ ...change, status: 'pending' }));
+
+// Save a queued change again (e.g. after marking it failed)
+export const saveQueuedChange = (change) =>
+  run('queue', 'readwrite', (store) => store.put(change));
+
+// Take a change off the queue (sent, or discarded by the user)
+export const removeQueuedChange = (seq) =>
+  run('queue', 'readwrite', (store) => store.delete(seq));
+
+// Forget everything stored for offline use (called on logout, so the next
+// person using the browser doesn't see the previous user's todos)
+export const clearOfflineData = async () => {
+  await run('cache', 'readwrite', (store) => store.clear());
+  await run('queue', 'readwrite', (store) => store.clear());
+};
+
+// Show queued changes on top of todos loaded from the server (or the cache):
+// todos created offline at the top, queued updates applied, queued deletes removed
+export const applyQueue = (todos, changes) => {
+  let result = todos;
+
+  for (const change of changes) {
+    if (change.status !== 'pending') continue;
+
+    if (change.type === 'create') {
+      result = [change.todo, ...result];
+    } else if (change.type === 'update') {
+      result = result.map((t) => (t.id === change.todoId ? { ...t, ...change.updates } : t));
+    } else {
+      result = result.filter((t) => t.id !== change.todoId);
+    }
+  }
+  return result;
+};
+
+// The replay in progress, if any - a second caller (e.g. the 'online' event
+// firing during a retry) waits for it instead of sending the changes twice
+let replaying = null;
+
+// Send the user's pending changes to the server, one at a time and in order
+// - onCreated(tempId, todo): a todo created offline was saved, under todo.id
+// Stops at the first network error (still offline); the remaining changes stay
+// queued. A change the server refuses is marked 'failed' and the rest go on
+// Returns: { synced, offline } - how many changes were sent, and whether the
+// server was unreachable
+export const replayQueue = (token, userId, handlers) => {
+  if (!replaying) {
+    replaying = sendQueue(token, userId, handlers).finally(() => {
+      replaying = null;
+    });
+  }
+  return replaying;
+};
+
+const sendQueue = async (token, userId, { onCreated }) => {
+  const changes = (await getQueue(userId)).filter((change) => change.status === 'pending');
+
+  // Versions the server handed back during this replay - a todo toggled twice
+  // offline has two queued updates, and the second one must build on the first
+  const versions = new Map();
+  let synced = 0;
+
+  for (const [index, change] of changes.entries()) {
+    // The create this change depends on failed, so there is no todo to change
+    if (isTempId(change.todoId) && change.type !== 'create') {
+      await saveQueuedChange({
+        ...change,
+        status: 'failed',
+        error: 'The todo could not be created',
+      });
+      continue;
+    }
+
+    const version = versions.get(change.todoId) ?? change.version;
+
+    try {
+      if (change.type === 'create') {
+        const { title, ...fields } = change.fields;
+        const todo = await createTodo(token, title, fields);
+        versions.set(todo.id, todo.version);
+
+        // Remap the temporary ID in the changes queued after this one - in
+        // IndexedDB too, in case the connection drops again before they're
+        // sent, and in failed changes, so retrying them finds the todo
+        for (const later of changes.slice(index + 1)) {
+          if (later.todoId === change.todoId) later.todoId = todo.id;
+        }
+        for (const queued of await getQueue(userId)) {
+          if (queued.todoId === change.todoId && queued.seq !== change.seq) {
+            await saveQueuedChange({ ...queued, todoId: todo.id });
+          }
+        }
+        onCreated(change.todoId, todo);
+      } else if (change.type === 'update') {
+        const todo = await updateTodo(token, change.todoId, change.updates, version);
+        versions.set(todo.id, todo.version);
+      } else {
+        await deleteTodo(token, change.todoId, version);
+      }
+
+      await removeQueuedChange(change.seq);
+      synced += 1;
+    } catch (err) {
+      if (err.code === 'network_error') {
+        return { synced, offline: true };
+      }
+      await saveQueuedChange({ ...change, status: 'failed', error: err.message });
+    }
+  }
+
+  return { synced, offline: false };
+};